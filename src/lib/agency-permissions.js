@@ -0,0 +1,76 @@
+// ============================================================================
+// AGENCY PERMISSIONS - What agency staff may do
+// agency_owner and super_admin have every permission; agency_staff only
+// the ones stored on their users row (users.permissions).
+// ============================================================================
+
+const AGENCY_PERMISSIONS = {
+  leads: 'Leads pipeline and activity log',
+  outreach: 'Outreach templates and sending',
+  clients: 'Client accounts, calls, calendars and notifications',
+  settings: 'Branding, domains, email sending and email templates',
+  billing: 'Platform plan, Stripe Connect, referral payouts and client pricing',
+  staff: 'Invite and manage staff',
+  audit: 'Security audit log'
+};
+
+// Starting points for the invite form
+const STAFF_PRESETS = {
+  sales: ['leads', 'outreach'],
+  support: ['clients'],
+  manager: ['leads', 'outreach', 'clients', 'settings']
+};
+
+function isPermission(permission) {
+  return Object.prototype.hasOwnProperty.call(AGENCY_PERMISSIONS, permission);
+}
+
+/**
+ * Permission list from a request body ({ permissions } or { preset })
+ * @returns {{ permissions?: string[], error?: string }}
+ */
+function parsePermissions({ permissions, preset } = {}) {
+  if (preset !== undefined) {
+    if (!STAFF_PRESETS[preset]) {
+      return { error: `preset must be one of: ${Object.keys(STAFF_PRESETS).join(', ')}` };
+    }
+    return { permissions: [...STAFF_PRESETS[preset]] };
+  }
+
+  if (!Array.isArray(permissions)) {
+    return { error: 'permissions must be a list' };
+  }
+
+  const unknown = permissions.filter(p => !isPermission(p));
+  if (unknown.length) {
+    return { error: `Unknown permissions: ${unknown.join(', ')}` };
+  }
+
+  return { permissions: [...new Set(permissions)] };
+}
+
+// Effective permissions for a signed-in user (req.user)
+function getUserPermissions(user) {
+  if (!user) return [];
+  if (user.role === 'super_admin' || user.role === 'agency_owner') {
+    return Object.keys(AGENCY_PERMISSIONS);
+  }
+  if (user.role === 'agency_staff') {
+    return (user.permissions || []).filter(isPermission);
+  }
+  return [];
+}
+
+function hasPermission(user, permission) {
+  if (!permission) return true;
+  return getUserPermissions(user).includes(permission);
+}
+
+module.exports = {
+  AGENCY_PERMISSIONS,
+  STAFF_PRESETS,
+  isPermission,
+  parsePermissions,
+  getUserPermissions,
+  hasPermission
+};
@@ -0,0 +1,201 @@
+// ============================================================================
+// SECURITY AUDIT LOG - Who changed sensitive configuration, and how
+// Rows in audit_log are append-only (a trigger refuses UPDATE and DELETE) and
+// keep no foreign keys, so they outlive the users and tenants they mention.
+// Writing is best-effort: a failed insert is logged, never surfaced to the
+// request that made the change.
+// ============================================================================
+const { supabase } = require('./supabase');
+const { getRequestIp } = require('./sessions');
+
+const AUDIT_ACTIONS = {
+  AGENCY_SETTINGS_UPDATED: 'agency.settings_updated',
+  AGENCY_PRICING_UPDATED: 'agency.pricing_updated',
+  AGENCY_SECURITY_UPDATED: 'agency.security_updated',
+  AGENCY_SUSPENDED: 'agency.suspended',
+  AGENCY_REACTIVATED: 'agency.reactivated',
+  AGENCY_TRIAL_EXTENDED: 'agency.trial_extended',
+  DOMAIN_ADDED: 'domain.added',
+  DOMAIN_REMOVED: 'domain.removed',
+  EMAIL_DOMAIN_ADDED: 'email_domain.added',
+  EMAIL_DOMAIN_REMOVED: 'email_domain.removed',
+  CONNECT_DISCONNECTED: 'connect.disconnected',
+  REFERRAL_PAYOUT_REQUESTED: 'referral.payout_requested',
+  PASSWORD_CHANGED: 'user.password_changed',
+  TWO_FACTOR_RESET: 'user.two_factor_reset',
+  CLIENT_VOICE_UPDATED: 'client.voice_updated',
+  CLIENT_GREETING_UPDATED: 'client.greeting_updated',
+  CLIENT_RECORDING_RETENTION_UPDATED: 'client.recording_retention_updated',
+  CLIENT_TRIAL_EXTENDED: 'client.trial_extended'
+};
+
+// Agency settings grouped so pricing and security changes can be filtered on
+const PRICING_FIELDS = [
+  'price_starter', 'price_pro', 'price_growth',
+  'limit_starter', 'limit_pro', 'limit_growth',
+  'overage_mode', 'price_overage', 'overage_cap'
+];
+const SECURITY_FIELDS = [
+  'require_2fa', 'require_client_2fa', 'require_signup_approval', 'signup_daily_limit',
+  'recording_retention_days'
+];
+
+const MAX_QUERY_LIMIT = 200;
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Fields whose value differs between two versions of a row
+ * @param {string[]} [fields] - defaults to every key in after
+ * @returns {{ before: object, after: object }|null} null when nothing changed
+ */
+function diffFields(before, after, fields = Object.keys(after || {})) {
+  const changes = { before: {}, after: {} };
+
+  for (const field of fields) {
+    if (after?.[field] === undefined) continue;
+    if (isEqual(before?.[field], after[field])) continue;
+    changes.before[field] = before?.[field] ?? null;
+    changes.after[field] = after[field];
+  }
+
+  return Object.keys(changes.after).length ? changes : null;
+}
+
+/**
+ * Actor details from a signed-in request (req.user); agency users signed in
+ * as a client are recorded as themselves
+ */
+function getActor(req) {
+  const user = req.user || {};
+  if (user.impersonation) {
+    return {
+      actor_id: user.impersonation.userId,
+      actor_email: user.impersonation.email,
+      actor_role: 'impersonator'
+    };
+  }
+  return {
+    actor_id: user.userId || null,
+    actor_email: user.email || null,
+    actor_role: user.role || null
+  };
+}
+
+/**
+ * Append one entry
+ * @param {object} req - for the actor, IP and user agent
+ * @param {object} entry
+ * @param {string} entry.action - one of AUDIT_ACTIONS
+ * @param {string} [entry.agencyId]
+ * @param {string} [entry.clientId]
+ * @param {string} [entry.entityType] - e.g. 'agency', 'client', 'user'
+ * @param {string} [entry.entityId]
+ * @param {object} [entry.before]
+ * @param {object} [entry.after]
+ * @param {object} [entry.metadata]
+ * @param {object} [entry.actor] - { id, email, role } when there's no req.user
+ *   (e.g. a password set from an emailed link)
+ */
+async function recordAudit(req, { action, agencyId, clientId, entityType, entityId, before, after, metadata, actor }) {
+  try {
+    const actorFields = actor
+      ? { actor_id: actor.id || null, actor_email: actor.email || null, actor_role: actor.role || null }
+      : getActor(req);
+
+    const { error } = await supabase.from('audit_log').insert({
+      ...actorFields,
+      agency_id: agencyId || null,
+      client_id: clientId || null,
+      action,
+      entity_type: entityType || null,
+      entity_id: entityId || null,
+      before: before ?? null,
+      after: after ?? null,
+      metadata: metadata || {},
+      ip_address: getRequestIp(req),
+      user_agent: req.headers?.['user-agent'] || null
+    });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`⚠️ Audit log write failed (${action}):`, error.message || error);
+  }
+}
+
+// ============================================================================
+// QUERY
+// ============================================================================
+
+const FILTER_COLUMNS = ['agency_id', 'client_id', 'actor_id', 'entity_type', 'entity_id'];
+
+/**
+ * Validate query-string filters for queryAuditLog
+ * @returns {{ filters?: object, error?: string }}
+ */
+function parseAuditFilters(query = {}) {
+  const filters = {
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), MAX_QUERY_LIMIT),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+  };
+
+  for (const column of [...FILTER_COLUMNS, 'action']) {
+    if (query[column]) filters[column] = String(query[column]);
+  }
+
+  for (const bound of ['from', 'to']) {
+    if (!query[bound]) continue;
+    const date = new Date(query[bound]);
+    if (isNaN(date.getTime())) {
+      return { error: `${bound} must be an ISO date` };
+    }
+    filters[bound] = date.toISOString();
+  }
+
+  return { filters };
+}
+
+/**
+ * Filtered page of audit entries, newest first
+ * @param {object} filters - from parseAuditFilters; action is exact or 'prefix.*'
+ * @returns {Promise<{ entries: object[], total: number }>}
+ */
+async function queryAuditLog(filters = {}) {
+  const { limit = 50, offset = 0 } = filters;
+
+  let query = supabase
+    .from('audit_log')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  for (const column of FILTER_COLUMNS) {
+    if (filters[column]) query = query.eq(column, filters[column]);
+  }
+
+  if (filters.action) {
+    query = filters.action.endsWith('.*')
+      ? query.like('action', `${filters.action.slice(0, -1)}%`)
+      : query.eq('action', filters.action);
+  }
+  if (filters.from) query = query.gte('created_at', filters.from);
+  if (filters.to) query = query.lte('created_at', filters.to);
+
+  const { data, count, error } = await query;
+  if (error) throw error;
+
+  return { entries: data || [], total: count || 0 };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  PRICING_FIELDS,
+  SECURITY_FIELDS,
+  diffFields,
+  getActor,
+  recordAudit,
+  parseAuditFilters,
+  queryAuditLog
+};
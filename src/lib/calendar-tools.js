@@ -0,0 +1,194 @@
+// ============================================================================
+// CALENDAR TOOLS - Actions behind the AI's calendar function tools
+// Shared by /api/calendar/* and the VAPI webhook's tool-calls handler.
+// Each action returns { status, payload, spoken } where `spoken` is the
+// sentence handed back to the assistant.
+// ============================================================================
+const { sendTelnyxSMS } = require('./notifications');
+const {
+  BookingError,
+  getAppointmentType,
+  getAvailableSlots,
+  bookAppointment,
+  cancelAppointment,
+  rescheduleAppointment
+} = require('./calendar');
+
+// How many open times the AI reads out at once
+const VOICE_SLOT_LIMIT = 6;
+
+async function resolveAppointmentType(client, args) {
+  return getAppointmentType(client.id, {
+    appointmentTypeId: args.appointment_type_id || args.appointmentTypeId,
+    name: args.appointment_type || args.appointmentType
+  });
+}
+
+const TYPE_NOT_FOUND = {
+  status: 404,
+  payload: { error: 'Appointment type not found' },
+  spoken: "I couldn't find that type of appointment."
+};
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+async function checkAvailability(client, args, { fromVapi }) {
+  const appointmentType = await resolveAppointmentType(client, args);
+  if (!appointmentType) return TYPE_NOT_FOUND;
+
+  const date = args.date && /^\d{4}-\d{2}-\d{2}$/.test(args.date) ? args.date : null;
+
+  // A specific day searches just that day; otherwise look ahead for the next openings
+  const { timeZone, slots } = await getAvailableSlots({
+    client,
+    appointmentType,
+    date,
+    days: date ? 1 : (parseInt(args.days) || 14),
+    maxSlots: fromVapi ? VOICE_SLOT_LIMIT : (parseInt(args.limit) || 50)
+  });
+
+  return {
+    status: 200,
+    payload: {
+      success: true,
+      timezone: timeZone,
+      appointment_type: {
+        id: appointmentType.id,
+        name: appointmentType.name,
+        duration_minutes: appointmentType.duration_minutes
+      },
+      slots
+    },
+    spoken: slots.length > 0
+      ? `Available ${appointmentType.name.toLowerCase()} times: ${slots.map(s => `${s.label} (start_time ${s.start})`).join('; ')}.`
+      : `There are no open times ${date ? 'on that day' : 'in the next two weeks'}.`
+  };
+}
+
+async function book(client, args, { call, fromVapi }) {
+  const appointmentType = await resolveAppointmentType(client, args);
+  if (!appointmentType) return TYPE_NOT_FOUND;
+
+  const { appointment, label } = await bookAppointment(client, appointmentType, {
+    startTime: args.start_time || args.startTime,
+    customerName: args.customer_name || args.customerName,
+    // Fall back to caller ID when the AI didn't collect a number
+    customerPhone: args.customer_phone || args.customerPhone || call?.customer?.number,
+    customerEmail: args.customer_email || args.customerEmail,
+    notes: args.notes,
+    source: fromVapi ? 'vapi' : 'dashboard',
+    vapiCallId: call?.id
+  });
+
+  console.log(`📅 Appointment booked for ${client.business_name}: ${label}`);
+
+  // Let the owner know the AI put something on their calendar
+  if (fromVapi && client.owner_phone) {
+    await sendTelnyxSMS(
+      client.owner_phone,
+      `📅 New ${appointmentType.name.toLowerCase()} booked: ${appointment.customer_name || 'Customer'} ${appointment.customer_phone || ''} - ${label}`
+    );
+  }
+
+  return {
+    status: 200,
+    payload: { success: true, appointment },
+    spoken: `The appointment is booked for ${label}.`
+  };
+}
+
+/**
+ * Which appointment cancel / reschedule act on. On a call only the caller's
+ * own appointments qualify - matched on caller ID, never on a phone number
+ * the AI was told; an appointment_id must belong to the caller too.
+ */
+function getAppointmentLookup(args, { call, fromVapi }) {
+  const lookup = {
+    appointmentId: args.appointment_id || args.appointmentId,
+    startTime: args.start_time || args.startTime
+  };
+
+  if (fromVapi) {
+    return { ...lookup, callerPhone: call?.customer?.number || null };
+  }
+  return { ...lookup, customerPhone: args.customer_phone || args.customerPhone };
+}
+
+async function cancel(client, args, context) {
+  const { appointment, label } = await cancelAppointment(client, getAppointmentLookup(args, context), args.reason || null);
+
+  console.log(`📅 Appointment canceled for ${client.business_name}: ${label}`);
+
+  return {
+    status: 200,
+    payload: { success: true, appointment },
+    spoken: `The appointment on ${label} has been canceled.`
+  };
+}
+
+async function reschedule(client, args, context) {
+  const { appointment, label } = await rescheduleAppointment(
+    client,
+    getAppointmentLookup(args, context),
+    args.new_start_time || args.newStartTime
+  );
+
+  console.log(`📅 Appointment rescheduled for ${client.business_name}: ${label}`);
+
+  return {
+    status: 200,
+    payload: { success: true, appointment },
+    spoken: `The appointment has been moved to ${label}.`
+  };
+}
+
+// Keyed by the function names in buildCalendarTools (lib/vapi.js)
+const CALENDAR_TOOL_HANDLERS = {
+  check_availability: checkAvailability,
+  book_appointment: book,
+  cancel_appointment: cancel,
+  reschedule_appointment: reschedule
+};
+
+/**
+ * Run a calendar tool for a client. Never throws - failures come back as
+ * { status, payload, spoken } so both HTTP and VAPI callers can answer.
+ * @param {string} name - tool function name
+ * @param {object} client - client row (with agencies)
+ * @param {object} args - tool arguments
+ * @param {object} context - { call, fromVapi }
+ */
+async function runCalendarTool(name, client, args, context = {}) {
+  const handler = CALENDAR_TOOL_HANDLERS[name];
+
+  if (!handler) {
+    return {
+      status: 400,
+      payload: { success: false, error: `Unknown calendar tool: ${name}` },
+      spoken: "I can't do that right now."
+    };
+  }
+
+  try {
+    return await handler(client, args || {}, context);
+  } catch (error) {
+    const isBookingError = error instanceof BookingError;
+    const message = isBookingError ? error.message : 'Something went wrong with the calendar';
+
+    if (!isBookingError) {
+      console.error(`❌ Calendar tool ${name} failed:`, error);
+    }
+
+    return {
+      status: isBookingError ? error.status : 500,
+      payload: { success: false, error: message },
+      spoken: `${message}.`
+    };
+  }
+}
+
+module.exports = {
+  CALENDAR_TOOL_HANDLERS,
+  runCalendarTool
+};
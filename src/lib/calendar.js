@@ -0,0 +1,735 @@
+// ============================================================================
+// CALENDAR - Appointment scheduling engine (Multi-tenant)
+// Availability is computed from the client's business_hours in the client's
+// timezone, minus existing bookings (including their buffers).
+// ============================================================================
+const { supabase } = require('./supabase');
+const { formatPhoneE164 } = require('./notifications');
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+// Used when a client hasn't configured any appointment types yet
+const DEFAULT_APPOINTMENT_TYPE = {
+  id: null,
+  name: 'Appointment',
+  duration_minutes: 30,
+  buffer_before_minutes: 0,
+  buffer_after_minutes: 0,
+  slot_interval_minutes: null,
+  min_notice_minutes: 60,
+  max_days_ahead: 30
+};
+
+// Mon-Fri 9am-5pm when business hours are missing or unparseable
+const DEFAULT_BUSINESS_HOURS = {
+  0: [],
+  1: [{ start: 540, end: 1020 }],
+  2: [{ start: 540, end: 1020 }],
+  3: [{ start: 540, end: 1020 }],
+  4: [{ start: 540, end: 1020 }],
+  5: [{ start: 540, end: 1020 }],
+  6: []
+};
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Postgres exclusion_violation - raised by the no-overlap constraint on appointments
+const BOOKING_CONFLICT_CODE = '23P01';
+
+// ============================================================================
+// TIMEZONE HELPERS
+// ============================================================================
+
+function resolveClientTimezone(client) {
+  const candidates = [client?.timezone, client?.agencies?.timezone, client?.agency?.timezone];
+
+  for (const tz of candidates) {
+    if (tz && isValidTimezone(tz)) return tz;
+  }
+  return DEFAULT_TIMEZONE;
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const map = {};
+  parts.forEach(p => { map[p.type] = p.value; });
+
+  return {
+    year: parseInt(map.year),
+    month: parseInt(map.month),
+    day: parseInt(map.day),
+    hour: parseInt(map.hour),
+    minute: parseInt(map.minute),
+    second: parseInt(map.second)
+  };
+}
+
+function getTimezoneOffsetMinutes(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+/**
+ * Convert a local date ("YYYY-MM-DD") + minutes since midnight in a timezone to a UTC Date.
+ * Two passes so DST transitions resolve to the correct offset.
+ */
+function zonedTimeToUtc(dateStr, minutes, timeZone) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  const firstOffset = getTimezoneOffsetMinutes(new Date(guess), timeZone);
+  let result = guess - firstOffset * 60000;
+
+  const secondOffset = getTimezoneOffsetMinutes(new Date(result), timeZone);
+  if (secondOffset !== firstOffset) {
+    result = guess - secondOffset * 60000;
+  }
+
+  return new Date(result);
+}
+
+function getLocalDateString(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function addDaysToDateString(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return d.toISOString().substring(0, 10);
+}
+
+function getDayOfWeek(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Parse a date/time coming from the dashboard or the AI.
+ * Values with an explicit offset ("Z", "+05:00") are absolute; anything else
+ * ("2025-03-04 09:00", "2025-03-04T9:00am") is read as client-local time.
+ */
+function parseClientDateTime(value, timeZone) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  const str = String(value).trim();
+
+  if (/([zZ]|[+-]\d{2}:?\d{2})$/.test(str)) {
+    const d = new Date(str);
+    return isNaN(d) ? null : d;
+  }
+
+  const match = str.match(/^(\d{4}-\d{2}-\d{2})(?:[T\s]+(.+))?$/);
+  if (!match) return null;
+
+  const minutes = match[2] ? parseTimeOfDay(match[2]) : 0;
+  if (minutes === null) return null;
+
+  return zonedTimeToUtc(match[1], minutes, timeZone);
+}
+
+function formatSlotLabel(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(date);
+}
+
+// ============================================================================
+// BUSINESS HOURS PARSING
+// Accepts the structured object the dashboard saves ({ monday: { open, close } })
+// or free text like "Mon-Fri 8am-5pm, Sat 9am-1pm".
+// Returns { 0..6: [{ start, end }] } in minutes since local midnight.
+// ============================================================================
+
+/**
+ * "9", "9am", "9:30 PM", "17:00" -> minutes since midnight (null if invalid)
+ */
+function parseTimeOfDay(value, fallbackMeridiem = null) {
+  if (value === null || value === undefined) return null;
+
+  const match = String(value).trim().toLowerCase()
+    .match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*(a\.?m\.?|p\.?m\.?)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  const meridiem = match[3] ? match[3][0] : fallbackMeridiem;
+
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+
+  if (hours > 24 || minutes > 59) return null;
+  return Math.min(hours * 60 + minutes, 1440);
+}
+
+function getMeridiem(value) {
+  const match = String(value).toLowerCase().match(/(a|p)\.?m\.?\s*$/);
+  return match ? match[1] : null;
+}
+
+function parseTimeRange(text) {
+  const match = String(text).trim().toLowerCase()
+    .match(/(\d{1,2}(?::\d{2})?\s*(?:a\.?m\.?|p\.?m\.?)?)\s*(?:-|–|—|to|until)\s*(\d{1,2}(?::\d{2})?\s*(?:a\.?m\.?|p\.?m\.?)?)/);
+  if (!match) return null;
+
+  const endMeridiem = getMeridiem(match[2]);
+  const end = parseTimeOfDay(match[2]);
+  let start = parseTimeOfDay(match[1]);
+
+  // "8-5pm": the start inherits the end's meridiem only if that keeps it before the end
+  if (!getMeridiem(match[1]) && endMeridiem) {
+    const inherited = parseTimeOfDay(match[1], endMeridiem);
+    start = inherited !== null && inherited < end ? inherited : start;
+  }
+
+  if (start === null || end === null) return null;
+
+  // "9-5" without meridiems means 9am-5pm
+  let adjustedEnd = end;
+  if (adjustedEnd <= start && adjustedEnd < 720) adjustedEnd += 720;
+  if (adjustedEnd <= start) return null;
+
+  return { start, end: adjustedEnd };
+}
+
+function parseDayName(text) {
+  const key = String(text).trim().toLowerCase().substring(0, 3);
+  const index = DAY_NAMES.findIndex(d => d.startsWith(key));
+  return index === -1 ? null : index;
+}
+
+function expandDayExpression(text) {
+  const expr = String(text).trim().toLowerCase();
+
+  if (/^(daily|every ?day|7 days)/.test(expr)) return [0, 1, 2, 3, 4, 5, 6];
+  if (/^weekdays?/.test(expr)) return [1, 2, 3, 4, 5];
+  if (/^weekends?/.test(expr)) return [0, 6];
+
+  const days = [];
+  for (const part of expr.split(/[,&/]|\band\b/)) {
+    const range = part.split(/\s*(?:-|–|—|to|through|thru)\s*/).filter(Boolean);
+    if (range.length === 2) {
+      const from = parseDayName(range[0]);
+      const to = parseDayName(range[1]);
+      if (from === null || to === null) continue;
+      for (let i = from; ; i = (i + 1) % 7) {
+        days.push(i);
+        if (i === to) break;
+      }
+    } else if (range.length === 1) {
+      const day = parseDayName(range[0]);
+      if (day !== null) days.push(day);
+    }
+  }
+  return days;
+}
+
+function parseBusinessHoursText(text) {
+  const hours = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+  let matchedAny = false;
+
+  // Split "Mon-Fri 8am-5pm, Sat 9am-1pm" into one segment per day group
+  const segments = String(text).split(/[;\n]|,(?=\s*[a-z]{3})/i);
+
+  for (const segment of segments) {
+    const dayMatch = segment.match(/^\s*([a-z ,&/\-–—]+?)\s*:?\s*(?=\d|closed)/i);
+    if (!dayMatch) continue;
+
+    const days = expandDayExpression(dayMatch[1]);
+    if (days.length === 0) continue;
+
+    const rest = segment.substring(dayMatch[0].length);
+    if (/^closed/i.test(rest.trim())) {
+      days.forEach(d => { hours[d] = []; });
+      matchedAny = true;
+      continue;
+    }
+
+    const range = parseTimeRange(rest);
+    if (!range) continue;
+
+    days.forEach(d => { hours[d] = [range]; });
+    matchedAny = true;
+  }
+
+  return matchedAny ? hours : null;
+}
+
+function parseDayValue(value) {
+  if (value === null || value === undefined || value === false) return [];
+
+  if (typeof value === 'string') {
+    if (/closed/i.test(value)) return [];
+    const range = parseTimeRange(value);
+    return range ? [range] : [];
+  }
+
+  if (Array.isArray(value)) {
+    return value.flatMap(parseDayValue);
+  }
+
+  if (typeof value === 'object') {
+    if (value.closed || value.isClosed || value.enabled === false || value.isOpen === false || value.open === false) {
+      return [];
+    }
+    const start = parseTimeOfDay(value.open ?? value.start ?? value.openTime ?? value.from);
+    const end = parseTimeOfDay(value.close ?? value.end ?? value.closeTime ?? value.to);
+    if (start === null || end === null || end <= start) return [];
+    return [{ start, end }];
+  }
+
+  return [];
+}
+
+function parseBusinessHours(raw) {
+  if (!raw) return DEFAULT_BUSINESS_HOURS;
+
+  let value = raw;
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      // Fall through to free-text parsing
+    }
+  }
+
+  if (typeof value === 'string') {
+    return parseBusinessHoursText(value) || DEFAULT_BUSINESS_HOURS;
+  }
+
+  if (typeof value === 'object') {
+    const hours = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+    let matchedAny = false;
+
+    for (const [key, dayValue] of Object.entries(value)) {
+      const day = /^\d$/.test(key) ? parseInt(key) : parseDayName(key);
+      if (day === null || day > 6) continue;
+      hours[day] = parseDayValue(dayValue);
+      matchedAny = true;
+    }
+
+    return matchedAny ? hours : DEFAULT_BUSINESS_HOURS;
+  }
+
+  return DEFAULT_BUSINESS_HOURS;
+}
+
+// ============================================================================
+// APPOINTMENT TYPES
+// ============================================================================
+
+async function getAppointmentType(clientId, { appointmentTypeId, name } = {}) {
+  let query = supabase
+    .from('appointment_types')
+    .select('*')
+    .eq('client_id', clientId)
+    .eq('is_active', true);
+
+  if (appointmentTypeId) {
+    query = query.eq('id', appointmentTypeId);
+  } else if (name) {
+    query = query.ilike('name', name);
+  } else {
+    query = query.order('is_default', { ascending: false }).order('created_at', { ascending: true });
+  }
+
+  const { data, error } = await query.limit(1);
+
+  if (error) {
+    console.error('Error fetching appointment type:', error);
+  }
+
+  if (data && data.length > 0) return data[0];
+
+  // An explicit id that doesn't exist is an error
+  if (appointmentTypeId) return null;
+
+  // The AI may paraphrase a type name - fall back to the client's default type
+  if (name) return getAppointmentType(clientId);
+
+  return DEFAULT_APPOINTMENT_TYPE;
+}
+
+// ============================================================================
+// AVAILABILITY
+// ============================================================================
+
+async function getBookedRanges(clientId, from, to, excludeAppointmentId = null) {
+  let query = supabase
+    .from('appointments')
+    .select('id, blocked_starts_at, blocked_ends_at')
+    .eq('client_id', clientId)
+    .eq('status', 'booked')
+    .lt('blocked_starts_at', to.toISOString())
+    .gt('blocked_ends_at', from.toISOString());
+
+  if (excludeAppointmentId) {
+    query = query.neq('id', excludeAppointmentId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error fetching booked appointments:', error);
+    throw new Error('Failed to load existing appointments');
+  }
+
+  return (data || []).map(a => ({
+    start: new Date(a.blocked_starts_at).getTime(),
+    end: new Date(a.blocked_ends_at).getTime()
+  }));
+}
+
+function getBlockedWindow(start, appointmentType) {
+  const end = new Date(start.getTime() + appointmentType.duration_minutes * 60000);
+  return {
+    start,
+    end,
+    blockedStart: new Date(start.getTime() - (appointmentType.buffer_before_minutes || 0) * 60000),
+    blockedEnd: new Date(end.getTime() + (appointmentType.buffer_after_minutes || 0) * 60000)
+  };
+}
+
+function overlaps(range, booked) {
+  return booked.some(b => range.start < b.end && range.end > b.start);
+}
+
+/**
+ * Compute open slots for a client.
+ * @param {object} options
+ * @param {object} options.client - client row (with agencies for timezone fallback)
+ * @param {object} options.appointmentType - appointment type row or DEFAULT_APPOINTMENT_TYPE
+ * @param {string} [options.date] - local "YYYY-MM-DD" to search (defaults to today)
+ * @param {number} [options.days] - number of days to search from date
+ * @param {number} [options.maxSlots] - stop after this many slots
+ * @param {string} [options.excludeAppointmentId] - ignore this booking (for reschedules)
+ */
+async function getAvailableSlots({ client, appointmentType, date, days = 1, maxSlots = 50, excludeAppointmentId = null }) {
+  const timeZone = resolveClientTimezone(client);
+  const businessHours = parseBusinessHours(client.business_hours);
+  const now = new Date();
+
+  const earliest = new Date(now.getTime() + (appointmentType.min_notice_minutes || 0) * 60000);
+  const latest = new Date(now.getTime() + (appointmentType.max_days_ahead || 30) * 24 * 60 * 60000);
+  const interval = appointmentType.slot_interval_minutes || appointmentType.duration_minutes;
+
+  const startDate = date || getLocalDateString(now, timeZone);
+  const searchDays = Math.max(1, Math.min(parseInt(days) || 1, 60));
+
+  const rangeStart = zonedTimeToUtc(startDate, 0, timeZone);
+  const rangeEnd = zonedTimeToUtc(addDaysToDateString(startDate, searchDays), 0, timeZone);
+
+  // Pad the query window so buffers that cross midnight are still considered
+  const padMs = 24 * 60 * 60000;
+  const booked = await getBookedRanges(
+    client.id,
+    new Date(rangeStart.getTime() - padMs),
+    new Date(rangeEnd.getTime() + padMs),
+    excludeAppointmentId
+  );
+
+  const slots = [];
+
+  for (let i = 0; i < searchDays && slots.length < maxSlots; i++) {
+    const day = addDaysToDateString(startDate, i);
+    const windows = businessHours[getDayOfWeek(day)] || [];
+
+    for (const window of windows) {
+      for (let minute = window.start; minute + appointmentType.duration_minutes <= window.end; minute += interval) {
+        const slot = getBlockedWindow(zonedTimeToUtc(day, minute, timeZone), appointmentType);
+
+        if (slot.start < earliest || slot.start > latest) continue;
+        if (overlaps({ start: slot.blockedStart.getTime(), end: slot.blockedEnd.getTime() }, booked)) continue;
+
+        slots.push({
+          start: slot.start.toISOString(),
+          end: slot.end.toISOString(),
+          date: day,
+          label: formatSlotLabel(slot.start, timeZone)
+        });
+
+        if (slots.length >= maxSlots) break;
+      }
+      if (slots.length >= maxSlots) break;
+    }
+  }
+
+  return { timeZone, slots };
+}
+
+/**
+ * Check that a specific start time is bookable (inside business hours, respects notice,
+ * and doesn't collide with another booking). Returns null when valid, or a reason.
+ */
+async function validateSlot(client, appointmentType, start, excludeAppointmentId = null) {
+  const timeZone = resolveClientTimezone(client);
+  const localDate = getLocalDateString(start, timeZone);
+
+  const { slots } = await getAvailableSlots({
+    client,
+    appointmentType,
+    date: localDate,
+    days: 1,
+    maxSlots: 500,
+    excludeAppointmentId
+  });
+
+  if (slots.some(s => new Date(s.start).getTime() === start.getTime())) {
+    return null;
+  }
+
+  const businessHours = parseBusinessHours(client.business_hours);
+  if ((businessHours[getDayOfWeek(localDate)] || []).length === 0) {
+    return 'The business is closed on that day';
+  }
+
+  return 'That time is not available';
+}
+
+// ============================================================================
+// BOOKING
+// ============================================================================
+
+class BookingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function bookAppointment(client, appointmentType, details) {
+  const timeZone = resolveClientTimezone(client);
+  const start = parseClientDateTime(details.startTime, timeZone);
+
+  if (!start) {
+    throw new BookingError('A valid start time is required');
+  }
+
+  const invalidReason = await validateSlot(client, appointmentType, start);
+  if (invalidReason) {
+    throw new BookingError(invalidReason, 409);
+  }
+
+  const window = getBlockedWindow(start, appointmentType);
+
+  const { data: appointment, error } = await supabase
+    .from('appointments')
+    .insert({
+      client_id: client.id,
+      appointment_type_id: appointmentType.id,
+      customer_name: details.customerName || null,
+      customer_phone: details.customerPhone || null,
+      customer_email: details.customerEmail || null,
+      notes: details.notes || null,
+      starts_at: window.start.toISOString(),
+      ends_at: window.end.toISOString(),
+      blocked_starts_at: window.blockedStart.toISOString(),
+      blocked_ends_at: window.blockedEnd.toISOString(),
+      timezone: timeZone,
+      status: 'booked',
+      source: details.source || 'dashboard',
+      vapi_call_id: details.vapiCallId || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Another booking grabbed the slot between our check and the insert
+    if (error.code === BOOKING_CONFLICT_CODE) {
+      throw new BookingError('That time was just booked by someone else', 409);
+    }
+    console.error('Error booking appointment:', error);
+    throw new BookingError('Failed to book appointment', 500);
+  }
+
+  return { appointment, label: formatSlotLabel(window.start, timeZone) };
+}
+
+/**
+ * Find a booked appointment by id, or by phone (+ optional start time)
+ * callerPhone (VAPI calls) restricts the match to appointments booked under
+ * exactly that number - an appointmentId for anyone else's is not found.
+ */
+async function findAppointment(clientId, { appointmentId, customerPhone, callerPhone, startTime }, timeZone) {
+  const callerE164 = callerPhone !== undefined ? formatPhoneE164(callerPhone) : null;
+  if (callerPhone !== undefined && !callerE164) return null;
+
+  const phone = callerE164 || customerPhone;
+
+  let query = supabase
+    .from('appointments')
+    .select('*')
+    .eq('client_id', clientId)
+    .eq('status', 'booked');
+
+  if (appointmentId) {
+    query = query.eq('id', appointmentId);
+  } else if (phone) {
+    const digits = String(phone).replace(/\D/g, '').slice(-10);
+    query = query
+      .ilike('customer_phone', `%${digits.slice(-4)}%`)
+      .gte('starts_at', new Date().toISOString())
+      .order('starts_at', { ascending: true });
+
+    const start = parseClientDateTime(startTime, timeZone);
+    if (start) {
+      query = query.eq('starts_at', start.toISOString());
+    }
+  } else {
+    return null;
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error finding appointment:', error);
+    return null;
+  }
+
+  // Phone lookups use a loose LIKE, so confirm the full number here
+  const matches = (data || []).filter(a => {
+    if (callerE164) return formatPhoneE164(a.customer_phone || '') === callerE164;
+    if (appointmentId || !customerPhone) return true;
+    const digits = String(customerPhone).replace(/\D/g, '').slice(-10);
+    return String(a.customer_phone || '').replace(/\D/g, '').slice(-10) === digits;
+  });
+
+  return matches[0] || null;
+}
+
+async function cancelAppointment(client, lookup, reason = null) {
+  const timeZone = resolveClientTimezone(client);
+  const appointment = await findAppointment(client.id, lookup, timeZone);
+
+  if (!appointment) {
+    throw new BookingError('Appointment not found', 404);
+  }
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .update({
+      status: 'canceled',
+      canceled_at: new Date().toISOString(),
+      cancel_reason: reason
+    })
+    .eq('id', appointment.id)
+    .eq('status', 'booked')
+    .select()
+    .single();
+
+  if (error || !data) {
+    console.error('Error canceling appointment:', error);
+    throw new BookingError('Failed to cancel appointment', 500);
+  }
+
+  return { appointment: data, label: formatSlotLabel(new Date(data.starts_at), timeZone) };
+}
+
+async function rescheduleAppointment(client, lookup, newStartTime) {
+  const timeZone = resolveClientTimezone(client);
+  const appointment = await findAppointment(client.id, lookup, timeZone);
+
+  if (!appointment) {
+    throw new BookingError('Appointment not found', 404);
+  }
+
+  const start = parseClientDateTime(newStartTime, timeZone);
+  if (!start) {
+    throw new BookingError('A valid new start time is required');
+  }
+
+  const appointmentType = appointment.appointment_type_id
+    ? await getAppointmentType(client.id, { appointmentTypeId: appointment.appointment_type_id })
+    : null;
+
+  // Keep the original length if the type was deleted since booking
+  const effectiveType = appointmentType || {
+    ...DEFAULT_APPOINTMENT_TYPE,
+    duration_minutes: Math.round((new Date(appointment.ends_at) - new Date(appointment.starts_at)) / 60000)
+  };
+
+  const invalidReason = await validateSlot(client, effectiveType, start, appointment.id);
+  if (invalidReason) {
+    throw new BookingError(invalidReason, 409);
+  }
+
+  const window = getBlockedWindow(start, effectiveType);
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .update({
+      starts_at: window.start.toISOString(),
+      ends_at: window.end.toISOString(),
+      blocked_starts_at: window.blockedStart.toISOString(),
+      blocked_ends_at: window.blockedEnd.toISOString(),
+      rescheduled_from: appointment.starts_at,
+      rescheduled_at: new Date().toISOString()
+    })
+    .eq('id', appointment.id)
+    .eq('status', 'booked')
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === BOOKING_CONFLICT_CODE) {
+      throw new BookingError('That time was just booked by someone else', 409);
+    }
+    console.error('Error rescheduling appointment:', error);
+    throw new BookingError('Failed to reschedule appointment', 500);
+  }
+
+  return { appointment: data, label: formatSlotLabel(window.start, timeZone) };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+module.exports = {
+  DEFAULT_APPOINTMENT_TYPE,
+  DEFAULT_BUSINESS_HOURS,
+  BookingError,
+  resolveClientTimezone,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  getLocalDateString,
+  addDaysToDateString,
+  parseClientDateTime,
+  formatSlotLabel,
+  parseTimeOfDay,
+  parseBusinessHours,
+  getAppointmentType,
+  getAvailableSlots,
+  bookAppointment,
+  cancelAppointment,
+  rescheduleAppointment
+};
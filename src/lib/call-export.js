@@ -0,0 +1,176 @@
+// ============================================================================
+// CALL EXPORT - Stream a call log to CSV or JSON
+// Calls are read in keyset pages (lib/call-history.js) and written as they
+// arrive, waiting for the socket to drain, so a client with tens of thousands
+// of calls never sits in memory at once. recording_url is a signed link to
+// our copy of the recording, valid for a week.
+// ============================================================================
+const { listCalls, decodeCursor } = require('./call-history');
+const { RECORDING_COLUMNS, EXPORT_RECORDING_URL_TTL_SECONDS, withRecordingUrls } = require('./recordings');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_BATCH_SIZE = 500;
+
+// Columns a caller may pick - never anything internal to VAPI or Stripe
+const EXPORT_COLUMNS = [
+  'id', 'created_at', 'started_at', 'ended_at',
+  'customer_name', 'customer_phone', 'customer_email',
+  'urgency_level', 'call_status', 'ended_reason',
+  'duration_seconds', 'ai_summary', 'transcript', 'recording_url',
+  'follow_up_status', 'assigned_to', 'tags'
+];
+
+// Agency exports only - the client each call belongs to
+const AGENCY_EXPORT_COLUMNS = ['client_id', 'business_name'];
+
+const DEFAULT_COLUMNS = [
+  'created_at', 'customer_name', 'customer_phone', 'urgency_level',
+  'duration_seconds', 'ai_summary', 'recording_url'
+];
+
+/**
+ * @param {string} [columns] - comma-separated, in the order wanted
+ * @param {boolean} [agencyWide] - allows client_id / business_name
+ * @returns {{ columns?: string[], error?: string }}
+ */
+function parseExportColumns(columns, agencyWide = false) {
+  const allowed = agencyWide ? [...AGENCY_EXPORT_COLUMNS, ...EXPORT_COLUMNS] : EXPORT_COLUMNS;
+
+  if (!columns) {
+    return { columns: agencyWide ? ['business_name', ...DEFAULT_COLUMNS] : [...DEFAULT_COLUMNS] };
+  }
+
+  const picked = [...new Set(String(columns).split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = picked.filter(column => !allowed.includes(column));
+  if (unknown.length || !picked.length) {
+    return { error: `columns must be one or more of: ${allowed.join(', ')}` };
+  }
+
+  return { columns: picked };
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+// Cells starting like a formula run as one in Excel / Sheets - numbers
+// (including +1 phone numbers) are safe
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = Array.isArray(value)
+    ? value.join('; ')
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d[\d\s().-]*$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toExportRow(call, columns) {
+  const row = {};
+  for (const column of columns) {
+    if (column === 'business_name') row.business_name = call.client?.business_name ?? null;
+    else row[column] = call[column] ?? null;
+  }
+  return row;
+}
+
+// res.write, waiting for 'drain' when the socket buffer is full
+function write(res, chunk) {
+  return new Promise((resolve, reject) => {
+    if (res.write(chunk)) return resolve();
+
+    const cleanup = () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+    };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('Client disconnected')); };
+
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+// ============================================================================
+// STREAMING
+// ============================================================================
+
+/**
+ * Write every call matching the filters to res
+ * Errors before the first page become a 500; after that the response is
+ * cut off (the status has already been sent)
+ * @param {object} scope - { clientId } or { agencyId, clientId? }
+ * @param {object} filters - from parseCallFilters (limit and cursor ignored)
+ * @param {object} options
+ * @param {string} options.format - 'csv' | 'json'
+ * @param {string[]} options.columns - from parseExportColumns
+ * @param {string} options.filename - without extension
+ * @returns {Promise<number>} calls written
+ */
+async function streamCallExport(res, scope, filters, { format, columns, filename }) {
+  const signRecordings = columns.includes('recording_url');
+
+  // Only the columns asked for, plus what the cursor and recording links need
+  const selectColumns = [...new Set(['id', 'created_at', ...columns, ...(signRecordings ? RECORDING_COLUMNS : [])])]
+    .filter(column => !AGENCY_EXPORT_COLUMNS.includes(column))
+    .concat(scope.agencyId ? ['client_id'] : [])
+    .join(', ');
+
+  const pageFilters = { ...filters, limit: EXPORT_BATCH_SIZE, cursor: null };
+  let page = await listCalls(scope, pageFilters, selectColumns);
+
+  res.status(200);
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  let written = 0;
+  try {
+    // BOM so Excel reads the file as UTF-8
+    await write(res, format === 'csv' ? `\ufeff${columns.join(',')}\r\n` : '[');
+
+    while (true) {
+      const calls = signRecordings
+        ? await withRecordingUrls(page.calls, { expiresIn: EXPORT_RECORDING_URL_TTL_SECONDS })
+        : page.calls;
+
+      let chunk = '';
+      for (const call of calls) {
+        const row = toExportRow(call, columns);
+        if (format === 'csv') {
+          chunk += columns.map(column => escapeCsvCell(row[column])).join(',') + '\r\n';
+        } else {
+          chunk += (written > 0 ? ',' : '') + JSON.stringify(row);
+        }
+        written++;
+      }
+      if (chunk) await write(res, chunk);
+
+      if (!page.nextCursor || res.destroyed) break;
+      page = await listCalls(scope, { ...pageFilters, cursor: decodeCursor(page.nextCursor) }, selectColumns);
+    }
+
+    if (format === 'json') await write(res, ']');
+    res.end();
+  } catch (error) {
+    console.error(`❌ Call export failed after ${written} calls:`, error.message || error);
+    res.destroy();
+  }
+
+  return written;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  AGENCY_EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseExportColumns,
+  escapeCsvCell,
+  streamCallExport
+};
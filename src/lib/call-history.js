@@ -0,0 +1,319 @@
+// ============================================================================
+// CALL HISTORY - Filtered, cursor-paginated call log for a client
+// Pages are keyset-ordered on (created_at, id) newest first, so they stay fast
+// and stable while new calls arrive. Stats for the same filters come from
+// get_client_call_stats() in the database rather than from loaded rows.
+// ============================================================================
+const { supabase } = require('./supabase');
+const { URGENCY_LEVELS } = require('./notification-rules');
+const { FOLLOW_UP_STATUSES, normalizeTag } = require('./call-workflow');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// calls.call_status - live calls and calls the gate turned away sit alongside
+// finished ones, so the log shows finished calls unless asked otherwise
+const CALL_STATUSES = ['ringing', 'in-progress', 'forwarded', 'ended', 'completed', 'blocked'];
+const DEFAULT_CALL_STATUSES = ['completed'];
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============================================================================
+// CURSORS - opaque to the dashboard: base64url of the last row's position
+// ============================================================================
+function encodeCursor(call) {
+  return Buffer.from(JSON.stringify({ t: call.created_at, id: call.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!t || isNaN(new Date(t).getTime()) || !UUID_REGEX.test(id)) return null;
+    return { createdAt: t, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+// Characters that would break out of a PostgREST or() filter
+function cleanSearch(search) {
+  return String(search || '').replace(/[%,()*\\"]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function parseBoolean(value) {
+  if (value === undefined || value === '') return undefined;
+  if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+  return null;
+}
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseSeconds(value) {
+  if (value === undefined || value === '') return undefined;
+  const seconds = Number(value);
+  return Number.isInteger(seconds) && seconds >= 0 ? seconds : null;
+}
+
+/**
+ * Validate call log query parameters
+ * Query: from, to (ISO), urgency (comma-separated), search (caller name or
+ * phone), has_recording, min_duration, max_duration (seconds), status
+ * (follow-up, comma-separated), assigned_to (user id, 'me' or 'none'), tag
+ * (comma-separated - calls with all of them), call_status (comma-separated,
+ * default completed; 'all' for every call), limit, cursor
+ * @param {object} [user] - req.user, for assigned_to=me
+ * @returns {{ filters?: object, error?: string }}
+ */
+function parseCallFilters(query = {}, user = null) {
+  const filters = {
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+    callStatus: DEFAULT_CALL_STATUSES
+  };
+
+  if (query.call_status === 'all') {
+    filters.callStatus = null;
+  } else if (query.call_status) {
+    const statuses = parseList(query.call_status);
+    if (statuses.some(status => !CALL_STATUSES.includes(status))) {
+      return { error: `call_status must be 'all' or one or more of: ${CALL_STATUSES.join(', ')}` };
+    }
+    filters.callStatus = statuses;
+  }
+
+  for (const bound of ['from', 'to']) {
+    if (!query[bound]) continue;
+    const date = new Date(query[bound]);
+    if (isNaN(date.getTime())) {
+      return { error: `${bound} must be an ISO date` };
+    }
+    filters[bound] = date.toISOString();
+  }
+
+  if (query.urgency) {
+    const levels = parseList(query.urgency);
+    const unknown = levels.filter(level => !URGENCY_LEVELS.includes(level));
+    if (unknown.length) {
+      return { error: `urgency must be one or more of: ${URGENCY_LEVELS.join(', ')}` };
+    }
+    filters.urgency = levels;
+  }
+
+  const search = cleanSearch(query.search);
+  if (search) {
+    filters.search = search;
+    // Phones are stored as +15551234567 - match on the digits typed
+    const digits = search.replace(/\D/g, '');
+    if (digits.length >= 3) filters.phoneSearch = digits;
+  }
+
+  const hasRecording = parseBoolean(query.has_recording);
+  if (hasRecording === null) {
+    return { error: 'has_recording must be true or false' };
+  }
+  if (hasRecording !== undefined) filters.hasRecording = hasRecording;
+
+  for (const [param, key] of [['min_duration', 'minDuration'], ['max_duration', 'maxDuration']]) {
+    const seconds = parseSeconds(query[param]);
+    if (seconds === null) {
+      return { error: `${param} must be a whole number of seconds` };
+    }
+    if (seconds !== undefined) filters[key] = seconds;
+  }
+
+  if (query.status) {
+    const statuses = parseList(query.status);
+    if (statuses.some(status => !FOLLOW_UP_STATUSES.includes(status))) {
+      return { error: `status must be one or more of: ${FOLLOW_UP_STATUSES.join(', ')}` };
+    }
+    filters.followUpStatus = statuses;
+  }
+
+  if (query.assigned_to === 'none') {
+    filters.unassigned = true;
+  } else if (query.assigned_to === 'me') {
+    if (!user?.userId) return { error: 'assigned_to=me needs a signed-in user' };
+    filters.assignedTo = user.userId;
+  } else if (query.assigned_to) {
+    if (!UUID_REGEX.test(query.assigned_to)) {
+      return { error: "assigned_to must be a user ID, 'me' or 'none'" };
+    }
+    filters.assignedTo = query.assigned_to;
+  }
+
+  if (query.tag) {
+    const tags = parseList(query.tag).map(normalizeTag);
+    if (tags.some(tag => !tag)) {
+      return { error: 'tag must be letters, numbers, spaces, - or _' };
+    }
+    filters.tags = tags;
+  }
+
+  if (query.cursor) {
+    filters.cursor = decodeCursor(query.cursor);
+    if (!filters.cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { filters };
+}
+
+/**
+ * Add the filters to a calls query
+ * Same conditions as get_client_call_stats() - keep the two in step
+ * @param {string[]} [orGroups] - extra or() conditions, ANDed with the rest
+ */
+function applyCallFilters(query, filters, orGroups = []) {
+  const groups = [...orGroups];
+
+  if (filters.from) query = query.gte('created_at', filters.from);
+  if (filters.to) query = query.lte('created_at', filters.to);
+  if (filters.urgency) query = query.in('urgency_level', filters.urgency);
+
+  // Calls from before lifecycle tracking have no status - they're finished
+  if (filters.callStatus) {
+    const conditions = [`call_status.in.(${filters.callStatus.join(',')})`];
+    if (filters.callStatus.includes('completed')) conditions.push('call_status.is.null');
+    groups.push(conditions.join(','));
+  }
+
+  if (filters.search) {
+    const conditions = [`customer_name.ilike.%${filters.search}%`];
+    if (filters.phoneSearch) conditions.push(`customer_phone.ilike.%${filters.phoneSearch}%`);
+    groups.push(conditions.join(','));
+  }
+
+  if (filters.hasRecording === true) {
+    query = query.not('recording_url', 'is', null).neq('recording_url', '');
+  } else if (filters.hasRecording === false) {
+    groups.push('recording_url.is.null,recording_url.eq.""');
+  }
+
+  if (filters.minDuration !== undefined) query = query.gte('duration_seconds', filters.minDuration);
+  if (filters.maxDuration !== undefined) query = query.lte('duration_seconds', filters.maxDuration);
+
+  if (filters.followUpStatus) query = query.in('follow_up_status', filters.followUpStatus);
+  if (filters.assignedTo) query = query.eq('assigned_to', filters.assignedTo);
+  if (filters.unassigned) query = query.is('assigned_to', null);
+  if (filters.tags) query = query.contains('tags', filters.tags);
+
+  // PostgREST takes a single or= - nest several groups inside one and()
+  if (groups.length === 1) {
+    query = query.or(groups[0]);
+  } else if (groups.length > 1) {
+    query = query.or(`and(${groups.map(group => `or(${group})`).join(',')})`);
+  }
+
+  return query;
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * One page of calls, newest first
+ * @param {object} scope - { clientId } or { agencyId } (every client of the
+ *   agency; rows then carry client: { id, business_name })
+ * @param {string} [columns] - select list (must include id and created_at)
+ * @returns {Promise<{ calls: object[], nextCursor: string|null }>}
+ */
+async function listCalls(scope, filters, columns = '*') {
+  const orGroups = [];
+  if (filters.cursor) {
+    const { createdAt, id } = filters.cursor;
+    orGroups.push(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt.${id})`);
+  }
+
+  let query;
+  if (scope.agencyId) {
+    query = supabase
+      .from('calls')
+      .select(`${columns}, client:clients!inner(id, business_name)`)
+      .eq('client.agency_id', scope.agencyId);
+    if (scope.clientId) query = query.eq('client_id', scope.clientId);
+  } else {
+    query = supabase
+      .from('calls')
+      .select(columns)
+      .eq('client_id', scope.clientId);
+  }
+
+  query = applyCallFilters(query, filters, orGroups);
+
+  // One extra row tells us whether there's another page
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(filters.limit + 1);
+
+  if (error) throw error;
+
+  const calls = (data || []).slice(0, filters.limit);
+  const hasMore = (data || []).length > filters.limit;
+
+  return {
+    calls,
+    nextCursor: hasMore ? encodeCursor(calls[calls.length - 1]) : null
+  };
+}
+
+/**
+ * Totals across every call matching the filters (cursor and limit ignored)
+ * @returns {Promise<{ total, highUrgency, withRecording, totalDurationSeconds,
+ *   avgDurationSeconds, byUrgency, byFollowUpStatus }>}
+ */
+async function getCallStats(clientId, filters) {
+  const { data, error } = await supabase.rpc('get_client_call_stats', {
+    p_client_id: clientId,
+    p_from: filters.from || null,
+    p_to: filters.to || null,
+    p_urgency: filters.urgency || null,
+    p_search: filters.search || null,
+    p_phone_search: filters.phoneSearch || null,
+    p_has_recording: filters.hasRecording ?? null,
+    p_min_duration: filters.minDuration ?? null,
+    p_max_duration: filters.maxDuration ?? null,
+    p_follow_up_status: filters.followUpStatus || null,
+    p_assigned_to: filters.assignedTo || null,
+    p_unassigned: filters.unassigned || null,
+    p_tags: filters.tags || null,
+    p_call_status: filters.callStatus || null
+  });
+
+  if (error) throw error;
+
+  const row = (Array.isArray(data) ? data[0] : data) || {};
+  return {
+    total: Number(row.total) || 0,
+    highUrgency: Number(row.high_urgency) || 0,
+    withRecording: Number(row.with_recording) || 0,
+    totalDurationSeconds: Number(row.total_duration_seconds) || 0,
+    avgDurationSeconds: row.avg_duration_seconds === null || row.avg_duration_seconds === undefined
+      ? null
+      : Number(row.avg_duration_seconds),
+    byUrgency: row.by_urgency || {},
+    byFollowUpStatus: row.by_follow_up_status || {}
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  CALL_STATUSES,
+  cleanSearch,
+  parseCallFilters,
+  applyCallFilters,
+  listCalls,
+  getCallStats,
+  encodeCursor,
+  decodeCursor,
+  UUID_REGEX
+};
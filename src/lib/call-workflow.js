@@ -0,0 +1,138 @@
+// ============================================================================
+// CALL WORKFLOW - What the client did after a call
+// Each call has a follow-up status, an optional assignee from the client's
+// team, tags and notes. Every change is written to call_events so the call
+// shows who did what and when.
+// ============================================================================
+const { supabase } = require('./supabase');
+const { getActor } = require('./audit-log');
+
+const FOLLOW_UP_STATUSES = ['new', 'in_progress', 'resolved', 'spam'];
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+const MAX_NOTE_LENGTH = 5000;
+
+const CALL_EVENT_ACTIONS = {
+  STATUS_CHANGED: 'status_changed',
+  ASSIGNED: 'assigned',
+  TAGS_CHANGED: 'tags_changed',
+  NOTE_ADDED: 'note_added',
+  NOTE_UPDATED: 'note_updated',
+  NOTE_DELETED: 'note_deleted'
+};
+
+// "Called Back " -> "called back"; null when it isn't a usable tag
+function normalizeTag(tag) {
+  const normalized = String(tag || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!normalized || normalized.length > MAX_TAG_LENGTH) return null;
+  return /^[a-z0-9 _-]+$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * @returns {{ tags?: string[], error?: string }}
+ */
+function parseTags(tags) {
+  if (!Array.isArray(tags)) {
+    return { error: 'tags must be a list' };
+  }
+
+  const normalized = tags.map(normalizeTag);
+  if (normalized.some(tag => !tag)) {
+    return { error: `Tags are up to ${MAX_TAG_LENGTH} letters, numbers, spaces, - or _` };
+  }
+
+  const unique = [...new Set(normalized)];
+  if (unique.length > MAX_TAGS) {
+    return { error: `A call can have at most ${MAX_TAGS} tags` };
+  }
+
+  return { tags: unique };
+}
+
+/**
+ * Active login on the client's team - the only people a call can be assigned to
+ */
+async function getClientTeamMember(clientId, userId) {
+  const { data: member } = await supabase
+    .from('users')
+    .select('id, email, first_name, last_name, is_active')
+    .eq('id', userId)
+    .eq('client_id', clientId)
+    .eq('role', 'client')
+    .maybeSingle();
+
+  if (!member || member.is_active === false) return null;
+  return member;
+}
+
+/**
+ * Append history entries for a call
+ * @param {object[]} events - [{ action, before, after }]
+ */
+async function recordCallEvents(req, call, events) {
+  if (!events.length) return;
+
+  const { actor_id, actor_email } = getActor(req);
+
+  const { error } = await supabase.from('call_events').insert(events.map(event => ({
+    call_id: call.id,
+    client_id: call.client_id,
+    actor_id,
+    actor_email,
+    action: event.action,
+    before: event.before ?? null,
+    after: event.after ?? null
+  })));
+
+  if (error) {
+    console.error('⚠️ Call history write failed:', error.message);
+  }
+}
+
+/**
+ * Assignee, notes and history for the call detail view
+ */
+async function getCallWorkflow(call) {
+  const [assignee, { data: notes }, { data: history }] = await Promise.all([
+    call.assigned_to
+      ? supabase
+          .from('users')
+          .select('id, email, first_name, last_name')
+          .eq('id', call.assigned_to)
+          .maybeSingle()
+          .then(({ data }) => data)
+      : null,
+    supabase
+      .from('call_notes')
+      .select('*')
+      .eq('call_id', call.id)
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('call_events')
+      .select('*')
+      .eq('call_id', call.id)
+      .order('created_at', { ascending: true })
+  ]);
+
+  return {
+    follow_up_status: call.follow_up_status,
+    assigned_to: call.assigned_to || null,
+    assignee: assignee || null,
+    tags: call.tags || [],
+    notes: notes || [],
+    history: history || []
+  };
+}
+
+module.exports = {
+  FOLLOW_UP_STATUSES,
+  MAX_TAGS,
+  MAX_NOTE_LENGTH,
+  CALL_EVENT_ACTIONS,
+  normalizeTag,
+  parseTags,
+  getClientTeamMember,
+  recordCallEvents,
+  getCallWorkflow
+};
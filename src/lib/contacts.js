@@ -0,0 +1,131 @@
+// ============================================================================
+// CONTACTS - Each client's caller contact book
+// One contact per caller phone number (E.164). Processed calls upsert their
+// contact through upsert_call_contact() so counts stay right under concurrent
+// calls, and the assistant greets known callers by name (assistant-request).
+// ============================================================================
+const { supabase } = require('./supabase');
+const { formatPhoneE164 } = require('./notifications');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_GREETING_LENGTH = 500;
+
+const DEFAULT_RETURNING_GREETING =
+  'Hi {name}, welcome back to {business_name}. This call may be recorded. How can I help you today?';
+
+// What the AI summary returns when it couldn't get a name
+const UNKNOWN_NAMES = ['unknown', 'n/a', 'none', 'caller', 'unknown caller'];
+
+function normalizeContactPhone(phone) {
+  if (!phone || typeof phone !== 'string') return null;
+  return formatPhoneE164(phone.trim());
+}
+
+// null for names the AI couldn't actually extract
+function cleanCallerName(name) {
+  const cleaned = String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+  if (!cleaned || UNKNOWN_NAMES.includes(cleaned.toLowerCase())) return null;
+  return cleaned;
+}
+
+/**
+ * Upsert the caller's contact for a processed call and link the call to it.
+ * Best-effort - a failure is logged, never fails the webhook.
+ * @param {object} details
+ * @param {string} details.phone - raw caller number (anything formatPhoneE164 takes)
+ * @param {string} [details.name] - from the AI summary
+ * @param {string} [details.email]
+ * @param {string} [details.calledAt] - ISO
+ * @returns {Promise<object|null>} the contact
+ */
+async function recordCallContact(clientId, callId, { phone, name, email, calledAt }) {
+  const normalizedPhone = normalizeContactPhone(phone);
+  if (!normalizedPhone) return null;
+
+  try {
+    const { data, error } = await supabase.rpc('upsert_call_contact', {
+      p_client_id: clientId,
+      p_call_id: callId || null,
+      p_phone: normalizedPhone,
+      p_name: cleanCallerName(name),
+      p_email: email && String(email).includes('@') ? String(email).trim().toLowerCase() : null,
+      p_called_at: calledAt || new Date().toISOString()
+    });
+
+    if (error) throw error;
+
+    const contact = Array.isArray(data) ? data[0] : data;
+    if (contact?.call_count > 1) {
+      console.log(`👋 Returning caller: ${contact.name || normalizedPhone} (call #${contact.call_count})`);
+    }
+    return contact || null;
+  } catch (error) {
+    console.error('⚠️ Contact upsert failed:', error.message || error);
+    return null;
+  }
+}
+
+async function findContactByPhone(clientId, phone) {
+  const normalizedPhone = normalizeContactPhone(phone);
+  if (!normalizedPhone) return null;
+
+  const { data: contact } = await supabase
+    .from('contacts')
+    .select('*')
+    .eq('client_id', clientId)
+    .eq('phone', normalizedPhone)
+    .maybeSingle();
+
+  return contact;
+}
+
+// ============================================================================
+// RETURNING CALLER GREETING
+// ============================================================================
+
+/**
+ * assistant-request overrides for a known caller, or null to use the
+ * assistant as configured (unknown caller, no name yet, or turned off)
+ */
+async function getReturningCallerOverrides(client, callerPhone) {
+  if (client.greet_returning_callers === false || !callerPhone) return null;
+
+  try {
+    const contact = await findContactByPhone(client.id, callerPhone);
+    if (!contact?.name) return null;
+
+    const firstName = contact.name.split(' ')[0];
+    const firstMessage = (client.returning_caller_greeting || DEFAULT_RETURNING_GREETING)
+      .replace(/\{name\}/g, firstName)
+      .replace(/\{full_name\}/g, contact.name)
+      .replace(/\{business_name\}/g, client.business_name || '');
+
+    return {
+      contact,
+      assistantOverrides: {
+        firstMessage,
+        variableValues: {
+          customer_name: contact.name,
+          customer_first_name: firstName,
+          previous_calls: contact.call_count
+        }
+      }
+    };
+  } catch (error) {
+    console.error('⚠️ Returning caller lookup failed:', error.message || error);
+    return null;
+  }
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  MAX_NOTES_LENGTH,
+  MAX_GREETING_LENGTH,
+  DEFAULT_RETURNING_GREETING,
+  normalizeContactPhone,
+  cleanCallerName,
+  recordCallContact,
+  findContactByPhone,
+  getReturningCallerOverrides
+};
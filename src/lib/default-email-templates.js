@@ -0,0 +1,398 @@
+// ============================================================================
+// DEFAULT EMAIL TEMPLATES - Platform copy for transactional email
+// Agencies can override any 'client' template (email_templates table); the
+// 'agency' templates are platform mail to agency owners and only change
+// platform-wide. Bodies are HTML fragments with {variable} placeholders -
+// values are HTML-escaped, except the ones listed in RAW_VARIABLES.
+// ============================================================================
+
+// Variables every template can use
+const COMMON_VARIABLES = [
+  { key: '{agency_name}', label: 'Agency Name', description: 'Your agency name' },
+  { key: '{support_email}', label: 'Support Email', description: 'Your support email address' },
+  { key: '{dashboard_url}', label: 'Dashboard URL', description: 'Where your clients log in' },
+  { key: '{primary_color}', label: 'Brand Color', description: 'Your primary color, for inline styles' }
+];
+
+const CLIENT_VARIABLES = [
+  { key: '{client_name}', label: 'Client Name', description: 'Owner name, or business name if unknown' },
+  { key: '{business_name}', label: 'Business Name', description: "Client's business name" },
+  { key: '{ai_phone_number}', label: 'AI Phone Number', description: "Client's AI receptionist number" }
+];
+
+// Rendered HTML - inserted as-is
+const RAW_VARIABLES = ['action_button', 'overage_details', 'call_list'];
+
+const ACTION_BUTTON = { key: '{action_button}', label: 'Action Button', description: 'Button linking to the main action' };
+
+const DEFAULT_EMAIL_TEMPLATES = {
+  // ============================================================================
+  // CLIENT EMAILS - editable per agency
+  // ============================================================================
+  client_welcome: {
+    name: 'Welcome',
+    description: 'Sent when a client signs up - includes the set-password link',
+    audience: 'client',
+    subject: 'Welcome to {agency_name} - Your AI Receptionist is Ready!',
+    heading: 'Welcome, {client_name}! 🎉',
+    button_label: 'Set Your Password →',
+    action_variable: 'set_password_url',
+    body: `<p>Your AI receptionist for <strong>{business_name}</strong> is ready to start answering calls.</p>
+<div style="background-color: #f0f4ff; border-left: 4px solid {primary_color}; padding: 20px; margin: 20px 0;">
+  <p style="margin: 0 0 10px 0;"><strong>Your AI Phone Number:</strong></p>
+  <p style="font-size: 24px; font-weight: bold; color: {primary_color}; margin: 0;">{ai_phone_number}</p>
+</div>
+<p><strong>Next Steps:</strong></p>
+<ol>
+  <li>Set your password to access your dashboard</li>
+  <li>Forward your business line to your new AI number</li>
+  <li>Start receiving call summaries instantly!</li>
+</ol>
+{action_button}
+<p>Your <strong>7-day free trial</strong> has started. No credit card required.</p>`,
+    variables: [
+      { key: '{set_password_url}', label: 'Set Password URL', description: 'One-time link to set a password' }
+    ]
+  },
+
+  client_signup_verify: {
+    name: 'Confirm Signup Email',
+    description: 'Sent when someone signs up on your site - their AI receptionist is set up once they confirm',
+    audience: 'client',
+    subject: 'Confirm your email to finish signing up with {agency_name}',
+    heading: 'Confirm your email, {client_name}',
+    button_label: 'Confirm Email →',
+    action_variable: 'verify_url',
+    body: `<p>Thanks for signing up <strong>{business_name}</strong>! Confirm your email address and we'll set up your AI receptionist.</p>
+{action_button}
+<p>This link expires in 24 hours. If you didn't sign up, you can ignore this email.</p>`,
+    variables: [
+      { key: '{verify_url}', label: 'Verify URL', description: 'One-time link to confirm the email address' }
+    ]
+  },
+
+  client_team_invite: {
+    name: 'Team Invitation',
+    description: "Sent when someone is added to a client's dashboard team",
+    audience: 'client',
+    subject: '{inviter_name} added you to {business_name} on {agency_name}',
+    heading: "You've been invited, {first_name}!",
+    button_label: 'Accept Invitation →',
+    action_variable: 'invite_url',
+    body: `<p>{inviter_name} has invited you to the <strong>{business_name}</strong> dashboard, where you can see incoming calls and manage your AI receptionist.</p>
+<p>Set your password to get started. This link expires in 7 days.</p>
+{action_button}`,
+    variables: [
+      { key: '{first_name}', label: 'First Name', description: "Invited user's first name" },
+      { key: '{inviter_name}', label: 'Invited By', description: 'Name of the person who sent the invite' },
+      { key: '{invite_url}', label: 'Invite URL', description: 'Link to set a password and accept' }
+    ]
+  },
+
+  password_reset: {
+    name: 'Password Reset',
+    description: 'Sent when a client asks to reset their password',
+    audience: 'client',
+    subject: 'Reset Your Password',
+    heading: 'Reset Your Password',
+    button_label: 'Reset Password',
+    action_variable: 'reset_url',
+    body: `<p>Click the button below to reset your password. This link expires in 1 hour.</p>
+{action_button}
+<p>If you didn't request this, you can ignore this email.</p>`,
+    variables: [
+      { key: '{reset_url}', label: 'Reset URL', description: 'One-time password reset link' }
+    ]
+  },
+
+  trial_expired: {
+    name: 'Trial Ended',
+    description: "Sent when a client's free trial ends without a subscription",
+    audience: 'client',
+    subject: '⚠️ {agency_name} - Your Trial Has Ended',
+    heading: 'Your Trial Has Ended',
+    button_label: 'Reactivate Now',
+    action_variable: 'upgrade_url',
+    body: `<p>Hi {client_name},</p>
+<p>Your 7-day free trial of {agency_name} has ended.</p>
+<p>Your AI receptionist is no longer answering calls at {ai_phone_number}.</p>
+<p><strong>Don't lose your customers!</strong> Reactivate now to continue:</p>
+{action_button}`,
+    variables: [
+      { key: '{upgrade_url}', label: 'Upgrade URL', description: 'Client upgrade page' }
+    ]
+  },
+
+  usage_warning: {
+    name: 'Usage Warning (80%)',
+    description: 'Sent once per billing period when a client reaches 80% of its calls',
+    audience: 'client',
+    subject: '⚠️ {agency_name}: {percent_used}% of Monthly Calls Used',
+    heading: "You're approaching your call limit",
+    heading_color: '#F59E0B',
+    button_label: 'Upgrade Your Plan →',
+    action_variable: 'upgrade_url',
+    body: `<p>Hi {client_name},</p>
+<p>You've used <strong>{calls_used} of {call_limit} calls</strong> ({percent_used}%) included in your plan this billing period.</p>
+<p>{overage_details}</p>
+<p><strong>Upgrade to make sure every caller gets answered.</strong></p>
+{action_button}`,
+    variables: [
+      { key: '{calls_used}', label: 'Calls Used', description: 'Calls this billing period' },
+      { key: '{call_limit}', label: 'Call Limit', description: 'Calls included in the plan' },
+      { key: '{percent_used}', label: 'Percent Used', description: 'Calls used as a percentage' },
+      { key: '{overage_details}', label: 'Overage Details', description: 'What happens to calls past the limit' },
+      { key: '{upgrade_url}', label: 'Upgrade URL', description: 'Client upgrade page' }
+    ]
+  },
+
+  limit_reached: {
+    name: 'Limit Reached',
+    description: 'Sent once per billing period when a client uses all of its calls',
+    audience: 'client',
+    subject: '🚨 {agency_name}: Monthly Call Limit Reached',
+    heading: "You've reached your monthly call limit",
+    heading_color: '#dc2626',
+    button_label: 'Upgrade Your Plan →',
+    action_variable: 'upgrade_url',
+    body: `<p>Hi {client_name},</p>
+<p>You've used all <strong>{call_limit} calls</strong> included in your plan.</p>
+<p>{overage_details}</p>
+<p><strong>Upgrade now to resume full service.</strong></p>
+{action_button}`,
+    variables: [
+      { key: '{call_limit}', label: 'Call Limit', description: 'Calls included in the plan' },
+      { key: '{overage_details}', label: 'Overage Details', description: 'What happens to calls past the limit' },
+      { key: '{upgrade_url}', label: 'Upgrade URL', description: 'Client upgrade page' }
+    ]
+  },
+
+  payment_failed: {
+    name: 'Payment Failed',
+    description: "Sent when a client's subscription payment fails",
+    audience: 'client',
+    subject: '🚨 {agency_name} Payment Failed',
+    heading: 'Payment Failed',
+    heading_color: '#dc2626',
+    button_label: 'Update Payment Method',
+    action_variable: 'invoice_url',
+    body: `<p>Hi {client_name},</p>
+<p>We couldn't process your payment. Please update your payment method to avoid service interruption.</p>
+{action_button}`,
+    variables: [
+      { key: '{invoice_url}', label: 'Invoice URL', description: 'Stripe page to pay the invoice' }
+    ]
+  },
+
+  subscription_activated: {
+    name: 'Subscription Activated',
+    description: 'Sent when a client subscribes or comes back',
+    audience: 'client',
+    subject: '✅ {agency_name} - Subscription Activated!',
+    heading: 'Welcome{welcome_back}!',
+    button_label: 'Go to Dashboard',
+    action_variable: 'dashboard_url',
+    body: `<p>Hi {client_name},</p>
+<p>Your {plan_name} plan is now active!</p>
+<p>Your AI receptionist is answering calls 24/7 at: <strong>{ai_phone_number}</strong></p>
+<p>
+  <strong>Plan:</strong> {plan_name}<br>
+  <strong>Monthly Calls:</strong> {call_limit}
+</p>
+<p>Log in to your dashboard to view calls and manage settings.</p>
+{action_button}
+<p>Thanks for choosing {agency_name}!</p>`,
+    variables: [
+      { key: '{plan_name}', label: 'Plan Name', description: 'Starter, Pro or Growth' },
+      { key: '{call_limit}', label: 'Call Limit', description: 'Calls included in the plan' },
+      { key: '{welcome_back}', label: 'Welcome Back', description: '" Back" for returning clients, otherwise empty' }
+    ]
+  },
+
+  subscription_cancelled: {
+    name: 'Subscription Cancelled',
+    description: "Sent when a client's subscription is cancelled",
+    audience: 'client',
+    subject: '{agency_name} - Subscription Cancelled',
+    heading: 'Your subscription has been cancelled',
+    body: `<p>Hi {client_name},</p>
+<p>Your AI receptionist subscription has been cancelled.</p>
+<p>Your phone number ({ai_phone_number}) will stop answering calls.</p>
+<p>To reactivate, visit your dashboard or contact {support_email}.</p>`,
+    variables: []
+  },
+
+  call_notification: {
+    name: 'New Call',
+    description: 'Sent to email recipients of call notifications after each call',
+    audience: 'client',
+    subject: '🔔 New Call - {customer_name} ({urgency})',
+    heading: 'New call for {business_name}',
+    button_label: 'View Calls',
+    action_variable: 'calls_url',
+    body: `<p>
+  <strong>Customer:</strong> {customer_name}<br>
+  <strong>Phone:</strong> {customer_phone}<br>
+  <strong>Urgency:</strong> {urgency}
+</p>
+<p><strong>Summary:</strong> {summary}</p>
+{action_button}`,
+    variables: [
+      { key: '{customer_name}', label: 'Customer Name', description: 'Caller name from the AI summary' },
+      { key: '{customer_phone}', label: 'Customer Phone', description: "Caller's phone number" },
+      { key: '{urgency}', label: 'Urgency', description: 'routine, medium, high or emergency' },
+      { key: '{summary}', label: 'Summary', description: 'AI summary of the call' },
+      { key: '{calls_url}', label: 'Calls URL', description: 'Call list in the dashboard' }
+    ]
+  },
+
+  call_digest: {
+    name: 'Call Digest',
+    description: 'Daily summary for digest recipients, and catch-up after quiet hours',
+    audience: 'client',
+    subject: '📋 {business_name}: {call_count} new calls',
+    heading: '{digest_title}',
+    button_label: 'View Calls',
+    action_variable: 'calls_url',
+    body: `<p>Hi {client_name},</p>
+<p>Your AI receptionist answered <strong>{call_count} calls</strong> {digest_period}.</p>
+{call_list}
+{action_button}`,
+    variables: [
+      { key: '{digest_title}', label: 'Digest Title', description: '"Daily call summary" or "While you were away"' },
+      { key: '{digest_period}', label: 'Digest Period', description: 'e.g. "since yesterday" or "during quiet hours"' },
+      { key: '{call_count}', label: 'Call Count', description: 'Calls in this digest' },
+      { key: '{call_list}', label: 'Call List', description: 'Table of the calls' },
+      { key: '{calls_url}', label: 'Calls URL', description: 'Call list in the dashboard' }
+    ]
+  },
+
+  // ============================================================================
+  // AGENCY EMAILS - platform mail to agency owners
+  // ============================================================================
+  usage_warning_agency: {
+    name: 'Client Usage Warning (to agency)',
+    description: 'Copy of the 80% warning sent to the agency owner',
+    audience: 'agency',
+    subject: '📈 {business_name} has used {percent_used}% of its calls',
+    heading: 'A client is approaching their call limit',
+    heading_color: '#F59E0B',
+    body: `<p><strong>{business_name}</strong> has used <strong>{calls_used} of {call_limit} calls</strong> ({percent_used}%) on the {plan_name} plan this billing period.</p>
+<p>This is a good time to reach out about an upgrade. They've been sent a usage warning too.</p>`,
+    variables: [
+      { key: '{business_name}', label: 'Business Name', description: "Client's business name" },
+      { key: '{calls_used}', label: 'Calls Used', description: 'Calls this billing period' },
+      { key: '{call_limit}', label: 'Call Limit', description: 'Calls included in the plan' },
+      { key: '{percent_used}', label: 'Percent Used', description: 'Calls used as a percentage' },
+      { key: '{plan_name}', label: 'Plan Name', description: "Client's plan" }
+    ]
+  },
+
+  limit_reached_agency: {
+    name: 'Client Limit Reached (to agency)',
+    description: 'Copy of the limit reached email sent to the agency owner',
+    audience: 'agency',
+    subject: '🚨 {business_name} reached its monthly call limit',
+    heading: 'A client reached their call limit',
+    heading_color: '#dc2626',
+    body: `<p><strong>{business_name}</strong> has used all <strong>{call_limit} calls</strong> included in the {plan_name} plan.</p>
+<p>{overage_details}</p>
+<p>Reach out to offer an upgrade so they don't miss calls.</p>`,
+    variables: [
+      { key: '{business_name}', label: 'Business Name', description: "Client's business name" },
+      { key: '{call_limit}', label: 'Call Limit', description: 'Calls included in the plan' },
+      { key: '{overage_details}', label: 'Overage Details', description: 'What happens to calls past the limit' },
+      { key: '{plan_name}', label: 'Plan Name', description: "Client's plan" }
+    ]
+  },
+
+  agency_payment_failed: {
+    name: 'Agency Payment Failed',
+    description: "Sent when an agency's platform subscription payment fails",
+    audience: 'agency',
+    subject: '🚨 VoiceAI Connect Payment Failed - Action Required',
+    heading: 'Payment Failed',
+    heading_color: '#dc2626',
+    button_label: 'Update Payment Method',
+    action_variable: 'invoice_url',
+    body: `<p>Hi {agency_name},</p>
+<p>We couldn't process your payment. Please update your payment method to avoid service interruption.</p>
+{action_button}`,
+    variables: [
+      { key: '{invoice_url}', label: 'Invoice URL', description: 'Stripe page to pay the invoice' }
+    ]
+  },
+
+  agency_trial_ending: {
+    name: 'Agency Trial Ending',
+    description: "Sent a few days before an agency's platform trial ends",
+    audience: 'agency',
+    subject: '⏰ Your VoiceAI Connect trial ends in {days_left} days',
+    heading: 'Your trial is ending soon',
+    body: `<p>Hi {agency_name},</p>
+<p>Your 14-day trial ends on {trial_end_date}.</p>
+<p>Add a payment method to continue growing your AI agency.</p>`,
+    variables: [
+      { key: '{days_left}', label: 'Days Left', description: 'Days until the trial ends' },
+      { key: '{trial_end_date}', label: 'Trial End Date', description: 'Date the trial ends' }
+    ]
+  },
+
+  agency_staff_invite: {
+    name: 'Agency Staff Invitation',
+    description: 'Sent when an agency invites a staff member to its dashboard',
+    audience: 'agency',
+    subject: "{inviter_name} invited you to {agency_name}'s VoiceAI Connect dashboard",
+    heading: "You're invited to {agency_name}",
+    button_label: 'Accept Invitation →',
+    action_variable: 'invite_url',
+    body: `<p>Hi {first_name},</p>
+<p>{inviter_name} has invited you to join <strong>{agency_name}</strong> on VoiceAI Connect.</p>
+<p>Set your password to get started. This link expires in 7 days.</p>
+{action_button}`,
+    variables: [
+      { key: '{first_name}', label: 'First Name', description: "Invited staff member's first name" },
+      { key: '{inviter_name}', label: 'Invited By', description: 'Name of the person who sent the invite' },
+      { key: '{invite_url}', label: 'Invite URL', description: 'Link to set a password and accept' }
+    ]
+  },
+
+  client_signup_pending_agency: {
+    name: 'Client Signup Awaiting Approval',
+    description: 'Sent to the agency owner when a verified signup needs approval',
+    audience: 'agency',
+    subject: '🆕 {business_name} signed up and is waiting for approval',
+    heading: 'A new client is waiting for approval',
+    button_label: 'Review Signup',
+    action_variable: 'review_url',
+    body: `<p><strong>{business_name}</strong> ({signup_email}) in {signup_location} signed up and confirmed their email.</p>
+<p>Their AI receptionist and phone number will be set up once you approve the signup.</p>
+{action_button}`,
+    variables: [
+      { key: '{business_name}', label: 'Business Name', description: "The signup's business name" },
+      { key: '{signup_email}', label: 'Signup Email', description: 'Email the client signed up with' },
+      { key: '{signup_location}', label: 'Location', description: 'City, State' },
+      { key: '{review_url}', label: 'Review URL', description: 'Pending signups in the agency dashboard' }
+    ]
+  },
+
+  agency_subscription_cancelled: {
+    name: 'Agency Subscription Cancelled',
+    description: "Sent when an agency's platform subscription is cancelled",
+    audience: 'agency',
+    subject: 'VoiceAI Connect Subscription Cancelled',
+    heading: 'Your subscription has been cancelled',
+    body: `<p>Hi {agency_name},</p>
+<p>Your VoiceAI Connect subscription has been cancelled. Your agency and all client AI assistants will be suspended.</p>
+<p>To reactivate, visit your dashboard.</p>`,
+    variables: []
+  }
+};
+
+module.exports = {
+  COMMON_VARIABLES,
+  CLIENT_VARIABLES,
+  RAW_VARIABLES,
+  ACTION_BUTTON,
+  DEFAULT_EMAIL_TEMPLATES
+};
@@ -0,0 +1,90 @@
+// ============================================================================
+// EMAIL SENDING DOMAINS - Agency domains registered with Resend
+// Once a domain is verified, lib/notifications.js sends the agency's client
+// mail from it (getAgencySender).
+// ============================================================================
+const fetch = require('node-fetch');
+
+const RESEND_API = 'https://api.resend.com';
+
+async function resendRequest(method, endpoint, body = null) {
+  if (!process.env.RESEND_API_KEY) {
+    throw new Error('RESEND_API_KEY not configured');
+  }
+
+  const options = {
+    method,
+    headers: {
+      'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
+      'Content-Type': 'application/json'
+    }
+  };
+
+  if (body) {
+    options.body = JSON.stringify(body);
+  }
+
+  console.log(`🔗 Resend API: ${method} ${endpoint}`);
+
+  const response = await fetch(`${RESEND_API}${endpoint}`, options);
+  const text = await response.text();
+  const data = text ? JSON.parse(text) : {};
+
+  if (!response.ok) {
+    console.error('❌ Resend API Error:', data);
+    throw new Error(data.message || data.error || 'Resend API error');
+  }
+
+  return data;
+}
+
+// Resend record -> what the dashboard shows the agency
+function formatDnsRecords(records = []) {
+  return records.map(record => ({
+    purpose: record.record,           // SPF, DKIM, MX
+    type: record.type,
+    name: record.name,
+    value: record.value,
+    priority: record.priority ?? null,
+    ttl: record.ttl,
+    status: record.status
+  }));
+}
+
+// Resend domain -> agencies columns (keeps the first verification time)
+function toAgencyDomainFields(domain, verifiedAt = null) {
+  return {
+    email_domain_id: domain.id,
+    email_domain_status: domain.status,
+    email_domain_records: formatDnsRecords(domain.records),
+    email_domain_verified_at: domain.status === 'verified'
+      ? (verifiedAt || new Date().toISOString())
+      : null
+  };
+}
+
+async function createSendingDomain(name) {
+  return resendRequest('POST', '/domains', { name });
+}
+
+async function getSendingDomain(domainId) {
+  return resendRequest('GET', `/domains/${domainId}`);
+}
+
+// Asks Resend to re-check DNS; the result arrives asynchronously
+async function verifySendingDomain(domainId) {
+  return resendRequest('POST', `/domains/${domainId}/verify`);
+}
+
+async function deleteSendingDomain(domainId) {
+  return resendRequest('DELETE', `/domains/${domainId}`);
+}
+
+module.exports = {
+  formatDnsRecords,
+  toAgencyDomainFields,
+  createSendingDomain,
+  getSendingDomain,
+  verifySendingDomain,
+  deleteSendingDomain
+};
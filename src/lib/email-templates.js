@@ -0,0 +1,308 @@
+// ============================================================================
+// EMAIL TEMPLATES - Editable transactional email copy
+// Looks up the agency's override (email_templates), then the platform-wide
+// override, then the code default (default-email-templates.js), fills in the
+// {variables} and sends through lib/notifications.js:
+//   'client' templates - agency branding and sender (sendAgencyEmail)
+//   'agency' templates - platform mail to agency owners
+// ============================================================================
+const { supabase } = require('./supabase');
+const {
+  sendEmail,
+  sendLoggedEmail,
+  sendAgencyEmail,
+  getAgencyDashboardUrl,
+  renderEmailButton,
+  renderBrandedEmail,
+  formatPhoneDisplay,
+  PLATFORM_EMAIL_DOMAIN
+} = require('./notifications');
+const {
+  COMMON_VARIABLES,
+  CLIENT_VARIABLES,
+  RAW_VARIABLES,
+  ACTION_BUTTON,
+  DEFAULT_EMAIL_TEMPLATES
+} = require('./default-email-templates');
+
+const EDITABLE_FIELDS = ['subject', 'heading', 'body', 'button_label'];
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+function isTemplateKey(key) {
+  return Object.prototype.hasOwnProperty.call(DEFAULT_EMAIL_TEMPLATES, key);
+}
+
+// Variables documented for a template (for the editor)
+function getTemplateVariables(key) {
+  const template = DEFAULT_EMAIL_TEMPLATES[key];
+  return [
+    ...COMMON_VARIABLES,
+    ...(template.audience === 'client' ? CLIENT_VARIABLES : []),
+    ...(template.action_variable ? [ACTION_BUTTON] : []),
+    ...template.variables
+  ];
+}
+
+/**
+ * Effective template for an agency: agency override > platform override > default
+ * @param {string|null} agencyId - null for the platform template
+ * @param {string} key - DEFAULT_EMAIL_TEMPLATES key
+ * @returns {Promise<object|null>} template with `customized` set to
+ *   'agency', 'platform' or null (default copy)
+ */
+async function getEmailTemplate(agencyId, key) {
+  if (!isTemplateKey(key)) return null;
+
+  const defaults = DEFAULT_EMAIL_TEMPLATES[key];
+
+  // Agencies can only change what their own clients receive
+  const canOverride = agencyId && defaults.audience === 'client';
+
+  let query = supabase
+    .from('email_templates')
+    .select('*')
+    .eq('template_key', key);
+
+  query = canOverride
+    ? query.or(`agency_id.eq.${agencyId},agency_id.is.null`)
+    : query.is('agency_id', null);
+
+  const { data: overrides, error } = await query;
+
+  if (error) {
+    // Never block an email on a lookup failure - fall back to the default
+    console.error(`⚠️ Email template lookup failed (${key}):`, error.message);
+  }
+
+  const override = (overrides || []).find(t => t.agency_id) ||
+    (overrides || []).find(t => !t.agency_id);
+
+  return {
+    key,
+    ...defaults,
+    ...(override && {
+      subject: override.subject,
+      heading: override.heading,
+      body: override.body,
+      button_label: override.button_label || defaults.button_label,
+      updated_at: override.updated_at
+    }),
+    customized: override ? (override.agency_id ? 'agency' : 'platform') : null
+  };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Replace {variable} placeholders. Unknown placeholders are left as-is so a
+ * typo shows up in the preview instead of vanishing.
+ * @param {boolean} html - escape values (everything except subjects)
+ */
+function fillTemplate(text, variables, html = true) {
+  if (!text) return '';
+
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) return match;
+    if (!html || RAW_VARIABLES.includes(name)) return String(value);
+    return escapeHtml(value);
+  });
+}
+
+/**
+ * Variables every email gets from the agency (and client, if any)
+ */
+function buildBaseVariables(agency, client = null) {
+  const variables = {
+    agency_name: agency?.name || 'VoiceAI Connect',
+    support_email: agency?.support_email || `support@${PLATFORM_EMAIL_DOMAIN}`,
+    dashboard_url: getAgencyDashboardUrl(agency),
+    primary_color: agency?.primary_color || '#2563eb'
+  };
+
+  if (client) {
+    variables.client_name = client.owner_name || client.business_name || '';
+    variables.business_name = client.business_name || '';
+    variables.ai_phone_number = formatPhoneDisplay(client.vapi_phone_number) || '';
+  }
+
+  return variables;
+}
+
+/**
+ * Render a template to subject + HTML
+ * @param {object} template - from getEmailTemplate (or edited copy for previews)
+ * @param {object} agency - agency whose branding 'client' templates use
+ * @param {object} variables - filled into {placeholders}
+ * @returns {{ subject: string, heading: string, body: string, html: string }}
+ */
+function renderEmailTemplate(template, agency, variables) {
+  // Platform mail to agency owners isn't in the agency's own branding
+  const brand = template.audience === 'client' ? agency : null;
+  const values = { ...variables };
+
+  const actionUrl = template.action_variable && values[template.action_variable];
+  values.action_button = actionUrl
+    ? renderEmailButton(brand, escapeHtml(actionUrl), escapeHtml(template.button_label || 'Open'))
+    : '';
+
+  const subject = fillTemplate(template.subject, values, false);
+  const heading = fillTemplate(template.heading, values);
+  const body = fillTemplate(template.body, values);
+
+  return {
+    subject,
+    heading,
+    body,
+    html: renderBrandedEmail(brand, { heading, headingColor: template.heading_color, body })
+  };
+}
+
+// ============================================================================
+// SENDING
+// ============================================================================
+
+/**
+ * Render and send a transactional email
+ * @param {string} key - DEFAULT_EMAIL_TEMPLATES key
+ * @param {object} options
+ * @param {object} options.agency - agency row (branding, overrides)
+ * @param {object} [options.client] - client row, for the client variables
+ * @param {string} options.to
+ * @param {object} [options.variables] - template-specific variables
+ * @param {string} [options.emailType] - logs to email_logs when set
+ */
+async function sendTemplatedEmail(key, { agency, client = null, to, variables = {}, localPart, emailType, dedupeKey, metadata }) {
+  const template = await getEmailTemplate(agency?.id || null, key);
+  if (!template) {
+    throw new Error(`Unknown email template: ${key}`);
+  }
+
+  const values = { ...buildBaseVariables(agency, client), ...variables };
+
+  if (template.audience === 'client') {
+    const { subject, heading, body } = renderEmailTemplate(template, agency, values);
+
+    return sendAgencyEmail(agency, {
+      to,
+      subject,
+      heading,
+      headingColor: template.heading_color,
+      body,
+      localPart,
+      emailType,
+      clientId: client?.id || null,
+      dedupeKey,
+      metadata
+    });
+  }
+
+  const { subject, html } = renderEmailTemplate(template, agency, values);
+  const emailData = {
+    from: `VoiceAI Connect <${localPart || 'notifications'}@${PLATFORM_EMAIL_DOMAIN}>`,
+    to,
+    subject,
+    html
+  };
+
+  if (!emailType) {
+    return sendEmail(emailData);
+  }
+
+  return sendLoggedEmail({
+    ...emailData,
+    clientId: client?.id || null,
+    agencyId: agency?.id || null,
+    emailType,
+    dedupeKey,
+    metadata
+  });
+}
+
+// Stand-in values for previews and test sends
+function getSampleVariables(key, agency) {
+  const dashboardUrl = getAgencyDashboardUrl(agency);
+
+  const samples = {
+    ...buildBaseVariables(agency, {
+      owner_name: 'Jane Smith',
+      business_name: 'Smith Plumbing',
+      vapi_phone_number: '+15555550123'
+    }),
+    set_password_url: `${dashboardUrl}/auth/set-password?token=sample`,
+    reset_url: `${dashboardUrl}/auth/reset-password?token=sample`,
+    upgrade_url: `${dashboardUrl}/client/upgrade`,
+    invoice_url: 'https://invoice.stripe.com/i/sample',
+    calls_used: 40,
+    call_limit: 50,
+    percent_used: 80,
+    overage_details: 'New calls will not be answered by your AI receptionist until your next billing period.',
+    plan_name: 'Starter',
+    welcome_back: '',
+    customer_name: 'John Doe',
+    customer_phone: '(555) 555-0199',
+    urgency: 'high',
+    summary: 'Water heater is leaking in the basement - wants someone out today.',
+    calls_url: `${dashboardUrl}/client/calls`,
+    digest_title: 'Daily call summary',
+    digest_period: 'since yesterday',
+    call_count: 1,
+    call_list: '<p><strong>John Doe</strong> (555) 555-0199 - Water heater is leaking in the basement.</p>',
+    first_name: 'Alex',
+    inviter_name: 'Jane Smith',
+    invite_url: `${dashboardUrl}/auth/set-password?token=sample`,
+    verify_url: `${dashboardUrl}/signup/verify?token=sample`,
+    signup_email: 'jane@smithplumbing.com',
+    signup_location: 'Austin, TX',
+    review_url: `${process.env.FRONTEND_URL}/agency/signups`,
+    days_left: 3,
+    trial_end_date: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toLocaleDateString()
+  };
+
+  // Only the variables the template documents
+  const allowed = getTemplateVariables(key).map(v => v.key.slice(1, -1));
+  return Object.fromEntries(Object.entries(samples).filter(([name]) => allowed.includes(name)));
+}
+
+// ============================================================================
+// CLIENT WELCOME EMAIL
+// ============================================================================
+async function sendClientWelcomeEmail(client, agency, tempPassword, passwordToken) {
+  return sendTemplatedEmail('client_welcome', {
+    agency,
+    client,
+    localPart: 'onboarding',
+    to: client.email,
+    emailType: 'client_welcome',
+    variables: {
+      set_password_url: `${getAgencyDashboardUrl(agency)}/auth/set-password?token=${passwordToken}`
+    }
+  });
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  isTemplateKey,
+  getTemplateVariables,
+  escapeHtml,
+  getEmailTemplate,
+  fillTemplate,
+  renderEmailTemplate,
+  sendTemplatedEmail,
+  getSampleVariables,
+  sendClientWelcomeEmail
+};
@@ -0,0 +1,142 @@
+// ============================================================================
+// CLIENT IMPERSONATION - Agency users opening a client's dashboard as the client
+// The impersonation token (routes/auth.js generateToken) is an ordinary client
+// access token plus an `impersonation` claim. It is tied to the agency user's
+// own session and an impersonation_sessions row, lives 30 minutes and cannot
+// be refreshed. Every request made with it is written to impersonation_events,
+// which the client can read. Billing, team, password and 2FA changes are refused.
+// ============================================================================
+const { supabase } = require('./supabase');
+const { getRequestIp } = require('./sessions');
+
+const IMPERSONATION_TTL_SECONDS = 30 * 60;
+
+const IMPERSONATION_BLOCKED_MESSAGE = 'Not available while signed in as a client - sign in with the client\'s own account';
+
+function isImpersonating(user) {
+  return !!user?.impersonation;
+}
+
+/**
+ * Record the start of an impersonation
+ * @param {object} options
+ * @param {object} options.impersonator - req.user of the agency user
+ * @param {object} options.targetUser - users row of the client user
+ * @returns {Promise<object>} impersonation_sessions row
+ */
+async function createImpersonation({ agencyId, clientId, impersonator, targetUser, reason, req }) {
+  const { data, error } = await supabase
+    .from('impersonation_sessions')
+    .insert({
+      agency_id: agencyId,
+      client_id: clientId,
+      impersonator_id: impersonator.userId,
+      impersonator_session_id: impersonator.sessionId,
+      target_user_id: targetUser.id,
+      reason: reason || null,
+      ip_address: getRequestIp(req),
+      user_agent: req.headers['user-agent'] || null,
+      expires_at: new Date(Date.now() + IMPERSONATION_TTL_SECONDS * 1000).toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function isImpersonationActive(impersonationId) {
+  if (!impersonationId) return false;
+
+  const { data } = await supabase
+    .from('impersonation_sessions')
+    .select('ended_at, expires_at')
+    .eq('id', impersonationId)
+    .maybeSingle();
+
+  return !!data && !data.ended_at && new Date(data.expires_at) > new Date();
+}
+
+/**
+ * @returns {Promise<boolean>} false when it had already ended
+ */
+async function endImpersonation(impersonationId) {
+  const { data, error } = await supabase
+    .from('impersonation_sessions')
+    .update({ ended_at: new Date().toISOString() })
+    .eq('id', impersonationId)
+    .is('ended_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+/**
+ * Impersonations of a client, newest first, with the requests made in each
+ */
+async function listClientImpersonations(clientId, limit = 50) {
+  const { data, error } = await supabase
+    .from('impersonation_sessions')
+    .select(`
+      id, reason, started_at, expires_at, ended_at,
+      impersonator:users!impersonation_sessions_impersonator_id_fkey(email, first_name, last_name),
+      events:impersonation_events(method, path, status_code, created_at)
+    `)
+    .eq('client_id', clientId)
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * App-level: log every request made with an impersonation token once the
+ * response is sent (req.user is set by the route's auth middleware by then)
+ */
+function recordImpersonatedRequests(req, res, next) {
+  res.on('finish', () => {
+    const impersonation = req.user?.impersonation;
+    if (!impersonation || req.method === 'OPTIONS') return;
+
+    supabase
+      .from('impersonation_events')
+      .insert({
+        impersonation_id: impersonation.id,
+        client_id: req.user.clientId,
+        method: req.method,
+        // No query string - it can carry tokens
+        path: req.originalUrl.split('?')[0],
+        status_code: res.statusCode
+      })
+      .then(({ error }) => {
+        if (error) console.error('⚠️ Impersonation audit error:', error.message);
+      });
+  });
+  next();
+}
+
+// After authMiddleware on routes an impersonator must never use
+function rejectImpersonation(req, res, next) {
+  if (isImpersonating(req.user)) {
+    return res.status(403).json({ error: IMPERSONATION_BLOCKED_MESSAGE });
+  }
+  next();
+}
+
+module.exports = {
+  IMPERSONATION_TTL_SECONDS,
+  IMPERSONATION_BLOCKED_MESSAGE,
+  isImpersonating,
+  createImpersonation,
+  isImpersonationActive,
+  endImpersonation,
+  listClientImpersonations,
+  recordImpersonatedRequests,
+  rejectImpersonation
+};
@@ -0,0 +1,462 @@
+// ============================================================================
+// CALL NOTIFICATION RULES - Who hears about a client's calls, and when
+// Each client has notification_recipients (SMS or email), each with:
+//   min_urgency - only calls at least this urgent (routine < medium < high < emergency)
+//   delivery    - 'instant' after every call, or 'digest' once a day
+// Instant notifications that land in the client's quiet hours are queued
+// (call_notifications) and sent as one catch-up message when they end.
+// Queued notifications and digests go out from /api/cron/send-notifications.
+// ============================================================================
+const { supabase } = require('./supabase');
+const {
+  sendTelnyxSMS,
+  sendCallNotificationSMS,
+  formatPhoneDisplay,
+  getAgencyDashboardUrl
+} = require('./notifications');
+const { sendTemplatedEmail, escapeHtml } = require('./email-templates');
+const {
+  resolveClientTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  getLocalDateString,
+  addDaysToDateString,
+  formatSlotLabel
+} = require('./calendar');
+
+const URGENCY_LEVELS = ['routine', 'medium', 'high', 'emergency'];
+const URGENT_LEVELS = ['high', 'emergency'];
+const NOTIFICATION_CHANNELS = ['sms', 'email'];
+const DELIVERY_MODES = ['instant', 'digest'];
+
+const DEFAULT_DIGEST_HOUR = 18;
+const DIGEST_MAX_CALLS = 100;
+const SMS_DIGEST_MAX_LINES = 5;
+const CRON_BATCH_SIZE = 500;
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+// Unknown urgency (AI summary failed) counts as routine
+function meetsUrgency(urgency, minUrgency = 'routine') {
+  const level = Math.max(URGENCY_LEVELS.indexOf(urgency), 0);
+  return level >= Math.max(URGENCY_LEVELS.indexOf(minUrgency), 0);
+}
+
+// "22:00" / "22:00:00" -> minutes since midnight
+function timeToMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Whether it's currently quiet hours for the client (client-local time).
+ * A start later than the end wraps past midnight (22:00-07:00).
+ */
+function isInQuietHours(client, at = new Date()) {
+  const start = timeToMinutes(client.notification_quiet_start);
+  const end = timeToMinutes(client.notification_quiet_end);
+  if (start === null || end === null || start === end) return false;
+
+  const parts = getZonedParts(at, resolveClientTimezone(client));
+  const now = parts.hour * 60 + parts.minute;
+
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+/**
+ * When the client's current quiet hours end, or null outside them
+ */
+function getQuietHoursEnd(client, at = new Date()) {
+  if (!isInQuietHours(client, at)) return null;
+
+  const end = timeToMinutes(client.notification_quiet_end);
+  const timeZone = resolveClientTimezone(client);
+  const parts = getZonedParts(at, timeZone);
+  const today = getLocalDateString(at, timeZone);
+
+  // Before the end time it's this morning's; otherwise the window wraps to tomorrow
+  const endDate = parts.hour * 60 + parts.minute < end ? today : addDaysToDateString(today, 1);
+  return zonedTimeToUtc(endDate, end, timeZone);
+}
+
+// The owner row follows the client's current phone / email
+function getRecipientDestination(recipient, client) {
+  if (!recipient.is_owner) return recipient.destination;
+  return recipient.channel === 'sms' ? client.owner_phone : client.email;
+}
+
+async function getNotificationRecipients(clientId, { activeOnly = true } = {}) {
+  let query = supabase
+    .from('notification_recipients')
+    .select('*')
+    .eq('client_id', clientId)
+    .order('created_at', { ascending: true });
+
+  if (activeOnly) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ Error fetching notification recipients:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * New clients start with instant SMS to the owner phone (the old behaviour)
+ */
+async function createDefaultRecipients(client) {
+  if (!client.owner_phone) return null;
+
+  const { error } = await supabase
+    .from('notification_recipients')
+    .insert({ client_id: client.id, channel: 'sms', label: 'Owner', is_owner: true });
+
+  if (error && error.code !== '23505') {
+    console.error('❌ Error creating default notification recipient:', error);
+  }
+  return !error;
+}
+
+// ============================================================================
+// SENDING
+// ============================================================================
+
+// calls row -> the callData shape the SMS / email formatters use
+function toCallData(call) {
+  return {
+    customerName: call.customer_name,
+    customerPhone: call.customer_phone,
+    urgency: call.urgency_level,
+    summary: call.ai_summary
+  };
+}
+
+async function sendCallNotification(recipient, client, agency, callData) {
+  const to = getRecipientDestination(recipient, client);
+
+  if (recipient.channel === 'sms') {
+    return sendCallNotificationSMS(client, agency, callData, to);
+  }
+
+  const result = await sendTemplatedEmail('call_notification', {
+    agency,
+    client,
+    to,
+    emailType: 'call_notification',
+    variables: {
+      customer_name: callData.customerName || 'Unknown',
+      customer_phone: formatPhoneDisplay(callData.customerPhone) || 'Unknown',
+      urgency: callData.urgency || 'routine',
+      summary: callData.summary || '',
+      calls_url: `${getAgencyDashboardUrl(agency)}/client/calls`
+    }
+  });
+  return result.success;
+}
+
+/**
+ * Notify a client's recipients about a completed call.
+ * Recipients are claimed per call in call_notifications, so a repeated
+ * end-of-call report doesn't notify anyone twice.
+ * @param {object} client - client row
+ * @param {object} agency - client's agency (branding)
+ * @param {object} call - saved calls row
+ * @param {object} callData - AI summary ({ customerName, customerPhone, urgency, summary })
+ * @returns {Promise<{ sent: number, queued: number, failed: number, smsSent: boolean }>}
+ */
+async function dispatchCallNotifications(client, agency, call, callData) {
+  const result = { sent: 0, queued: 0, failed: 0, smsSent: false };
+  if (!call?.id) return result;
+
+  const recipients = await getNotificationRecipients(client.id);
+
+  const quiet = isInQuietHours(client) &&
+    !(client.notification_quiet_allow_urgent !== false && URGENT_LEVELS.includes(callData.urgency));
+  const deliverAfter = quiet ? getQuietHoursEnd(client).toISOString() : null;
+
+  for (const recipient of recipients) {
+    if (recipient.delivery !== 'instant') continue;
+    if (!meetsUrgency(callData.urgency, recipient.min_urgency)) continue;
+    if (!getRecipientDestination(recipient, client)) continue;
+
+    const { data: log, error } = await supabase
+      .from('call_notifications')
+      .insert({
+        call_id: call.id,
+        client_id: client.id,
+        recipient_id: recipient.id,
+        channel: recipient.channel,
+        status: quiet ? 'queued' : 'sending',
+        deliver_after: deliverAfter
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      if (error.code !== '23505') {
+        console.error('❌ Error logging call notification:', error);
+      }
+      continue;
+    }
+
+    if (quiet) {
+      result.queued++;
+      continue;
+    }
+
+    const sent = await sendCallNotification(recipient, client, agency, callData);
+
+    await supabase
+      .from('call_notifications')
+      .update(sent
+        ? { status: 'sent', sent_at: new Date().toISOString() }
+        : { status: 'failed', error: 'Send failed' })
+      .eq('id', log.id);
+
+    if (sent) {
+      result.sent++;
+      if (recipient.channel === 'sms') result.smsSent = true;
+    } else {
+      result.failed++;
+    }
+  }
+
+  if (result.queued > 0) {
+    console.log(`🌙 Quiet hours for ${client.business_name} - ${result.queued} notification(s) queued`);
+  }
+
+  return result;
+}
+
+// ============================================================================
+// DIGESTS
+// ============================================================================
+
+function formatDigestSMS(client, agency, calls, title) {
+  const lines = calls.slice(0, SMS_DIGEST_MAX_LINES).map(call => {
+    const flag = URGENT_LEVELS.includes(call.urgency_level) ? ' ⚠️' : '';
+    return `• ${call.customer_name || 'Unknown'} ${formatPhoneDisplay(call.customer_phone) || ''}${flag}`.trim();
+  });
+
+  if (calls.length > SMS_DIGEST_MAX_LINES) {
+    lines.push(`…and ${calls.length - SMS_DIGEST_MAX_LINES} more`);
+  }
+
+  return `📋 ${title} - ${client.business_name}\n` +
+    `${calls.length} call${calls.length === 1 ? '' : 's'}:\n` +
+    `${lines.join('\n')}\n` +
+    `Powered by ${agency?.name || 'VoiceAI Connect'}`;
+}
+
+function formatDigestCallList(client, calls) {
+  const timeZone = resolveClientTimezone(client);
+
+  const rows = calls.map(call => `
+    <tr>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; vertical-align: top;">
+        <strong>${escapeHtml(call.customer_name || 'Unknown')}</strong><br>
+        ${escapeHtml(formatPhoneDisplay(call.customer_phone) || '')}<br>
+        <span style="color: #999; font-size: 12px;">${escapeHtml(formatSlotLabel(new Date(call.created_at), timeZone))}</span>
+      </td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; vertical-align: top;">
+        ${URGENT_LEVELS.includes(call.urgency_level) ? `<strong style="color: #dc2626;">${escapeHtml(call.urgency_level.toUpperCase())}</strong><br>` : ''}
+        ${escapeHtml(call.ai_summary || '')}
+      </td>
+    </tr>`).join('');
+
+  return `<table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${rows}</table>`;
+}
+
+async function sendDigest(recipient, client, calls, { title, period }) {
+  const agency = client.agencies;
+  const to = getRecipientDestination(recipient, client);
+  if (!to) return false;
+
+  if (recipient.channel === 'sms') {
+    return sendTelnyxSMS(to, formatDigestSMS(client, agency, calls, title));
+  }
+
+  const result = await sendTemplatedEmail('call_digest', {
+    agency,
+    client,
+    to,
+    emailType: 'call_digest',
+    variables: {
+      digest_title: title,
+      digest_period: period,
+      call_count: calls.length,
+      call_list: formatDigestCallList(client, calls),
+      calls_url: `${getAgencyDashboardUrl(agency)}/client/calls`
+    }
+  });
+  return result.success;
+}
+
+/**
+ * Send notifications queued during quiet hours once they're over -
+ * one catch-up message per recipient. Only rows whose quiet hours have
+ * ended are fetched, so clients still in theirs don't fill the batch.
+ */
+async function sendQueuedNotifications(now = new Date()) {
+  const { data: queued, error } = await supabase
+    .from('call_notifications')
+    .select('id, recipient_id, notification_recipients(*), clients(*, agencies(*)), calls(id, customer_name, customer_phone, urgency_level, ai_summary, created_at)')
+    .eq('status', 'queued')
+    .or(`deliver_after.is.null,deliver_after.lte."${now.toISOString()}"`)
+    .order('created_at', { ascending: true })
+    .limit(CRON_BATCH_SIZE);
+
+  if (error) {
+    console.error('Error fetching queued notifications:', error);
+    return { processed: 0, sent: 0, error: error.message };
+  }
+
+  const byRecipient = new Map();
+  for (const row of queued || []) {
+    if (!byRecipient.has(row.recipient_id)) byRecipient.set(row.recipient_id, []);
+    byRecipient.get(row.recipient_id).push(row);
+  }
+
+  let sent = 0;
+
+  for (const rows of byRecipient.values()) {
+    const { notification_recipients: recipient, clients: client } = rows[0];
+    if (!recipient || !client) continue;
+
+    const ids = rows.map(r => r.id);
+
+    // Quiet hours moved since these were queued - wait for the new end
+    const quietUntil = getQuietHoursEnd(client, now);
+    if (quietUntil) {
+      await supabase
+        .from('call_notifications')
+        .update({ deliver_after: quietUntil.toISOString() })
+        .in('id', ids);
+      continue;
+    }
+    const calls = rows.map(r => r.calls).filter(Boolean);
+
+    let delivered = false;
+    if (recipient.is_active && calls.length > 0) {
+      delivered = calls.length === 1
+        ? await sendCallNotification(recipient, client, client.agencies, toCallData(calls[0]))
+        : await sendDigest(recipient, client, calls, { title: 'While you were away', period: 'during quiet hours' });
+    }
+
+    await supabase
+      .from('call_notifications')
+      .update(delivered
+        ? { status: 'sent', sent_at: new Date().toISOString() }
+        : { status: 'failed', error: recipient.is_active ? 'Send failed' : 'Recipient disabled' })
+      .in('id', ids);
+
+    if (delivered) sent++;
+  }
+
+  return { processed: byRecipient.size, sent };
+}
+
+/**
+ * Send the daily digest to recipients whose digest hour has passed today
+ * (client-local) and who haven't had one yet today. Longest-waiting first,
+ * so recipients already sent today can't crowd the rest out of the batch.
+ */
+async function sendDailyDigests(now = new Date()) {
+  const { data: recipients, error } = await supabase
+    .from('notification_recipients')
+    .select('*, clients(*, agencies(*))')
+    .eq('delivery', 'digest')
+    .eq('is_active', true)
+    .order('last_digest_at', { ascending: true, nullsFirst: true })
+    .order('id', { ascending: true })
+    .limit(CRON_BATCH_SIZE);
+
+  if (error) {
+    console.error('Error fetching digest recipients:', error);
+    return { processed: 0, sent: 0, error: error.message };
+  }
+
+  let processed = 0;
+  let sent = 0;
+
+  for (const { clients: client, ...recipient } of recipients || []) {
+    if (!client) continue;
+
+    const timeZone = resolveClientTimezone(client);
+    const digestHour = client.notification_digest_hour ?? DEFAULT_DIGEST_HOUR;
+    if (getZonedParts(now, timeZone).hour < digestHour) continue;
+
+    const lastSentAt = recipient.last_digest_at ? new Date(recipient.last_digest_at) : null;
+    if (lastSentAt && getLocalDateString(lastSentAt, timeZone) === getLocalDateString(now, timeZone)) continue;
+
+    // Claim today's digest - an overlapping cron run matches no row
+    let claim = supabase
+      .from('notification_recipients')
+      .update({ last_digest_at: now.toISOString() })
+      .eq('id', recipient.id);
+    claim = lastSentAt
+      ? claim.eq('last_digest_at', recipient.last_digest_at)
+      : claim.is('last_digest_at', null);
+
+    const { data: claimed } = await claim.select('id');
+    if (!claimed?.length) continue;
+
+    processed++;
+
+    const since = lastSentAt || new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const { data: calls } = await supabase
+      .from('calls')
+      .select('id, customer_name, customer_phone, urgency_level, ai_summary, created_at')
+      .eq('client_id', client.id)
+      .eq('call_status', 'completed')
+      .gt('created_at', since.toISOString())
+      .order('created_at', { ascending: true })
+      .limit(DIGEST_MAX_CALLS);
+
+    const matching = (calls || []).filter(call => meetsUrgency(call.urgency_level, recipient.min_urgency));
+    if (matching.length === 0) continue;
+
+    const delivered = await sendDigest(recipient, client, matching, {
+      title: 'Daily call summary',
+      period: lastSentAt ? 'since your last summary' : 'in the last 24 hours'
+    });
+
+    if (delivered) sent++;
+  }
+
+  return { processed, sent };
+}
+
+/**
+ * Cron: queued quiet-hours notifications + daily digests
+ */
+async function processNotificationQueue() {
+  console.log('🔔 Processing notification queue...');
+
+  const queued = await sendQueuedNotifications();
+  const digests = await sendDailyDigests();
+
+  return { success: !queued.error && !digests.error, queued, digests };
+}
+
+module.exports = {
+  URGENCY_LEVELS,
+  NOTIFICATION_CHANNELS,
+  DELIVERY_MODES,
+  meetsUrgency,
+  isInQuietHours,
+  getRecipientDestination,
+  getNotificationRecipients,
+  createDefaultRecipients,
+  dispatchCallNotifications,
+  processNotificationQueue
+};
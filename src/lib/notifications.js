@@ -3,6 +3,7 @@
 // Multi-tenant aware with agency branding
 // ============================================================================
 const fetch = require('node-fetch');
+const { supabase } = require('./supabase');
 
 // ============================================================================
 // PHONE FORMATTING
@@ -92,7 +93,7 @@ async function sendTelnyxSMS(toPhone, message) {
 // ============================================================================
 // CALL NOTIFICATION SMS (Multi-tenant)
 // ============================================================================
-async function sendCallNotificationSMS(client, agency, callData) {
+async function sendCallNotificationSMS(client, agency, callData, toPhone = client.owner_phone) {
   const { customerName, customerPhone, urgency, summary } = callData;
   
   // Use agency name if available, otherwise platform name
@@ -109,7 +110,7 @@ async function sendCallNotificationSMS(client, agency, callData) {
   smsMessage += `Summary: ${summary}\n`;
   smsMessage += `Powered by ${brandName}`;
   
-  return sendTelnyxSMS(client.owner_phone, smsMessage);
+  return sendTelnyxSMS(toPhone, smsMessage);
 }
 
 // ============================================================================
@@ -148,7 +149,8 @@ async function sendEmail(emailData) {
         from: emailData.from || 'VoiceAI Connect <notifications@voiceaiconnect.com>',
         to: Array.isArray(emailData.to) ? emailData.to : [emailData.to],
         subject: emailData.subject,
-        html: emailData.html
+        html: emailData.html,
+        ...(emailData.replyTo && { reply_to: emailData.replyTo })
       })
     });
 
@@ -168,84 +170,167 @@ async function sendEmail(emailData) {
 }
 
 // ============================================================================
-// CLIENT WELCOME EMAIL (Multi-tenant)
+// LOGGED EMAIL - sendEmail + email_logs row
+// With a dedupeKey the email is sent at most once: the log row claims the key
+// before sending, and a failed send releases it so a later trigger can retry.
+// @returns {{ success: boolean, skipped?: boolean, error?: string }}
 // ============================================================================
-async function sendClientWelcomeEmail(client, agency, tempPassword, passwordToken) {
-  const agencyName = agency?.name || 'VoiceAI Connect';
-  const agencyLogo = agency?.logo_url || 'https://voiceaiconnect.com/logo.png';
-  const primaryColor = agency?.primary_color || '#2563eb';
+async function sendLoggedEmail({ clientId = null, agencyId = null, emailType, dedupeKey = null, metadata = {}, ...emailData }) {
+  const { data: log, error: logError } = await supabase
+    .from('email_logs')
+    .insert({
+      client_id: clientId,
+      agency_id: agencyId,
+      email_type: emailType,
+      recipient_email: emailData.to,
+      subject: emailData.subject,
+      status: 'sending',
+      dedupe_key: dedupeKey,
+      metadata
+    })
+    .select('id')
+    .single();
+
+  if (logError) {
+    if (logError.code === '23505') {
+      return { success: true, skipped: true };
+    }
+    // Logging is best-effort for emails that aren't deduplicated
+    console.error('❌ Email log error:', logError);
+    if (dedupeKey) return { success: false, error: logError.message };
+  }
+
+  const result = await sendEmail(emailData);
+
+  if (log) {
+    await supabase
+      .from('email_logs')
+      .update(result.success
+        ? { status: 'sent', resend_id: result.data?.id || null }
+        : { status: 'failed', error: String(result.error || 'Send failed'), dedupe_key: null })
+      .eq('id', log.id);
+  }
+
+  return result;
+}
+
+// Where an agency's clients log in (verified custom domain, else subdomain)
+function getAgencyDashboardUrl(agency) {
   const platformDomain = process.env.PLATFORM_DOMAIN || 'myvoiceaiconnect.com';
-  
-  // Build the URL based on agency's domain
-  let baseUrl;
+
   if (agency?.marketing_domain && agency?.domain_verified) {
-    baseUrl = `https://${agency.marketing_domain}`;
-  } else if (agency?.slug) {
-    baseUrl = `https://${agency.slug}.${platformDomain}`;
-  } else {
-    baseUrl = `https://${platformDomain}`;
+    return `https://${agency.marketing_domain}`;
   }
-  
-  const fromEmail = agency?.support_email 
-    ? `${agencyName} <${agency.support_email}>`
-    : `${agencyName} <onboarding@voiceaiconnect.com>`;
-  
-  return sendEmail({
-    from: fromEmail,
-    to: client.email,
-    subject: `Welcome to ${agencyName} - Your AI Receptionist is Ready!`,
-    html: `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-      </head>
-      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f9f9f9;">
-        <div style="max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
-          ${agency?.logo_url ? `
-            <div style="text-align: center; margin-bottom: 30px;">
-              <img src="${agencyLogo}" alt="${agencyName}" style="max-height: 60px;">
-            </div>
-          ` : ''}
-          
-          <h1 style="color: ${primaryColor}; font-size: 24px;">Welcome, ${client.owner_name || client.business_name}! 🎉</h1>
-          
-          <p>Your AI receptionist for <strong>${client.business_name}</strong> is ready to start answering calls.</p>
-          
-          <div style="background-color: #f0f4ff; border-left: 4px solid ${primaryColor}; padding: 20px; margin: 20px 0;">
-            <p style="margin: 0 0 10px 0;"><strong>Your AI Phone Number:</strong></p>
-            <p style="font-size: 24px; font-weight: bold; color: ${primaryColor}; margin: 0;">${formatPhoneDisplay(client.vapi_phone_number)}</p>
-          </div>
-          
-          <p><strong>Next Steps:</strong></p>
-          <ol>
-            <li>Set your password to access your dashboard</li>
-            <li>Forward your business line to your new AI number</li>
-            <li>Start receiving call summaries instantly!</li>
-          </ol>
-          
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${baseUrl}/auth/set-password?token=${passwordToken}" 
-               style="display: inline-block; background-color: ${primaryColor}; color: #ffffff; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: bold;">
-              Set Your Password →
-            </a>
+  if (agency?.slug) {
+    return `https://${agency.slug}.${platformDomain}`;
+  }
+  return `https://${platformDomain}`;
+}
+
+// ============================================================================
+// AGENCY EMAIL BRANDING
+// Client-facing mail goes out under the agency's name - from its own domain
+// once verified with Resend (see lib/email-domains.js), otherwise from the
+// platform domain with the agency's reply-to.
+// ============================================================================
+const PLATFORM_EMAIL_DOMAIN = process.env.PLATFORM_EMAIL_DOMAIN || 'voiceaiconnect.com';
+
+/**
+ * From / reply-to for an agency's emails
+ * @param {object} agency - agency row (may be null for direct clients)
+ * @param {string} localPart - platform mailbox used when the agency has no domain
+ * @returns {{ from: string, replyTo?: string }}
+ */
+function getAgencySender(agency, localPart = 'notifications') {
+  // Quotes/brackets in a display name would break the From header
+  const fromName = (agency?.email_from_name || agency?.name || 'VoiceAI Connect').replace(/[<>"]/g, '');
+
+  const address = agency?.email_domain && agency?.email_domain_status === 'verified'
+    ? `${agency.email_from_address || localPart}@${agency.email_domain}`
+    : `${localPart}@${PLATFORM_EMAIL_DOMAIN}`;
+
+  return {
+    from: `${fromName} <${address}>`,
+    replyTo: agency?.email_reply_to || agency?.support_email || undefined
+  };
+}
+
+function renderEmailButton(agency, href, label) {
+  const primaryColor = agency?.primary_color || '#2563eb';
+
+  return `
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${href}"
+         style="display: inline-block; background-color: ${primaryColor}; color: #ffffff; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+        ${label}
+      </a>
+    </div>
+  `;
+}
+
+/**
+ * Wrap email content in the agency's layout (logo, primary color, footer)
+ */
+function renderBrandedEmail(agency, { heading, headingColor, body }) {
+  const agencyName = agency?.name || 'VoiceAI Connect';
+  const supportEmail = agency?.support_email || 'support@voiceaiconnect.com';
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f9f9f9;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+        ${agency?.logo_url ? `
+          <div style="text-align: center; margin-bottom: 30px;">
+            <img src="${agency.logo_url}" alt="${agencyName}" style="max-height: 60px;">
           </div>
-          
-          <p>Your <strong>7-day free trial</strong> has started. No credit card required.</p>
-          
-          <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-          
-          <p style="color: #666; font-size: 14px;">
-            Questions? Reply to this email or contact us at ${agency?.support_email || 'support@voiceaiconnect.com'}
-          </p>
-          
-          <p style="color: #999; font-size: 12px;">
-            © ${new Date().getFullYear()} ${agencyName}
-          </p>
-        </div>
-      </body>
-      </html>
-    `
+        ` : ''}
+
+        ${heading ? `<h2 style="color: ${headingColor || agency?.primary_color || '#2563eb'};">${heading}</h2>` : ''}
+
+        ${body}
+
+        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+
+        <p style="color: #666; font-size: 14px;">
+          Questions? Reply to this email or contact us at ${supportEmail}
+        </p>
+
+        <p style="color: #999; font-size: 12px;">
+          © ${new Date().getFullYear()} ${agencyName}
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Send a client-facing email with the agency's sender and layout.
+ * Pass emailType (and optionally dedupeKey/clientId) to log it to email_logs.
+ */
+async function sendAgencyEmail(agency, { to, subject, heading, headingColor, body, localPart, emailType, clientId, dedupeKey, metadata }) {
+  const emailData = {
+    ...getAgencySender(agency, localPart),
+    to,
+    subject,
+    html: renderBrandedEmail(agency, { heading, headingColor, body })
+  };
+
+  if (!emailType) {
+    return sendEmail(emailData);
+  }
+
+  return sendLoggedEmail({
+    ...emailData,
+    clientId,
+    agencyId: agency?.id || null,
+    emailType,
+    dedupeKey,
+    metadata
   });
 }
 
@@ -318,6 +403,12 @@ module.exports = {
   sendCallNotificationSMS,
   sendWelcomeSMS,
   sendEmail,
-  sendClientWelcomeEmail,
+  sendLoggedEmail,
+  getAgencyDashboardUrl,
+  PLATFORM_EMAIL_DOMAIN,
+  getAgencySender,
+  renderEmailButton,
+  renderBrandedEmail,
+  sendAgencyEmail,
   sendAgencyWelcomeEmail
 };
\ No newline at end of file
@@ -0,0 +1,195 @@
+// ============================================================================
+// OVERAGE BILLING - Calls answered past a client's monthly call limit
+// The agency picks what happens at the limit (agencies.overage_mode):
+//   block - stop answering (the original behaviour)
+//   bill  - keep answering, bill every extra call at price_overage
+//   cap   - keep answering up to overage_cap extra calls, then block
+// Each extra call gets an overage_charges row and an invoice item on the
+// client's subscription (agency's Connect account) via stripe-connect.
+// ============================================================================
+const { supabase } = require('./supabase');
+const { createOverageInvoiceItem } = require('../routes/stripe-connect');
+
+const OVERAGE_MODES = ['block', 'bill', 'cap'];
+
+// Failed invoice items are retried by /api/cron/bill-overages
+const MAX_BILLING_ATTEMPTS = 5;
+const RETRY_BATCH_SIZE = 100;
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+/**
+ * Effective overage policy for a client.
+ * Extra calls can only be billed on an active subscription on the agency's
+ * Connect account - trials, direct clients and agencies without a price block.
+ */
+function getOveragePolicy(client) {
+  const agency = client.agencies;
+  const mode = OVERAGE_MODES.includes(agency?.overage_mode) ? agency.overage_mode : 'block';
+  const priceCents = agency?.price_overage || 0;
+
+  const billable = priceCents > 0 &&
+    client.subscription_status === 'active' &&
+    !!client.stripe_connected_subscription_id &&
+    !!agency?.stripe_account_id;
+
+  return {
+    mode: billable ? mode : 'block',
+    priceCents,
+    cap: mode === 'cap' ? Math.max(agency?.overage_cap || 0, 0) : null
+  };
+}
+
+/**
+ * Whether a client already at its call limit may take another call
+ * @returns {{ allowed: boolean, code?: string, reason?: string }}
+ */
+function checkOverageAllowance(client) {
+  const policy = getOveragePolicy(client);
+  const callLimit = client.monthly_call_limit || 50;
+  const overageCalls = Math.max((client.calls_this_month || 0) - callLimit, 0);
+
+  if (policy.mode === 'block') {
+    return { allowed: false, code: 'limit_reached', reason: 'Monthly call limit reached' };
+  }
+
+  if (policy.mode === 'cap' && overageCalls >= policy.cap) {
+    return { allowed: false, code: 'overage_cap_reached', reason: 'Overage call cap reached' };
+  }
+
+  return { allowed: true };
+}
+
+// ============================================================================
+// CHARGES
+// ============================================================================
+
+/**
+ * Bill one overage charge - creates the Stripe invoice item and records the outcome
+ */
+async function billOverageCharge(client, charge) {
+  try {
+    const invoiceItem = await createOverageInvoiceItem(client, charge);
+
+    await supabase
+      .from('overage_charges')
+      .update({
+        status: 'billed',
+        stripe_invoice_item_id: invoiceItem.id,
+        error: null,
+        attempts: (charge.attempts || 0) + 1,
+        billed_at: new Date().toISOString()
+      })
+      .eq('id', charge.id);
+
+    return true;
+  } catch (error) {
+    console.error(`❌ Overage billing failed for ${client.business_name}:`, error.message);
+
+    await supabase
+      .from('overage_charges')
+      .update({
+        status: 'failed',
+        error: error.message,
+        attempts: (charge.attempts || 0) + 1
+      })
+      .eq('id', charge.id);
+
+    return false;
+  }
+}
+
+/**
+ * Record (and bill) a call that took the client past its limit.
+ * Safe to call twice for the same call - the charge is unique per call.
+ * @param {object} client - client row (with agencies)
+ * @param {string} callId - calls.id
+ * @param {number} callNumber - calls_this_month after this call
+ * @returns {Promise<object|null>} the charge, or null when nothing is owed
+ */
+async function recordOverageCall(client, callId, callNumber) {
+  const callLimit = client.monthly_call_limit || 50;
+  if (!callId || callNumber <= callLimit) return null;
+
+  const policy = getOveragePolicy(client);
+  if (policy.mode === 'block') {
+    // Only numbers not yet gated at call start can get here - don't bill for them
+    console.log(`⚠️ ${client.business_name} went over its limit with overage blocked - not billed`);
+    return null;
+  }
+
+  const { data: charge, error } = await supabase
+    .from('overage_charges')
+    .insert({
+      client_id: client.id,
+      agency_id: client.agency_id,
+      call_id: callId,
+      period_start: client.usage_period_start,
+      call_number: callNumber,
+      amount_cents: policy.priceCents,
+      currency: 'usd'
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      console.log(`♻️ Overage already recorded for call ${callId}`);
+      return null;
+    }
+    console.error('❌ Error recording overage charge:', error);
+    return null;
+  }
+
+  console.log(`💵 Overage call #${callNumber} for ${client.business_name} (${policy.priceCents}¢)`);
+
+  const billed = await billOverageCharge(client, charge);
+  return { ...charge, status: billed ? 'billed' : 'failed' };
+}
+
+/**
+ * Cron: retry overage charges whose invoice item couldn't be created
+ */
+async function retryFailedOverageCharges() {
+  console.log('💵 Retrying failed overage charges...');
+
+  const { data: charges, error } = await supabase
+    .from('overage_charges')
+    .select('*, clients(*, agencies(*))')
+    .eq('status', 'failed')
+    .lt('attempts', MAX_BILLING_ATTEMPTS)
+    .order('created_at', { ascending: true })
+    .limit(RETRY_BATCH_SIZE);
+
+  if (error) {
+    console.error('Error fetching failed overage charges:', error);
+    return { success: false, error: error.message };
+  }
+
+  const results = [];
+
+  for (const charge of charges || []) {
+    const { clients: client, ...chargeRow } = charge;
+    if (!client) continue;
+
+    const billed = await billOverageCharge(client, chargeRow);
+    results.push({ id: charge.id, client_id: charge.client_id, success: billed });
+  }
+
+  return {
+    success: true,
+    processed: results.length,
+    billed: results.filter(r => r.success).length,
+    results
+  };
+}
+
+module.exports = {
+  OVERAGE_MODES,
+  getOveragePolicy,
+  checkOverageAllowance,
+  recordOverageCall,
+  retryFailedOverageCharges
+};
@@ -0,0 +1,334 @@
+// ============================================================================
+// RATE LIMITING - Per-IP throttles and per-account lockout for auth endpoints
+// Counters live in a pluggable store: in-memory (default, one instance) or
+// the rate_limits table (RATE_LIMIT_STORE=database, several instances).
+// Limited requests get 429 with a Retry-After header and retryAfter (seconds).
+// ============================================================================
+const { supabase } = require('./supabase');
+
+// ============================================================================
+// STORES - hit(key, windowMs) / get(key) / reset(key) / purgeExpired()
+// A counter is { count, resetAt, updatedAt } (dates as ms since epoch);
+// the window starts at the first hit and the count restarts once it ends.
+// ============================================================================
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+
+    // Drop finished windows so the map doesn't grow forever
+    this.sweeper = setInterval(() => this.purgeExpired(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    const current = this.counters.get(key);
+
+    const counter = current && current.resetAt > now
+      ? { count: current.count + 1, resetAt: current.resetAt, updatedAt: now }
+      : { count: 1, resetAt: now + windowMs, updatedAt: now };
+
+    this.counters.set(key, counter);
+    return counter;
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= Date.now()) return null;
+    return counter;
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    let purged = 0;
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+        purged++;
+      }
+    }
+    return purged;
+  }
+}
+
+// Shared across instances - increments are atomic in rate_limit_hit()
+class DatabaseStore {
+  toCounter(row) {
+    return {
+      count: row.count,
+      resetAt: new Date(row.reset_at).getTime(),
+      updatedAt: new Date(row.updated_at).getTime()
+    };
+  }
+
+  async hit(key, windowMs) {
+    const { data, error } = await supabase.rpc('rate_limit_hit', {
+      p_key: key,
+      p_window_seconds: Math.ceil(windowMs / 1000)
+    });
+
+    if (error) throw error;
+    return this.toCounter(Array.isArray(data) ? data[0] : data);
+  }
+
+  async get(key) {
+    const { data, error } = await supabase
+      .from('rate_limits')
+      .select('count, reset_at, updated_at')
+      .eq('key', key)
+      .gt('reset_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this.toCounter(data) : null;
+  }
+
+  async reset(key) {
+    const { error } = await supabase.from('rate_limits').delete().eq('key', key);
+    if (error) throw error;
+  }
+
+  async purgeExpired() {
+    const { data, error } = await supabase
+      .from('rate_limits')
+      .delete()
+      .lte('reset_at', new Date().toISOString())
+      .select('key');
+
+    if (error) throw error;
+    return (data || []).length;
+  }
+}
+
+function createStore(type = process.env.RATE_LIMIT_STORE) {
+  if (type === 'database') return new DatabaseStore();
+  return new MemoryStore();
+}
+
+const store = createStore();
+
+// A broken store shouldn't lock everyone out - log it and let the request through
+async function safely(action, fallback) {
+  try {
+    return await action();
+  } catch (error) {
+    console.error('⚠️ Rate limit store error:', error.message || error);
+    return fallback;
+  }
+}
+
+function secondsUntil(time) {
+  return Math.max(1, Math.ceil((time - Date.now()) / 1000));
+}
+
+/**
+ * Send a 429 with the retry hint in both the header and the body
+ */
+function sendTooManyRequests(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: message || 'Too many requests - please try again later',
+    retryAfter
+  });
+}
+
+// ============================================================================
+// FIXED-WINDOW LIMITER - at most `max` requests per key per window
+// ============================================================================
+
+/**
+ * @param {object} options
+ * @param {string} options.name - key prefix, e.g. 'login-ip'
+ * @param {number} options.windowMs
+ * @param {number} options.max
+ * @param {string} [options.message] - 429 error text
+ */
+function createRateLimiter({ name, windowMs, max, message }) {
+  /**
+   * Count one request for key
+   * @returns {Promise<{ allowed: boolean, retryAfter?: number, remaining?: number }>}
+   */
+  async function consume(key) {
+    const counter = await safely(() => store.hit(`${name}:${key}`, windowMs), null);
+    if (!counter) return { allowed: true };
+
+    if (counter.count > max) {
+      return { allowed: false, retryAfter: secondsUntil(counter.resetAt) };
+    }
+    return { allowed: true, remaining: max - counter.count };
+  }
+
+  /**
+   * Express middleware - keyed by client IP unless getKey says otherwise
+   * (getKey returning nothing skips the limit for that request)
+   */
+  function middleware(getKey = req => req.ip) {
+    return async (req, res, next) => {
+      const key = getKey(req);
+      if (!key) return next();
+
+      const result = await consume(key);
+      if (!result.allowed) {
+        console.log(`🚫 Rate limited: ${name} ${key}`);
+        return sendTooManyRequests(res, result.retryAfter, message);
+      }
+      next();
+    };
+  }
+
+  return { name, message, consume, middleware };
+}
+
+// ============================================================================
+// PROGRESSIVE LOCKOUT - failures per account; past the threshold each extra
+// failure doubles the lockout (baseLockMs, 2x, 4x ... up to maxLockMs)
+// ============================================================================
+
+/**
+ * @param {object} options
+ * @param {string} options.name - key prefix, e.g. 'login'
+ * @param {number} options.threshold - failures allowed before the first lockout
+ * @param {number} options.baseLockMs
+ * @param {number} options.maxLockMs
+ * @param {number} options.windowMs - how long failures are remembered
+ */
+function createLockout({ name, threshold, baseLockMs, maxLockMs, windowMs }) {
+  function lockedUntil(counter) {
+    if (!counter || counter.count < threshold) return null;
+
+    const doublings = Math.min(counter.count - threshold, 20);
+    const lockMs = Math.min(baseLockMs * 2 ** doublings, maxLockMs);
+    const until = counter.updatedAt + lockMs;
+
+    return until > Date.now() ? until : null;
+  }
+
+  /**
+   * @returns {Promise<{ locked: boolean, retryAfter?: number }>}
+   */
+  async function check(account) {
+    const counter = await safely(() => store.get(`${name}:${account}`), null);
+    const until = lockedUntil(counter);
+    return until ? { locked: true, retryAfter: secondsUntil(until) } : { locked: false };
+  }
+
+  // Record a failed attempt; says whether the account is now locked
+  async function fail(account) {
+    const counter = await safely(() => store.hit(`${name}:${account}`, windowMs), null);
+    const until = lockedUntil(counter);
+
+    if (until) {
+      console.log(`🔒 Locked out: ${name} ${account} (${counter.count} failures)`);
+      return { locked: true, retryAfter: secondsUntil(until) };
+    }
+    return { locked: false };
+  }
+
+  // Successful sign-in - start counting from zero again
+  async function clear(account) {
+    await safely(() => store.reset(`${name}:${account}`));
+  }
+
+  return { check, fail, clear };
+}
+
+// ============================================================================
+// AUTH LIMITS
+// ============================================================================
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const loginIpLimiter = createRateLimiter({
+  name: 'login-ip',
+  windowMs: 15 * MINUTE,
+  max: 30,
+  message: 'Too many sign-in attempts - please try again later'
+});
+
+// 5 wrong passwords, then 1, 2, 4 ... 60 minute lockouts
+const loginLockout = createLockout({
+  name: 'login',
+  threshold: 5,
+  baseLockMs: MINUTE,
+  maxLockMs: HOUR,
+  windowMs: 24 * HOUR
+});
+
+// 2FA codes are only 6 digits - fewer tries before the lockout
+const twoFactorLockout = createLockout({
+  name: 'two-factor',
+  threshold: 5,
+  baseLockMs: 5 * MINUTE,
+  maxLockMs: HOUR,
+  windowMs: 24 * HOUR
+});
+
+const passwordResetIpLimiter = createRateLimiter({
+  name: 'reset-ip',
+  windowMs: HOUR,
+  max: 10,
+  message: 'Too many password reset requests - please try again later'
+});
+
+// Per inbox: one email a minute and five a day
+const passwordResetCooldown = createRateLimiter({
+  name: 'reset-cooldown',
+  windowMs: MINUTE,
+  max: 1,
+  message: 'A reset email was just sent - please wait before requesting another'
+});
+
+const passwordResetDailyLimiter = createRateLimiter({
+  name: 'reset-daily',
+  windowMs: 24 * HOUR,
+  max: 5,
+  message: 'Too many password reset requests for this email - please try again tomorrow'
+});
+
+const setPasswordIpLimiter = createRateLimiter({
+  name: 'set-password-ip',
+  windowMs: 15 * MINUTE,
+  max: 20
+});
+
+const signupIpLimiter = createRateLimiter({
+  name: 'signup-ip',
+  windowMs: HOUR,
+  max: 10,
+  message: 'Too many signups from this network - please try again later'
+});
+
+// ============================================================================
+// EMAIL LIMITS
+// ============================================================================
+
+// Template test sends, per agency
+const testEmailLimiter = createRateLimiter({
+  name: 'test-email',
+  windowMs: HOUR,
+  max: 10,
+  message: 'Too many test emails - please try again later'
+});
+
+module.exports = {
+  MemoryStore,
+  DatabaseStore,
+  createStore,
+  createRateLimiter,
+  createLockout,
+  sendTooManyRequests,
+  purgeExpiredRateLimits: () => store.purgeExpired(),
+  loginIpLimiter,
+  loginLockout,
+  twoFactorLockout,
+  passwordResetIpLimiter,
+  passwordResetCooldown,
+  passwordResetDailyLimiter,
+  setPasswordIpLimiter,
+  signupIpLimiter,
+  testEmailLimiter
+};
@@ -0,0 +1,179 @@
+// ============================================================================
+// RECORDING STORAGE - Where our copies of call recordings live
+// RECORDING_STORAGE=supabase (default) keeps them in a private Supabase
+// Storage bucket; RECORDING_STORAGE=local writes them under RECORDING_LOCAL_DIR
+// for local development. Both hand out signed URLs that expire - the local
+// ones are HMAC-signed and served by GET /recordings/* (serveLocalRecording).
+// ============================================================================
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { supabase } = require('./supabase');
+
+const RECORDING_STORAGE = (process.env.RECORDING_STORAGE || 'supabase').toLowerCase();
+const RECORDING_BUCKET = process.env.RECORDING_BUCKET || 'call-recordings';
+const RECORDING_LOCAL_DIR = path.resolve(process.env.RECORDING_LOCAL_DIR || './recordings');
+const RECORDING_URL_TTL_SECONDS = parseInt(process.env.RECORDING_URL_TTL_SECONDS, 10) || 3600;
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:8080';
+
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+  webm: 'audio/webm'
+};
+
+// ============================================================================
+// SUPABASE STORAGE
+// ============================================================================
+const supabaseDriver = {
+  async upload(storagePath, buffer, contentType) {
+    const { error } = await supabase.storage
+      .from(RECORDING_BUCKET)
+      .upload(storagePath, buffer, { contentType, upsert: true });
+    if (error) throw error;
+  },
+
+  async remove(storagePaths) {
+    const { error } = await supabase.storage.from(RECORDING_BUCKET).remove(storagePaths);
+    if (error) throw error;
+  },
+
+  // @returns {Promise<Map<string, string>>} path -> signed URL
+  async sign(storagePaths, expiresIn) {
+    const { data, error } = await supabase.storage
+      .from(RECORDING_BUCKET)
+      .createSignedUrls(storagePaths, expiresIn);
+    if (error) throw error;
+
+    return new Map((data || []).filter(item => item.signedUrl).map(item => [item.path, item.signedUrl]));
+  }
+};
+
+// ============================================================================
+// LOCAL FILESYSTEM (development stand-in)
+// ============================================================================
+function getSigningSecret() {
+  const secret = process.env.RECORDING_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('RECORDING_SIGNING_SECRET (or JWT_SECRET) is required to sign local recording links');
+  }
+  return secret;
+}
+
+function signLocalPath(storagePath, expires) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(`${storagePath}:${expires}`).digest('hex');
+}
+
+// Stored paths are <clientId>/<callId>.<ext> - refuse anything that would
+// leave the recordings directory
+function resolveLocalPath(storagePath) {
+  const filePath = path.resolve(RECORDING_LOCAL_DIR, storagePath);
+  return filePath.startsWith(RECORDING_LOCAL_DIR + path.sep) ? filePath : null;
+}
+
+const localDriver = {
+  async upload(storagePath, buffer) {
+    const filePath = resolveLocalPath(storagePath);
+    if (!filePath) throw new Error(`Invalid recording path: ${storagePath}`);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  },
+
+  async remove(storagePaths) {
+    for (const storagePath of storagePaths) {
+      const filePath = resolveLocalPath(storagePath);
+      if (filePath) await fs.promises.rm(filePath, { force: true });
+    }
+  },
+
+  async sign(storagePaths, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return new Map(storagePaths.map(storagePath => [
+      storagePath,
+      `${BACKEND_URL}/recordings/${storagePath}?expires=${expires}&signature=${signLocalPath(storagePath, expires)}`
+    ]));
+  }
+};
+
+function getDriver() {
+  return RECORDING_STORAGE === 'local' ? localDriver : supabaseDriver;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+async function uploadRecording(storagePath, buffer, contentType) {
+  return getDriver().upload(storagePath, buffer, contentType);
+}
+
+async function removeRecordings(storagePaths) {
+  if (!storagePaths.length) return;
+  return getDriver().remove(storagePaths);
+}
+
+/**
+ * Signed, expiring URLs for stored recordings
+ * @param {string[]} storagePaths
+ * @param {number} [expiresIn] - seconds
+ * @returns {Promise<Map<string, string>>} path -> URL (missing paths are left out)
+ */
+async function signRecordingPaths(storagePaths, expiresIn = RECORDING_URL_TTL_SECONDS) {
+  const unique = [...new Set(storagePaths.filter(Boolean))];
+  if (!unique.length) return new Map();
+  return getDriver().sign(unique, expiresIn);
+}
+
+/**
+ * GET /recordings/* - Serve a local recording from a signed URL
+ * 404 unless RECORDING_STORAGE=local
+ */
+async function serveLocalRecording(req, res) {
+  if (RECORDING_STORAGE !== 'local') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const storagePath = req.params[0];
+  const expires = parseInt(req.query.expires, 10);
+  const signature = String(req.query.signature || '');
+
+  let expected = '';
+  try {
+    expected = Number.isInteger(expires) ? signLocalPath(storagePath, expires) : '';
+  } catch (error) {
+    console.error('❌ Local recording link check failed:', error.message);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  const valid = !!expected && expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+
+  if (!valid || expires < Date.now() / 1000) {
+    return res.status(403).json({ error: 'Recording link is invalid or has expired' });
+  }
+
+  const filePath = resolveLocalPath(storagePath);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+
+  const extension = path.extname(filePath).slice(1);
+  res.set('Cache-Control', 'private, no-store');
+  res.type(CONTENT_TYPES[extension] || 'application/octet-stream');
+  res.sendFile(filePath);
+}
+
+module.exports = {
+  RECORDING_STORAGE,
+  RECORDING_BUCKET,
+  RECORDING_URL_TTL_SECONDS,
+  CONTENT_TYPES,
+  uploadRecording,
+  removeRecordings,
+  signRecordingPaths,
+  serveLocalRecording
+};
@@ -0,0 +1,315 @@
+// ============================================================================
+// CALL RECORDINGS - Copy, serve and expire recordings
+// VAPI's recordingUrl is a third-party link we can't revoke, so each recording
+// is copied into our own storage (lib/recording-storage.js) right after the
+// call, with /api/cron/archive-recordings retrying failed copies. Dashboards
+// only ever see signed, expiring URLs for stored copies - never VAPI's link,
+// even while a copy is pending or after it failed. Recordings older than
+// the client's retention period (or else the agency's) are deleted by
+// /api/cron/purge-recordings.
+//
+// calls.recording_status: null (no recording) → pending → copying → stored,
+// or failed (retried up to MAX_ARCHIVE_ATTEMPTS times); deleted once purged.
+// ============================================================================
+const fetch = require('node-fetch');
+const { supabase } = require('./supabase');
+const {
+  RECORDING_URL_TTL_SECONDS,
+  CONTENT_TYPES,
+  uploadRecording,
+  removeRecordings,
+  signRecordingPaths
+} = require('./recording-storage');
+
+const MAX_RECORDING_BYTES = 200 * 1024 * 1024;
+const MAX_ARCHIVE_ATTEMPTS = 5;
+// Wait before retrying a failed copy, or reclaiming one that never finished
+const ARCHIVE_RETRY_MINUTES = 15;
+
+// Per cron run - copies are downloaded one at a time
+const ARCHIVE_BATCH_SIZE = 25;
+const PURGE_BATCH_SIZE = 200;
+
+const MAX_RETENTION_DAYS = 3650;
+
+// Links in downloaded exports outlive a dashboard session
+const EXPORT_RECORDING_URL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Columns withRecordingUrls needs on each call
+const RECORDING_COLUMNS = ['recording_url', 'recording_status', 'recording_storage_path'];
+
+/**
+ * Validate a retention period - null keeps recordings forever (or, for a
+ * client, falls back to the agency's)
+ * @returns {{ days?: number|null, error?: string }}
+ */
+function parseRetentionDays(value) {
+  if (value === null || value === '') return { days: null };
+  if (!Number.isInteger(value) || value < 1 || value > MAX_RETENTION_DAYS) {
+    return { error: `Retention must be a whole number of days from 1 to ${MAX_RETENTION_DAYS}, or null` };
+  }
+  return { days: value };
+}
+
+// ============================================================================
+// ARCHIVING
+// ============================================================================
+
+function getRecordingExtension(contentType, url) {
+  const fromType = Object.keys(CONTENT_TYPES).find(extension =>
+    CONTENT_TYPES[extension] === String(contentType || '').split(';')[0].trim().toLowerCase()
+  );
+  if (fromType) return fromType;
+
+  const fromUrl = String(url || '').split('?')[0].split('.').pop().toLowerCase();
+  return CONTENT_TYPES[fromUrl] ? fromUrl : 'wav';
+}
+
+async function markArchiveFailed(callId, message) {
+  await supabase
+    .from('calls')
+    .update({ recording_status: 'failed', recording_error: String(message).slice(0, 500) })
+    .eq('id', callId)
+    .eq('recording_status', 'copying');
+}
+
+/**
+ * Copy one call's recording into storage
+ * Claimed by bumping recording_attempts, so the webhook and the cron job
+ * never copy the same call at once
+ * @param {object} call - { id, client_id, recording_url, recording_attempts }
+ * @returns {Promise<{ status: 'stored'|'failed'|'skipped'|'discarded', error?: string }>}
+ */
+async function archiveCallRecording(call) {
+  if (!call?.recording_url) return { status: 'skipped' };
+
+  const attempts = call.recording_attempts || 0;
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('calls')
+    .update({
+      recording_status: 'copying',
+      recording_attempts: attempts + 1,
+      recording_claimed_at: new Date().toISOString()
+    })
+    .eq('id', call.id)
+    .eq('recording_attempts', attempts)
+    .in('recording_status', ['pending', 'copying', 'failed'])
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) return { status: 'skipped' };
+
+  try {
+    const response = await fetch(call.recording_url);
+    if (!response.ok) {
+      throw new Error(`Download failed: ${response.status}`);
+    }
+
+    if (Number(response.headers.get('content-length')) > MAX_RECORDING_BYTES) {
+      throw new Error('Recording is too large to store');
+    }
+
+    const buffer = await response.buffer();
+    if (!buffer.length) throw new Error('Recording is empty');
+    if (buffer.length > MAX_RECORDING_BYTES) throw new Error('Recording is too large to store');
+
+    const extension = getRecordingExtension(response.headers.get('content-type'), call.recording_url);
+    const storagePath = `${call.client_id}/${call.id}.${extension}`;
+
+    await uploadRecording(storagePath, buffer, CONTENT_TYPES[extension]);
+
+    const { data: stored, error } = await supabase
+      .from('calls')
+      .update({
+        recording_status: 'stored',
+        recording_storage_path: storagePath,
+        recording_size_bytes: buffer.length,
+        recording_stored_at: new Date().toISOString(),
+        recording_error: null
+      })
+      .eq('id', call.id)
+      .eq('recording_status', 'copying')
+      .select('id');
+
+    if (error) throw error;
+
+    // Purged by retention while we were copying - don't keep the file
+    if (!stored || stored.length === 0) {
+      await removeRecordings([storagePath]);
+      return { status: 'discarded' };
+    }
+
+    console.log(`🎙️ Recording stored: ${storagePath} (${Math.round(buffer.length / 1024)} KB)`);
+    return { status: 'stored' };
+  } catch (error) {
+    console.error(`❌ Recording copy failed for call ${call.id} (attempt ${attempts + 1}):`, error.message || error);
+    await markArchiveFailed(call.id, error.message || error);
+
+    if (attempts + 1 >= MAX_ARCHIVE_ATTEMPTS) {
+      console.error(`🚨 Giving up on recording for call ${call.id} after ${MAX_ARCHIVE_ATTEMPTS} attempts - it won't be playable`);
+    }
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Copy recordings still waiting (new, failed, or abandoned mid-copy)
+ */
+async function archivePendingRecordings() {
+  console.log('🎙️ Archiving call recordings...');
+
+  const retryBefore = new Date(Date.now() - ARCHIVE_RETRY_MINUTES * 60 * 1000).toISOString();
+
+  const { data: pending, error } = await supabase
+    .from('calls')
+    .select('id, client_id, recording_url, recording_attempts')
+    .or(`recording_status.eq.pending,and(recording_status.in.(copying,failed),recording_claimed_at.lt."${retryBefore}")`)
+    .lt('recording_attempts', MAX_ARCHIVE_ATTEMPTS)
+    .order('created_at', { ascending: true })
+    .limit(ARCHIVE_BATCH_SIZE);
+
+  if (error) {
+    console.error('Error fetching recordings to archive:', error);
+    return { success: false, error: error.message };
+  }
+
+  // Copies that ran out of attempts - they need someone to look at them
+  const { count: givenUp } = await supabase
+    .from('calls')
+    .select('id', { count: 'exact', head: true })
+    .eq('recording_status', 'failed')
+    .gte('recording_attempts', MAX_ARCHIVE_ATTEMPTS);
+
+  if (givenUp) {
+    console.error(`🚨 ${givenUp} call recording${givenUp === 1 ? '' : 's'} could not be copied after ${MAX_ARCHIVE_ATTEMPTS} attempts`);
+  }
+
+  const results = [];
+  for (const call of pending || []) {
+    try {
+      const { status, error: copyError } = await archiveCallRecording(call);
+      results.push({ id: call.id, status, ...(copyError && { error: copyError }) });
+    } catch (err) {
+      console.error('Error archiving recording for', call.id, err);
+      results.push({ id: call.id, status: 'failed', error: err.message });
+    }
+  }
+
+  return {
+    success: true,
+    processed: results.length,
+    stored: results.filter(result => result.status === 'stored').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    given_up: givenUp || 0,
+    // A full batch means there may be more recordings waiting for the next run
+    hasMore: (pending?.length || 0) === ARCHIVE_BATCH_SIZE,
+    results
+  };
+}
+
+// ============================================================================
+// RETENTION
+// ============================================================================
+
+/**
+ * Delete recordings past their retention period - our copy, and the link to
+ * VAPI's so the call no longer counts as having a recording
+ */
+async function purgeExpiredRecordings() {
+  console.log('🗑️ Purging expired call recordings...');
+
+  const { data: expired, error } = await supabase
+    .rpc('get_expired_recordings', { p_limit: PURGE_BATCH_SIZE });
+
+  if (error) {
+    console.error('Error fetching expired recordings:', error);
+    return { success: false, error: error.message };
+  }
+
+  if (!expired?.length) {
+    return { success: true, purged: 0, hasMore: false };
+  }
+
+  // Files first - if storage fails, the calls are picked up again next run
+  try {
+    await removeRecordings(expired.map(call => call.recording_storage_path).filter(Boolean));
+  } catch (err) {
+    console.error('Error deleting recording files:', err);
+    return { success: false, error: err.message };
+  }
+
+  const { error: updateError } = await supabase
+    .from('calls')
+    .update({
+      recording_url: null,
+      recording_storage_path: null,
+      recording_status: 'deleted',
+      recording_deleted_at: new Date().toISOString()
+    })
+    .in('id', expired.map(call => call.id));
+
+  if (updateError) {
+    console.error('Error marking recordings deleted:', updateError);
+    return { success: false, error: updateError.message };
+  }
+
+  console.log(`✅ Purged ${expired.length} expired recordings`);
+
+  return {
+    success: true,
+    purged: expired.length,
+    hasMore: expired.length === PURGE_BATCH_SIZE
+  };
+}
+
+// ============================================================================
+// SERVING
+// ============================================================================
+
+/**
+ * Replace recording_url with a signed link to our copy (adds
+ * recording_url_expires_at). Calls without a stored copy - pending, copying,
+ * failed or deleted - get null; recording_status says why. Needs
+ * RECORDING_COLUMNS on each call.
+ * @param {object[]} calls
+ * @param {object} [options]
+ * @param {number} [options.expiresIn] - seconds
+ * @returns {Promise<object[]>} new call objects
+ */
+async function withRecordingUrls(calls, { expiresIn = RECORDING_URL_TTL_SECONDS } = {}) {
+  const storedPaths = calls
+    .filter(call => call.recording_status === 'stored')
+    .map(call => call.recording_storage_path);
+
+  let signed = new Map();
+  if (storedPaths.length) {
+    try {
+      signed = await signRecordingPaths(storedPaths, expiresIn);
+    } catch (error) {
+      console.error('⚠️ Recording URL signing failed:', error.message || error);
+    }
+  }
+
+  const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+
+  return calls.map(({ recording_storage_path, ...call }) => {
+    if (call.recording_status !== 'stored') {
+      return { ...call, recording_url: null, recording_url_expires_at: null };
+    }
+
+    const url = signed.get(recording_storage_path) || null;
+    return { ...call, recording_url: url, recording_url_expires_at: url ? expiresAt : null };
+  });
+}
+
+module.exports = {
+  MAX_RETENTION_DAYS,
+  EXPORT_RECORDING_URL_TTL_SECONDS,
+  RECORDING_COLUMNS,
+  parseRetentionDays,
+  archiveCallRecording,
+  archivePendingRecordings,
+  purgeExpiredRecordings,
+  withRecordingUrls
+};
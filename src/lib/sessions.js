@@ -0,0 +1,205 @@
+// ============================================================================
+// USER SESSIONS - Refresh tokens + server-side revocation
+// Each login creates a user_sessions row. The access JWT (routes/auth.js)
+// carries the session id and lives 15 minutes; the refresh token lives 30
+// days and is rotated on every use. Only a SHA-256 of it is stored.
+// ============================================================================
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+
+const REFRESH_TOKEN_DAYS = 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+// Behind Railway / Vercel req.ip comes from X-Forwarded-For - only the hops
+// trusted in server.js (TRUST_PROXY), so clients can't spoof it
+function getRequestIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+// "Chrome on macOS" - enough to recognise a device in the sessions list
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    null;
+
+  const os =
+    /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+function getDeviceFields(req) {
+  return {
+    user_agent: req?.headers?.['user-agent']?.substring(0, 500) || null,
+    ip_address: req ? getRequestIp(req) : null
+  };
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @returns {Promise<{ id: string, refreshToken: string }>}
+ */
+async function createSession(userId, req) {
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_DAYS);
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .insert({
+      user_id: userId,
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: expiresAt.toISOString(),
+      ...getDeviceFields(req)
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  return { id: session.id, refreshToken };
+}
+
+/**
+ * Swap a refresh token for a new one (rotation)
+ * Replaying an already-rotated token revokes the whole session.
+ * @returns {Promise<{ session?: object, refreshToken?: string, error?: string }>}
+ */
+async function rotateSession(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+  const newToken = generateRefreshToken();
+  const now = new Date().toISOString();
+
+  // Claim the token - only one request can rotate it
+  const { data: session } = await supabase
+    .from('user_sessions')
+    .update({
+      refresh_token_hash: hashToken(newToken),
+      previous_token_hash: tokenHash,
+      last_used_at: now,
+      ...getDeviceFields(req)
+    })
+    .eq('refresh_token_hash', tokenHash)
+    .is('revoked_at', null)
+    .gt('expires_at', now)
+    .select()
+    .maybeSingle();
+
+  if (session) {
+    return { session, refreshToken: newToken };
+  }
+
+  const { data: replayed } = await supabase
+    .from('user_sessions')
+    .select('id, user_id')
+    .eq('previous_token_hash', tokenHash)
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (replayed) {
+    console.warn(`🚨 Refresh token reused - revoking session ${replayed.id} (user ${replayed.user_id})`);
+    await revokeSession(replayed.id, 'refresh_token_reused');
+  }
+
+  return { error: 'Invalid or expired refresh token' };
+}
+
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+
+  const { data } = await supabase
+    .from('user_sessions')
+    .select('id')
+    .eq('id', sessionId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  return !!data;
+}
+
+async function revokeSession(sessionId, reason = 'logout', userId = null) {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  // Scoped to the user when a user revokes one of their own sessions
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Revoke every session for a user (logout everywhere, password change, removal)
+ * @param {object} [options]
+ * @param {string} [options.exceptSessionId] - keep this one signed in
+ * @returns {Promise<number>} sessions revoked
+ */
+async function revokeUserSessions(userId, reason, { exceptSessionId = null } = {}) {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+
+  const count = (data || []).length;
+  if (count) console.log(`🔒 Revoked ${count} session(s) for user ${userId} (${reason})`);
+  return count;
+}
+
+async function listUserSessions(userId) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select('id, user_agent, ip_address, created_at, last_used_at, expires_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) throw error;
+
+  return (data || []).map(session => ({
+    ...session,
+    device: describeDevice(session.user_agent)
+  }));
+}
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  getRequestIp,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions
+};
@@ -0,0 +1,153 @@
+// ============================================================================
+// SIGNUP PROTECTION - Checks before a public client signup is accepted
+// Public signups end up buying a phone number, so they must pass a CAPTCHA
+// (when configured), use a real inbox, and stay inside per-agency and per-IP
+// daily quotas. Counts come from client_signups, so they hold across instances.
+// ============================================================================
+const fetch = require('node-fetch');
+const { supabase } = require('./supabase');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_AGENCY_DAILY_LIMIT = parseInt(process.env.CLIENT_SIGNUP_DAILY_LIMIT, 10) || 25;
+const DEFAULT_IP_DAILY_LIMIT = parseInt(process.env.CLIENT_SIGNUP_IP_DAILY_LIMIT, 10) || 3;
+
+// ============================================================================
+// CAPTCHA - CAPTCHA_PROVIDER = turnstile | hcaptcha | recaptcha (unset = off)
+// ============================================================================
+const CAPTCHA_VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+function isCaptchaEnabled() {
+  return !!(CAPTCHA_VERIFY_URLS[process.env.CAPTCHA_PROVIDER] && process.env.CAPTCHA_SECRET_KEY);
+}
+
+/**
+ * Check the widget token the frontend got from the CAPTCHA provider
+ * Always passes when no provider is configured
+ * @returns {Promise<boolean>}
+ */
+async function verifyCaptcha(token, ip) {
+  if (!isCaptchaEnabled()) return true;
+  if (!token) return false;
+
+  try {
+    const params = new URLSearchParams({
+      secret: process.env.CAPTCHA_SECRET_KEY,
+      response: token
+    });
+    if (ip) params.append('remoteip', ip);
+
+    const response = await fetch(CAPTCHA_VERIFY_URLS[process.env.CAPTCHA_PROVIDER], {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: params.toString()
+    });
+
+    const result = await response.json();
+    if (!result.success) {
+      console.log('🤖 CAPTCHA rejected:', (result['error-codes'] || []).join(', ') || 'no reason');
+    }
+    return !!result.success;
+  } catch (error) {
+    console.error('❌ CAPTCHA verification error:', error.message);
+    return false;
+  }
+}
+
+// ============================================================================
+// DISPOSABLE EMAIL - common throwaway inbox providers, plus
+// DISPOSABLE_EMAIL_DOMAINS (comma-separated) for new ones
+// ============================================================================
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  '10minutemail.com', '20minutemail.com', 'burnermail.io', 'discard.email',
+  'dispostable.com', 'emailondeck.com', 'fakeinbox.com', 'getairmail.com',
+  'getnada.com', 'guerrillamail.com', 'guerrillamail.net', 'guerrillamail.org',
+  'guerrillamailblock.com', 'harakirimail.com', 'inboxkitten.com', 'mailcatch.com',
+  'maildrop.cc', 'mailinator.com', 'mailinator.net', 'mailnesia.com',
+  'mintemail.com', 'mohmal.com', 'moakt.com', 'mytemp.email',
+  'sharklasers.com', 'spam4.me', 'spamgourmet.com', 'temp-mail.org',
+  'tempail.com', 'tempmail.com', 'tempmail.net', 'tempmailo.com',
+  'tempr.email', 'throwawaymail.com', 'trashmail.com', 'trashmail.de',
+  'yopmail.com', 'yopmail.fr', 'yopmail.net'
+]);
+
+for (const domain of (process.env.DISPOSABLE_EMAIL_DOMAINS || '').split(',')) {
+  if (domain.trim()) DISPOSABLE_EMAIL_DOMAINS.add(domain.trim().toLowerCase());
+}
+
+// Matches the domain and its subdomains (e.g. x.mailinator.com)
+function isDisposableEmail(email) {
+  const domain = String(email || '').split('@')[1]?.trim().toLowerCase();
+  if (!domain) return false;
+
+  const parts = domain.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (DISPOSABLE_EMAIL_DOMAINS.has(parts.slice(i).join('.'))) return true;
+  }
+  return false;
+}
+
+// ============================================================================
+// DAILY QUOTAS - rolling 24 hours of client_signups rows
+// ============================================================================
+
+/**
+ * Signups in the last 24 hours matching column = value
+ * @returns {Promise<{ count: number, oldest: string|null }>}
+ */
+async function countRecentSignups(column, value) {
+  const { data, count, error } = await supabase
+    .from('client_signups')
+    .select('created_at', { count: 'exact' })
+    .eq(column, value)
+    .gte('created_at', new Date(Date.now() - DAY_MS).toISOString())
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) throw error;
+  return { count: count || 0, oldest: data?.[0]?.created_at || null };
+}
+
+function getAgencySignupLimit(agency) {
+  return Number.isInteger(agency.signup_daily_limit) ? agency.signup_daily_limit : DEFAULT_AGENCY_DAILY_LIMIT;
+}
+
+// Seconds until the oldest signup in the window stops counting
+function retryAfterFrom(oldest) {
+  if (!oldest) return 60;
+  return Math.max(60, Math.ceil((new Date(oldest).getTime() + DAY_MS - Date.now()) / 1000));
+}
+
+/**
+ * Per-agency and per-IP daily quotas
+ * @returns {Promise<{ allowed: boolean, reason?: 'agency'|'ip', retryAfter?: number }>}
+ */
+async function checkSignupQuotas(agency, ip) {
+  const agencySignups = await countRecentSignups('agency_id', agency.id);
+  if (agencySignups.count >= getAgencySignupLimit(agency)) {
+    return { allowed: false, reason: 'agency', retryAfter: retryAfterFrom(agencySignups.oldest) };
+  }
+
+  if (ip) {
+    const ipSignups = await countRecentSignups('ip_address', ip);
+    if (ipSignups.count >= DEFAULT_IP_DAILY_LIMIT) {
+      return { allowed: false, reason: 'ip', retryAfter: retryAfterFrom(ipSignups.oldest) };
+    }
+  }
+
+  return { allowed: true };
+}
+
+module.exports = {
+  DEFAULT_AGENCY_DAILY_LIMIT,
+  DEFAULT_IP_DAILY_LIMIT,
+  isCaptchaEnabled,
+  verifyCaptcha,
+  isDisposableEmail,
+  getAgencySignupLimit,
+  checkSignupQuotas
+};
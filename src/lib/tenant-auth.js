@@ -0,0 +1,163 @@
+// ============================================================================
+// TENANT AUTHORIZATION - Who may act on which agency / client
+// Every agency and client API route verifies the JWT (authMiddleware) and
+// checks the caller belongs to the tenant in the request:
+//   super_admin                 - any agency, any client
+//   agency_owner / agency_staff - their own agency and its clients
+//   client                      - only their own client (members: no billing)
+// Staff are further limited to the permissions on their users row and client
+// users to their client_role; both are re-read on every request so changes
+// and removal apply immediately. Agency users signed in as a client
+// (lib/impersonation.js) get the client's access minus its owner-only routes.
+// Routers hook it in with router.param so it runs for every route that
+// carries the id; routes taking the id in the body use the middleware form.
+// ============================================================================
+const { supabase } = require('./supabase');
+const { authMiddleware } = require('../routes/auth');
+const { hasPermission } = require('./agency-permissions');
+const { isImpersonating, IMPERSONATION_BLOCKED_MESSAGE } = require('./impersonation');
+
+const AGENCY_ROLES = ['agency_owner', 'agency_staff'];
+
+// Roles whose access can change after the JWT is issued
+const MEMBER_ROLES = ['agency_staff', 'client'];
+
+const verifyJwt = authMiddleware();
+
+/**
+ * Verify the JWT, then load the member's current access
+ * Sets req.user (+ permissions for agency_staff, clientRole for client users)
+ */
+function authenticate(req, res, next) {
+  return verifyJwt(req, res, async () => {
+    if (!MEMBER_ROLES.includes(req.user.role)) return next();
+
+    try {
+      const { data: member } = await supabase
+        .from('users')
+        .select('agency_id, client_id, role, permissions, client_role, is_active')
+        .eq('id', req.user.userId)
+        .maybeSingle();
+
+      const sameTenant = req.user.role === 'client'
+        ? member?.client_id === req.user.clientId
+        : member?.agency_id === req.user.agencyId;
+
+      if (!member || member.is_active === false || member.role !== req.user.role || !sameTenant) {
+        return res.status(401).json({ error: 'Account disabled' });
+      }
+
+      req.user.permissions = member.permissions || [];
+      req.user.clientRole = member.client_role;
+      next();
+    } catch (error) {
+      console.error('❌ Staff lookup error:', error);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
+  });
+}
+
+function isSuperAdmin(user) {
+  return user?.role === 'super_admin';
+}
+
+function canAccessAgency(user, agencyId, permission = null) {
+  if (!user || !agencyId) return false;
+  if (isSuperAdmin(user)) return true;
+  return AGENCY_ROLES.includes(user.role) && user.agencyId === agencyId &&
+    hasPermission(user, permission);
+}
+
+// Never true for an impersonation token - billing and the team stay with the client
+function isClientOwner(user) {
+  return user?.role === 'client' && user.clientRole === 'owner' && !isImpersonating(user);
+}
+
+/**
+ * @param {boolean} [ownerOnly] - client members are refused (billing, team)
+ */
+async function canAccessClient(user, clientId, ownerOnly = false) {
+  if (!user || !clientId) return false;
+  if (isSuperAdmin(user)) return true;
+  if (user.role === 'client') {
+    return user.clientId === clientId && (!ownerOnly || isClientOwner(user));
+  }
+  if (!AGENCY_ROLES.includes(user.role) || !user.agencyId) return false;
+  if (!hasPermission(user, 'clients')) return false;
+
+  const { data: client } = await supabase
+    .from('clients')
+    .select('agency_id')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  return !!client && client.agency_id === user.agencyId;
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Require a caller who can act on the agency
+ * @param {function} getAgencyId - reads the agency id from the request
+ * @param {string} [permission] - staff permission the route needs
+ */
+function requireAgencyAccess(getAgencyId = req => req.params.agencyId, permission = null) {
+  return (req, res, next) => authenticate(req, res, () => {
+    if (!canAccessAgency(req.user, getAgencyId(req), permission)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    next();
+  });
+}
+
+/**
+ * Require a caller who can act on the client
+ * @param {function} getClientId - reads the client id from the request
+ * @param {object} [options]
+ * @param {boolean} [options.ownerOnly] - client members are refused
+ */
+function requireClientAccess(getClientId = req => req.params.id, { ownerOnly = false } = {}) {
+  return (req, res, next) => authenticate(req, res, async () => {
+    try {
+      if (ownerOnly && isImpersonating(req.user)) {
+        return res.status(403).json({ error: IMPERSONATION_BLOCKED_MESSAGE });
+      }
+      if (!(await canAccessClient(req.user, getClientId(req), ownerOnly))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      next();
+    } catch (error) {
+      console.error('❌ Tenant authorization error:', error);
+      res.status(500).json({ error: 'Authorization failed' });
+    }
+  });
+}
+
+// router.param('agencyId', authorizeAgencyParam('leads')) - CORS preflights pass
+function authorizeAgencyParam(permission = null) {
+  return (req, res, next, agencyId) => {
+    if (req.method === 'OPTIONS') return next();
+    return requireAgencyAccess(() => agencyId, permission)(req, res, next);
+  };
+}
+
+// router.param('id', authorizeClientParam)
+function authorizeClientParam(req, res, next, clientId) {
+  if (req.method === 'OPTIONS') return next();
+  return requireClientAccess(() => clientId)(req, res, next);
+}
+
+module.exports = {
+  AGENCY_ROLES,
+  authenticate,
+  isSuperAdmin,
+  isClientOwner,
+  canAccessAgency,
+  canAccessClient,
+  requireAgencyAccess,
+  requireClientAccess,
+  authorizeAgencyParam,
+  authorizeClientParam
+};
@@ -0,0 +1,200 @@
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION - Enrollment, code checks, agency enforcement
+// A user with totp_enabled (or whose agency requires 2FA) gets a short-lived
+// challenge token from login instead of a session; POST /api/auth/2fa/verify
+// trades it plus a code for the real tokens (routes/two-factor.js).
+// ============================================================================
+const crypto = require('crypto');
+const { supabase, getAgencyById } = require('./supabase');
+const {
+  generateSecret,
+  verifyTotp,
+  getOtpauthUrl,
+  encryptSecret,
+  decryptSecret
+} = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = 'VoiceAI Connect';
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// xxxx-xxxx codes, shown once - only hashes are stored
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(4).toString('hex');
+    codes.push(`${raw.substring(0, 4)}-${raw.substring(4)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Whether the user's agency makes 2FA mandatory for them
+ * @param {object} user - users row (getUserByEmail / getUserById shape)
+ */
+async function isTwoFactorEnforced(user) {
+  if (['agency_owner', 'agency_staff'].includes(user.role) && user.agency_id) {
+    const agency = user.agencies || await getAgencyById(user.agency_id);
+    return !!agency?.require_2fa;
+  }
+
+  if (user.role === 'client') {
+    const agencyId = user.clients?.agency_id;
+    if (!agencyId) return false;
+    const agency = await getAgencyById(agencyId);
+    return !!agency?.require_client_2fa;
+  }
+
+  return false;
+}
+
+/**
+ * Start (or restart) enrollment - the secret is saved but not active yet
+ * @returns {Promise<{ secret: string, otpauth_url: string }>}
+ */
+async function startEnrollment(user) {
+  const secret = generateSecret();
+
+  const { error } = await supabase
+    .from('users')
+    .update({ totp_secret: encryptSecret(secret), totp_enabled: false, totp_last_step: null })
+    .eq('id', user.id);
+
+  if (error) throw error;
+
+  return { secret, otpauth_url: getOtpauthUrl(secret, user.email, TOTP_ISSUER) };
+}
+
+/**
+ * Accept a TOTP code once - the step is claimed so it can't be replayed
+ * @returns {Promise<boolean>}
+ */
+async function checkTotpCode(user, code) {
+  if (!user.totp_secret) return false;
+
+  const step = verifyTotp(decryptSecret(user.totp_secret), code);
+  if (step === null) return false;
+
+  const { data } = await supabase
+    .from('users')
+    .update({ totp_last_step: step })
+    .eq('id', user.id)
+    .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+    .select('id');
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @returns {Promise<{ recoveryCodes?: string[], error?: string }>}
+ */
+async function enableTwoFactor(user, code) {
+  if (user.totp_enabled) return { error: 'Two-factor authentication is already on' };
+  if (!user.totp_secret) return { error: 'Start two-factor setup first' };
+
+  if (!(await checkTotpCode(user, code))) {
+    return { error: 'Invalid code' };
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      totp_enabled: true,
+      totp_enabled_at: new Date().toISOString(),
+      totp_recovery_codes: hashes
+    })
+    .eq('id', user.id);
+
+  if (error) throw error;
+
+  console.log(`🔐 2FA enabled: ${user.email}`);
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Check a login / confirmation code: authenticator code or recovery code
+ * @returns {Promise<{ ok: boolean, method?: 'totp'|'recovery_code', remaining?: number }>}
+ */
+async function verifyTwoFactorCode(user, { code, recoveryCode } = {}) {
+  if (!user.totp_enabled) return { ok: false };
+
+  if (code && await checkTotpCode(user, code)) {
+    return { ok: true, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const stored = user.totp_recovery_codes || [];
+    if (!stored.includes(hash)) return { ok: false };
+
+    const remaining = stored.filter(h => h !== hash);
+    const { data } = await supabase
+      .from('users')
+      .update({ totp_recovery_codes: remaining })
+      .eq('id', user.id)
+      .contains('totp_recovery_codes', [hash])
+      .select('id');
+
+    if (!(data || []).length) return { ok: false };
+
+    console.log(`🔐 Recovery code used: ${user.email} (${remaining.length} left)`);
+    return { ok: true, method: 'recovery_code', remaining: remaining.length };
+  }
+
+  return { ok: false };
+}
+
+// Replace all recovery codes (the old ones stop working)
+async function regenerateRecoveryCodes(userId) {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  const { error } = await supabase
+    .from('users')
+    .update({ totp_recovery_codes: hashes })
+    .eq('id', userId);
+
+  if (error) throw error;
+  return codes;
+}
+
+// Turn 2FA off and forget the secret (user disable or super admin reset)
+async function clearTwoFactor(userId) {
+  const { error } = await supabase
+    .from('users')
+    .update({
+      totp_secret: null,
+      totp_enabled: false,
+      totp_enabled_at: null,
+      totp_last_step: null,
+      totp_recovery_codes: []
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
+function getTwoFactorStatus(user) {
+  return {
+    enabled: !!user.totp_enabled,
+    enabled_at: user.totp_enabled_at || null,
+    recovery_codes_remaining: (user.totp_recovery_codes || []).length
+  };
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  isTwoFactorEnforced,
+  startEnrollment,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  clearTwoFactor,
+  getTwoFactorStatus
+};
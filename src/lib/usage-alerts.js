@@ -0,0 +1,138 @@
+// ============================================================================
+// USAGE ALERTS - 80% warning & limit reached emails (Multi-tenant)
+// Sent to the client from the agency's sender and copied to the agency owner so
+// they can suggest an upgrade. Each email goes out once per usage period
+// (deduplicated through email_logs), whatever the call count jumped to.
+// ============================================================================
+const { getAgencyDashboardUrl } = require('./notifications');
+const { sendTemplatedEmail } = require('./email-templates');
+const { getCalendarMonthPeriod } = require('./usage');
+const { getOveragePolicy } = require('./overage');
+
+const USAGE_WARNING_THRESHOLD = 0.8;
+
+// Usage period the alert belongs to - the dedupe key is scoped to it
+function getPeriodKey(client) {
+  return client.usage_period_start
+    ? new Date(client.usage_period_start).toISOString()
+    : getCalendarMonthPeriod(client).start.toISOString();
+}
+
+function formatCents(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+// What happens to calls past the limit - `whose` is 'your' for the client,
+// 'their' for the agency owner's copy
+function describeOverage(client, whose = 'your') {
+  const policy = getOveragePolicy(client);
+  const Whose = whose.charAt(0).toUpperCase() + whose.slice(1);
+
+  if (policy.mode === 'bill') {
+    return `${Whose} AI receptionist will keep answering calls. Each additional call is billed at <strong>${formatCents(policy.priceCents)}</strong> on ${whose} next invoice.`;
+  }
+  if (policy.mode === 'cap') {
+    return `${Whose} AI receptionist will answer up to <strong>${policy.cap} additional calls</strong> at ${formatCents(policy.priceCents)} each, then stop answering until ${whose} next billing period.`;
+  }
+  return `New calls will not be answered by ${whose} AI receptionist until ${whose} next billing period.`;
+}
+
+/**
+ * Send one alert to the client (alertType template) and a copy to the agency
+ * owner (`${alertType}_agency` template)
+ */
+async function sendUsageAlert(client, alertType, variables) {
+  const agency = client.agencies;
+  const periodKey = getPeriodKey(client);
+  const metadata = {
+    period_start: periodKey,
+    calls_used: client.calls_this_month,
+    call_limit: client.monthly_call_limit
+  };
+
+  const results = [];
+
+  if (client.email) {
+    results.push(await sendTemplatedEmail(alertType, {
+      agency,
+      client,
+      to: client.email,
+      emailType: alertType,
+      dedupeKey: `${alertType}:client:${client.id}:${periodKey}`,
+      metadata,
+      variables: {
+        ...variables,
+        overage_details: describeOverage(client),
+        upgrade_url: `${getAgencyDashboardUrl(agency)}/client/upgrade`
+      }
+    }));
+  }
+
+  if (agency?.email) {
+    results.push(await sendTemplatedEmail(`${alertType}_agency`, {
+      agency,
+      client,
+      to: agency.email,
+      emailType: `${alertType}_agency`,
+      dedupeKey: `${alertType}:agency:${client.id}:${periodKey}`,
+      metadata,
+      variables: {
+        ...variables,
+        overage_details: describeOverage(client, 'their')
+      }
+    }));
+  }
+
+  const sent = results.filter(r => r.success && !r.skipped).length;
+  if (sent > 0) {
+    console.log(`📧 ${alertType} email sent for ${client.business_name} (${sent} recipient${sent === 1 ? '' : 's'})`);
+  }
+
+  return results;
+}
+
+// ============================================================================
+// ALERTS
+// ============================================================================
+async function sendUsageWarningEmail(client, callsUsed, callLimit) {
+  return sendUsageAlert(client, 'usage_warning', {
+    calls_used: callsUsed,
+    call_limit: callLimit,
+    percent_used: Math.round((callsUsed / callLimit) * 100),
+    plan_name: client.plan_type || 'starter'
+  });
+}
+
+async function sendLimitReachedEmail(client, callLimit) {
+  return sendUsageAlert(client, 'limit_reached', {
+    call_limit: callLimit,
+    plan_name: client.plan_type || 'starter'
+  });
+}
+
+/**
+ * Send whichever usage alert the client's call count has reached.
+ * Uses >= rather than equality so a count that skips a threshold still alerts;
+ * deduplication keeps it to one email per threshold per period.
+ */
+async function checkUsageThresholds(client, callsUsed) {
+  const callLimit = client.monthly_call_limit || 50;
+  const current = { ...client, calls_this_month: callsUsed };
+
+  if (callsUsed >= callLimit) {
+    return sendLimitReachedEmail(current, callLimit);
+  }
+
+  if (callsUsed / callLimit >= USAGE_WARNING_THRESHOLD) {
+    return sendUsageWarningEmail(current, callsUsed, callLimit);
+  }
+
+  return null;
+}
+
+module.exports = {
+  USAGE_WARNING_THRESHOLD,
+  sendUsageWarningEmail,
+  sendLimitReachedEmail,
+  checkUsageThresholds
+};
@@ -0,0 +1,217 @@
+// ============================================================================
+// USAGE PERIODS - Billing-period aware call usage (Multi-tenant)
+// clients.calls_this_month counts calls in the client's current usage period
+// (usage_period_start -> usage_period_end). Periods follow the client's
+// subscription on the agency's connected account, or the calendar month in the
+// client's timezone when there is no subscription. Rollover is done by the
+// /api/cron/rollover-usage job; closed periods are kept in usage_periods.
+// ============================================================================
+const Stripe = require('stripe');
+const { supabase } = require('./supabase');
+const { resolveClientTimezone, zonedTimeToUtc, getLocalDateString } = require('./calendar');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Clients processed per cron run
+const ROLLOVER_BATCH_SIZE = 200;
+
+// ============================================================================
+// PERIOD BOUNDS
+// ============================================================================
+
+/**
+ * Calendar month containing `at`, in the client's timezone
+ */
+function getCalendarMonthPeriod(client, at = new Date()) {
+  const timeZone = resolveClientTimezone(client);
+  const [year, month] = getLocalDateString(at, timeZone).split('-').map(Number);
+
+  const nextYear = month === 12 ? year + 1 : year;
+  const nextMonth = month === 12 ? 1 : month + 1;
+
+  return {
+    start: zonedTimeToUtc(`${year}-${String(month).padStart(2, '0')}-01`, 0, timeZone),
+    end: zonedTimeToUtc(`${nextYear}-${String(nextMonth).padStart(2, '0')}-01`, 0, timeZone),
+    source: 'calendar'
+  };
+}
+
+function getSubscriptionPeriod(subscription) {
+  if (!subscription?.current_period_start || !subscription?.current_period_end) {
+    return null;
+  }
+
+  return {
+    start: new Date(subscription.current_period_start * 1000),
+    end: new Date(subscription.current_period_end * 1000),
+    source: 'subscription'
+  };
+}
+
+/**
+ * Work out the usage period `at` falls in for a client.
+ * Reads the subscription from the agency's connected account when there is one.
+ */
+async function resolveUsagePeriod(client, at = new Date()) {
+  const stripeAccount = client.agencies?.stripe_account_id;
+
+  if (client.stripe_connected_subscription_id && stripeAccount) {
+    try {
+      const subscription = await stripe.subscriptions.retrieve(
+        client.stripe_connected_subscription_id,
+        { stripeAccount }
+      );
+
+      const period = getSubscriptionPeriod(subscription);
+      if (period && period.start <= at && period.end > at) {
+        return period;
+      }
+    } catch (error) {
+      console.error(`⚠️ Could not load subscription for ${client.business_name}:`, error.message);
+    }
+  }
+
+  return getCalendarMonthPeriod(client, at);
+}
+
+/**
+ * Calls used in the client's current period. Once usage_period_end has passed
+ * the stored count belongs to the old period - the rollover cron just hasn't
+ * reset it yet - so it counts as zero.
+ */
+function getCurrentCallCount(client, at = new Date()) {
+  if (client.usage_period_end && new Date(client.usage_period_end) <= at) {
+    return 0;
+  }
+  return client.calls_this_month || 0;
+}
+
+// ============================================================================
+// ROLLOVER
+// ============================================================================
+
+/**
+ * Start a new usage period for a client. The current period (if any) is closed
+ * into usage_periods and calls_this_month resets - all in one database call.
+ * @returns {Promise<string>} 'rolled_over' | 'initialized' | 'unchanged'
+ */
+async function startUsagePeriod(clientId, period) {
+  const { data, error } = await supabase.rpc('rollover_client_usage_period', {
+    p_client_id: clientId,
+    p_period_start: period.start.toISOString(),
+    p_period_end: period.end.toISOString(),
+    p_source: period.source
+  });
+
+  if (error) {
+    console.error('❌ Usage period rollover failed:', error);
+    throw new Error('Failed to roll over usage period');
+  }
+
+  return data;
+}
+
+/**
+ * Cron: roll every client whose usage period has ended into its next period
+ */
+async function rolloverUsagePeriods() {
+  console.log('🔄 Rolling over usage periods...');
+
+  const now = new Date();
+
+  const { data: dueClients, error } = await supabase
+    .from('clients')
+    .select('*, agencies(*)')
+    .or(`usage_period_end.is.null,usage_period_end.lte.${now.toISOString()}`)
+    .limit(ROLLOVER_BATCH_SIZE);
+
+  if (error) {
+    console.error('Error fetching clients for usage rollover:', error);
+    return { success: false, error: error.message };
+  }
+
+  console.log(`Found ${dueClients?.length || 0} clients due for rollover`);
+
+  const results = [];
+
+  for (const client of dueClients || []) {
+    try {
+      const period = await resolveUsagePeriod(client, now);
+      const outcome = await startUsagePeriod(client.id, period);
+
+      console.log(`✅ ${client.business_name}: ${outcome} (${period.source} ${period.start.toISOString()} → ${period.end.toISOString()})`);
+      results.push({ id: client.id, business_name: client.business_name, outcome, success: true });
+    } catch (err) {
+      console.error('Error rolling over usage for', client.id, err);
+      results.push({ id: client.id, business_name: client.business_name, success: false, error: err.message });
+    }
+  }
+
+  return {
+    success: true,
+    processed: results.length,
+    // A full batch means there may be more clients waiting for the next run
+    hasMore: (dueClients?.length || 0) === ROLLOVER_BATCH_SIZE,
+    results
+  };
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * Current period + closed period history for a client
+ */
+async function getUsageSummary(client, historyLimit = 12) {
+  const { data: history, error } = await supabase
+    .from('usage_periods')
+    .select('*')
+    .eq('client_id', client.id)
+    .order('period_start', { ascending: false })
+    .limit(historyLimit);
+
+  if (error) {
+    console.error('Error fetching usage history:', error);
+    throw new Error('Failed to load usage history');
+  }
+
+  // Overage charged in the current period (see lib/overage.js)
+  let overageQuery = supabase
+    .from('overage_charges')
+    .select('amount_cents, status')
+    .eq('client_id', client.id);
+
+  if (client.usage_period_start) {
+    overageQuery = overageQuery.eq('period_start', client.usage_period_start);
+  }
+
+  const { data: overageCharges } = await overageQuery;
+
+  const callLimit = client.monthly_call_limit || 50;
+  const callsUsed = client.calls_this_month || 0;
+
+  return {
+    current: {
+      period_start: client.usage_period_start,
+      period_end: client.usage_period_end,
+      source: client.usage_period_source,
+      calls_used: callsUsed,
+      call_limit: callLimit,
+      percent_used: Math.round((callsUsed / callLimit) * 100),
+      overage_calls: (overageCharges || []).length,
+      overage_amount_cents: (overageCharges || []).reduce((sum, c) => sum + c.amount_cents, 0)
+    },
+    history: history || []
+  };
+}
+
+module.exports = {
+  getCalendarMonthPeriod,
+  getSubscriptionPeriod,
+  resolveUsagePeriod,
+  getCurrentCallCount,
+  startUsagePeriod,
+  rolloverUsagePeriods,
+  getUsageSummary
+};
@@ -2,11 +2,13 @@
 // VAPI INTEGRATION - Multi-Tenant Voice AI Platform
 // Adapted from CallBird's battle-tested patterns
 // ============================================================================
+const crypto = require('crypto');
 const fetch = require('node-fetch');
 const FormData = require('form-data');
 
 const VAPI_API_KEY = process.env.VAPI_API_KEY;
 const BACKEND_URL = process.env.BACKEND_URL || 'https://api.voiceaiconnect.com';
+const VAPI_SERVER_SECRET = process.env.VAPI_SERVER_SECRET;
 
 // ============================================================================
 // INDUSTRY MAPPING
@@ -296,6 +298,181 @@ async function createQueryTool(fileId, businessName) {
   }
 }
 
+// ============================================================================
+// SERVER SECRET - VAPI sends it back as x-vapi-secret on every server request
+// ============================================================================
+// Unverified VAPI requests are only accepted in local development
+const ALLOW_UNVERIFIED_VAPI = process.env.NODE_ENV === 'development';
+
+let warnedMissingSecret = false;
+
+function isVapiSecretConfigured() {
+  return !!VAPI_SERVER_SECRET;
+}
+
+function isValidVapiSecret(req) {
+  if (!VAPI_SERVER_SECRET) {
+    if (!warnedMissingSecret) {
+      console.warn(ALLOW_UNVERIFIED_VAPI
+        ? '⚠️ VAPI_SERVER_SECRET not configured - VAPI requests are not verified (development only)'
+        : '⚠️ VAPI_SERVER_SECRET not configured - VAPI requests are refused');
+      warnedMissingSecret = true;
+    }
+    return ALLOW_UNVERIFIED_VAPI;
+  }
+
+  const provided = Buffer.from(String(req.headers['x-vapi-secret'] || ''));
+  const expected = Buffer.from(VAPI_SERVER_SECRET);
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+function verifyVapiSecret(req, res, next) {
+  if (!VAPI_SERVER_SECRET && !ALLOW_UNVERIFIED_VAPI) {
+    console.error('🚫 VAPI request rejected: VAPI_SERVER_SECRET not configured');
+    return res.status(500).json({ error: 'VAPI secret not configured' });
+  }
+  if (!isValidVapiSecret(req)) {
+    console.log('🚫 VAPI request rejected: invalid server secret');
+    return res.status(401).json({ error: 'Invalid VAPI secret' });
+  }
+  next();
+}
+
+// ============================================================================
+// CALENDAR TOOLS - Function tools answered by /api/calendar/*/:clientId
+// ============================================================================
+const CALENDAR_TOOL_NAMES = ['check_availability', 'book_appointment', 'cancel_appointment', 'reschedule_appointment'];
+
+function buildCalendarTools(clientId) {
+  const calendarUrl = (action) => ({
+    url: `${BACKEND_URL}/api/calendar/${action}/${clientId}`,
+    ...(VAPI_SERVER_SECRET && { secret: VAPI_SERVER_SECRET })
+  });
+
+  return [
+    {
+      type: 'function',
+      async: false,
+      function: {
+        name: 'check_availability',
+        description: 'Check open appointment times. Call this before offering or booking any time.',
+        parameters: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', description: 'Day to check in YYYY-MM-DD format. Omit to get the next available times.' },
+            appointment_type: { type: 'string', description: 'Type of appointment the caller wants, if they mentioned one' }
+          }
+        }
+      },
+      server: calendarUrl('availability'),
+      messages: [{ type: 'request-start', content: 'Let me check the calendar.' }]
+    },
+    {
+      type: 'function',
+      async: false,
+      function: {
+        name: 'book_appointment',
+        description: 'Book an appointment at a time returned by check_availability.',
+        parameters: {
+          type: 'object',
+          properties: {
+            start_time: { type: 'string', description: 'Start time exactly as returned by check_availability' },
+            customer_name: { type: 'string', description: "Caller's full name" },
+            customer_phone: { type: 'string', description: "Caller's phone number" },
+            customer_email: { type: 'string', description: "Caller's email, if given" },
+            appointment_type: { type: 'string', description: 'Type of appointment, if one was chosen' },
+            notes: { type: 'string', description: 'What the appointment is for' }
+          },
+          required: ['start_time', 'customer_name', 'customer_phone']
+        }
+      },
+      server: calendarUrl('book'),
+      messages: [{ type: 'request-start', content: 'Booking that for you now.' }]
+    },
+    {
+      type: 'function',
+      async: false,
+      function: {
+        name: 'cancel_appointment',
+        description: "Cancel the caller's upcoming appointment. Only appointments booked under the number they are calling from can be changed.",
+        parameters: {
+          type: 'object',
+          properties: {
+            start_time: { type: 'string', description: 'Start time of the appointment, if the caller has more than one' },
+            reason: { type: 'string', description: 'Why they are canceling' }
+          },
+          required: []
+        }
+      },
+      server: calendarUrl('cancel')
+    },
+    {
+      type: 'function',
+      async: false,
+      function: {
+        name: 'reschedule_appointment',
+        description: "Move the caller's upcoming appointment to a new time returned by check_availability. Only appointments booked under the number they are calling from can be changed.",
+        parameters: {
+          type: 'object',
+          properties: {
+            start_time: { type: 'string', description: 'Current start time, if the caller has more than one appointment' },
+            new_start_time: { type: 'string', description: 'New start time exactly as returned by check_availability' }
+          },
+          required: ['new_start_time']
+        }
+      },
+      server: calendarUrl('reschedule')
+    }
+  ];
+}
+
+/**
+ * Add (or refresh) the calendar tools on an existing assistant, keeping its other tools
+ */
+async function syncCalendarTools(assistantId, clientId) {
+  try {
+    const getResponse = await fetch(`https://api.vapi.ai/assistant/${assistantId}`, {
+      headers: { 'Authorization': `Bearer ${VAPI_API_KEY}` }
+    });
+
+    if (!getResponse.ok) {
+      console.error('⚠️ Could not fetch assistant for calendar tools');
+      return false;
+    }
+
+    const assistant = await getResponse.json();
+    const otherTools = (assistant.model?.tools || []).filter(
+      t => !CALENDAR_TOOL_NAMES.includes(t.function?.name)
+    );
+
+    const patchResponse = await fetch(`https://api.vapi.ai/assistant/${assistantId}`, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${VAPI_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: {
+          ...assistant.model,
+          tools: [...otherTools, ...buildCalendarTools(clientId)]
+        }
+      })
+    });
+
+    if (!patchResponse.ok) {
+      console.error('⚠️ Failed to add calendar tools:', await patchResponse.text());
+      return false;
+    }
+
+    console.log(`✅ Calendar tools synced for assistant ${assistantId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Calendar tools sync error:', error);
+    return false;
+  }
+}
+
 // ============================================================================
 // CREATE INDUSTRY ASSISTANT
 // ============================================================================
@@ -341,6 +518,11 @@ async function createIndustryAssistant(businessName, industry, knowledgeBaseData
       }
     }
 
+    // Add calendar tools when the client record already exists
+    if (clientId) {
+      tools.push(...buildCalendarTools(clientId));
+    }
+
     const assistantConfig = {
       name: sanitizeAssistantName(businessName),
       model: {
@@ -360,8 +542,9 @@ async function createIndustryAssistant(businessName, industry, knowledgeBaseData
       },
       firstMessage: config.firstMessage(businessName),
       recordingEnabled: true,
-      serverMessages: ['end-of-call-report', 'transcript', 'status-update'],
-      serverUrl: `${BACKEND_URL}/webhook/vapi`
+      serverMessages: ['end-of-call-report', 'transcript', 'status-update', 'tool-calls', 'transfer-destination-request'],
+      serverUrl: `${BACKEND_URL}/webhook/vapi`,
+      ...(VAPI_SERVER_SECRET && { serverUrlSecret: VAPI_SERVER_SECRET })
     };
 
     const response = await fetch('https://api.vapi.ai/assistant', {
@@ -387,6 +570,42 @@ async function createIndustryAssistant(businessName, industry, knowledgeBaseData
   }
 }
 
+// ============================================================================
+// BLOCKED CALL ASSISTANT
+// Transient assistant returned from assistant-request when a client can't take
+// calls (over limit, suspended, trial expired). Plays one branded message and
+// hangs up - nothing is saved on VAPI.
+// ============================================================================
+function buildBlockedCallAssistant(client, message = null) {
+  const industryKey = INDUSTRY_MAPPING[client.industry] || 'professional_services';
+  const spokenMessage = message ||
+    `Thanks for calling ${client.business_name}. We're not able to take your call right now. Please try again later. Goodbye.`;
+
+  return {
+    name: sanitizeAssistantName(`${client.business_name} Unavailable`),
+    firstMessage: spokenMessage,
+    firstMessageMode: 'assistant-speaks-first',
+    model: {
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      messages: [{
+        role: 'system',
+        content: `You have just told the caller: "${spokenMessage}" Do not take messages or answer questions. End the call immediately.`
+      }],
+      tools: [{ type: 'endCall' }]
+    },
+    voice: {
+      provider: '11labs',
+      voiceId: client.voice_id || INDUSTRY_VOICES[industryKey]
+    },
+    endCallPhrases: ['goodbye'],
+    maxDurationSeconds: 30,
+    serverMessages: ['end-of-call-report', 'status-update'],
+    serverUrl: `${BACKEND_URL}/webhook/vapi`,
+    ...(VAPI_SERVER_SECRET && { serverUrlSecret: VAPI_SERVER_SECRET })
+  };
+}
+
 // ============================================================================
 // PROVISION PHONE NUMBER
 // ============================================================================
@@ -421,6 +640,34 @@ async function provisionPhoneNumber(areaCode, assistantId, businessName) {
   }
 }
 
+// ============================================================================
+// CONFIGURE PHONE WEBHOOK
+// Detach the assistant so every inbound call sends an assistant-request to
+// /webhook/vapi - that's where call limits and subscription status are
+// enforced before the call is answered.
+// ============================================================================
+async function configurePhoneWebhook(phoneId) {
+  try {
+    const response = await fetch(`https://api.vapi.ai/phone-number/${phoneId}`, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${VAPI_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        assistantId: null,
+        serverUrl: `${BACKEND_URL}/webhook/vapi`,
+        ...(VAPI_SERVER_SECRET && { serverUrlSecret: VAPI_SERVER_SECRET })
+      })
+    });
+
+    return response.ok;
+  } catch (error) {
+    console.error('⚠️ Phone webhook config failed:', error);
+    return false;
+  }
+}
+
 // State area codes for fallback
 const STATE_AREA_CODES = {
   'GA': ['404', '678', '770', '470', '706', '762', '912', '229'],
@@ -567,6 +814,26 @@ async function getPhoneNumberFromVapi(phoneNumberId) {
   }
 }
 
+// ============================================================================
+// GET ASSISTANT (admin console)
+// ============================================================================
+async function getAssistant(assistantId) {
+  try {
+    const response = await fetch(`https://api.vapi.ai/assistant/${assistantId}`, {
+      headers: {
+        'Authorization': `Bearer ${VAPI_API_KEY}`
+      }
+    });
+    
+    if (!response.ok) return null;
+    
+    return await response.json();
+  } catch (error) {
+    console.error('❌ Error fetching assistant:', error);
+    return null;
+  }
+}
+
 // ============================================================================
 // DISABLE/ENABLE ASSISTANT
 // ============================================================================
@@ -594,7 +861,10 @@ async function enableAssistant(assistantId) {
         'Authorization': `Bearer ${VAPI_API_KEY}`,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ serverUrl: `${BACKEND_URL}/webhook/vapi` })
+      body: JSON.stringify({
+        serverUrl: `${BACKEND_URL}/webhook/vapi`,
+        ...(VAPI_SERVER_SECRET && { serverUrlSecret: VAPI_SERVER_SECRET })
+      })
     });
     return true;
   } catch (error) {
@@ -613,11 +883,19 @@ module.exports = {
   formatPhoneE164,
   isValidE164,
   createQueryTool,
+  isVapiSecretConfigured,
+  isValidVapiSecret,
+  verifyVapiSecret,
+  buildCalendarTools,
+  syncCalendarTools,
+  buildBlockedCallAssistant,
   createIndustryAssistant,
   provisionPhoneNumber,
+  configurePhoneWebhook,
   provisionLocalPhone,
   createKnowledgeBaseFromWebsite,
   getPhoneNumberFromVapi,
+  getAssistant,
   disableAssistant,
   enableAssistant
 };
\ No newline at end of file
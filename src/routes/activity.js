@@ -5,6 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../lib/supabase');
+const { authorizeAgencyParam } = require('../lib/tenant-auth');
 
 // ============================================================================
 // ACTION TYPE DEFINITIONS
@@ -22,6 +23,9 @@ const ACTION_TYPES = {
   CONVERTED: 'converted',  // Lead converted to client
 };
 
+// Every :agencyId route requires a member of that agency with 'leads' access
+router.param('agencyId', authorizeAgencyParam('leads'));
+
 // ============================================================================
 // GET /api/agency/:agencyId/activity/:entityType/:entityId
 // Get activity log for a specific entity
@@ -115,7 +119,7 @@ router.get('/:agencyId/activity', async (req, res) => {
 router.post('/:agencyId/activity', async (req, res) => {
   try {
     const { agencyId } = req.params;
-    const { entityType, entityId, actionType, actionData, performedBy } = req.body;
+    const { entityType, entityId, actionType, actionData } = req.body;
 
     if (!entityType || !entityId || !actionType) {
       return res.status(400).json({ error: 'entityType, entityId, and actionType are required' });
@@ -129,7 +133,7 @@ router.post('/:agencyId/activity', async (req, res) => {
         entity_id: entityId,
         action_type: actionType,
         action_data: actionData || {},
-        performed_by: performedBy || null
+        performed_by: req.user.userId
       })
       .select()
       .single();
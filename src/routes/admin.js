@@ -0,0 +1,702 @@
+// ============================================================================
+// SUPER ADMIN ROUTES - Platform console
+// VoiceAI Connect - Search every agency and client, inspect their Stripe and
+// VAPI state, suspend / reactivate agencies, extend trials, adjust referral
+// balances, read the security audit log and see platform-wide metrics.
+// super_admin only.
+// Mounted at /api/admin
+// ============================================================================
+const express = require('express');
+const Stripe = require('stripe');
+const router = express.Router();
+const { supabase, getAgencyById, getClientById } = require('../lib/supabase');
+const { getAssistant, disableAssistant, enableAssistant } = require('../lib/vapi');
+const { revokeUserSessions } = require('../lib/sessions');
+const { AUDIT_ACTIONS, recordAudit, parseAuditFilters, queryAuditLog } = require('../lib/audit-log');
+const { authMiddleware } = require('./auth');
+const { PLAN_DETAILS } = require('./stripe-platform');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const MAX_PAGE_SIZE = 100;
+const MAX_TRIAL_EXTENSION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+router.use(authMiddleware(['super_admin']));
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function getPage(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+// Characters that would break out of a PostgREST or() filter
+function cleanSearch(search) {
+  return String(search || '').replace(/[%,()*\\]/g, ' ').trim();
+}
+
+/**
+ * New trial end: `days` from the later of now and the current trial end
+ * @returns {{ trialEndsAt?: Date, error?: string }}
+ */
+function getExtendedTrialEnd(currentTrialEnd, days) {
+  const extension = parseInt(days, 10);
+  if (!Number.isInteger(extension) || extension < 1 || extension > MAX_TRIAL_EXTENSION_DAYS) {
+    return { error: `days must be between 1 and ${MAX_TRIAL_EXTENSION_DAYS}` };
+  }
+
+  const current = currentTrialEnd ? new Date(currentTrialEnd).getTime() : 0;
+  return { trialEndsAt: new Date(Math.max(Date.now(), current) + extension * DAY_MS) };
+}
+
+function countBy(rows, field) {
+  return rows.reduce((counts, row) => {
+    const key = row[field] || 'unknown';
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+async function countRows(table, applyFilters = q => q) {
+  const { count } = await applyFilters(
+    supabase.from(table).select('id', { count: 'exact', head: true })
+  );
+  return count || 0;
+}
+
+// Stripe lookups fail soft - the console still shows the database side
+async function getAgencyStripeState(agency) {
+  const state = { subscription: null, connect_account: null };
+
+  if (agency.stripe_subscription_id) {
+    try {
+      const subscription = await stripe.subscriptions.retrieve(agency.stripe_subscription_id);
+      state.subscription = {
+        id: subscription.id,
+        status: subscription.status,
+        cancel_at_period_end: subscription.cancel_at_period_end,
+        current_period_end: new Date(subscription.current_period_end * 1000).toISOString(),
+        trial_end: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null
+      };
+    } catch (error) {
+      state.subscription = { id: agency.stripe_subscription_id, error: error.message };
+    }
+  }
+
+  if (agency.stripe_account_id) {
+    try {
+      const account = await stripe.accounts.retrieve(agency.stripe_account_id);
+      state.connect_account = {
+        id: account.id,
+        charges_enabled: account.charges_enabled,
+        payouts_enabled: account.payouts_enabled,
+        details_submitted: account.details_submitted,
+        requirements_due: account.requirements?.currently_due || []
+      };
+    } catch (error) {
+      state.connect_account = { id: agency.stripe_account_id, error: error.message };
+    }
+  }
+
+  return state;
+}
+
+async function getClientStripeState(client) {
+  const stripeAccount = client.agencies?.stripe_account_id;
+  if (!client.stripe_connected_subscription_id || !stripeAccount) return { subscription: null };
+
+  try {
+    const subscription = await stripe.subscriptions.retrieve(
+      client.stripe_connected_subscription_id,
+      { stripeAccount }
+    );
+    return {
+      subscription: {
+        id: subscription.id,
+        status: subscription.status,
+        cancel_at_period_end: subscription.cancel_at_period_end,
+        current_period_end: new Date(subscription.current_period_end * 1000).toISOString()
+      }
+    };
+  } catch (error) {
+    return { subscription: { id: client.stripe_connected_subscription_id, error: error.message } };
+  }
+}
+
+async function getClientVapiState(client) {
+  if (!client.vapi_assistant_id) return { assistant: null };
+
+  const assistant = await getAssistant(client.vapi_assistant_id);
+  if (!assistant) {
+    return { assistant: { id: client.vapi_assistant_id, error: 'Assistant not found in VAPI' } };
+  }
+
+  return {
+    assistant: {
+      id: assistant.id,
+      name: assistant.name,
+      // disableAssistant clears the server URL - no server URL means calls aren't handled
+      enabled: !!assistant.serverUrl,
+      server_url: assistant.serverUrl || null,
+      updated_at: assistant.updatedAt || null
+    },
+    phone_number: client.vapi_phone_number || null
+  };
+}
+
+// ============================================================================
+// GET /api/admin/metrics - Platform-wide numbers
+// Aggregated by get_platform_metrics() - the platform outgrows any row limit
+// ============================================================================
+router.get('/metrics', async (req, res) => {
+  try {
+    const since30d = new Date(Date.now() - 30 * DAY_MS).toISOString();
+    const since24h = new Date(Date.now() - DAY_MS).toISOString();
+
+    const [{ data: metricRows, error }, callsLast24h, callsLast30d] = await Promise.all([
+      supabase.rpc('get_platform_metrics', { p_since: since30d }),
+      countRows('calls', q => q.gte('created_at', since24h)),
+      countRows('calls', q => q.gte('created_at', since30d))
+    ]);
+
+    if (error || !metricRows?.[0]) {
+      console.error('Error loading platform metrics:', error);
+      return res.status(400).json({ error: error?.message || 'Failed to load metrics' });
+    }
+
+    const metrics = metricRows[0];
+    const activeAgenciesByPlan = metrics.active_agencies_by_plan || {};
+
+    res.json({
+      agencies: {
+        total: Number(metrics.agencies_total),
+        by_status: metrics.agencies_by_status,
+        by_subscription_status: metrics.agencies_by_subscription_status,
+        new_last_30d: Number(metrics.agencies_new)
+      },
+      clients: {
+        total: Number(metrics.clients_total),
+        by_status: metrics.clients_by_status,
+        by_subscription_status: metrics.clients_by_subscription_status,
+        new_last_30d: Number(metrics.clients_new)
+      },
+      calls: {
+        last_24h: callsLast24h,
+        last_30d: callsLast30d
+      },
+      revenue: {
+        // What agencies pay the platform
+        platform_mrr_cents: Object.entries(activeAgenciesByPlan)
+          .reduce((sum, [plan, count]) => sum + (PLAN_DETAILS[plan]?.price || 0) * count, 0),
+        // What clients pay agencies (through Connect)
+        client_mrr_cents: Number(metrics.client_mrr_cents),
+        referral_balances_owed_cents: Number(metrics.referral_balances_owed_cents)
+      }
+    });
+  } catch (error) {
+    console.error('Error loading platform metrics:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/admin/agencies - List / search agencies
+// Query: ?search= (name, email, slug) &status= &subscription_status= &limit= &offset=
+// ============================================================================
+router.get('/agencies', async (req, res) => {
+  try {
+    const { status, subscription_status } = req.query;
+    const search = cleanSearch(req.query.search);
+    const { limit, offset } = getPage(req.query);
+
+    let query = supabase
+      .from('agencies')
+      .select('id, name, slug, email, status, subscription_status, plan_type, trial_ends_at, stripe_customer_id, stripe_account_id, admin_suspended_at, referral_balance_cents, created_at, last_login_at', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (subscription_status) query = query.eq('subscription_status', subscription_status);
+    if (search) {
+      query = query.or(`name.ilike.%${search}%,email.ilike.%${search}%,slug.ilike.%${search}%`);
+    }
+
+    const { data: agencies, count, error } = await query;
+
+    if (error) {
+      console.error('Error listing agencies:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ agencies: agencies || [], total: count || 0, limit, offset });
+  } catch (error) {
+    console.error('Error listing agencies:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/admin/agencies/:agencyId - Agency, users, client counts, Stripe state
+// ============================================================================
+router.get('/agencies/:agencyId', async (req, res) => {
+  try {
+    const agency = await getAgencyById(req.params.agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+
+    const [{ data: users }, { data: clients }, stripeState] = await Promise.all([
+      supabase
+        .from('users')
+        .select('id, email, first_name, last_name, role, is_active, totp_enabled, last_login, created_at')
+        .eq('agency_id', agency.id)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('clients')
+        .select('status, subscription_status')
+        .eq('agency_id', agency.id),
+      getAgencyStripeState(agency)
+    ]);
+
+    res.json({
+      agency,
+      users: users || [],
+      clients: {
+        total: (clients || []).length,
+        by_status: countBy(clients || [], 'status'),
+        by_subscription_status: countBy(clients || [], 'subscription_status')
+      },
+      stripe: stripeState
+    });
+  } catch (error) {
+    console.error('Error loading agency:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/admin/agencies/:agencyId/suspend - Platform suspension
+// Body: { reason }. Blocks logins and calls, disables every client assistant
+// and signs the agency's users out. Stripe webhooks don't lift it.
+// ============================================================================
+router.post('/agencies/:agencyId/suspend', async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const agency = await getAgencyById(req.params.agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+    if (agency.admin_suspended_at) {
+      return res.status(400).json({ error: 'Agency is already suspended' });
+    }
+
+    const { error } = await supabase
+      .from('agencies')
+      .update({
+        status: 'suspended',
+        admin_suspended_at: new Date().toISOString(),
+        admin_suspension_reason: reason
+      })
+      .eq('id', agency.id);
+
+    if (error) {
+      console.error('Error suspending agency:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { data: clients } = await supabase
+      .from('clients')
+      .select('id, vapi_assistant_id')
+      .eq('agency_id', agency.id)
+      .not('vapi_assistant_id', 'is', null);
+
+    let assistantsDisabled = 0;
+    for (const client of clients || []) {
+      if (await disableAssistant(client.vapi_assistant_id)) assistantsDisabled++;
+    }
+
+    const { data: users } = await supabase
+      .from('users')
+      .select('id')
+      .eq('agency_id', agency.id);
+
+    for (const user of users || []) {
+      await revokeUserSessions(user.id, 'agency_suspended');
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENCY_SUSPENDED,
+      agencyId: agency.id,
+      entityType: 'agency',
+      entityId: agency.id,
+      before: { status: agency.status },
+      after: { status: 'suspended', admin_suspension_reason: reason }
+    });
+
+    console.log(`⛔ Agency suspended: ${agency.name} by ${req.user.email} (${reason})`);
+    res.json({ success: true, assistants_disabled: assistantsDisabled });
+  } catch (error) {
+    console.error('Error suspending agency:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/admin/agencies/:agencyId/reactivate - Lift a platform suspension
+// The agency goes back to what its subscription allows, and assistants of
+// clients in good standing are turned back on
+// ============================================================================
+router.post('/agencies/:agencyId/reactivate', async (req, res) => {
+  try {
+    const agency = await getAgencyById(req.params.agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+    if (!agency.admin_suspended_at) {
+      return res.status(400).json({ error: 'Agency is not suspended by the platform' });
+    }
+
+    let status = 'suspended'; // subscription canceled / unpaid - billing still blocks it
+    if (['active', 'past_due'].includes(agency.subscription_status)) status = 'active';
+    else if (['trial', 'trialing'].includes(agency.subscription_status)) status = 'trial';
+
+    const { error } = await supabase
+      .from('agencies')
+      .update({ status, admin_suspended_at: null, admin_suspension_reason: null })
+      .eq('id', agency.id);
+
+    if (error) {
+      console.error('Error reactivating agency:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    let assistantsEnabled = 0;
+    if (status !== 'suspended') {
+      const { data: clients } = await supabase
+        .from('clients')
+        .select('id, vapi_assistant_id')
+        .eq('agency_id', agency.id)
+        .eq('status', 'active')
+        .in('subscription_status', ['active', 'trial'])
+        .not('vapi_assistant_id', 'is', null);
+
+      for (const client of clients || []) {
+        if (await enableAssistant(client.vapi_assistant_id)) assistantsEnabled++;
+      }
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENCY_REACTIVATED,
+      agencyId: agency.id,
+      entityType: 'agency',
+      entityId: agency.id,
+      before: { status: agency.status, admin_suspension_reason: agency.admin_suspension_reason },
+      after: { status }
+    });
+
+    console.log(`✅ Agency reactivated: ${agency.name} by ${req.user.email} (status ${status})`);
+    res.json({ success: true, status, assistants_enabled: assistantsEnabled });
+  } catch (error) {
+    console.error('Error reactivating agency:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/admin/agencies/:agencyId/extend-trial - Longer platform trial
+// Body: { days } - added to the later of now and the current trial end;
+// a trialing Stripe subscription is moved too
+// ============================================================================
+router.post('/agencies/:agencyId/extend-trial', async (req, res) => {
+  try {
+    const agency = await getAgencyById(req.params.agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+    if (agency.subscription_status === 'active') {
+      return res.status(400).json({ error: 'Agency is already on a paid subscription' });
+    }
+
+    const { trialEndsAt, error: daysError } = getExtendedTrialEnd(agency.trial_ends_at, req.body.days);
+    if (daysError) {
+      return res.status(400).json({ error: daysError });
+    }
+
+    if (agency.stripe_subscription_id) {
+      const subscription = await stripe.subscriptions.retrieve(agency.stripe_subscription_id);
+      if (subscription.status === 'trialing') {
+        await stripe.subscriptions.update(agency.stripe_subscription_id, {
+          trial_end: Math.floor(trialEndsAt.getTime() / 1000),
+          proration_behavior: 'none'
+        });
+      }
+    }
+
+    const updates = { trial_ends_at: trialEndsAt.toISOString(), subscription_status: 'trial' };
+    if (agency.status === 'suspended' && !agency.admin_suspended_at) {
+      updates.status = 'trial';
+    }
+
+    const { data: updated, error } = await supabase
+      .from('agencies')
+      .update(updates)
+      .eq('id', agency.id)
+      .select('id, status, subscription_status, trial_ends_at')
+      .single();
+
+    if (error) {
+      console.error('Error extending agency trial:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENCY_TRIAL_EXTENDED,
+      agencyId: agency.id,
+      entityType: 'agency',
+      entityId: agency.id,
+      before: { status: agency.status, subscription_status: agency.subscription_status, trial_ends_at: agency.trial_ends_at },
+      after: { status: updated.status, subscription_status: updated.subscription_status, trial_ends_at: updated.trial_ends_at },
+      metadata: { days: req.body.days }
+    });
+
+    console.log(`⏳ Agency trial extended: ${agency.name} to ${updates.trial_ends_at} by ${req.user.email}`);
+    res.json({ success: true, agency: updated });
+  } catch (error) {
+    console.error('Error extending agency trial:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/admin/agencies/:agencyId/referral-adjustments - Adjustment history
+// ============================================================================
+router.get('/agencies/:agencyId/referral-adjustments', async (req, res) => {
+  try {
+    const { data: adjustments, error } = await supabase
+      .from('referral_adjustments')
+      .select('*, created_by_user:created_by (email, first_name, last_name)')
+      .eq('agency_id', req.params.agencyId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching referral adjustments:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ adjustments: adjustments || [] });
+  } catch (error) {
+    console.error('Error fetching referral adjustments:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/admin/agencies/:agencyId/referral-balance - Credit or debit
+// Body: { amount_cents (negative to deduct), reason }
+// Changes the payable balance only; lifetime earnings stay as earned
+// ============================================================================
+router.post('/agencies/:agencyId/referral-balance', async (req, res) => {
+  try {
+    const { amount_cents } = req.body;
+    const reason = req.body.reason?.trim();
+
+    if (!Number.isInteger(amount_cents) || amount_cents === 0) {
+      return res.status(400).json({ error: 'amount_cents must be a non-zero integer' });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const agency = await getAgencyById(req.params.agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+
+    const { data, error } = await supabase.rpc('adjust_referral_balance', {
+      p_agency_id: agency.id,
+      p_amount_cents: amount_cents,
+      p_reason: reason,
+      p_created_by: req.user.userId
+    });
+
+    if (error) {
+      if (error.code === '23514') {
+        return res.status(400).json({ error: 'Referral balance cannot go below zero' });
+      }
+      console.error('Error adjusting referral balance:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const adjustment = Array.isArray(data) ? data[0] : data;
+
+    console.log(`💰 Referral balance ${amount_cents > 0 ? '+' : ''}${amount_cents}c for ${agency.name} by ${req.user.email} (${reason})`);
+    res.json({ success: true, adjustment, balance_cents: adjustment.balance_after_cents });
+  } catch (error) {
+    console.error('Error adjusting referral balance:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/admin/audit-log - Security audit log across every agency
+// Query: ?agency_id= &client_id= &actor_id= &action= (exact or 'domain.*')
+//        &entity_type= &entity_id= &from= &to= (ISO) &limit=50 &offset=0
+// ============================================================================
+router.get('/audit-log', async (req, res) => {
+  try {
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { entries, total } = await queryAuditLog(filters);
+    res.json({ entries, total, actions: Object.values(AUDIT_ACTIONS) });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/admin/clients - List / search clients across agencies
+// Query: ?search= (business, owner, email, phone) &agency_id= &status=
+//        &subscription_status= &limit= &offset=
+// ============================================================================
+router.get('/clients', async (req, res) => {
+  try {
+    const { agency_id, status, subscription_status } = req.query;
+    const search = cleanSearch(req.query.search);
+    const { limit, offset } = getPage(req.query);
+
+    let query = supabase
+      .from('clients')
+      .select('id, business_name, owner_name, email, vapi_phone_number, status, subscription_status, plan_type, trial_ends_at, calls_this_month, monthly_call_limit, created_at, agency_id, agencies(name, slug)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (agency_id) query = query.eq('agency_id', agency_id);
+    if (status) query = query.eq('status', status);
+    if (subscription_status) query = query.eq('subscription_status', subscription_status);
+    if (search) {
+      query = query.or(`business_name.ilike.%${search}%,owner_name.ilike.%${search}%,email.ilike.%${search}%,vapi_phone_number.ilike.%${search}%`);
+    }
+
+    const { data: clients, count, error } = await query;
+
+    if (error) {
+      console.error('Error listing clients:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ clients: clients || [], total: count || 0, limit, offset });
+  } catch (error) {
+    console.error('Error listing clients:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/admin/clients/:clientId - Client with VAPI and Stripe state
+// ============================================================================
+router.get('/clients/:clientId', async (req, res) => {
+  try {
+    const client = await getClientById(req.params.clientId);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const { agencies: agency, ...clientFields } = client;
+
+    const [vapiState, stripeState, { data: users }] = await Promise.all([
+      getClientVapiState(client),
+      getClientStripeState(client),
+      supabase
+        .from('users')
+        .select('id, email, first_name, last_name, client_role, is_active, totp_enabled, last_login, created_at')
+        .eq('client_id', client.id)
+        .order('created_at', { ascending: true })
+    ]);
+
+    res.json({
+      client: clientFields,
+      agency: agency ? { id: agency.id, name: agency.name, slug: agency.slug, status: agency.status } : null,
+      users: users || [],
+      vapi: vapiState,
+      stripe: stripeState
+    });
+  } catch (error) {
+    console.error('Error loading client:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/admin/clients/:clientId/extend-trial - Longer client trial
+// Body: { days } - also restores a client whose trial had expired
+// ============================================================================
+router.post('/clients/:clientId/extend-trial', async (req, res) => {
+  try {
+    const client = await getClientById(req.params.clientId);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    if (client.subscription_status === 'active') {
+      return res.status(400).json({ error: 'Client is already on a paid subscription' });
+    }
+
+    const { trialEndsAt, error: daysError } = getExtendedTrialEnd(client.trial_ends_at, req.body.days);
+    if (daysError) {
+      return res.status(400).json({ error: daysError });
+    }
+
+    const wasSuspended = client.status === 'suspended';
+
+    const { data: updated, error } = await supabase
+      .from('clients')
+      .update({
+        trial_ends_at: trialEndsAt.toISOString(),
+        subscription_status: 'trial',
+        status: 'active'
+      })
+      .eq('id', client.id)
+      .select('id, status, subscription_status, trial_ends_at')
+      .single();
+
+    if (error) {
+      console.error('Error extending client trial:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CLIENT_TRIAL_EXTENDED,
+      agencyId: client.agency_id,
+      clientId: client.id,
+      entityType: 'client',
+      entityId: client.id,
+      before: { status: client.status, subscription_status: client.subscription_status, trial_ends_at: client.trial_ends_at },
+      after: { status: updated.status, subscription_status: updated.subscription_status, trial_ends_at: updated.trial_ends_at },
+      metadata: { days: req.body.days }
+    });
+
+    // Expired trials had their assistant turned off (unless the agency itself is suspended)
+    if (wasSuspended && client.vapi_assistant_id && !client.agencies?.admin_suspended_at) {
+      await enableAssistant(client.vapi_assistant_id);
+    }
+
+    console.log(`⏳ Client trial extended: ${client.business_name} to ${updated.trial_ends_at} by ${req.user.email}`);
+    res.json({ success: true, client: updated });
+  } catch (error) {
+    console.error('Error extending client trial:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,11 @@
 // ============================================================================
 const dns = require('dns').promises;
 const { supabase, getAgencyBySlug, getAgencyByDomain, getAgencyById } = require('../lib/supabase');
+const { OVERAGE_MODES } = require('../lib/overage');
+const { AUDIT_ACTIONS, PRICING_FIELDS, SECURITY_FIELDS, diffFields, recordAudit } = require('../lib/audit-log');
+const { getAgencySignupLimit } = require('../lib/signup-protection');
+const { parseRetentionDays } = require('../lib/recordings');
+const { hasPermission } = require('../lib/agency-permissions');
 
 // ============================================================================
 // GET AGENCY BY HOST (For middleware/frontend)
@@ -72,6 +77,11 @@ async function getAgencyByHost(req, res) {
         limit_pro: agency.limit_pro,
         limit_growth: agency.limit_growth,
         
+        // Overage (calls past the plan limit)
+        overage_mode: agency.overage_mode,
+        price_overage: agency.price_overage,
+        overage_cap: agency.overage_cap,
+        
         // Stripe (needed for checkout)
         stripe_account_id: agency.stripe_account_id,
         stripe_charges_enabled: agency.stripe_charges_enabled
@@ -165,6 +175,9 @@ async function getAgencySettings(req, res) {
         limit_starter: agency.limit_starter,
         limit_pro: agency.limit_pro,
         limit_growth: agency.limit_growth,
+        overage_mode: agency.overage_mode,
+        price_overage: agency.price_overage,
+        overage_cap: agency.overage_cap,
         
         // Stripe
         stripe_account_id: agency.stripe_account_id,
@@ -177,6 +190,24 @@ async function getAgencySettings(req, res) {
         support_phone: agency.support_phone,
         timezone: agency.timezone,
         
+        // Client email sender (domain managed via /email-domain)
+        email_from_name: agency.email_from_name,
+        email_from_address: agency.email_from_address,
+        email_reply_to: agency.email_reply_to,
+        email_domain: agency.email_domain,
+        email_domain_status: agency.email_domain_status,
+        
+        // Security
+        require_2fa: !!agency.require_2fa,
+        require_client_2fa: !!agency.require_client_2fa,
+        
+        // Public client signups
+        require_signup_approval: !!agency.require_signup_approval,
+        signup_daily_limit: getAgencySignupLimit(agency),
+        
+        // Call recordings - days kept (null = forever); clients can override
+        recording_retention_days: agency.recording_retention_days ?? null,
+        
         // Timestamps
         created_at: agency.created_at,
         updated_at: agency.updated_at
@@ -190,6 +221,26 @@ async function getAgencySettings(req, res) {
   }
 }
 
+// Pricing and security changes are logged under their own actions
+async function auditSettingsChange(req, agencyId, before, updates) {
+  const otherFields = Object.keys(updates).filter(field =>
+    field !== 'updated_at' && !PRICING_FIELDS.includes(field) && !SECURITY_FIELDS.includes(field)
+  );
+  
+  const groups = [
+    [AUDIT_ACTIONS.AGENCY_PRICING_UPDATED, PRICING_FIELDS],
+    [AUDIT_ACTIONS.AGENCY_SECURITY_UPDATED, SECURITY_FIELDS],
+    [AUDIT_ACTIONS.AGENCY_SETTINGS_UPDATED, otherFields]
+  ];
+  
+  for (const [action, fields] of groups) {
+    const changes = diffFields(before, updates, fields);
+    if (changes) {
+      await recordAudit(req, { action, agencyId, entityType: 'agency', entityId: agencyId, ...changes });
+    }
+  }
+}
+
 // ============================================================================
 // UPDATE AGENCY SETTINGS
 // ============================================================================
@@ -206,7 +257,10 @@ async function updateAgencySettings(req, res) {
       'marketing_domain', 'domain_verified',
       'price_starter', 'price_pro', 'price_growth',
       'limit_starter', 'limit_pro', 'limit_growth',
+      'overage_mode', 'price_overage', 'overage_cap',
       'support_email', 'support_phone', 'timezone',
+      // Client email sender
+      'email_from_name', 'email_from_address', 'email_reply_to',
       // Marketing website content fields
       'company_tagline',
       'website_headline',
@@ -214,7 +268,13 @@ async function updateAgencySettings(req, res) {
       'marketing_config',
       // Theme settings
       'website_theme',
-      'logo_background_color'
+      'logo_background_color',
+      // Security (owner only - checked below)
+      'require_2fa', 'require_client_2fa',
+      // Public client signups
+      'require_signup_approval', 'signup_daily_limit',
+      // Call recordings
+      'recording_retention_days'
     ];
     
     const sanitizedUpdates = {};
@@ -224,19 +284,70 @@ async function updateAgencySettings(req, res) {
       }
     }
     
-    // If marketing_domain changed, reset verification
-    if (updates.marketing_domain !== undefined) {
-      const { data: current } = await supabase
-        .from('agencies')
-        .select('marketing_domain')
-        .eq('id', agencyId)
-        .single();
+    // Client pricing, limits and overage are billing decisions
+    if (PRICING_FIELDS.some(key => sanitizedUpdates[key] !== undefined) && !hasPermission(req.user, 'billing')) {
+      return res.status(403).json({ error: 'Changing client pricing, limits or overage requires the billing permission' });
+    }
+    
+    // 2FA enforcement is the owner's call, and they must be enrolled first
+    if (sanitizedUpdates.require_2fa !== undefined || sanitizedUpdates.require_client_2fa !== undefined) {
+      if (!['agency_owner', 'super_admin'].includes(req.user?.role)) {
+        return res.status(403).json({ error: 'Only the agency owner can change two-factor requirements' });
+      }
       
-      if (current?.marketing_domain !== updates.marketing_domain) {
-        sanitizedUpdates.domain_verified = false;
+      if (sanitizedUpdates.require_2fa === true && req.user.role === 'agency_owner') {
+        const { data: owner } = await supabase
+          .from('users')
+          .select('totp_enabled')
+          .eq('id', req.user.userId)
+          .single();
+        
+        if (!owner?.totp_enabled) {
+          return res.status(400).json({ error: 'Turn on two-factor authentication for your own login before requiring it' });
+        }
       }
     }
     
+    if (sanitizedUpdates.overage_mode !== undefined && !OVERAGE_MODES.includes(sanitizedUpdates.overage_mode)) {
+      return res.status(400).json({ error: `overage_mode must be one of: ${OVERAGE_MODES.join(', ')}` });
+    }
+    
+    for (const key of ['price_overage', 'overage_cap', 'signup_daily_limit']) {
+      const value = sanitizedUpdates[key];
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+        return res.status(400).json({ error: `${key} must be a non-negative integer` });
+      }
+    }
+    
+    if (sanitizedUpdates.recording_retention_days !== undefined) {
+      const { days, error: retentionError } = parseRetentionDays(sanitizedUpdates.recording_retention_days);
+      if (retentionError) {
+        return res.status(400).json({ error: retentionError });
+      }
+      sanitizedUpdates.recording_retention_days = days;
+    }
+    
+    // Sender address is <email_from_address>@<verified email_domain>
+    if (sanitizedUpdates.email_from_address && !/^[a-z0-9._%+-]+$/i.test(sanitizedUpdates.email_from_address)) {
+      return res.status(400).json({ error: 'email_from_address must be the part before the @ (e.g. "hello")' });
+    }
+    
+    if (sanitizedUpdates.email_reply_to && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(sanitizedUpdates.email_reply_to)) {
+      return res.status(400).json({ error: 'email_reply_to must be a valid email address' });
+    }
+    
+    // Current values - for the audit log and the domain check below
+    const { data: current } = await supabase
+      .from('agencies')
+      .select('*')
+      .eq('id', agencyId)
+      .single();
+    
+    // If marketing_domain changed, reset verification
+    if (updates.marketing_domain !== undefined && current?.marketing_domain !== updates.marketing_domain) {
+      sanitizedUpdates.domain_verified = false;
+    }
+    
     sanitizedUpdates.updated_at = new Date().toISOString();
     
     const { data: agency, error } = await supabase
@@ -251,6 +362,8 @@ async function updateAgencySettings(req, res) {
       return res.status(500).json({ error: 'Failed to update settings' });
     }
     
+    await auditSettingsChange(req, agencyId, current, sanitizedUpdates);
+    
     console.log('✅ Agency settings updated:', agency.name);
     
     res.json({
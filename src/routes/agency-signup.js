@@ -6,6 +6,7 @@ const bcrypt = require('bcryptjs');
 const { supabase } = require('../lib/supabase');
 const { sendAgencyWelcomeEmail } = require('../lib/notifications');
 const { seedDefaultTemplatesIfNeeded } = require('../lib/default-templates');
+const { issueTokens } = require('./auth');
 
 // ============================================================================
 // SLUG GENERATION
@@ -261,12 +262,17 @@ async function handleAgencySignup(req, res) {
       console.warn('⚠️ Welcome email failed (non-blocking):', emailError.message);
     }
     
+    // Signed in for onboarding until a password is set
+    const { token: authToken, refreshToken } = await issueTokens(user, req);
+    
     console.log('🎉 Agency signup complete:', email);
     
     res.status(200).json({
       success: true,
       agencyId: agency.id,
       token: token,  // Return token - frontend stores for use after onboarding
+      authToken,  // JWT for the onboarding API calls (no password yet)
+      refreshToken,
       message: 'Account created! Complete setup to get started.',
       agency: {
         id: agency.id,
@@ -356,6 +362,9 @@ async function handleAgencyOnboarding(req, res) {
         if (data.limit_starter !== undefined) updateData.limit_starter = data.limit_starter;
         if (data.limit_pro !== undefined) updateData.limit_pro = data.limit_pro;
         if (data.limit_growth !== undefined) updateData.limit_growth = data.limit_growth;
+        if (data.overage_mode !== undefined) updateData.overage_mode = data.overage_mode;
+        if (data.price_overage !== undefined) updateData.price_overage = data.price_overage;
+        if (data.overage_cap !== undefined) updateData.overage_cap = data.overage_cap;
         break;
         
       case 5: // Stripe Connect (handled separately via /api/agency/connect/onboard)
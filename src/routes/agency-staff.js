@@ -0,0 +1,368 @@
+// ============================================================================
+// AGENCY STAFF ROUTES - Staff logins, invitations and permissions
+// VoiceAI Connect - Invited staff accept by setting a password
+// (POST /api/auth/set-password) and sign in with the agency login.
+// Mounted at /api/agency
+// ============================================================================
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { supabase, getAgencyById } = require('../lib/supabase');
+const { sendTemplatedEmail } = require('../lib/email-templates');
+const { revokeUserSessions } = require('../lib/sessions');
+const {
+  AGENCY_PERMISSIONS,
+  STAFF_PRESETS,
+  parsePermissions,
+  getUserPermissions,
+  hasPermission
+} = require('../lib/agency-permissions');
+const { authorizeAgencyParam } = require('../lib/tenant-auth');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const INVITE_EXPIRY_DAYS = 7;
+
+// Every :agencyId route requires a member of that agency with 'staff' access
+router.param('agencyId', authorizeAgencyParam('staff'));
+
+function formatMember(member) {
+  let status = 'active';
+  if (member.is_active === false) status = 'removed';
+  else if (!member.password_hash) status = 'invited';
+
+  return {
+    id: member.id,
+    email: member.email,
+    first_name: member.first_name,
+    last_name: member.last_name,
+    role: member.role,
+    permissions: getUserPermissions(member),
+    status,
+    invited_at: member.invited_at || null,
+    created_at: member.created_at
+  };
+}
+
+async function getStaffMember(agencyId, userId) {
+  const { data } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .eq('agency_id', agencyId)
+    .eq('role', 'agency_staff')
+    .maybeSingle();
+
+  return data;
+}
+
+async function getInviterName(user) {
+  const { data: inviter } = await supabase
+    .from('users')
+    .select('first_name, last_name, email')
+    .eq('id', user.userId)
+    .maybeSingle();
+
+  if (!inviter) return 'Your team';
+  return [inviter.first_name, inviter.last_name].filter(Boolean).join(' ') || inviter.email;
+}
+
+/**
+ * Create a set-password token and email the invitation
+ */
+async function sendInvite(agency, member, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + INVITE_EXPIRY_DAYS);
+
+  await supabase.from('password_reset_tokens').insert({
+    user_id: member.id,
+    email: member.email,
+    token,
+    expires_at: expiresAt.toISOString(),
+    used: false
+  });
+
+  const dashboardUrl = process.env.FRONTEND_URL || 'https://myvoiceaiconnect.com';
+
+  return sendTemplatedEmail('agency_staff_invite', {
+    agency,
+    to: member.email,
+    emailType: 'staff_invite',
+    metadata: { user_id: member.id },
+    variables: {
+      first_name: member.first_name || 'there',
+      inviter_name: await getInviterName(invitedBy),
+      invite_url: `${dashboardUrl}/auth/set-password?token=${token}`
+    }
+  });
+}
+
+// Staff can only hand out permissions they hold themselves
+function findUngrantable(user, permissions) {
+  return permissions.filter(p => !hasPermission(user, p));
+}
+
+// ============================================================================
+// GET /api/agency/:agencyId/staff - Owner + staff, with available permissions
+// ============================================================================
+router.get('/:agencyId/staff', async (req, res) => {
+  try {
+    const { agencyId } = req.params;
+
+    const { data: members, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('agency_id', agencyId)
+      .in('role', ['agency_owner', 'agency_staff'])
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching staff:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      staff: (members || []).map(formatMember),
+      permissions: AGENCY_PERMISSIONS,
+      presets: STAFF_PRESETS
+    });
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/agency/:agencyId/staff - Invite a staff member
+// Body: { email, first_name, last_name?, permissions: [...] | preset }
+// Re-inviting a removed staff member restores them with the new permissions
+// ============================================================================
+router.post('/:agencyId/staff', async (req, res) => {
+  try {
+    const { agencyId } = req.params;
+    const { first_name, last_name } = req.body;
+    const email = (req.body.email || '').trim().toLowerCase();
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!first_name?.trim()) {
+      return res.status(400).json({ error: 'First name is required' });
+    }
+
+    const { permissions, error: permissionError } = parsePermissions(req.body);
+    if (permissionError) {
+      return res.status(400).json({ error: permissionError });
+    }
+
+    const ungrantable = findUngrantable(req.user, permissions);
+    if (ungrantable.length) {
+      return res.status(403).json({ error: `You can't grant: ${ungrantable.join(', ')}` });
+    }
+
+    const agency = await getAgencyById(agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+
+    const { data: existing } = await supabase
+      .from('users')
+      .select('id, agency_id, role, is_active')
+      .eq('email', email)
+      .maybeSingle();
+
+    const canRestore = existing && existing.agency_id === agencyId &&
+      existing.role === 'agency_staff' && existing.is_active === false;
+
+    if (existing && !canRestore) {
+      return res.status(400).json({ error: 'A user with that email already exists' });
+    }
+
+    const fields = {
+      first_name: first_name.trim(),
+      last_name: last_name?.trim() || null,
+      permissions,
+      is_active: true,
+      invited_by: req.user.userId,
+      invited_at: new Date().toISOString()
+    };
+
+    const { data: member, error } = canRestore
+      ? await supabase
+          .from('users')
+          .update({ ...fields, password_hash: null })
+          .eq('id', existing.id)
+          .select()
+          .single()
+      : await supabase
+          .from('users')
+          .insert({ ...fields, agency_id: agencyId, email, role: 'agency_staff', password_hash: null })
+          .select()
+          .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'A user with that email already exists' });
+      }
+      console.error('Error inviting staff:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const emailResult = await sendInvite(agency, member, req.user);
+
+    console.log(`✅ Staff invited: ${email} (agency ${agencyId})`);
+    res.status(201).json({
+      success: true,
+      member: formatMember(member),
+      email_sent: !!emailResult?.success
+    });
+  } catch (error) {
+    console.error('Error inviting staff:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/agency/:agencyId/staff/:userId/resend - Resend a pending invite
+// ============================================================================
+router.post('/:agencyId/staff/:userId/resend', async (req, res) => {
+  try {
+    const { agencyId, userId } = req.params;
+
+    const member = await getStaffMember(agencyId, userId);
+    if (!member || member.is_active === false) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+    if (member.password_hash) {
+      return res.status(400).json({ error: 'This invitation has already been accepted' });
+    }
+
+    const agency = await getAgencyById(agencyId);
+    const emailResult = await sendInvite(agency, member, req.user);
+
+    if (!emailResult?.success) {
+      return res.status(502).json({ error: 'Failed to send invitation', details: emailResult?.error });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error resending invite:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// PUT /api/agency/:agencyId/staff/:userId - Update name / permissions
+// Body: { first_name?, last_name?, permissions? | preset? }
+// ============================================================================
+router.put('/:agencyId/staff/:userId', async (req, res) => {
+  try {
+    const { agencyId, userId } = req.params;
+    const { first_name, last_name, permissions, preset } = req.body;
+
+    const member = await getStaffMember(agencyId, userId);
+    if (!member || member.is_active === false) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    const updates = {};
+
+    if (first_name !== undefined) {
+      if (!first_name?.trim()) {
+        return res.status(400).json({ error: 'First name is required' });
+      }
+      updates.first_name = first_name.trim();
+    }
+    if (last_name !== undefined) updates.last_name = last_name?.trim() || null;
+
+    if (permissions !== undefined || preset !== undefined) {
+      const parsed = parsePermissions({ permissions, preset });
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      // Adding or removing a permission you don't hold is an escalation either way
+      const changed = [
+        ...parsed.permissions.filter(p => !member.permissions?.includes(p)),
+        ...(member.permissions || []).filter(p => !parsed.permissions.includes(p))
+      ];
+      const ungrantable = findUngrantable(req.user, changed);
+      if (ungrantable.length) {
+        return res.status(403).json({ error: `You can't change: ${ungrantable.join(', ')}` });
+      }
+
+      updates.permissions = parsed.permissions;
+    }
+
+    const { data: updated, error } = await supabase
+      .from('users')
+      .update(updates)
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating staff:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, member: formatMember(updated) });
+  } catch (error) {
+    console.error('Error updating staff:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// DELETE /api/agency/:agencyId/staff/:userId - Remove a staff member
+// The row is kept (deactivated) so their activity history stays attributed
+// ============================================================================
+router.delete('/:agencyId/staff/:userId', async (req, res) => {
+  try {
+    const { agencyId, userId } = req.params;
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({ error: "You can't remove yourself" });
+    }
+
+    const member = await getStaffMember(agencyId, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    // Same rule as editing: no removing someone who holds more than you do
+    const ungrantable = findUngrantable(req.user, member.permissions || []);
+    if (ungrantable.length) {
+      return res.status(403).json({ error: `You can't remove someone with: ${ungrantable.join(', ')}` });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ is_active: false, permissions: [], password_hash: null })
+      .eq('id', userId);
+
+    if (error) {
+      console.error('Error removing staff:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Outstanding invite / reset links stop working
+    await supabase
+      .from('password_reset_tokens')
+      .update({ used: true })
+      .eq('user_id', userId)
+      .eq('used', false);
+
+    // Signed out on every device
+    await revokeUserSessions(userId, 'removed');
+
+    console.log(`🗑️ Staff removed: ${member.email} (agency ${agencyId})`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing staff:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
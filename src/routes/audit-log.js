@@ -0,0 +1,41 @@
+// ============================================================================
+// AUDIT LOG ROUTES - Security audit log for an agency
+// VoiceAI Connect - Settings, pricing, domain, Connect, referral payout,
+// password and client voice / greeting changes (lib/audit-log.js).
+// Super admins query every agency through GET /api/admin/audit-log.
+// Mounted at /api/agency
+// ============================================================================
+const express = require('express');
+const router = express.Router();
+const { AUDIT_ACTIONS, parseAuditFilters, queryAuditLog } = require('../lib/audit-log');
+const { authorizeAgencyParam } = require('../lib/tenant-auth');
+
+// Every :agencyId route requires a member of that agency with 'audit' access
+router.param('agencyId', authorizeAgencyParam('audit'));
+
+// ============================================================================
+// GET /api/agency/:agencyId/audit-log - Entries for the agency and its clients
+// Query: ?action= (exact or 'domain.*') &client_id= &actor_id= &entity_type=
+//        &entity_id= &from= &to= (ISO) &limit=50 &offset=0
+// ============================================================================
+router.get('/:agencyId/audit-log', async (req, res) => {
+  try {
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { entries, total } = await queryAuditLog({ ...filters, agency_id: req.params.agencyId });
+
+    res.json({
+      entries,
+      total,
+      actions: Object.values(AUDIT_ACTIONS)
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
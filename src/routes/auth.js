@@ -3,29 +3,157 @@
 // ============================================================================
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { supabase, getUserByEmail, getUserById } = require('../lib/supabase');
-const { sendEmail } = require('../lib/notifications');
+const { supabase, getUserByEmail, getUserById, getAgencyById, getClientById } = require('../lib/supabase');
+const { sendEmail, getAgencyDashboardUrl } = require('../lib/notifications');
+const { sendTemplatedEmail } = require('../lib/email-templates');
+const { getUserPermissions } = require('../lib/agency-permissions');
+const {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions
+} = require('../lib/sessions');
+const { isTwoFactorEnforced } = require('../lib/two-factor');
+const { isImpersonationActive, endImpersonation } = require('../lib/impersonation');
+const { AUDIT_ACTIONS, recordAudit } = require('../lib/audit-log');
+const {
+  loginLockout,
+  passwordResetCooldown,
+  passwordResetDailyLimiter,
+  sendTooManyRequests
+} = require('../lib/rate-limit');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = '7d';
+
+// Access tokens are short-lived; the refresh token (lib/sessions.js) renews them
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
 
 // ============================================================================
 // GENERATE JWT
 // ============================================================================
-function generateToken(user) {
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.impersonation] - { id, userId, email, agencyId } of
+ *   an agency user acting as this client (lib/impersonation.js)
+ * @param {number} [options.expiresIn] - seconds
+ */
+function generateToken(user, sessionId, { impersonation, expiresIn = ACCESS_TOKEN_TTL_SECONDS } = {}) {
   return jwt.sign(
     {
       userId: user.id,
       email: user.email,
       role: user.role,
       agencyId: user.agency_id,
-      clientId: user.client_id
+      clientId: user.client_id,
+      sessionId,
+      ...(impersonation && { impersonation })
     },
     JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
+    { expiresIn }
   );
 }
 
+/**
+ * Start a session and return its token pair
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+ */
+async function issueTokens(user, req) {
+  const session = await createSession(user.id, req);
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken: session.refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Decode a Bearer token whose session is still live
+ * @returns {Promise<object|null>} JWT payload
+ */
+async function decodeAccessToken(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(authHeader.split(' ')[1], JWT_SECRET);
+  } catch (jwtError) {
+    return null;
+  }
+
+  // Tokens from before sessions existed have no sessionId and are refused
+  if (!(await isSessionActive(decoded.sessionId))) return null;
+
+  // Impersonation tokens carry the agency user's session plus their own
+  if (decoded.impersonation && !(await isImpersonationActive(decoded.impersonation.id))) return null;
+
+  return decoded;
+}
+
+// ============================================================================
+// TWO-FACTOR CHALLENGE (Between a correct password and the session)
+// ============================================================================
+const CHALLENGE_EXPIRES_IN = '10m';
+
+function createTwoFactorChallenge(user, purpose) {
+  return jwt.sign({ userId: user.id, purpose, type: 'two_factor_challenge' }, JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES_IN
+  });
+}
+
+/**
+ * @param {string} purpose - 'login' (enter a code) or 'enroll' (set 2FA up first)
+ * @returns {object|null} challenge payload ({ userId, purpose })
+ */
+function verifyTwoFactorChallenge(challengeToken, purpose) {
+  try {
+    const decoded = jwt.verify(challengeToken || '', JWT_SECRET);
+    if (decoded.type !== 'two_factor_challenge' || decoded.purpose !== purpose) return null;
+    return decoded;
+  } catch (jwtError) {
+    return null;
+  }
+}
+
+/**
+ * Login response for a user who still owes a second factor, or null
+ */
+async function getTwoFactorStep(user) {
+  if (user.totp_enabled) {
+    return {
+      success: true,
+      two_factor_required: true,
+      challengeToken: createTwoFactorChallenge(user, 'login')
+    };
+  }
+
+  if (await isTwoFactorEnforced(user)) {
+    return {
+      success: true,
+      two_factor_setup_required: true,
+      challengeToken: createTwoFactorChallenge(user, 'enroll')
+    };
+  }
+
+  return null;
+}
+
+const LOCKED_OUT_MESSAGE = 'Too many failed sign-in attempts - please try again later';
+
+/**
+ * Count a failed sign-in for the account - 429 once it's locked out
+ */
+async function rejectLogin(res, email, error) {
+  const lockout = await loginLockout.fail(email);
+  if (lockout.locked) {
+    return sendTooManyRequests(res, lockout.retryAfter, LOCKED_OUT_MESSAGE);
+  }
+  return res.status(401).json({ error });
+}
+
 // ============================================================================
 // AGENCY LOGIN
 // ============================================================================
@@ -37,16 +165,28 @@ async function agencyLogin(req, res) {
       return res.status(400).json({ error: 'Email and password required' });
     }
     
+    const account = email.toLowerCase();
+    
+    const lockout = await loginLockout.check(account);
+    if (lockout.locked) {
+      return sendTooManyRequests(res, lockout.retryAfter, LOCKED_OUT_MESSAGE);
+    }
+    
     // Find user
-    const user = await getUserByEmail(email.toLowerCase());
+    const user = await getUserByEmail(account);
     
     if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      return rejectLogin(res, account, 'Invalid email or password');
     }
     
     // Check if agency user
     if (!user.agency_id || !['agency_owner', 'agency_staff', 'super_admin'].includes(user.role)) {
-      return res.status(401).json({ error: 'Invalid credentials for agency login' });
+      return rejectLogin(res, account, 'Invalid credentials for agency login');
+    }
+    
+    // Removed staff keep their row (activity attribution) but can't sign in
+    if (user.is_active === false) {
+      return res.status(403).json({ error: 'Your access to this agency has been removed' });
     }
     
     // Verify password
@@ -59,59 +199,18 @@ async function agencyLogin(req, res) {
     
     const validPassword = await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      return rejectLogin(res, account, 'Invalid email or password');
     }
     
-    // Fetch full agency data separately (this was the bug - user.agencies was undefined)
-    const { data: agency, error: agencyError } = await supabase
-      .from('agencies')
-      .select('*')
-      .eq('id', user.agency_id)
-      .single();
+    await loginLockout.clear(account);
     
-    if (agencyError) {
-      console.error('❌ Agency fetch error:', agencyError);
-    }
-    
-    // Check agency status
-    if (agency && agency.status === 'suspended') {
-      return res.status(403).json({ 
-        error: 'Your account has been suspended. Please contact support.' 
-      });
+    // 2FA users finish at POST /api/auth/2fa/verify (or /2fa/enroll)
+    const twoFactorStep = await getTwoFactorStep(user);
+    if (twoFactorStep) {
+      return res.json(twoFactorStep);
     }
     
-    // Update last login
-    await supabase
-      .from('users')
-      .update({ last_login: new Date().toISOString() })
-      .eq('id', user.id);
-    
-    if (user.agency_id) {
-      await supabase
-        .from('agencies')
-        .update({ last_login_at: new Date().toISOString() })
-        .eq('id', user.agency_id);
-    }
-    
-    // Generate token
-    const token = generateToken(user);
-    
-    console.log('✅ Agency login:', user.email, '| Agency:', agency?.name);
-    
-    // Return token, user (with agency_id), and full agency object
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        role: user.role,
-        agency_id: user.agency_id  // CRITICAL: Include agency_id
-      },
-      agency  // CRITICAL: Full agency object from separate query
-    });
+    await finishAgencyLogin(user, req, res);
     
   } catch (error) {
     console.error('❌ Agency login error:', error);
@@ -119,6 +218,67 @@ async function agencyLogin(req, res) {
   }
 }
 
+/**
+ * Credentials (and 2FA) are done - start the session and send the dashboard data
+ */
+async function finishAgencyLogin(user, req, res, extra = {}) {
+  // Fetch full agency data separately (this was the bug - user.agencies was undefined)
+  const { data: agency, error: agencyError } = await supabase
+    .from('agencies')
+    .select('*')
+    .eq('id', user.agency_id)
+    .single();
+  
+  if (agencyError) {
+    console.error('❌ Agency fetch error:', agencyError);
+  }
+  
+  // Check agency status
+  if (agency && agency.status === 'suspended') {
+    return res.status(403).json({ 
+      error: 'Your account has been suspended. Please contact support.' 
+    });
+  }
+  
+  // Update last login
+  await supabase
+    .from('users')
+    .update({ last_login: new Date().toISOString() })
+    .eq('id', user.id);
+  
+  if (user.agency_id) {
+    await supabase
+      .from('agencies')
+      .update({ last_login_at: new Date().toISOString() })
+      .eq('id', user.agency_id);
+  }
+  
+  // Generate token pair
+  const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+  
+  console.log('✅ Agency login:', user.email, '| Agency:', agency?.name);
+  
+  // Return token, user (with agency_id), and full agency object
+  res.json({
+    success: true,
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user.id,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      role: user.role,
+      agency_id: user.agency_id,  // CRITICAL: Include agency_id
+      permissions: getUserPermissions(user),
+      two_factor_enabled: !!user.totp_enabled
+    },
+    agency,  // CRITICAL: Full agency object from separate query
+    ...extra
+  });
+}
+
 // ============================================================================
 // CLIENT LOGIN
 // ============================================================================
@@ -130,16 +290,27 @@ async function clientLogin(req, res) {
       return res.status(400).json({ error: 'Email and password required' });
     }
     
+    const account = email.toLowerCase();
+    
+    const lockout = await loginLockout.check(account);
+    if (lockout.locked) {
+      return sendTooManyRequests(res, lockout.retryAfter, LOCKED_OUT_MESSAGE);
+    }
+    
     // Find user
-    const user = await getUserByEmail(email.toLowerCase());
+    const user = await getUserByEmail(account);
     
     if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      return rejectLogin(res, account, 'Invalid email or password');
     }
     
     // Check if client user
     if (!user.client_id || user.role !== 'client') {
-      return res.status(401).json({ error: 'Invalid credentials for client login' });
+      return rejectLogin(res, account, 'Invalid credentials for client login');
+    }
+    
+    if (user.is_active === false) {
+      return res.status(403).json({ error: 'Your access to this account has been removed' });
     }
     
     // Verify password
@@ -152,44 +323,17 @@ async function clientLogin(req, res) {
     
     const validPassword = await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      return rejectLogin(res, account, 'Invalid email or password');
     }
     
-    // Fetch full client data separately
-    const { data: client, error: clientError } = await supabase
-      .from('clients')
-      .select('*')
-      .eq('id', user.client_id)
-      .single();
+    await loginLockout.clear(account);
     
-    if (clientError) {
-      console.error('❌ Client fetch error:', clientError);
+    const twoFactorStep = await getTwoFactorStep(user);
+    if (twoFactorStep) {
+      return res.json(twoFactorStep);
     }
     
-    // Update last login
-    await supabase
-      .from('users')
-      .update({ last_login: new Date().toISOString() })
-      .eq('id', user.id);
-    
-    // Generate token
-    const token = generateToken(user);
-    
-    console.log('✅ Client login:', user.email, '| Client:', client?.business_name);
-    
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        role: user.role,
-        client_id: user.client_id  // Include client_id
-      },
-      client  // Full client object
-    });
+    await finishClientLogin(user, req, res);
     
   } catch (error) {
     console.error('❌ Client login error:', error);
@@ -197,6 +341,55 @@ async function clientLogin(req, res) {
   }
 }
 
+async function finishClientLogin(user, req, res, extra = {}) {
+  // Fetch full client data separately
+  const { data: client, error: clientError } = await supabase
+    .from('clients')
+    .select('*')
+    .eq('id', user.client_id)
+    .single();
+  
+  if (clientError) {
+    console.error('❌ Client fetch error:', clientError);
+  }
+  
+  // Update last login
+  await supabase
+    .from('users')
+    .update({ last_login: new Date().toISOString() })
+    .eq('id', user.id);
+  
+  // Generate token pair
+  const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+  
+  console.log('✅ Client login:', user.email, '| Client:', client?.business_name);
+  
+  res.json({
+    success: true,
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user.id,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      role: user.role,
+      client_id: user.client_id,  // Include client_id
+      client_role: user.client_role || 'owner',
+      two_factor_enabled: !!user.totp_enabled
+    },
+    client,  // Full client object
+    ...extra
+  });
+}
+
+// Finish whichever login the user started (after the 2FA step)
+function finishLogin(user, req, res, extra = {}) {
+  if (user.role === 'client') return finishClientLogin(user, req, res, extra);
+  return finishAgencyLogin(user, req, res, extra);
+}
+
 // ============================================================================
 // VERIFY TOKEN
 // ============================================================================
@@ -208,35 +401,42 @@ async function verifyToken(req, res) {
       return res.status(401).json({ error: 'No token provided' });
     }
     
-    const token = authHeader.split(' ')[1];
+    const decoded = await decodeAccessToken(authHeader);
     
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      
-      // Get fresh user data
-      const user = await getUserById(decoded.userId);
-      
-      if (!user) {
-        return res.status(401).json({ error: 'User not found' });
-      }
-      
-      res.json({
-        valid: true,
-        user: {
-          id: user.id,
-          email: user.email,
-          first_name: user.first_name,
-          last_name: user.last_name,
-          role: user.role,
-          agency_id: user.agency_id,
-          client_id: user.client_id
-        }
-      });
-      
-    } catch (jwtError) {
+    if (!decoded) {
       return res.status(401).json({ error: 'Invalid or expired token' });
     }
     
+    // Get fresh user data
+    const user = await getUserById(decoded.userId);
+    
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    
+    if (user.is_active === false) {
+      return res.status(401).json({ error: 'Account disabled' });
+    }
+    
+    res.json({
+      valid: true,
+      user: {
+        id: user.id,
+        email: user.email,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        role: user.role,
+        agency_id: user.agency_id,
+        client_id: user.client_id,
+        client_role: user.client_role || null,
+        permissions: getUserPermissions(user)
+      },
+      // Set when an agency user is signed in as this client - show a banner
+      impersonation: decoded.impersonation
+        ? { id: decoded.impersonation.id, email: decoded.impersonation.email }
+        : null
+    });
+    
   } catch (error) {
     console.error('❌ Token verification error:', error);
     res.status(500).json({ error: 'Token verification failed' });
@@ -296,11 +496,36 @@ async function setPassword(req, res) {
       .update({ used: true })
       .eq('id', tokenRecord.id);
     
+    // A new password signs the user out everywhere else
+    await revokeUserSessions(tokenRecord.user_id, 'password_changed');
+    
     // Get user for response
     const user = await getUserById(tokenRecord.user_id);
     
-    // Generate login token
-    const authToken = generateToken(user);
+    // Client users belong to the agency through their client
+    const client = user.client_id ? await getClientById(user.client_id) : null;
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.PASSWORD_CHANGED,
+      agencyId: user.agency_id || client?.agency_id,
+      clientId: user.client_id,
+      entityType: 'user',
+      entityId: user.id,
+      actor: { id: user.id, email: user.email, role: user.role },
+      metadata: { via: 'email_link' }
+    });
+    
+    if (user.is_active === false) {
+      return res.status(403).json({ error: 'Your access to this account has been removed' });
+    }
+    
+    // A reset link is only one factor - 2FA users still need their code
+    const twoFactorStep = await getTwoFactorStep(user);
+    if (twoFactorStep) {
+      return res.json({ ...twoFactorStep, message: 'Password set successfully' });
+    }
+    
+    // Generate login tokens
+    const { token: authToken, refreshToken, expiresIn } = await issueTokens(user, req);
     
     console.log('✅ Password set for:', user.email);
     
@@ -308,6 +533,8 @@ async function setPassword(req, res) {
       success: true,
       message: 'Password set successfully',
       token: authToken,
+      refreshToken,
+      expiresIn,
       user: {
         id: user.id,
         email: user.email,
@@ -332,6 +559,14 @@ async function requestPasswordReset(req, res) {
       return res.status(400).json({ error: 'Email required' });
     }
     
+    // Per-inbox cooldown - applies whether or not the account exists
+    for (const limiter of [passwordResetCooldown, passwordResetDailyLimiter]) {
+      const limit = await limiter.consume(email.toLowerCase());
+      if (!limit.allowed) {
+        return sendTooManyRequests(res, limit.retryAfter, limiter.message);
+      }
+    }
+    
     const user = await getUserByEmail(email.toLowerCase());
     
     // Don't reveal if user exists
@@ -356,19 +591,35 @@ async function requestPasswordReset(req, res) {
       used: false
     });
     
-    // Send reset email
-    const resetUrl = `${process.env.FRONTEND_URL}/auth/reset-password?token=${token}`;
-    
-    await sendEmail({
-      to: email,
-      subject: 'Reset Your Password',
-      html: `
-        <h2>Reset Your Password</h2>
-        <p>Click the link below to reset your password. This link expires in 1 hour.</p>
-        <p><a href="${resetUrl}">Reset Password</a></p>
-        <p>If you didn't request this, you can ignore this email.</p>
-      `
-    });
+    // Send reset email - client users get their agency's branding and domain
+    const clientAgency = user.client_id && user.clients?.agency_id
+      ? await getAgencyById(user.clients.agency_id)
+      : null;
+    
+    if (clientAgency) {
+      await sendTemplatedEmail('password_reset', {
+        agency: clientAgency,
+        client: user.clients,
+        to: email,
+        emailType: 'password_reset',
+        variables: {
+          reset_url: `${getAgencyDashboardUrl(clientAgency)}/auth/reset-password?token=${token}`
+        }
+      });
+    } else {
+      const resetUrl = `${process.env.FRONTEND_URL}/auth/reset-password?token=${token}`;
+      
+      await sendEmail({
+        to: email,
+        subject: 'Reset Your Password',
+        html: `
+          <h2>Reset Your Password</h2>
+          <p>Click the link below to reset your password. This link expires in 1 hour.</p>
+          <p><a href="${resetUrl}">Reset Password</a></p>
+          <p>If you didn't request this, you can ignore this email.</p>
+        `
+      });
+    }
     
     console.log('✅ Password reset email sent to:', email);
     
@@ -395,23 +646,20 @@ function authMiddleware(requiredRoles = []) {
         return res.status(401).json({ error: 'Authentication required' });
       }
       
-      const token = authHeader.split(' ')[1];
+      const decoded = await decodeAccessToken(authHeader);
       
-      try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        // Check role if required
-        if (requiredRoles.length > 0 && !requiredRoles.includes(decoded.role)) {
-          return res.status(403).json({ error: 'Insufficient permissions' });
-        }
-        
-        req.user = decoded;
-        next();
-        
-      } catch (jwtError) {
+      if (!decoded) {
         return res.status(401).json({ error: 'Invalid or expired token' });
       }
       
+      // Check role if required
+      if (requiredRoles.length > 0 && !requiredRoles.includes(decoded.role)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      
+      req.user = decoded;
+      next();
+      
     } catch (error) {
       console.error('❌ Auth middleware error:', error);
       res.status(500).json({ error: 'Authentication failed' });
@@ -419,6 +667,115 @@ function authMiddleware(requiredRoles = []) {
   };
 }
 
+// ============================================================================
+// REFRESH TOKEN (Rotates the refresh token, returns a new access token)
+// ============================================================================
+async function refreshAccessToken(req, res) {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+    
+    const { session, refreshToken: newRefreshToken, error } = await rotateSession(refreshToken, req);
+    
+    if (error) {
+      return res.status(401).json({ error });
+    }
+    
+    const user = await getUserById(session.user_id);
+    
+    if (!user || user.is_active === false) {
+      await revokeSession(session.id, 'removed');
+      return res.status(401).json({ error: 'Account disabled' });
+    }
+    
+    res.json({
+      success: true,
+      token: generateToken(user, session.id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    });
+    
+  } catch (error) {
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+}
+
+// ============================================================================
+// LOGOUT (This session) / LOGOUT ALL (Every session for the user)
+// ============================================================================
+async function logout(req, res) {
+  try {
+    // Ends the impersonation only - the agency user stays signed in
+    if (req.user.impersonation) {
+      await endImpersonation(req.user.impersonation.id);
+      console.log(`👋 Impersonation ended: ${req.user.impersonation.email} as ${req.user.email}`);
+      return res.json({ success: true });
+    }
+
+    await revokeSession(req.user.sessionId, 'logout', req.user.userId);
+    
+    console.log('👋 Logout:', req.user.email);
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+}
+
+async function logoutAll(req, res) {
+  try {
+    const revoked = await revokeUserSessions(req.user.userId, 'logout_all');
+    
+    console.log('👋 Logout everywhere:', req.user.email);
+    res.json({ success: true, revoked });
+    
+  } catch (error) {
+    console.error('❌ Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+}
+
+// ============================================================================
+// SESSIONS (Signed-in devices for the current user)
+// ============================================================================
+async function getSessions(req, res) {
+  try {
+    const sessions = await listUserSessions(req.user.userId);
+    
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      }))
+    });
+    
+  } catch (error) {
+    console.error('❌ Session list error:', error);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+}
+
+async function deleteSession(req, res) {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, 'logout', req.user.userId);
+    
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('❌ Session revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -428,6 +785,16 @@ module.exports = {
   verifyToken,
   setPassword,
   requestPasswordReset,
+  refreshAccessToken,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
   authMiddleware,
-  generateToken
+  generateToken,
+  issueTokens,
+  decodeAccessToken,
+  getTwoFactorStep,
+  verifyTwoFactorChallenge,
+  finishLogin
 };
\ No newline at end of file
@@ -0,0 +1,336 @@
+// ============================================================================
+// CALENDAR ROUTES - Appointment booking for VAPI tool calls & dashboard
+// VoiceAI Connect Multi-Tenant
+//
+// Tool endpoints accept either a VAPI tool-call payload
+// ({ message: { toolCallList: [...] } }) or plain JSON from the dashboard.
+// VAPI callers get { results: [{ toolCallId, result }] } with a sentence the
+// assistant can read back; everyone else gets structured JSON.
+// ============================================================================
+const express = require('express');
+const router = express.Router();
+const { supabase, getClientById } = require('../lib/supabase');
+const { syncCalendarTools, isValidVapiSecret, getPhoneNumberFromVapi } = require('../lib/vapi');
+const { parseClientDateTime, resolveClientTimezone } = require('../lib/calendar');
+const { runCalendarTool } = require('../lib/calendar-tools');
+const { requireClientAccess } = require('../lib/tenant-auth');
+
+// ============================================================================
+// VAPI TOOL-CALL HELPERS
+// ============================================================================
+function parseToolCall(req) {
+  const message = req.body?.message;
+  const toolCall = message?.toolCallList?.[0] || message?.toolCalls?.[0];
+
+  if (!toolCall) {
+    return { toolCallId: null, args: req.body || {}, call: null };
+  }
+
+  let args = toolCall.function?.arguments || {};
+  if (typeof args === 'string') {
+    try {
+      args = JSON.parse(args);
+    } catch (error) {
+      args = {};
+    }
+  }
+
+  return { toolCallId: toolCall.id, args, call: message.call || null };
+}
+
+/**
+ * Whether a VAPI tool call came from one of the client's own calls - the
+ * call's assistant or the number that was dialed must be the client's
+ */
+async function isClientCall(client, message) {
+  const call = message?.call || {};
+
+  const assistantId = call.assistantId || message?.assistant?.id;
+  if (assistantId && assistantId === client.vapi_assistant_id) return true;
+
+  if (!client.vapi_phone_number) return false;
+
+  const phoneNumber =
+    message?.phoneNumber?.number ||
+    call.phoneNumber?.number ||
+    (call.phoneNumberId ? await getPhoneNumberFromVapi(call.phoneNumberId) : null);
+
+  return phoneNumber === client.vapi_phone_number;
+}
+
+function sendToolResult(res, toolCallId, status, payload, spoken) {
+  // VAPI needs a 200 with a result string, even when the action failed
+  if (toolCallId) {
+    return res.json({ results: [{ toolCallId, result: spoken }] });
+  }
+  return res.status(status).json(payload);
+}
+
+// Dashboard callers must be signed in with access to :clientId
+const authorizeClient = requireClientAccess(req => req.params.clientId);
+
+/**
+ * Route handler that runs one calendar tool for :clientId
+ * VAPI tool calls are checked against the VAPI secret and the call itself
+ * instead of a JWT
+ */
+function calendarToolRoute(toolName) {
+  const runTool = async (req, res) => {
+    const { toolCallId, args, call } = parseToolCall(req);
+
+    if (toolCallId && !isValidVapiSecret(req)) {
+      console.log('🚫 Calendar tool call rejected: invalid VAPI secret');
+      return res.status(401).json({ error: 'Invalid VAPI secret' });
+    }
+
+    try {
+      const client = await getClientById(req.params.clientId);
+
+      if (!client) {
+        return sendToolResult(res, toolCallId, 404, { error: 'Client not found' },
+          "I'm not able to access the calendar right now. I'll take your details and have someone call you back.");
+      }
+
+      if (toolCallId && !(await isClientCall(client, req.body.message))) {
+        console.log(`🚫 Calendar tool call rejected: call doesn't belong to client ${client.id}`);
+        return res.status(403).json({ error: 'Call does not belong to this client' });
+      }
+
+      const { status, payload, spoken } = await runCalendarTool(toolName, client, args, {
+        call,
+        fromVapi: !!toolCallId
+      });
+
+      sendToolResult(res, toolCallId, status, payload, spoken);
+    } catch (error) {
+      console.error(`❌ Calendar ${toolName} error:`, error);
+      sendToolResult(res, toolCallId, 500, { error: 'Server error' },
+        'Something went wrong with the calendar.');
+    }
+  };
+
+  return (req, res) => {
+    if (parseToolCall(req).toolCallId) return runTool(req, res);
+    return authorizeClient(req, res, () => runTool(req, res));
+  };
+}
+
+// ============================================================================
+// TOOL ENDPOINTS
+// POST /api/calendar/availability/:clientId - Open appointment times
+// POST /api/calendar/book/:clientId - Book an appointment
+// POST /api/calendar/cancel/:clientId - Cancel an appointment
+// POST /api/calendar/reschedule/:clientId - Move an appointment
+// ============================================================================
+router.post('/availability/:clientId', calendarToolRoute('check_availability'));
+router.post('/book/:clientId', calendarToolRoute('book_appointment'));
+router.post('/cancel/:clientId', calendarToolRoute('cancel_appointment'));
+router.post('/reschedule/:clientId', calendarToolRoute('reschedule_appointment'));
+
+// ============================================================================
+// GET /api/calendar/:clientId/appointments - List appointments
+// Query: from, to (ISO or YYYY-MM-DD in client time), status
+// ============================================================================
+router.get('/:clientId/appointments', authorizeClient, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { from, to, status } = req.query;
+
+    const client = await getClientById(clientId);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const timeZone = resolveClientTimezone(client);
+    const fromDate = parseClientDateTime(from, timeZone) || new Date();
+
+    let query = supabase
+      .from('appointments')
+      .select('*, appointment_type:appointment_types (id, name, duration_minutes)')
+      .eq('client_id', clientId)
+      .gte('starts_at', fromDate.toISOString())
+      .order('starts_at', { ascending: true });
+
+    const toDate = parseClientDateTime(to, timeZone);
+    if (toDate) {
+      query = query.lt('starts_at', toDate.toISOString());
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: appointments, error } = await query;
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ timezone: timeZone, appointments: appointments || [] });
+  } catch (error) {
+    console.error('Error fetching appointments:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// APPOINTMENT TYPES
+// ============================================================================
+const APPOINTMENT_TYPE_FIELDS = [
+  'name',
+  'description',
+  'duration_minutes',
+  'buffer_before_minutes',
+  'buffer_after_minutes',
+  'slot_interval_minutes',
+  'min_notice_minutes',
+  'max_days_ahead',
+  'is_default',
+  'is_active'
+];
+
+function pickAppointmentTypeFields(body) {
+  const updates = {};
+  for (const field of APPOINTMENT_TYPE_FIELDS) {
+    if (body[field] !== undefined) updates[field] = body[field];
+  }
+  return updates;
+}
+
+// Only one default type per client
+async function clearDefaultAppointmentType(clientId, exceptId = null) {
+  let query = supabase
+    .from('appointment_types')
+    .update({ is_default: false })
+    .eq('client_id', clientId)
+    .eq('is_default', true);
+
+  if (exceptId) {
+    query = query.neq('id', exceptId);
+  }
+
+  await query;
+}
+
+// GET /api/calendar/:clientId/appointment-types - List appointment types
+router.get('/:clientId/appointment-types', authorizeClient, async (req, res) => {
+  try {
+    const { data: types, error } = await supabase
+      .from('appointment_types')
+      .select('*')
+      .eq('client_id', req.params.clientId)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ appointment_types: types || [] });
+  } catch (error) {
+    console.error('Error fetching appointment types:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/calendar/:clientId/appointment-types - Create appointment type
+router.post('/:clientId/appointment-types', authorizeClient, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const fields = pickAppointmentTypeFields(req.body);
+
+    if (!fields.name || !fields.name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const client = await getClientById(clientId);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    if (fields.is_default) {
+      await clearDefaultAppointmentType(clientId);
+    }
+
+    const { data: type, error } = await supabase
+      .from('appointment_types')
+      .insert({ ...fields, name: fields.name.trim(), client_id: clientId })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Clients created before booking existed don't have the calendar tools yet
+    if (client.vapi_assistant_id) {
+      await syncCalendarTools(client.vapi_assistant_id, clientId);
+    }
+
+    console.log(`✅ Appointment type created for ${client.business_name}: ${type.name}`);
+    res.status(201).json({ success: true, appointment_type: type });
+  } catch (error) {
+    console.error('Error creating appointment type:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/calendar/:clientId/appointment-types/:typeId - Update appointment type
+router.put('/:clientId/appointment-types/:typeId', authorizeClient, async (req, res) => {
+  try {
+    const { clientId, typeId } = req.params;
+    const updates = pickAppointmentTypeFields(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    if (updates.is_default) {
+      await clearDefaultAppointmentType(clientId, typeId);
+    }
+
+    const { data: type, error } = await supabase
+      .from('appointment_types')
+      .update(updates)
+      .eq('id', typeId)
+      .eq('client_id', clientId)
+      .select()
+      .single();
+
+    if (error || !type) {
+      return res.status(404).json({ error: 'Appointment type not found' });
+    }
+
+    res.json({ success: true, appointment_type: type });
+  } catch (error) {
+    console.error('Error updating appointment type:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/calendar/:clientId/appointment-types/:typeId - Deactivate appointment type
+// Soft delete so existing appointments keep their type
+router.delete('/:clientId/appointment-types/:typeId', authorizeClient, async (req, res) => {
+  try {
+    const { clientId, typeId } = req.params;
+
+    const { data: type, error } = await supabase
+      .from('appointment_types')
+      .update({ is_active: false, is_default: false })
+      .eq('id', typeId)
+      .eq('client_id', clientId)
+      .select()
+      .single();
+
+    if (error || !type) {
+      return res.status(404).json({ error: 'Appointment type not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting appointment type:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
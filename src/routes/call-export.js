@@ -0,0 +1,105 @@
+// ============================================================================
+// CALL EXPORT ROUTES - Download a call log as CSV or JSON
+// VoiceAI Connect - Same filters as GET /api/client/:id/calls, plus
+// ?format=csv|json and ?columns=customer_name,customer_phone,...
+// The client route is registered on the client router (before /:id/calls/:callId);
+// the agency route in server.js.
+// ============================================================================
+const { getClientById, getAgencyById } = require('../lib/supabase');
+const { parseCallFilters, UUID_REGEX } = require('../lib/call-history');
+const { EXPORT_FORMATS, parseExportColumns, streamCallExport } = require('../lib/call-export');
+
+// "John's Plumbing" -> "johns-plumbing"
+function toFilenamePart(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'export';
+}
+
+/**
+ * Shared query parsing for both exports
+ * @returns {{ format?: string, columns?: string[], filters?: object, error?: string }}
+ */
+function parseExportRequest(query, agencyWide, user) {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+
+  const { columns, error: columnError } = parseExportColumns(query.columns, agencyWide);
+  if (columnError) return { error: columnError };
+
+  const { filters, error: filterError } = parseCallFilters(query, user);
+  if (filterError) return { error: filterError };
+
+  return { format, columns, filters };
+}
+
+// ============================================================================
+// GET /api/client/:id/calls/export - One client's calls
+// ============================================================================
+async function exportClientCalls(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { format, columns, filters, error } = parseExportRequest(req.query, false, req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const client = await getClientById(id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const filename = `calls-${toFilenamePart(client.business_name)}-${new Date().toISOString().slice(0, 10)}`;
+    const written = await streamCallExport(res, { clientId: id }, filters, { format, columns, filename });
+
+    console.log(`📤 Call export: ${written} calls for ${client.business_name} (${format})`);
+  } catch (error) {
+    console.error('Error exporting calls:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ============================================================================
+// GET /api/agency/:agencyId/calls/export - Calls across every client
+// Extra: ?client_id= to narrow to one client; columns may include
+// business_name and client_id
+// ============================================================================
+async function exportAgencyCalls(req, res) {
+  try {
+    const { agencyId } = req.params;
+
+    const { format, columns, filters, error } = parseExportRequest(req.query, true, req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const agency = await getAgencyById(agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+
+    if (req.query.client_id && !UUID_REGEX.test(req.query.client_id)) {
+      return res.status(400).json({ error: 'client_id must be a client ID' });
+    }
+
+    const scope = { agencyId, clientId: req.query.client_id || undefined };
+    const filename = `calls-${toFilenamePart(agency.name)}-${new Date().toISOString().slice(0, 10)}`;
+    const written = await streamCallExport(res, scope, filters, { format, columns, filename });
+
+    console.log(`📤 Agency call export: ${written} calls for ${agency.name} (${format})`);
+  } catch (error) {
+    console.error('Error exporting agency calls:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Server error' });
+  }
+}
+
+module.exports = {
+  exportClientCalls,
+  exportAgencyCalls
+};
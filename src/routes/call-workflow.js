@@ -0,0 +1,312 @@
+// ============================================================================
+// CALL WORKFLOW ROUTES - Follow-up status, assignee, tags and notes per call
+// VoiceAI Connect - Anyone with access to the client (owners, members, their
+// agency) can work a call. The call detail (GET /:id/calls/:callId in
+// routes/client.js) includes the notes and history; the call list filters on
+// status, assigned_to and tag.
+// Mounted at /api/client
+// ============================================================================
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../lib/supabase');
+const { authorizeClientParam, isClientOwner } = require('../lib/tenant-auth');
+const { UUID_REGEX } = require('../lib/call-history');
+const {
+  FOLLOW_UP_STATUSES,
+  MAX_NOTE_LENGTH,
+  CALL_EVENT_ACTIONS,
+  parseTags,
+  getClientTeamMember,
+  recordCallEvents
+} = require('../lib/call-workflow');
+
+// Every :id route requires a user who can access that client
+router.param('id', authorizeClientParam);
+
+async function getClientCall(clientId, callId) {
+  if (!UUID_REGEX.test(callId)) return null;
+
+  const { data: call } = await supabase
+    .from('calls')
+    .select('id, client_id, follow_up_status, assigned_to, tags')
+    .eq('id', callId)
+    .eq('client_id', clientId)
+    .maybeSingle();
+
+  return call;
+}
+
+async function getCallNote(call, noteId) {
+  if (!UUID_REGEX.test(noteId)) return null;
+
+  const { data: note } = await supabase
+    .from('call_notes')
+    .select('*')
+    .eq('id', noteId)
+    .eq('call_id', call.id)
+    .maybeSingle();
+
+  return note;
+}
+
+// Notes are edited by their author; client owners and the agency can tidy up any
+function canEditNote(user, note) {
+  const authorId = user.impersonation ? user.impersonation.userId : user.userId;
+  return note.author_id === authorId || user.role !== 'client' || isClientOwner(user);
+}
+
+function parseNoteBody(body) {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) return { error: 'Note body is required' };
+  if (text.length > MAX_NOTE_LENGTH) return { error: `Notes are limited to ${MAX_NOTE_LENGTH} characters` };
+  return { body: text };
+}
+
+// ============================================================================
+// PATCH /api/client/:id/calls/:callId - Update the call's follow-up
+// Body: { follow_up_status?, assigned_to? (user id or null), tags? (list) }
+// ============================================================================
+router.patch('/:id/calls/:callId', async (req, res) => {
+  try {
+    const { id, callId } = req.params;
+    const { follow_up_status, assigned_to, tags } = req.body;
+
+    const call = await getClientCall(id, callId);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    const updates = {};
+    const events = [];
+
+    if (follow_up_status !== undefined && follow_up_status !== call.follow_up_status) {
+      if (!FOLLOW_UP_STATUSES.includes(follow_up_status)) {
+        return res.status(400).json({ error: `follow_up_status must be one of: ${FOLLOW_UP_STATUSES.join(', ')}` });
+      }
+      updates.follow_up_status = follow_up_status;
+      events.push({
+        action: CALL_EVENT_ACTIONS.STATUS_CHANGED,
+        before: { follow_up_status: call.follow_up_status },
+        after: { follow_up_status }
+      });
+    }
+
+    if (assigned_to !== undefined && (assigned_to || null) !== call.assigned_to) {
+      let assignee = null;
+      if (assigned_to) {
+        assignee = UUID_REGEX.test(assigned_to) ? await getClientTeamMember(id, assigned_to) : null;
+        if (!assignee) {
+          return res.status(400).json({ error: "assigned_to must be an active user on this client's team" });
+        }
+      }
+      updates.assigned_to = assignee?.id || null;
+      events.push({
+        action: CALL_EVENT_ACTIONS.ASSIGNED,
+        before: { assigned_to: call.assigned_to },
+        after: { assigned_to: updates.assigned_to, email: assignee?.email || null }
+      });
+    }
+
+    if (tags !== undefined) {
+      const { tags: parsedTags, error } = parseTags(tags);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const current = call.tags || [];
+      const changed = parsedTags.length !== current.length || parsedTags.some(tag => !current.includes(tag));
+      if (changed) {
+        updates.tags = parsedTags;
+        events.push({
+          action: CALL_EVENT_ACTIONS.TAGS_CHANGED,
+          before: { tags: current },
+          after: { tags: parsedTags }
+        });
+      }
+    }
+
+    if (!events.length) {
+      return res.json({ success: true, call, changed: false });
+    }
+
+    updates.follow_up_updated_at = new Date().toISOString();
+
+    const { data: updated, error } = await supabase
+      .from('calls')
+      .update(updates)
+      .eq('id', call.id)
+      .select('id, client_id, follow_up_status, assigned_to, tags, follow_up_updated_at')
+      .single();
+
+    if (error) {
+      console.error('Error updating call follow-up:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordCallEvents(req, call, events);
+
+    res.json({ success: true, call: updated, changed: true });
+  } catch (error) {
+    console.error('Error updating call follow-up:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/client/:id/calls/:callId/history - Changes to the call, oldest first
+// ============================================================================
+router.get('/:id/calls/:callId/history', async (req, res) => {
+  try {
+    const call = await getClientCall(req.params.id, req.params.callId);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    const { data: history, error } = await supabase
+      .from('call_events')
+      .select('*')
+      .eq('call_id', call.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching call history:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ history: history || [] });
+  } catch (error) {
+    console.error('Error fetching call history:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/client/:id/calls/:callId/notes - Add a note
+// Body: { body }
+// ============================================================================
+router.post('/:id/calls/:callId/notes', async (req, res) => {
+  try {
+    const call = await getClientCall(req.params.id, req.params.callId);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    const { body, error: bodyError } = parseNoteBody(req.body.body);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+
+    const author = req.user.impersonation || req.user;
+
+    const { data: note, error } = await supabase
+      .from('call_notes')
+      .insert({
+        call_id: call.id,
+        client_id: call.client_id,
+        author_id: author.userId,
+        author_email: author.email,
+        body
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error adding call note:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordCallEvents(req, call, [{
+      action: CALL_EVENT_ACTIONS.NOTE_ADDED,
+      after: { note_id: note.id, body }
+    }]);
+
+    res.status(201).json({ success: true, note });
+  } catch (error) {
+    console.error('Error adding call note:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// PUT /api/client/:id/calls/:callId/notes/:noteId - Edit a note
+// Body: { body }
+// ============================================================================
+router.put('/:id/calls/:callId/notes/:noteId', async (req, res) => {
+  try {
+    const call = await getClientCall(req.params.id, req.params.callId);
+    const note = call && await getCallNote(call, req.params.noteId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (!canEditNote(req.user, note)) {
+      return res.status(403).json({ error: 'Only the author or the account owner can edit this note' });
+    }
+
+    const { body, error: bodyError } = parseNoteBody(req.body.body);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('call_notes')
+      .update({ body })
+      .eq('id', note.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating call note:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordCallEvents(req, call, [{
+      action: CALL_EVENT_ACTIONS.NOTE_UPDATED,
+      before: { note_id: note.id, body: note.body },
+      after: { note_id: note.id, body }
+    }]);
+
+    res.json({ success: true, note: updated });
+  } catch (error) {
+    console.error('Error updating call note:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// DELETE /api/client/:id/calls/:callId/notes/:noteId - Remove a note
+// The text stays in the call's history
+// ============================================================================
+router.delete('/:id/calls/:callId/notes/:noteId', async (req, res) => {
+  try {
+    const call = await getClientCall(req.params.id, req.params.callId);
+    const note = call && await getCallNote(call, req.params.noteId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (!canEditNote(req.user, note)) {
+      return res.status(403).json({ error: 'Only the author or the account owner can delete this note' });
+    }
+
+    const { error } = await supabase
+      .from('call_notes')
+      .delete()
+      .eq('id', note.id);
+
+    if (error) {
+      console.error('Error deleting call note:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordCallEvents(req, call, [{
+      action: CALL_EVENT_ACTIONS.NOTE_DELETED,
+      before: { note_id: note.id, body: note.body }
+    }]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting call note:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,325 @@
+// ============================================================================
+// CLIENT NOTIFICATION ROUTES - Who gets told about calls, and when
+// VoiceAI Connect - Recipients, urgency filters, quiet hours, daily digest
+// Mounted at /api/client
+// ============================================================================
+const express = require('express');
+const router = express.Router();
+const { supabase, getClientById } = require('../lib/supabase');
+const { formatPhoneE164 } = require('../lib/notifications');
+const { resolveClientTimezone } = require('../lib/calendar');
+const {
+  URGENCY_LEVELS,
+  NOTIFICATION_CHANNELS,
+  DELIVERY_MODES,
+  isInQuietHours,
+  getRecipientDestination,
+  getNotificationRecipients
+} = require('../lib/notification-rules');
+const { authorizeClientParam } = require('../lib/tenant-auth');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MAX_RECIPIENTS = 10;
+
+// Every :id route requires a user who can access that client
+router.param('id', authorizeClientParam);
+
+function formatSettings(client) {
+  return {
+    timezone: resolveClientTimezone(client),
+    quiet_hours: {
+      start: client.notification_quiet_start?.substring(0, 5) || null,
+      end: client.notification_quiet_end?.substring(0, 5) || null,
+      allow_urgent: client.notification_quiet_allow_urgent !== false,
+      active_now: isInQuietHours(client)
+    },
+    digest_hour: client.notification_digest_hour ?? 18
+  };
+}
+
+function formatRecipient(recipient, client) {
+  return {
+    id: recipient.id,
+    channel: recipient.channel,
+    destination: getRecipientDestination(recipient, client),
+    label: recipient.label,
+    is_owner: recipient.is_owner,
+    min_urgency: recipient.min_urgency,
+    delivery: recipient.delivery,
+    is_active: recipient.is_active
+  };
+}
+
+/**
+ * Validate recipient fields from the request
+ * @returns {{ fields?: object, error?: string }}
+ */
+function parseRecipientFields(body, existing = null) {
+  const fields = {};
+  const channel = existing?.channel || body.channel;
+
+  if (!existing) {
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      return { error: `channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}` };
+    }
+    fields.channel = channel;
+  }
+
+  if (body.destination !== undefined) {
+    if (existing?.is_owner) {
+      return { error: "The owner's destination follows the client's phone and email settings" };
+    }
+    if (channel === 'sms') {
+      const phone = formatPhoneE164(body.destination || '');
+      if (!phone) return { error: 'Invalid phone number' };
+      fields.destination = phone;
+    } else {
+      const email = (body.destination || '').trim().toLowerCase();
+      if (!EMAIL_REGEX.test(email)) return { error: 'Invalid email address' };
+      fields.destination = email;
+    }
+  } else if (!existing) {
+    return { error: 'destination is required' };
+  }
+
+  if (body.label !== undefined) fields.label = body.label || null;
+
+  if (body.min_urgency !== undefined) {
+    if (!URGENCY_LEVELS.includes(body.min_urgency)) {
+      return { error: `min_urgency must be one of: ${URGENCY_LEVELS.join(', ')}` };
+    }
+    fields.min_urgency = body.min_urgency;
+  }
+
+  if (body.delivery !== undefined) {
+    if (!DELIVERY_MODES.includes(body.delivery)) {
+      return { error: `delivery must be one of: ${DELIVERY_MODES.join(', ')}` };
+    }
+    fields.delivery = body.delivery;
+  }
+
+  if (body.is_active !== undefined) fields.is_active = !!body.is_active;
+
+  return { fields };
+}
+
+async function getRecipient(clientId, recipientId) {
+  const { data } = await supabase
+    .from('notification_recipients')
+    .select('*')
+    .eq('id', recipientId)
+    .eq('client_id', clientId)
+    .maybeSingle();
+
+  return data;
+}
+
+// ============================================================================
+// GET /api/client/:id/notifications - Settings + recipients
+// ============================================================================
+router.get('/:id/notifications', async (req, res) => {
+  try {
+    const client = await getClientById(req.params.id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const recipients = await getNotificationRecipients(client.id, { activeOnly: false });
+
+    res.json({
+      settings: formatSettings(client),
+      recipients: recipients.map(r => formatRecipient(r, client)),
+      options: {
+        channels: NOTIFICATION_CHANNELS,
+        urgency_levels: URGENCY_LEVELS,
+        delivery_modes: DELIVERY_MODES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notification settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// PUT /api/client/:id/notifications - Quiet hours + digest hour
+// Body: { quiet_hours: { start: "22:00", end: "07:00", allow_urgent }, digest_hour }
+// Send quiet_hours: null to turn them off
+// ============================================================================
+router.put('/:id/notifications', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { quiet_hours, digest_hour } = req.body;
+
+    const updates = {};
+
+    if (quiet_hours !== undefined) {
+      if (quiet_hours === null || (!quiet_hours.start && !quiet_hours.end)) {
+        updates.notification_quiet_start = null;
+        updates.notification_quiet_end = null;
+      } else {
+        if (!TIME_REGEX.test(quiet_hours.start || '') || !TIME_REGEX.test(quiet_hours.end || '')) {
+          return res.status(400).json({ error: 'Quiet hours need a start and end in HH:MM (24-hour) format' });
+        }
+        if (quiet_hours.start === quiet_hours.end) {
+          return res.status(400).json({ error: 'Quiet hours start and end must differ' });
+        }
+        updates.notification_quiet_start = quiet_hours.start;
+        updates.notification_quiet_end = quiet_hours.end;
+      }
+
+      if (quiet_hours?.allow_urgent !== undefined) {
+        updates.notification_quiet_allow_urgent = !!quiet_hours.allow_urgent;
+      }
+    }
+
+    if (digest_hour !== undefined) {
+      const hour = parseInt(digest_hour);
+      if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+        return res.status(400).json({ error: 'digest_hour must be an hour from 0 to 23' });
+      }
+      updates.notification_digest_hour = hour;
+    }
+
+    const { data: client, error } = await supabase
+      .from('clients')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, settings: formatSettings(client) });
+  } catch (error) {
+    console.error('Error updating notification settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/client/:id/notifications/recipients - Add a recipient
+// Body: { channel, destination, label?, min_urgency?, delivery? }
+// ============================================================================
+router.post('/:id/notifications/recipients', async (req, res) => {
+  try {
+    const client = await getClientById(req.params.id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const { fields, error: validationError } = parseRecipientFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { count } = await supabase
+      .from('notification_recipients')
+      .select('id', { count: 'exact', head: true })
+      .eq('client_id', client.id);
+
+    if ((count || 0) >= MAX_RECIPIENTS) {
+      return res.status(400).json({ error: `A client can have up to ${MAX_RECIPIENTS} notification recipients` });
+    }
+
+    const { data: recipient, error } = await supabase
+      .from('notification_recipients')
+      .insert({ client_id: client.id, ...fields })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'That recipient is already set up' });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, recipient: formatRecipient(recipient, client) });
+  } catch (error) {
+    console.error('Error adding notification recipient:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// PUT /api/client/:id/notifications/recipients/:recipientId - Update a recipient
+// ============================================================================
+router.put('/:id/notifications/recipients/:recipientId', async (req, res) => {
+  try {
+    const { id, recipientId } = req.params;
+
+    const client = await getClientById(id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const existing = await getRecipient(id, recipientId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+
+    const { fields, error: validationError } = parseRecipientFields(req.body, existing);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: recipient, error } = await supabase
+      .from('notification_recipients')
+      .update(fields)
+      .eq('id', recipientId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'That recipient is already set up' });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, recipient: formatRecipient(recipient, client) });
+  } catch (error) {
+    console.error('Error updating notification recipient:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// DELETE /api/client/:id/notifications/recipients/:recipientId
+// The owner can't be removed - set is_active: false to mute them instead
+// ============================================================================
+router.delete('/:id/notifications/recipients/:recipientId', async (req, res) => {
+  try {
+    const { id, recipientId } = req.params;
+
+    const existing = await getRecipient(id, recipientId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+
+    if (existing.is_owner) {
+      return res.status(400).json({ error: 'The owner can be turned off but not removed' });
+    }
+
+    const { error } = await supabase
+      .from('notification_recipients')
+      .delete()
+      .eq('id', recipientId);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting notification recipient:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -7,14 +7,22 @@ const bcrypt = require('bcryptjs');
 const { supabase, getAgencyById, getClientByEmail } = require('../lib/supabase');
 const { 
   createIndustryAssistant, 
+  syncCalendarTools,
+  configurePhoneWebhook,
   provisionLocalPhone,
   createKnowledgeBaseFromWebsite 
 } = require('../lib/vapi');
 const { 
   formatPhoneE164, 
-  sendClientWelcomeEmail,
-  sendWelcomeSMS 
+  sendWelcomeSMS,
+  getAgencyDashboardUrl
 } = require('../lib/notifications');
+const { sendClientWelcomeEmail, sendTemplatedEmail } = require('../lib/email-templates');
+const { verifyCaptcha, isDisposableEmail, checkSignupQuotas } = require('../lib/signup-protection');
+const { sendTooManyRequests } = require('../lib/rate-limit');
+const { getRequestIp } = require('../lib/sessions');
+const { createDefaultRecipients } = require('../lib/notification-rules');
+const { getCalendarMonthPeriod } = require('../lib/usage');
 
 // ============================================================================
 // VALIDATION
@@ -81,31 +89,89 @@ async function createPasswordToken(userId, email) {
 }
 
 // ============================================================================
-// CONFIGURE PHONE WEBHOOK
+// SIGNUP VERIFICATION
+// Public signups are stored in client_signups and only provisioned (assistant
+// + phone number purchase) once the email is confirmed - and, when the agency
+// has require_signup_approval on, once an agency user approves it.
 // ============================================================================
-async function configurePhoneWebhook(phoneId, assistantId) {
-  try {
-    const response = await fetch(`https://api.vapi.ai/phone-number/${phoneId}`, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${process.env.VAPI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        assistantId: assistantId,
-        serverUrl: process.env.BACKEND_URL + '/webhook/vapi'
-      })
-    });
+const SIGNUP_VERIFY_HOURS = 24;
 
-    return response.ok;
-  } catch (error) {
-    console.error('⚠️ Phone webhook config failed:', error);
-    return false;
-  }
+function hashSignupToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function sendSignupVerification(signup, agency, token) {
+  return sendTemplatedEmail('client_signup_verify', {
+    agency,
+    localPart: 'onboarding',
+    to: signup.email,
+    emailType: 'client_signup_verify',
+    metadata: { signup_id: signup.id },
+    variables: {
+      client_name: signup.first_name,
+      business_name: signup.business_name,
+      verify_url: `${getAgencyDashboardUrl(agency)}/signup/verify?token=${token}`
+    }
+  });
+}
+
+async function notifyAgencyOfPendingSignup(signup, agency) {
+  if (!agency.email) return null;
+
+  return sendTemplatedEmail('client_signup_pending_agency', {
+    agency,
+    to: agency.email,
+    emailType: 'client_signup_pending_agency',
+    dedupeKey: `client_signup_pending:${signup.id}`,
+    metadata: { signup_id: signup.id },
+    variables: {
+      business_name: signup.business_name,
+      signup_email: signup.email,
+      signup_location: `${signup.business_city}, ${signup.business_state}`,
+      review_url: `${process.env.FRONTEND_URL}/agency/signups`
+    }
+  });
+}
+
+/**
+ * Move a signup to 'provisioning' - only one request can claim it
+ * @param {string[]} fromStatuses - statuses it may be claimed from
+ * @returns {Promise<object|null>} the claimed signup, or null if someone else has it
+ */
+async function claimSignup(signupId, fromStatuses, updates = {}) {
+  const { data } = await supabase
+    .from('client_signups')
+    .update({ ...updates, status: 'provisioning', error_message: null })
+    .eq('id', signupId)
+    .in('status', fromStatuses)
+    .select()
+    .maybeSingle();
+
+  return data;
+}
+
+// Response shape the signup page expects once a client exists
+function formatSignupResult(client, agency, passwordToken) {
+  return {
+    success: true,
+    message: 'Account created successfully!',
+    token: passwordToken,  // Return token for immediate redirect to set-password
+    client: {
+      id: client.id,
+      business_name: client.business_name,
+      phone_number: client.vapi_phone_number,
+      location: `${client.business_city}, ${client.business_state}`,
+      trial_ends_at: client.trial_ends_at,
+      subscription_status: 'trial',
+      agency: agency.name
+    }
+  };
 }
 
 // ============================================================================
 // MAIN CLIENT SIGNUP HANDLER
+// POST /api/client/signup - checks the request and emails a verification link;
+// nothing is provisioned until POST /api/client/signup/verify
 // ============================================================================
 async function handleClientSignup(req, res) {
   try {
@@ -123,15 +189,25 @@ async function handleClientSignup(req, res) {
     const {
       firstName,
       lastName = '',
-      email,
       phone,
       businessName,
       industry,
       businessCity,
       businessState,
       websiteUrl: rawWebsiteUrl,
-      agencyId
+      agencyId,
+      captchaToken
     } = req.body;
+    const email = req.body.email.trim().toLowerCase();
+    const ip = getRequestIp(req);
+
+    if (!(await verifyCaptcha(captchaToken, ip))) {
+      return res.status(400).json({ error: 'CAPTCHA verification failed - please try again' });
+    }
+
+    if (isDisposableEmail(email)) {
+      return res.status(400).json({ error: 'Please sign up with a permanent email address' });
+    }
 
     // Get agency
     const agency = await getAgencyById(agencyId);
@@ -143,7 +219,44 @@ async function handleClientSignup(req, res) {
       return res.status(403).json({ error: 'Agency is not active' });
     }
 
-    console.log(`🏢 Agency: ${agency.name}`);
+    // Check for duplicate within this agency
+    const existingClient = await getClientByEmail(email, agencyId);
+    if (existingClient) {
+      return res.status(409).json({ 
+        error: 'Account already exists',
+        message: 'An account with this email already exists for this agency.'
+      });
+    }
+
+    const { data: openSignup } = await supabase
+      .from('client_signups')
+      .select('id, status')
+      .eq('agency_id', agencyId)
+      .eq('email', email)
+      .in('status', ['pending_verification', 'pending_approval', 'provisioning'])
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (openSignup && openSignup.status !== 'pending_verification') {
+      return res.status(409).json({
+        error: 'Signup already in progress',
+        message: openSignup.status === 'pending_approval'
+          ? 'This signup is waiting for approval - you will get an email once it is approved.'
+          : 'Your account is being set up.'
+      });
+    }
+
+    // Signing up again before verifying just sends a fresh link - no new quota use
+    if (!openSignup) {
+      const quota = await checkSignupQuotas(agency, ip);
+      if (!quota.allowed) {
+        console.log(`🚫 Signup quota reached (${quota.reason}) for agency ${agency.name}`);
+        return sendTooManyRequests(res, quota.retryAfter, quota.reason === 'agency'
+          ? 'We are not accepting more signups right now - please try again later'
+          : 'Too many signups from this network - please try again later');
+      }
+    }
 
     // Normalize website URL
     let websiteUrl = rawWebsiteUrl;
@@ -151,175 +264,413 @@ async function handleClientSignup(req, res) {
       websiteUrl = `https://${websiteUrl}`;
     }
 
-    const ownerName = lastName ? `${firstName} ${lastName}`.trim() : firstName;
-    const formattedOwnerPhone = formatPhoneE164(phone);
+    const token = crypto.randomBytes(32).toString('hex');
+    const verificationExpiresAt = new Date(Date.now() + SIGNUP_VERIFY_HOURS * 60 * 60 * 1000);
+
+    const fields = {
+      first_name: firstName.trim(),
+      last_name: lastName?.trim() || null,
+      phone,
+      business_name: businessName.trim(),
+      industry,
+      business_city: businessCity.trim(),
+      business_state: businessState.trim(),
+      website_url: websiteUrl?.trim() || null,
+      ip_address: ip,
+      user_agent: req.headers['user-agent'] || null,
+      verification_token_hash: hashSignupToken(token),
+      verification_expires_at: verificationExpiresAt.toISOString()
+    };
+
+    const { data: signup, error } = openSignup
+      ? await supabase
+          .from('client_signups')
+          .update(fields)
+          .eq('id', openSignup.id)
+          .select()
+          .single()
+      : await supabase
+          .from('client_signups')
+          .insert({ ...fields, agency_id: agencyId, email })
+          .select()
+          .single();
+
+    if (error) {
+      console.error('❌ Signup save error:', error);
+      throw error;
+    }
+
+    await sendSignupVerification(signup, agency, token);
+
+    console.log(`📧 Signup verification sent: ${businessName} (${email}) for agency: ${agency.name}`);
+
+    res.status(202).json({
+      success: true,
+      verification_required: true,
+      message: 'Check your email to confirm your address and finish signing up.'
+    });
+
+  } catch (error) {
+    console.error('❌ Signup error:', error);
+    res.status(500).json({ 
+      error: 'Signup failed', 
+      message: 'Something went wrong. Please try again or contact support.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// ============================================================================
+// POST /api/client/signup/verify - Link from the verification email
+// Body: { token }. Provisions the client and returns the set-password token,
+// or parks the signup for agency approval when the agency requires it.
+// ============================================================================
+async function verifyClientSignup(req, res) {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token required' });
+    }
+
+    const { data: signup } = await supabase
+      .from('client_signups')
+      .select('*')
+      .eq('verification_token_hash', hashSignupToken(token))
+      .maybeSingle();
+
+    if (!signup) {
+      return res.status(404).json({ error: 'Invalid verification link' });
+    }
+
+    if (signup.status === 'pending_approval') {
+      return res.json({ success: true, status: 'pending_approval' });
+    }
+    if (signup.status !== 'pending_verification') {
+      return res.status(409).json({ error: 'This signup has already been confirmed' });
+    }
+    if (new Date(signup.verification_expires_at) < new Date()) {
+      return res.status(410).json({ error: 'Verification link expired - please sign up again' });
+    }
+
+    const agency = await getAgencyById(signup.agency_id);
+    if (!agency || (agency.status !== 'active' && agency.status !== 'trial')) {
+      return res.status(403).json({ error: 'Agency is not active' });
+    }
+
+    const verified = { email_verified_at: new Date().toISOString() };
+
+    if (agency.require_signup_approval) {
+      const { data: parked } = await supabase
+        .from('client_signups')
+        .update({ ...verified, status: 'pending_approval' })
+        .eq('id', signup.id)
+        .eq('status', 'pending_verification')
+        .select()
+        .maybeSingle();
+
+      if (!parked) {
+        return res.status(409).json({ error: 'This signup has already been confirmed' });
+      }
+
+      await notifyAgencyOfPendingSignup(parked, agency);
+
+      console.log(`⏳ Signup awaiting approval: ${signup.business_name} (agency: ${agency.name})`);
+      return res.json({
+        success: true,
+        status: 'pending_approval',
+        message: `Thanks! ${agency.name} will review your signup and email you once your account is ready.`
+      });
+    }
+
+    const claimed = await claimSignup(signup.id, ['pending_verification'], verified);
+    if (!claimed) {
+      return res.status(409).json({ error: 'This signup has already been confirmed' });
+    }
+
+    const { client, passwordToken } = await provisionSignup(claimed, agency);
+
+    res.status(200).json(formatSignupResult(client, agency, passwordToken));
+
+  } catch (error) {
+    console.error('❌ Signup verification error:', error);
+    res.status(500).json({ 
+      error: 'Signup failed', 
+      message: 'Something went wrong. Please try again or contact support.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// ============================================================================
+// PROVISION SIGNUP - Assistant, phone number, client + owner login
+// Runs on a claimed ('provisioning') signup; marks it completed or failed.
+// The knowledge base, assistant and phone number are saved on the signup as
+// soon as they exist, so retrying a failed signup reuses them instead of
+// buying another number. Once the client row exists the signup is completed -
+// later steps (owner login, welcome messages) are logged, not fatal.
+// ============================================================================
+async function saveSignupProgress(signupId, fields) {
+  const { error } = await supabase
+    .from('client_signups')
+    .update(fields)
+    .eq('id', signupId);
+
+  if (error) throw error;
+}
+
+async function provisionSignup(signup, agency) {
+  let client;
+
+  try {
+    const businessName = signup.business_name;
+    const formattedOwnerPhone = formatPhoneE164(signup.phone);
 
     console.log(`📋 Creating client: ${businessName} for agency: ${agency.name}`);
 
-    // Check for duplicate within this agency
-    const existingClient = await getClientByEmail(email.toLowerCase(), agencyId);
+    // The email may have been used since the signup was made - unless it was
+    // by this signup, on an attempt that failed after creating the client
+    const existingClient = await getClientByEmail(signup.email, agency.id);
     if (existingClient) {
-      return res.status(409).json({ 
-        error: 'Account already exists',
-        message: 'An account with this email already exists for this agency.'
-      });
+      if (!signup.vapi_assistant_id || existingClient.vapi_assistant_id !== signup.vapi_assistant_id) {
+        throw new Error('An account with this email already exists for this agency');
+      }
+      client = existingClient;
+    } else {
+      client = await createSignupClient(signup, agency, formattedOwnerPhone);
     }
 
-    // ============================================
-    // STEP 1: CREATE KNOWLEDGE BASE (if website)
-    // ============================================
-    let knowledgeBaseData = null;
-    if (websiteUrl && websiteUrl.trim().length > 0) {
-      console.log('🌐 Creating knowledge base from website...');
-      try {
-        knowledgeBaseData = await createKnowledgeBaseFromWebsite(websiteUrl, businessName);
-        if (knowledgeBaseData) {
-          console.log(`✅ Knowledge base ready: ${knowledgeBaseData.knowledgeBaseId}`);
-        }
-      } catch (kbError) {
-        console.error('⚠️ Knowledge base error (non-blocking):', kbError.message);
+    await supabase
+      .from('client_signups')
+      .update({ status: 'completed', client_id: client.id, error_message: null })
+      .eq('id', signup.id);
+  } catch (error) {
+    await supabase
+      .from('client_signups')
+      .update({ status: 'failed', error_message: error.message || 'Provisioning failed' })
+      .eq('id', signup.id);
+
+    throw error;
+  }
+
+  const passwordToken = await finishSignupOnboarding(signup, agency, client);
+
+  console.log('🎉 Client onboarding complete:', client.business_name);
+
+  return { client, passwordToken };
+}
+
+// Steps 1-4: knowledge base, assistant, phone number and the client row
+async function createSignupClient(signup, agency, formattedOwnerPhone) {
+  const businessName = signup.business_name;
+  const ownerName = signup.last_name ? `${signup.first_name} ${signup.last_name}`.trim() : signup.first_name;
+
+  // ============================================
+  // STEP 1: CREATE KNOWLEDGE BASE (if website)
+  // ============================================
+  let knowledgeBaseData = signup.knowledge_base_id ? { knowledgeBaseId: signup.knowledge_base_id } : null;
+  if (!knowledgeBaseData && signup.website_url) {
+    console.log('🌐 Creating knowledge base from website...');
+    try {
+      knowledgeBaseData = await createKnowledgeBaseFromWebsite(signup.website_url, businessName);
+      if (knowledgeBaseData) {
+        console.log(`✅ Knowledge base ready: ${knowledgeBaseData.knowledgeBaseId}`);
+        await saveSignupProgress(signup.id, { knowledge_base_id: knowledgeBaseData.knowledgeBaseId });
       }
+    } catch (kbError) {
+      console.error('⚠️ Knowledge base error (non-blocking):', kbError.message);
     }
+  }
+
+  // ============================================
+  // STEP 2: CREATE VAPI ASSISTANT
+  // ============================================
+  let assistantId = signup.vapi_assistant_id;
+  if (assistantId) {
+    console.log(`♻️ Reusing assistant from earlier attempt: ${assistantId}`);
+  } else {
+    console.log(`🤖 Creating VAPI assistant for: ${signup.industry}`);
 
-    // ============================================
-    // STEP 2: CREATE VAPI ASSISTANT
-    // ============================================
-    console.log(`🤖 Creating VAPI assistant for: ${industry}`);
-    
     const assistant = await createIndustryAssistant(
       businessName,
-      industry,
+      signup.industry,
       knowledgeBaseData,
       formattedOwnerPhone
     );
-    
-    console.log(`✅ Assistant created: ${assistant.id}`);
+    assistantId = assistant.id;
 
-    // ============================================
-    // STEP 3: PROVISION PHONE NUMBER
-    // ============================================
-    const phoneData = await provisionLocalPhone(
-      businessCity,
-      businessState,
-      assistant.id,
+    console.log(`✅ Assistant created: ${assistantId}`);
+    await saveSignupProgress(signup.id, { vapi_assistant_id: assistantId });
+  }
+
+  // ============================================
+  // STEP 3: PROVISION PHONE NUMBER
+  // ============================================
+  let phoneData = signup.vapi_phone_number_id
+    ? { id: signup.vapi_phone_number_id, number: signup.vapi_phone_number }
+    : null;
+
+  if (phoneData) {
+    console.log(`♻️ Reusing phone number from earlier attempt: ${phoneData.number}`);
+  } else {
+    phoneData = await provisionLocalPhone(
+      signup.business_city,
+      signup.business_state,
+      assistantId,
       businessName
     );
-    
+
     console.log(`✅ Phone provisioned: ${phoneData.number}`);
 
-    // Configure webhook
-    await configurePhoneWebhook(phoneData.id, assistant.id);
+    try {
+      await saveSignupProgress(signup.id, {
+        vapi_phone_number_id: phoneData.id,
+        vapi_phone_number: phoneData.number
+      });
+    } catch (saveError) {
+      console.error(`🚨 Bought phone ${phoneData.number} (${phoneData.id}) but couldn't record it on signup ${signup.id}`);
+      throw saveError;
+    }
+  }
 
-    // ============================================
-    // STEP 4: CREATE CLIENT RECORD
-    // ============================================
-    const trialEndsAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    
-    // Get call limit from agency settings
-    const callLimit = agency.limit_starter || 50;
-    
-    const { data: newClient, error: clientError } = await supabase
-      .from('clients')
-      .insert({
-        agency_id: agencyId,  // MULTI-TENANT: Link to agency
-        business_name: businessName,
-        business_city: businessCity,
-        business_state: businessState,
-        phone_number: phoneData.number,
-        phone_area_code: phoneData.number.substring(2, 5),
-        owner_name: ownerName,
-        owner_phone: formattedOwnerPhone,
-        email: email.toLowerCase(),
-        industry: industry,
-        vapi_assistant_id: assistant.id,
-        vapi_phone_number: phoneData.number,
-        knowledge_base_id: knowledgeBaseData?.knowledgeBaseId || null,
-        subscription_status: 'trial',
-        trial_ends_at: trialEndsAt,
-        status: 'active',
-        plan_type: 'starter',
-        monthly_call_limit: callLimit,
-        calls_this_month: 0,
-        business_website: websiteUrl || null
-      })
-      .select()
-      .single();
+  // Configure webhook
+  await configurePhoneWebhook(phoneData.id);
 
-    if (clientError) {
-      console.error('❌ Database error:', clientError);
-      throw clientError;
+  // ============================================
+  // STEP 4: CREATE CLIENT RECORD
+  // ============================================
+  const trialEndsAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  
+  // Get call limit from agency settings
+  const callLimit = agency.limit_starter || 50;
+
+  // Trial usage runs on the calendar month until a subscription starts
+  const usagePeriod = getCalendarMonthPeriod({ agency });
+  
+  const { data: newClient, error: clientError } = await supabase
+    .from('clients')
+    .insert({
+      agency_id: agency.id,  // MULTI-TENANT: Link to agency
+      business_name: businessName,
+      business_city: signup.business_city,
+      business_state: signup.business_state,
+      phone_number: phoneData.number,
+      phone_area_code: phoneData.number.substring(2, 5),
+      owner_name: ownerName,
+      owner_phone: formattedOwnerPhone,
+      email: signup.email,
+      industry: signup.industry,
+      vapi_assistant_id: assistantId,
+      vapi_phone_number: phoneData.number,
+      knowledge_base_id: knowledgeBaseData?.knowledgeBaseId || null,
+      subscription_status: 'trial',
+      trial_ends_at: trialEndsAt,
+      status: 'active',
+      plan_type: 'starter',
+      monthly_call_limit: callLimit,
+      calls_this_month: 0,
+      usage_period_start: usagePeriod.start.toISOString(),
+      usage_period_end: usagePeriod.end.toISOString(),
+      usage_period_source: usagePeriod.source,
+      business_website: signup.website_url || null
+    })
+    .select()
+    .single();
+
+  if (clientError) {
+    console.error('❌ Database error:', clientError);
+    throw clientError;
+  }
+
+  console.log(`🎉 Client created: ${newClient.business_name}`);
+  return newClient;
+}
+
+/**
+ * Steps after the client exists - each failure is logged and kept on the
+ * signup's error_message, never fails the signup
+ * @returns {Promise<string|null>} password token for the owner's first login
+ */
+async function finishSignupOnboarding(signup, agency, client) {
+  const problems = [];
+  const attempt = async (label, step) => {
+    try {
+      return await step();
+    } catch (error) {
+      console.error(`⚠️ Signup ${signup.id}: ${label} failed:`, error.message || error);
+      problems.push(`${label}: ${error.message || error}`);
+      return null;
     }
+  };
+
+  // Calendar tools need the client ID, so they're added once the record exists
+  await attempt('calendar tools', () => syncCalendarTools(client.vapi_assistant_id, client.id));
 
-    console.log(`🎉 Client created: ${newClient.business_name}`);
+  // Call notifications start as instant SMS to the owner
+  await attempt('notification recipients', () => createDefaultRecipients(client));
+
+  // ============================================
+  // STEP 5: CREATE USER RECORD (no password - will be set later)
+  // ============================================
+  const ownerUser = await attempt('owner login', async () => {
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id')
+      .eq('client_id', client.id)
+      .eq('email', signup.email)
+      .maybeSingle();
+    if (existingUser) return existingUser;
 
-    // ============================================
-    // STEP 5: CREATE USER RECORD (no password - will be set later)
-    // ============================================
     const { data: newUser, error: userError } = await supabase
       .from('users')
       .insert({
-        client_id: newClient.id,
-        email: email.toLowerCase(),
-        first_name: firstName,
-        last_name: lastName || null,
+        client_id: client.id,
+        email: signup.email,
+        first_name: signup.first_name,
+        last_name: signup.last_name || null,
         role: 'client',
+        client_role: 'owner',
         password_hash: null  // No password at signup
       })
       .select()
       .single();
 
-    if (userError) {
-      console.error('❌ User creation error:', userError);
-      throw userError;
-    }
+    if (userError) throw userError;
 
     console.log(`✅ User created: ${newUser.id}`);
-
-    // ============================================
-    // STEP 6: GENERATE PASSWORD TOKEN
-    // ============================================
-    const passwordToken = await createPasswordToken(newUser.id, email.toLowerCase());
-
-    // ============================================
-    // STEP 7: SEND WELCOME EMAIL (branded with agency)
-    // ============================================
+    return newUser;
+  });
+
+  // ============================================
+  // STEP 6: GENERATE PASSWORD TOKEN
+  // ============================================
+  const passwordToken = ownerUser
+    ? await attempt('password token', () => createPasswordToken(ownerUser.id, signup.email))
+    : null;
+
+  // ============================================
+  // STEP 7: SEND WELCOME EMAIL (branded with agency)
+  // ============================================
+  if (passwordToken) {
     console.log('📧 Sending welcome email...');
-    await sendClientWelcomeEmail(newClient, agency, null, passwordToken);
-
-    // ============================================
-    // STEP 8: SEND WELCOME SMS (simple confirmation, no link)
-    // ============================================
-    console.log('📱 Sending welcome SMS...');
-    await sendWelcomeSMS(formattedOwnerPhone, businessName, phoneData.number, agency);
-
-    // ============================================
-    // RETURN SUCCESS WITH TOKEN
-    // ============================================
-    console.log('🎉 Client onboarding complete:', businessName);
-
-    res.status(200).json({
-      success: true,
-      message: 'Account created successfully!',
-      token: passwordToken,  // Return token for immediate redirect to set-password
-      client: {
-        id: newClient.id,
-        business_name: newClient.business_name,
-        phone_number: phoneData.number,
-        location: `${businessCity}, ${businessState}`,
-        trial_ends_at: newClient.trial_ends_at,
-        subscription_status: 'trial',
-        agency: agency.name
-      }
-    });
+    await attempt('welcome email', () => sendClientWelcomeEmail(client, agency, null, passwordToken));
+  }
 
-  } catch (error) {
-    console.error('❌ Signup error:', error);
-    res.status(500).json({ 
-      error: 'Signup failed', 
-      message: 'Something went wrong. Please try again or contact support.',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  // ============================================
+  // STEP 8: SEND WELCOME SMS (simple confirmation, no link)
+  // ============================================
+  console.log('📱 Sending welcome SMS...');
+  await attempt('welcome SMS', () =>
+    sendWelcomeSMS(client.owner_phone, client.business_name, client.vapi_phone_number, agency)
+  );
+
+  if (problems.length) {
+    await supabase
+      .from('client_signups')
+      .update({ error_message: `Client created, but: ${problems.join('; ')}`.slice(0, 1000) })
+      .eq('id', signup.id);
   }
+
+  return passwordToken;
 }
 
 // ============================================================================
@@ -373,7 +724,9 @@ async function provisionClient(clientId) {
     );
     
     // Configure webhook
-    await configurePhoneWebhook(phoneData.id, assistant.id);
+    await configurePhoneWebhook(phoneData.id);
+    await syncCalendarTools(assistant.id, clientId);
+    await createDefaultRecipients(client);
     
     // Update client
     const { data: updatedClient } = await supabase
@@ -388,12 +741,13 @@ async function provisionClient(clientId) {
       .select()
       .single();
     
-    // Create user if not exists
+    // Create the owner's user if the client has no logins yet
     const { data: existingUser } = await supabase
       .from('users')
       .select('id')
       .eq('client_id', clientId)
-      .single();
+      .limit(1)
+      .maybeSingle();
     
     if (!existingUser) {
       const { data: newUser } = await supabase
@@ -403,7 +757,8 @@ async function provisionClient(clientId) {
           email: client.email,
           first_name: client.owner_name?.split(' ')[0] || 'User',
           last_name: client.owner_name?.split(' ').slice(1).join(' ') || null,
-          role: 'client'
+          role: 'client',
+          client_role: 'owner'
         })
         .select()
         .single();
@@ -428,5 +783,9 @@ async function provisionClient(clientId) {
 // ============================================================================
 module.exports = {
   handleClientSignup,
+  verifyClientSignup,
+  claimSignup,
+  provisionSignup,
+  formatSignupResult,
   provisionClient
 };
\ No newline at end of file
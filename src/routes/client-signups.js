@@ -0,0 +1,160 @@
+// ============================================================================
+// CLIENT SIGNUP APPROVAL ROUTES - Agency review queue for public signups
+// VoiceAI Connect - With require_signup_approval on, verified signups wait
+// here; approving one creates the assistant, buys the phone number and sends
+// the client their welcome email. Failed provisioning can be retried the same way.
+// Mounted at /api/agency
+// ============================================================================
+const express = require('express');
+const router = express.Router();
+const { supabase, getAgencyById } = require('../lib/supabase');
+const { authorizeAgencyParam } = require('../lib/tenant-auth');
+const { claimSignup, provisionSignup } = require('./client-signup');
+
+const SIGNUP_STATUSES = ['pending_verification', 'pending_approval', 'provisioning', 'completed', 'rejected', 'failed'];
+
+// Every :agencyId route requires a member of that agency with 'clients' access
+router.param('agencyId', authorizeAgencyParam('clients'));
+
+// Never send the verification token hash to the dashboard
+function formatSignup(signup) {
+  const { verification_token_hash, ...rest } = signup;
+  return rest;
+}
+
+async function getAgencySignup(agencyId, signupId) {
+  const { data } = await supabase
+    .from('client_signups')
+    .select('*')
+    .eq('id', signupId)
+    .eq('agency_id', agencyId)
+    .maybeSingle();
+
+  return data;
+}
+
+// ============================================================================
+// GET /api/agency/:agencyId/signups - Signups by status
+// Query: ?status=pending_approval (default) | failed | ... | all, ?limit=50
+// ============================================================================
+router.get('/:agencyId/signups', async (req, res) => {
+  try {
+    const { agencyId } = req.params;
+    const status = req.query.status || 'pending_approval';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    if (status !== 'all' && !SIGNUP_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be 'all' or one of: ${SIGNUP_STATUSES.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('client_signups')
+      .select('*')
+      .eq('agency_id', agencyId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status !== 'all') query = query.eq('status', status);
+
+    const { data: signups, error } = await query;
+
+    if (error) {
+      console.error('Error fetching signups:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ signups: (signups || []).map(formatSignup) });
+  } catch (error) {
+    console.error('Error fetching signups:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/agency/:agencyId/signups/:signupId/approve - Provision the client
+// Also retries a signup whose provisioning failed
+// ============================================================================
+router.post('/:agencyId/signups/:signupId/approve', async (req, res) => {
+  try {
+    const { agencyId, signupId } = req.params;
+
+    const signup = await getAgencySignup(agencyId, signupId);
+    if (!signup) {
+      return res.status(404).json({ error: 'Signup not found' });
+    }
+    if (!['pending_approval', 'failed'].includes(signup.status)) {
+      return res.status(400).json({ error: `Signup is already ${signup.status}` });
+    }
+
+    const agency = await getAgencyById(agencyId);
+
+    const claimed = await claimSignup(signupId, ['pending_approval', 'failed'], {
+      reviewed_by: req.user.userId,
+      reviewed_at: new Date().toISOString()
+    });
+    if (!claimed) {
+      return res.status(409).json({ error: 'Signup was already handled' });
+    }
+
+    let client;
+    try {
+      ({ client } = await provisionSignup(claimed, agency));
+    } catch (provisionError) {
+      console.error('❌ Signup provisioning error:', provisionError);
+      return res.status(502).json({ error: 'Provisioning failed', details: provisionError.message });
+    }
+
+    console.log(`✅ Signup approved: ${signup.business_name} by ${req.user.email}`);
+    res.json({
+      success: true,
+      client: {
+        id: client.id,
+        business_name: client.business_name,
+        phone_number: client.vapi_phone_number
+      }
+    });
+  } catch (error) {
+    console.error('Error approving signup:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/agency/:agencyId/signups/:signupId/reject - Decline a signup
+// Body: { reason? } - kept on the signup for the agency's records
+// ============================================================================
+router.post('/:agencyId/signups/:signupId/reject', async (req, res) => {
+  try {
+    const { agencyId, signupId } = req.params;
+
+    const { data: signup, error } = await supabase
+      .from('client_signups')
+      .update({
+        status: 'rejected',
+        rejection_reason: req.body.reason?.trim() || null,
+        reviewed_by: req.user.userId,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', signupId)
+      .eq('agency_id', agencyId)
+      .in('status', ['pending_verification', 'pending_approval', 'failed'])
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error rejecting signup:', error);
+      return res.status(400).json({ error: error.message });
+    }
+    if (!signup) {
+      return res.status(404).json({ error: 'No open signup with that ID' });
+    }
+
+    console.log(`🚫 Signup rejected: ${signup.business_name} by ${req.user.email}`);
+    res.json({ success: true, signup: formatSignup(signup) });
+  } catch (error) {
+    console.error('Error rejecting signup:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,376 @@
+// ============================================================================
+// CLIENT TEAM ROUTES - Extra dashboard logins for a client business
+// VoiceAI Connect - Owners manage the team and billing; members can use the
+// dashboard (calls, greeting, settings) but not billing or the team.
+// Invites are accepted through POST /api/auth/set-password.
+// Mounted at /api/client
+// ============================================================================
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { supabase, getClientById, getAgencyById } = require('../lib/supabase');
+const { getAgencyDashboardUrl } = require('../lib/notifications');
+const { sendTemplatedEmail } = require('../lib/email-templates');
+const { revokeUserSessions } = require('../lib/sessions');
+const { authorizeClientParam, isClientOwner } = require('../lib/tenant-auth');
+const { isImpersonating, IMPERSONATION_BLOCKED_MESSAGE } = require('../lib/impersonation');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CLIENT_ROLES = ['owner', 'member'];
+const INVITE_EXPIRY_DAYS = 7;
+const MAX_TEAM_SIZE = 10;
+
+// Every :id route requires a user who can access that client
+router.param('id', authorizeClientParam);
+
+// Team changes: the client's owners, or the agency / super admin
+function requireTeamManager(req, res, next) {
+  if (isImpersonating(req.user)) {
+    return res.status(403).json({ error: IMPERSONATION_BLOCKED_MESSAGE });
+  }
+  if (req.user.role === 'client' && !isClientOwner(req.user)) {
+    return res.status(403).json({ error: 'Only the account owner can manage the team' });
+  }
+  next();
+}
+
+function formatTeamMember(member) {
+  let status = 'active';
+  if (member.is_active === false) status = 'removed';
+  else if (!member.password_hash) status = 'invited';
+
+  return {
+    id: member.id,
+    email: member.email,
+    first_name: member.first_name,
+    last_name: member.last_name,
+    client_role: member.client_role || 'owner',
+    status,
+    invited_at: member.invited_at || null,
+    created_at: member.created_at
+  };
+}
+
+async function getTeamMember(clientId, userId) {
+  const { data } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .eq('client_id', clientId)
+    .eq('role', 'client')
+    .maybeSingle();
+
+  return data;
+}
+
+async function countActiveOwners(clientId) {
+  const { count } = await supabase
+    .from('users')
+    .select('id', { count: 'exact', head: true })
+    .eq('client_id', clientId)
+    .eq('role', 'client')
+    .eq('client_role', 'owner')
+    .eq('is_active', true);
+
+  return count || 0;
+}
+
+async function getInviterName(user) {
+  const { data: inviter } = await supabase
+    .from('users')
+    .select('first_name, last_name, email')
+    .eq('id', user.userId)
+    .maybeSingle();
+
+  if (!inviter) return 'Your team';
+  return [inviter.first_name, inviter.last_name].filter(Boolean).join(' ') || inviter.email;
+}
+
+/**
+ * Create a set-password token and email the invitation (agency-branded)
+ */
+async function sendTeamInvite(client, member, invitedBy) {
+  const agency = await getAgencyById(client.agency_id);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + INVITE_EXPIRY_DAYS);
+
+  await supabase.from('password_reset_tokens').insert({
+    user_id: member.id,
+    email: member.email,
+    token,
+    expires_at: expiresAt.toISOString(),
+    used: false
+  });
+
+  return sendTemplatedEmail('client_team_invite', {
+    agency,
+    client,
+    to: member.email,
+    emailType: 'client_team_invite',
+    metadata: { user_id: member.id },
+    variables: {
+      first_name: member.first_name || 'there',
+      inviter_name: await getInviterName(invitedBy),
+      invite_url: `${getAgencyDashboardUrl(agency)}/auth/set-password?token=${token}`
+    }
+  });
+}
+
+// ============================================================================
+// GET /api/client/:id/team - Everyone with a login to this client
+// ============================================================================
+router.get('/:id/team', async (req, res) => {
+  try {
+    const { data: members, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('client_id', req.params.id)
+      .eq('role', 'client')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching client team:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      team: (members || []).map(formatTeamMember),
+      roles: CLIENT_ROLES,
+      can_manage: req.user.role !== 'client' || isClientOwner(req.user)
+    });
+  } catch (error) {
+    console.error('Error fetching client team:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/client/:id/team - Invite someone to the client's dashboard
+// Body: { email, first_name, last_name?, client_role?: 'member' | 'owner' }
+// Re-inviting a removed user restores them
+// ============================================================================
+router.post('/:id/team', requireTeamManager, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { first_name, last_name, client_role = 'member' } = req.body;
+    const email = (req.body.email || '').trim().toLowerCase();
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!first_name?.trim()) {
+      return res.status(400).json({ error: 'First name is required' });
+    }
+    if (!CLIENT_ROLES.includes(client_role)) {
+      return res.status(400).json({ error: `client_role must be one of: ${CLIENT_ROLES.join(', ')}` });
+    }
+
+    const client = await getClientById(id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const { count } = await supabase
+      .from('users')
+      .select('id', { count: 'exact', head: true })
+      .eq('client_id', id)
+      .eq('role', 'client')
+      .eq('is_active', true);
+
+    if ((count || 0) >= MAX_TEAM_SIZE) {
+      return res.status(400).json({ error: `A client can have up to ${MAX_TEAM_SIZE} users` });
+    }
+
+    const { data: existing } = await supabase
+      .from('users')
+      .select('id, client_id, role, is_active')
+      .eq('email', email)
+      .maybeSingle();
+
+    const canRestore = existing && existing.client_id === id &&
+      existing.role === 'client' && existing.is_active === false;
+
+    if (existing && !canRestore) {
+      return res.status(400).json({ error: 'A user with that email already exists' });
+    }
+
+    const fields = {
+      first_name: first_name.trim(),
+      last_name: last_name?.trim() || null,
+      client_role,
+      is_active: true,
+      invited_by: req.user.userId,
+      invited_at: new Date().toISOString()
+    };
+
+    const { data: member, error } = canRestore
+      ? await supabase
+          .from('users')
+          .update({ ...fields, password_hash: null })
+          .eq('id', existing.id)
+          .select()
+          .single()
+      : await supabase
+          .from('users')
+          .insert({ ...fields, client_id: id, email, role: 'client', password_hash: null })
+          .select()
+          .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'A user with that email already exists' });
+      }
+      console.error('Error inviting client user:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const emailResult = await sendTeamInvite(client, member, req.user);
+
+    console.log(`✅ Client user invited: ${email} (client ${id})`);
+    res.status(201).json({
+      success: true,
+      member: formatTeamMember(member),
+      email_sent: !!emailResult?.success
+    });
+  } catch (error) {
+    console.error('Error inviting client user:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/client/:id/team/:userId/resend - Resend a pending invite
+// ============================================================================
+router.post('/:id/team/:userId/resend', requireTeamManager, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const member = await getTeamMember(id, userId);
+    if (!member || member.is_active === false) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (member.password_hash) {
+      return res.status(400).json({ error: 'This invitation has already been accepted' });
+    }
+
+    const client = await getClientById(id);
+    const emailResult = await sendTeamInvite(client, member, req.user);
+
+    if (!emailResult?.success) {
+      return res.status(502).json({ error: 'Failed to send invitation', details: emailResult?.error });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error resending client invite:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// PUT /api/client/:id/team/:userId - Change name or owner/member role
+// Body: { first_name?, last_name?, client_role? }
+// ============================================================================
+router.put('/:id/team/:userId', requireTeamManager, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { first_name, last_name, client_role } = req.body;
+
+    const member = await getTeamMember(id, userId);
+    if (!member || member.is_active === false) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updates = {};
+
+    if (first_name !== undefined) {
+      if (!first_name?.trim()) {
+        return res.status(400).json({ error: 'First name is required' });
+      }
+      updates.first_name = first_name.trim();
+    }
+    if (last_name !== undefined) updates.last_name = last_name?.trim() || null;
+
+    if (client_role !== undefined) {
+      if (!CLIENT_ROLES.includes(client_role)) {
+        return res.status(400).json({ error: `client_role must be one of: ${CLIENT_ROLES.join(', ')}` });
+      }
+      if (member.client_role === 'owner' && client_role === 'member' &&
+          await countActiveOwners(id) <= 1) {
+        return res.status(400).json({ error: 'The account needs at least one owner' });
+      }
+      updates.client_role = client_role;
+    }
+
+    const { data: updated, error } = await supabase
+      .from('users')
+      .update(updates)
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating client user:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, member: formatTeamMember(updated) });
+  } catch (error) {
+    console.error('Error updating client user:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// DELETE /api/client/:id/team/:userId - Remove a user
+// Deactivated rather than deleted, like agency staff
+// ============================================================================
+router.delete('/:id/team/:userId', requireTeamManager, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({ error: "You can't remove yourself" });
+    }
+
+    const member = await getTeamMember(id, userId);
+    if (!member || member.is_active === false) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (member.client_role === 'owner' && await countActiveOwners(id) <= 1) {
+      return res.status(400).json({ error: 'The account needs at least one owner' });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ is_active: false, password_hash: null })
+      .eq('id', userId);
+
+    if (error) {
+      console.error('Error removing client user:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Outstanding invite / reset links stop working
+    await supabase
+      .from('password_reset_tokens')
+      .update({ used: true })
+      .eq('user_id', userId)
+      .eq('used', false);
+
+    // Signed out on every device
+    await revokeUserSessions(userId, 'removed');
+
+    console.log(`🗑️ Client user removed: ${member.email} (client ${id})`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing client user:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
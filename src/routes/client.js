@@ -7,9 +7,21 @@ const express = require('express');
 const router = express.Router();
 const fetch = require('node-fetch');
 const { supabase, getClientById } = require('../lib/supabase');
+const { isValidTimezone } = require('../lib/calendar');
+const { getCalendarMonthPeriod, getUsageSummary } = require('../lib/usage');
+const { createDefaultRecipients } = require('../lib/notification-rules');
+const { parseCallFilters, listCalls, getCallStats } = require('../lib/call-history');
+const { getCallWorkflow } = require('../lib/call-workflow');
+const { withRecordingUrls } = require('../lib/recordings');
+const { exportClientCalls } = require('./call-export');
+const { authorizeClientParam } = require('../lib/tenant-auth');
+const { AUDIT_ACTIONS, recordAudit } = require('../lib/audit-log');
 
 const VAPI_API_KEY = process.env.VAPI_API_KEY;
 
+// Every :id route requires a user who can access that client
+router.param('id', authorizeClientParam);
+
 // ============================================================================
 // VOICE OPTIONS - Complete metadata for frontend voice selector
 // ============================================================================
@@ -205,11 +217,24 @@ router.get('/:id', async (req, res) => {
 router.put('/:id/settings', async (req, res) => {
   try {
     const { id } = req.params;
-    const { email, owner_phone } = req.body;
+    const { email, owner_phone, timezone, blocked_call_action, blocked_call_message } = req.body;
 
     const updates = {};
     if (email) updates.email = email;
     if (owner_phone) updates.owner_phone = owner_phone;
+    if (timezone !== undefined) {
+      if (timezone && !isValidTimezone(timezone)) {
+        return res.status(400).json({ error: 'Invalid timezone' });
+      }
+      updates.timezone = timezone || null;
+    }
+    if (blocked_call_action !== undefined) {
+      if (!['message', 'transfer'].includes(blocked_call_action)) {
+        return res.status(400).json({ error: 'blocked_call_action must be message or transfer' });
+      }
+      updates.blocked_call_action = blocked_call_action;
+    }
+    if (blocked_call_message !== undefined) updates.blocked_call_message = blocked_call_message || null;
 
     const { data, error } = await supabase
       .from('clients')
@@ -222,6 +247,11 @@ router.put('/:id/settings', async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
+    // Clients who signed up without a phone start getting call texts
+    if (updates.owner_phone) {
+      await createDefaultRecipients(data);
+    }
+
     res.json({ success: true, client: data });
   } catch (error) {
     console.error('Error updating settings:', error);
@@ -304,7 +334,7 @@ router.put('/:id/voice', async (req, res) => {
 
     const { data: client } = await supabase
       .from('clients')
-      .select('vapi_assistant_id')
+      .select('agency_id, vapi_assistant_id, voice_id')
       .eq('id', id)
       .single();
 
@@ -339,6 +369,16 @@ router.put('/:id/voice', async (req, res) => {
       .update({ voice_id: voiceId })
       .eq('id', id);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CLIENT_VOICE_UPDATED,
+      agencyId: client.agency_id,
+      clientId: id,
+      entityType: 'client',
+      entityId: id,
+      before: { voice_id: client.voice_id || null },
+      after: { voice_id: voiceId }
+    });
+
     console.log(`✅ Voice updated for client ${id}: ${validVoice.name}`);
     res.json({ success: true, voice: validVoice });
   } catch (error) {
@@ -418,7 +458,7 @@ router.put('/:id/greeting', async (req, res) => {
 
     const { data: client } = await supabase
       .from('clients')
-      .select('vapi_assistant_id')
+      .select('agency_id, vapi_assistant_id, greeting_message')
       .eq('id', id)
       .single();
 
@@ -450,6 +490,16 @@ router.put('/:id/greeting', async (req, res) => {
       .update({ greeting_message: greeting })
       .eq('id', id);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CLIENT_GREETING_UPDATED,
+      agencyId: client.agency_id,
+      clientId: id,
+      entityType: 'client',
+      entityId: id,
+      before: { greeting_message: client.greeting_message || null },
+      after: { greeting_message: greeting }
+    });
+
     console.log(`✅ Greeting updated for client ${id}`);
     res.json({ success: true, greeting_message: greeting });
   } catch (error) {
@@ -586,8 +636,48 @@ router.put('/:id/knowledge-base', async (req, res) => {
   }
 });
 
+// ============================================================================
+// GET /api/client/:id/calls/live - Calls in progress with live transcript
+// IMPORTANT: This must come BEFORE the /:id/calls/:callId route
+// ============================================================================
+router.get('/:id/calls/live', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Ignore rows that never received an "ended" status (dropped webhooks)
+    const since = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+    const { data: calls, error } = await supabase
+      .from('calls')
+      .select('*, call_transcripts (role, content, created_at)')
+      .eq('client_id', id)
+      .in('call_status', ['ringing', 'in-progress', 'forwarded'])
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .order('created_at', { foreignTable: 'call_transcripts', ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ calls: calls || [] });
+  } catch (error) {
+    console.error('Error fetching live calls:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/client/:id/calls/export - Download calls as CSV / JSON
+// Same filters as /:id/calls plus ?format= &columns= (routes/call-export.js)
+// ============================================================================
+router.get('/:id/calls/export', exportClientCalls);
+
 // ============================================================================
 // GET /api/client/:id/calls/:callId - Get single call detail
+// workflow: follow-up status, assignee, tags, notes and history
+// (changed through routes/call-workflow.js). recording_url is a signed link
+// that expires at recording_url_expires_at - fetch the call again for a new one
 // IMPORTANT: This must come BEFORE the /:id/calls route
 // ============================================================================
 router.get('/:id/calls/:callId', async (req, res) => {
@@ -605,7 +695,12 @@ router.get('/:id/calls/:callId', async (req, res) => {
       return res.status(404).json({ error: 'Call not found' });
     }
 
-    res.json({ call });
+    const [workflow, [presented]] = await Promise.all([
+      getCallWorkflow(call),
+      withRecordingUrls([call])
+    ]);
+
+    res.json({ call: presented, workflow });
   } catch (error) {
     console.error('Error fetching call:', error);
     res.status(500).json({ error: 'Server error' });
@@ -614,44 +709,71 @@ router.get('/:id/calls/:callId', async (req, res) => {
 
 // ============================================================================
 // GET /api/client/:id/calls - Get client calls with stats
+// Query: ?from= &to= (ISO) &urgency=high,emergency &search= (caller name or
+//        phone) &has_recording=true &min_duration= &max_duration= (seconds)
+//        &status=new,in_progress (follow-up) &assigned_to= (user id, me, none)
+//        &tag=callback,quote (calls with all of them)
+//        &call_status=completed (default; comma-separated, or all)
+//        &limit=50 (max 200) &cursor= (next_cursor from the previous page)
+// Stats cover every call matching the filters and come with the first page only
 // ============================================================================
 router.get('/:id/calls', async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const { data: calls, error } = await supabase
-      .from('calls')
-      .select('*')
-      .eq('client_id', id)
-      .order('created_at', { ascending: false });
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
+    const { filters, error: filterError } = parseCallFilters(req.query, req.user);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
     }
 
-    // Calculate stats
-    const startOfMonth = new Date();
-    startOfMonth.setDate(1);
-    startOfMonth.setHours(0, 0, 0, 0);
+    const client = await getClientById(id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    
+    const [{ calls, nextCursor }, callStats] = await Promise.all([
+      listCalls({ clientId: id }, filters),
+      filters.cursor ? null : getCallStats(id, filters)
+    ]);
+
+    const response = { calls: await withRecordingUrls(calls), next_cursor: nextCursor };
+
+    if (callStats) {
+      // "This month" is the client's current usage period, matching what the
+      // call limit is enforced against
+      const fallbackPeriod = getCalendarMonthPeriod(client);
+
+      response.stats = {
+        callsThisMonth: client.calls_this_month || 0,
+        periodStart: client.usage_period_start || fallbackPeriod.start.toISOString(),
+        periodEnd: client.usage_period_end || fallbackPeriod.end.toISOString(),
+        ...callStats
+      };
+    }
 
-    const callsThisMonth = (calls || []).filter(
-      c => new Date(c.created_at) >= startOfMonth
-    ).length;
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching calls:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const highUrgency = (calls || []).filter(
-      c => c.urgency_level === 'high' || c.urgency_level === 'emergency'
-    ).length;
+// ============================================================================
+// GET /api/client/:id/usage - Current usage period + past periods
+// ============================================================================
+router.get('/:id/usage', async (req, res) => {
+  try {
+    const client = await getClientById(req.params.id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
 
-    res.json({
-      calls: calls || [],
-      stats: {
-        callsThisMonth,
-        highUrgency,
-        total: (calls || []).length,
-      }
-    });
+    const limit = Math.min(parseInt(req.query.limit) || 12, 36);
+    const usage = await getUsageSummary(client, limit);
+
+    res.json(usage);
   } catch (error) {
-    console.error('Error fetching calls:', error);
+    console.error('Error fetching usage:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -0,0 +1,276 @@
+// ============================================================================
+// CONTACT ROUTES - The client's caller contact book
+// VoiceAI Connect - Contacts are created and updated by calls (lib/contacts.js);
+// clients browse them, correct names / emails and keep notes, and choose how
+// returning callers are greeted.
+// Mounted at /api/client
+// ============================================================================
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../lib/supabase');
+const { authorizeClientParam } = require('../lib/tenant-auth');
+const { cleanSearch, UUID_REGEX } = require('../lib/call-history');
+const { withRecordingUrls } = require('../lib/recordings');
+const {
+  MAX_NAME_LENGTH,
+  MAX_NOTES_LENGTH,
+  MAX_GREETING_LENGTH,
+  DEFAULT_RETURNING_GREETING
+} = require('../lib/contacts');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CONTACT_SORTS = {
+  last_call: { column: 'last_call_at', ascending: false },
+  first_call: { column: 'first_call_at', ascending: false },
+  calls: { column: 'call_count', ascending: false },
+  name: { column: 'name', ascending: true }
+};
+
+const MAX_PAGE_SIZE = 200;
+const CONTACT_CALL_LIMIT = 50;
+
+// Every :id route requires a user who can access that client
+router.param('id', authorizeClientParam);
+
+/**
+ * Validate editable contact fields - null / '' clears a field
+ * @returns {{ fields?: object, error?: string }}
+ */
+function parseContactFields(body) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    const name = String(body.name || '').replace(/\s+/g, ' ').trim();
+    if (name.length > MAX_NAME_LENGTH) return { error: `name is limited to ${MAX_NAME_LENGTH} characters` };
+    fields.name = name || null;
+  }
+
+  if (body.email !== undefined) {
+    const email = String(body.email || '').trim().toLowerCase();
+    if (email && !EMAIL_REGEX.test(email)) return { error: 'Invalid email address' };
+    fields.email = email || null;
+  }
+
+  if (body.notes !== undefined) {
+    const notes = String(body.notes || '').trim();
+    if (notes.length > MAX_NOTES_LENGTH) return { error: `notes are limited to ${MAX_NOTES_LENGTH} characters` };
+    fields.notes = notes || null;
+  }
+
+  return { fields };
+}
+
+// ============================================================================
+// GET /api/client/:id/caller-recognition - Returning caller greeting settings
+// ============================================================================
+router.get('/:id/caller-recognition', async (req, res) => {
+  try {
+    const { data: client, error } = await supabase
+      .from('clients')
+      .select('greet_returning_callers, returning_caller_greeting')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json({
+      enabled: client.greet_returning_callers !== false,
+      greeting: client.returning_caller_greeting,
+      default_greeting: DEFAULT_RETURNING_GREETING
+    });
+  } catch (error) {
+    console.error('Error fetching caller recognition settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// PUT /api/client/:id/caller-recognition - Turn name greetings on/off
+// Body: { enabled?, greeting? } - greeting may use {name}, {full_name} and
+// {business_name}; null restores the default
+// ============================================================================
+router.put('/:id/caller-recognition', async (req, res) => {
+  try {
+    const { enabled, greeting } = req.body;
+    const updates = {};
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be true or false' });
+      }
+      updates.greet_returning_callers = enabled;
+    }
+
+    if (greeting !== undefined) {
+      const text = String(greeting || '').trim();
+      if (text.length > MAX_GREETING_LENGTH) {
+        return res.status(400).json({ error: `greeting is limited to ${MAX_GREETING_LENGTH} characters` });
+      }
+      if (text && !/\{(full_)?name\}/.test(text)) {
+        return res.status(400).json({ error: 'greeting must include {name} or {full_name}' });
+      }
+      updates.returning_caller_greeting = text || null;
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data: client, error } = await supabase
+      .from('clients')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select('greet_returning_callers, returning_caller_greeting')
+      .single();
+
+    if (error) {
+      console.error('Error updating caller recognition settings:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      success: true,
+      enabled: client.greet_returning_callers !== false,
+      greeting: client.returning_caller_greeting,
+      default_greeting: DEFAULT_RETURNING_GREETING
+    });
+  } catch (error) {
+    console.error('Error updating caller recognition settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/client/:id/contacts - List contacts
+// Query: ?search= (name, email or phone digits) &sort=last_call|first_call|calls|name
+//        &limit=50 (max 200) &offset=0
+// ============================================================================
+router.get('/:id/contacts', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const sort = CONTACT_SORTS[req.query.sort || 'last_call'];
+    if (!sort) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(CONTACT_SORTS).join(', ')}` });
+    }
+
+    let query = supabase
+      .from('contacts')
+      .select('*', { count: 'exact' })
+      .eq('client_id', req.params.id)
+      .order(sort.column, { ascending: sort.ascending, nullsFirst: false })
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    const search = cleanSearch(req.query.search);
+    if (search) {
+      const conditions = [`name.ilike.%${search}%`, `email.ilike.%${search}%`];
+      const digits = search.replace(/\D/g, '');
+      if (digits.length >= 3) conditions.push(`phone.ilike.%${digits}%`);
+      query = query.or(conditions.join(','));
+    }
+
+    const { data: contacts, count, error } = await query;
+
+    if (error) {
+      console.error('Error fetching contacts:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ contacts: contacts || [], total: count || 0, limit, offset });
+  } catch (error) {
+    console.error('Error fetching contacts:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/client/:id/contacts/:contactId - Contact with their latest calls
+// ============================================================================
+router.get('/:id/contacts/:contactId', async (req, res) => {
+  try {
+    const { id, contactId } = req.params;
+
+    if (!UUID_REGEX.test(contactId)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const { data: contact } = await supabase
+      .from('contacts')
+      .select('*')
+      .eq('id', contactId)
+      .eq('client_id', id)
+      .maybeSingle();
+
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const { data: calls, error } = await supabase
+      .from('calls')
+      .select('id, created_at, customer_name, urgency_level, duration_seconds, ai_summary, recording_url, recording_status, recording_storage_path, follow_up_status')
+      .eq('contact_id', contact.id)
+      .order('created_at', { ascending: false })
+      .limit(CONTACT_CALL_LIMIT);
+
+    if (error) {
+      console.error('Error fetching contact calls:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ contact, calls: await withRecordingUrls(calls || []) });
+  } catch (error) {
+    console.error('Error fetching contact:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// PUT /api/client/:id/contacts/:contactId - Edit a contact
+// Body: { name?, email?, notes? } - edited names and emails are no longer
+// overwritten by what the AI picks up on later calls
+// ============================================================================
+router.put('/:id/contacts/:contactId', async (req, res) => {
+  try {
+    const { id, contactId } = req.params;
+
+    if (!UUID_REGEX.test(contactId)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const { fields, error: fieldError } = parseContactFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+    if (!Object.keys(fields).length) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data: contact, error } = await supabase
+      .from('contacts')
+      .update({ ...fields, edited_at: new Date().toISOString() })
+      .eq('id', contactId)
+      .eq('client_id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating contact:', error);
+      return res.status(400).json({ error: error.message });
+    }
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ success: true, contact });
+  } catch (error) {
+    console.error('Error updating contact:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
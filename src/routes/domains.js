@@ -17,6 +17,13 @@ try {
 // Log when this file is loaded
 console.log('📁 Domain routes file loaded');
 
+// Every :agencyId route requires a member of that agency with 'settings' access
+// (GET /dns-config stays public)
+const { authorizeAgencyParam } = require('../lib/tenant-auth');
+router.param('agencyId', authorizeAgencyParam('settings'));
+
+const { AUDIT_ACTIONS, recordAudit } = require('../lib/audit-log');
+
 // ============================================================================
 // EXPLICIT OPTIONS HANDLERS (for CORS preflight)
 // ============================================================================
@@ -290,6 +297,12 @@ router.post('/:agencyId/domain', async (req, res) => {
     
     // Step 3: Update agency in database
     console.log(`   💾 Updating database...`);
+    const { data: previous } = await supabase
+      .from('agencies')
+      .select('marketing_domain, domain_verified')
+      .eq('id', agencyId)
+      .maybeSingle();
+    
     const { data: agency, error: dbError } = await supabase
       .from('agencies')
       .update({
@@ -327,6 +340,16 @@ router.post('/:agencyId/domain', async (req, res) => {
       }
     };
     
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DOMAIN_ADDED,
+      agencyId,
+      entityType: 'agency',
+      entityId: agencyId,
+      before: previous ? { marketing_domain: previous.marketing_domain, domain_verified: previous.domain_verified } : null,
+      after: { marketing_domain: normalizedDomain, domain_verified: false },
+      metadata: { vercel_added: !!vercelResponse, vercel_error: vercelError }
+    });
+    
     console.log(`   ✅ Domain configured successfully: ${normalizedDomain}`);
     console.log(`   📋 DNS Instructions: A=${dnsConfig.aRecord}, CNAME=${dnsConfig.cnameRecord}`);
     
@@ -433,7 +456,7 @@ router.post('/:agencyId/domain/verify', async (req, res) => {
     // Get agency's domain
     const { data: agency, error } = await supabase
       .from('agencies')
-      .select('marketing_domain')
+      .select('marketing_domain, domain_verified')
       .eq('id', agencyId)
       .single();
     
@@ -590,6 +613,15 @@ router.delete('/:agencyId/domain', async (req, res) => {
       return res.status(500).json({ error: 'Failed to remove domain' });
     }
     
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DOMAIN_REMOVED,
+      agencyId,
+      entityType: 'agency',
+      entityId: agencyId,
+      before: { marketing_domain: domain, domain_verified: agency.domain_verified },
+      after: { marketing_domain: null, domain_verified: false }
+    });
+    
     console.log(`   ✅ Domain removed: ${domain}`);
     res.json({ success: true, removed_domain: domain });
     
@@ -0,0 +1,272 @@
+// ============================================================================
+// EMAIL DOMAIN ROUTES - Agency sending domains (Resend)
+// VoiceAI Connect - Client email sent from the agency's own domain
+// Mounted at /api/agency
+// ============================================================================
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../lib/supabase');
+const { getAgencySender } = require('../lib/notifications');
+const {
+  toAgencyDomainFields,
+  createSendingDomain,
+  getSendingDomain,
+  verifySendingDomain,
+  deleteSendingDomain
+} = require('../lib/email-domains');
+const { authorizeAgencyParam } = require('../lib/tenant-auth');
+const { AUDIT_ACTIONS, recordAudit } = require('../lib/audit-log');
+
+const DOMAIN_REGEX = /^[a-z0-9]+([\-\.]{1}[a-z0-9]+)*\.[a-z]{2,}$/;
+
+// Every :agencyId route requires a member of that agency with 'settings' access
+router.param('agencyId', authorizeAgencyParam('settings'));
+
+const EMAIL_DOMAIN_FIELDS = [
+  'id', 'name', 'support_email',
+  'email_from_name', 'email_from_address', 'email_reply_to',
+  'email_domain', 'email_domain_id', 'email_domain_status',
+  'email_domain_records', 'email_domain_verified_at'
+].join(', ');
+
+async function getAgencyEmailSettings(agencyId) {
+  const { data, error } = await supabase
+    .from('agencies')
+    .select(EMAIL_DOMAIN_FIELDS)
+    .eq('id', agencyId)
+    .single();
+
+  if (error) return null;
+  return data;
+}
+
+function formatDomainResponse(agency) {
+  const sender = getAgencySender(agency);
+
+  return {
+    configured: !!agency.email_domain,
+    domain: agency.email_domain,
+    status: agency.email_domain_status || null,
+    verified: agency.email_domain_status === 'verified',
+    verified_at: agency.email_domain_verified_at,
+    dns_records: agency.email_domain_records || [],
+    // What clients currently see in their inbox
+    sender: {
+      from: sender.from,
+      reply_to: sender.replyTo || null
+    }
+  };
+}
+
+// ============================================================================
+// GET /:agencyId/email-domain/status
+// Sending domain status + DNS records (refreshed from Resend)
+// ============================================================================
+router.get('/:agencyId/email-domain/status', async (req, res) => {
+  try {
+    const { agencyId } = req.params;
+
+    let agency = await getAgencyEmailSettings(agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+
+    if (agency.email_domain_id) {
+      try {
+        const domain = await getSendingDomain(agency.email_domain_id);
+
+        const { data: updated } = await supabase
+          .from('agencies')
+          .update(toAgencyDomainFields(domain, agency.email_domain_verified_at))
+          .eq('id', agencyId)
+          .select(EMAIL_DOMAIN_FIELDS)
+          .single();
+
+        if (updated) agency = updated;
+      } catch (err) {
+        console.log(`⚠️ Could not refresh email domain from Resend:`, err.message);
+      }
+    }
+
+    res.json(formatDomainResponse(agency));
+  } catch (error) {
+    console.error('❌ Email domain status error:', error);
+    res.status(500).json({ error: 'Failed to check email domain status' });
+  }
+});
+
+// ============================================================================
+// POST /:agencyId/email-domain
+// Register a sending domain - returns the DNS records to add
+// ============================================================================
+router.post('/:agencyId/email-domain', async (req, res) => {
+  try {
+    const { agencyId } = req.params;
+    const { domain } = req.body;
+
+    if (!domain) {
+      return res.status(400).json({ error: 'Domain is required' });
+    }
+
+    const normalizedDomain = domain
+      .toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/\/$/, '')
+      .trim();
+
+    if (!DOMAIN_REGEX.test(normalizedDomain)) {
+      return res.status(400).json({ error: 'Invalid domain format' });
+    }
+
+    const agency = await getAgencyEmailSettings(agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+
+    if (agency.email_domain_id) {
+      return res.status(400).json({ error: 'Remove the current sending domain first' });
+    }
+
+    const { data: existing } = await supabase
+      .from('agencies')
+      .select('id')
+      .eq('email_domain', normalizedDomain)
+      .neq('id', agencyId)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(400).json({ error: 'Domain is already in use by another agency' });
+    }
+
+    const resendDomain = await createSendingDomain(normalizedDomain);
+
+    const { data: updated, error } = await supabase
+      .from('agencies')
+      .update({
+        email_domain: normalizedDomain,
+        ...toAgencyDomainFields(resendDomain),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', agencyId)
+      .select(EMAIL_DOMAIN_FIELDS)
+      .single();
+
+    if (error) {
+      // Don't leave an orphaned domain on Resend
+      await deleteSendingDomain(resendDomain.id).catch(() => {});
+      return res.status(500).json({ error: 'Failed to save email domain: ' + error.message });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.EMAIL_DOMAIN_ADDED,
+      agencyId,
+      entityType: 'agency',
+      entityId: agencyId,
+      before: { email_domain: agency.email_domain || null },
+      after: { email_domain: normalizedDomain }
+    });
+
+    console.log(`✅ Email domain registered for ${agency.name}: ${normalizedDomain}`);
+    res.json({ success: true, ...formatDomainResponse(updated) });
+  } catch (error) {
+    console.error('❌ Add email domain error:', error);
+    res.status(500).json({ error: 'Failed to add email domain: ' + error.message });
+  }
+});
+
+// ============================================================================
+// POST /:agencyId/email-domain/verify
+// Ask Resend to re-check the DNS records
+// ============================================================================
+router.post('/:agencyId/email-domain/verify', async (req, res) => {
+  try {
+    const { agencyId } = req.params;
+
+    const agency = await getAgencyEmailSettings(agencyId);
+    if (!agency?.email_domain_id) {
+      return res.status(404).json({ verified: false, error: 'No email domain configured' });
+    }
+
+    await verifySendingDomain(agency.email_domain_id);
+    const domain = await getSendingDomain(agency.email_domain_id);
+
+    const { data: updated } = await supabase
+      .from('agencies')
+      .update({
+        ...toAgencyDomainFields(domain, agency.email_domain_verified_at),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', agencyId)
+      .select(EMAIL_DOMAIN_FIELDS)
+      .single();
+
+    const verified = domain.status === 'verified';
+
+    res.json({
+      ...formatDomainResponse(updated || agency),
+      message: verified
+        ? 'Email domain verified - client emails now come from your domain'
+        : 'Verification started. DNS changes can take up to 48 hours - check back later.'
+    });
+  } catch (error) {
+    console.error('❌ Verify email domain error:', error);
+    res.status(500).json({ verified: false, error: 'Verification failed: ' + error.message });
+  }
+});
+
+// ============================================================================
+// DELETE /:agencyId/email-domain
+// Remove the sending domain - client mail falls back to the platform domain
+// ============================================================================
+router.delete('/:agencyId/email-domain', async (req, res) => {
+  try {
+    const { agencyId } = req.params;
+
+    const agency = await getAgencyEmailSettings(agencyId);
+    if (!agency?.email_domain) {
+      return res.status(404).json({ error: 'No email domain to remove' });
+    }
+
+    if (agency.email_domain_id) {
+      try {
+        await deleteSendingDomain(agency.email_domain_id);
+      } catch (err) {
+        // Might already be gone from Resend
+        console.log(`⚠️ Could not remove email domain from Resend:`, err.message);
+      }
+    }
+
+    const { error } = await supabase
+      .from('agencies')
+      .update({
+        email_domain: null,
+        email_domain_id: null,
+        email_domain_status: null,
+        email_domain_records: [],
+        email_domain_verified_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', agencyId);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to remove email domain' });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.EMAIL_DOMAIN_REMOVED,
+      agencyId,
+      entityType: 'agency',
+      entityId: agencyId,
+      before: { email_domain: agency.email_domain, email_domain_status: agency.email_domain_status || null },
+      after: { email_domain: null }
+    });
+
+    console.log(`✅ Email domain removed for ${agency.name}: ${agency.email_domain}`);
+    res.json({ success: true, removed_domain: agency.email_domain });
+  } catch (error) {
+    console.error('❌ Remove email domain error:', error);
+    res.status(500).json({ error: 'Failed to remove email domain: ' + error.message });
+  }
+});
+
+module.exports = router;
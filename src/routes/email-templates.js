@@ -0,0 +1,311 @@
+// ============================================================================
+// EMAIL TEMPLATE ROUTES - Agency-editable client email copy
+// VoiceAI Connect - Welcome, password reset, trial, usage & billing emails
+// Mounted at /api/agency
+// ============================================================================
+const express = require('express');
+const router = express.Router();
+const { supabase, getAgencyById } = require('../lib/supabase');
+const { sendAgencyEmail } = require('../lib/notifications');
+const {
+  EDITABLE_FIELDS,
+  getTemplateVariables,
+  getEmailTemplate,
+  renderEmailTemplate,
+  getSampleVariables
+} = require('../lib/email-templates');
+const { DEFAULT_EMAIL_TEMPLATES } = require('../lib/default-email-templates');
+const { authorizeAgencyParam } = require('../lib/tenant-auth');
+const { testEmailLimiter } = require('../lib/rate-limit');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 50000;
+
+// Every :agencyId route requires a member of that agency with 'settings' access
+router.param('agencyId', authorizeAgencyParam('settings'));
+
+// Only templates for the agency's own clients can be edited here
+function isAgencyTemplate(key) {
+  return DEFAULT_EMAIL_TEMPLATES[key]?.audience === 'client';
+}
+
+// Editable fields present in the request body
+function pickTemplateFields(body = {}) {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+// {placeholders} the template doesn't support - usually typos
+function findUnknownVariables(template) {
+  const known = getTemplateVariables(template.key).map(v => v.key);
+  const used = `${template.subject || ''} ${template.heading || ''} ${template.body || ''}`
+    .match(/\{\w+\}/g) || [];
+
+  return [...new Set(used)].filter(v => !known.includes(v));
+}
+
+function formatTemplate(template) {
+  return {
+    key: template.key,
+    name: template.name,
+    description: template.description,
+    subject: template.subject,
+    heading: template.heading,
+    body: template.body,
+    button_label: template.button_label || null,
+    customized: template.customized === 'agency',
+    updated_at: template.updated_at || null,
+    variables: getTemplateVariables(template.key)
+  };
+}
+
+// Saved template with unsaved edits from the request applied
+async function getDraftTemplate(agencyId, key, body) {
+  const template = await getEmailTemplate(agencyId, key);
+  return { ...template, ...pickTemplateFields(body) };
+}
+
+// ============================================================================
+// GET /api/agency/:agencyId/email-templates
+// List client email templates (agency copy or platform default)
+// ============================================================================
+router.get('/:agencyId/email-templates', async (req, res) => {
+  try {
+    const { agencyId } = req.params;
+
+    const keys = Object.keys(DEFAULT_EMAIL_TEMPLATES).filter(isAgencyTemplate);
+    const templates = await Promise.all(keys.map(key => getEmailTemplate(agencyId, key)));
+
+    res.json({ templates: templates.map(formatTemplate) });
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// GET /api/agency/:agencyId/email-templates/:key
+// Get a single template
+// ============================================================================
+router.get('/:agencyId/email-templates/:key', async (req, res) => {
+  try {
+    const { agencyId, key } = req.params;
+
+    if (!isAgencyTemplate(key)) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const template = await getEmailTemplate(agencyId, key);
+    res.json({ template: formatTemplate(template) });
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// PUT /api/agency/:agencyId/email-templates/:key
+// Save the agency's copy of a template
+// ============================================================================
+router.put('/:agencyId/email-templates/:key', async (req, res) => {
+  try {
+    const { agencyId, key } = req.params;
+
+    if (!isAgencyTemplate(key)) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const current = await getEmailTemplate(agencyId, key);
+    const draft = { ...current, ...pickTemplateFields(req.body) };
+
+    for (const field of EDITABLE_FIELDS) {
+      if (draft[field] !== null && draft[field] !== undefined && typeof draft[field] !== 'string') {
+        return res.status(400).json({ error: `${field} must be a string` });
+      }
+    }
+
+    if (!draft.subject?.trim() || !draft.body?.trim()) {
+      return res.status(400).json({ error: 'Subject and body are required' });
+    }
+    if (draft.subject.length > MAX_SUBJECT_LENGTH) {
+      return res.status(400).json({ error: `Subject must be ${MAX_SUBJECT_LENGTH} characters or less` });
+    }
+    if (draft.body.length > MAX_BODY_LENGTH) {
+      return res.status(400).json({ error: 'Body is too long' });
+    }
+
+    const fields = {
+      subject: draft.subject.trim(),
+      heading: draft.heading?.trim() || null,
+      body: draft.body,
+      button_label: draft.button_label?.trim() || null
+    };
+
+    const { data: existing } = await supabase
+      .from('email_templates')
+      .select('id')
+      .eq('agency_id', agencyId)
+      .eq('template_key', key)
+      .maybeSingle();
+
+    const { error } = existing
+      ? await supabase
+          .from('email_templates')
+          .update(fields)
+          .eq('id', existing.id)
+      : await supabase
+          .from('email_templates')
+          .insert({ agency_id: agencyId, template_key: key, ...fields });
+
+    if (error) {
+      console.error('Error saving email template:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const template = await getEmailTemplate(agencyId, key);
+
+    console.log(`✅ Email template saved: ${key} (agency ${agencyId})`);
+    res.json({
+      success: true,
+      template: formatTemplate(template),
+      unknown_variables: findUnknownVariables(template)
+    });
+  } catch (error) {
+    console.error('Error saving email template:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// DELETE /api/agency/:agencyId/email-templates/:key
+// Reset a template to the platform default
+// ============================================================================
+router.delete('/:agencyId/email-templates/:key', async (req, res) => {
+  try {
+    const { agencyId, key } = req.params;
+
+    if (!isAgencyTemplate(key)) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const { error } = await supabase
+      .from('email_templates')
+      .delete()
+      .eq('agency_id', agencyId)
+      .eq('template_key', key);
+
+    if (error) {
+      console.error('Error resetting email template:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const template = await getEmailTemplate(agencyId, key);
+    res.json({ success: true, template: formatTemplate(template) });
+  } catch (error) {
+    console.error('Error resetting email template:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// POST /api/agency/:agencyId/email-templates/:key/preview
+// Render a template (saved, or with unsaved edits) using sample data
+// Body: { subject?, heading?, body?, button_label?, variables? }
+// ============================================================================
+router.post('/:agencyId/email-templates/:key/preview', async (req, res) => {
+  try {
+    const { agencyId, key } = req.params;
+
+    if (!isAgencyTemplate(key)) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const agency = await getAgencyById(agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+
+    const draft = await getDraftTemplate(agencyId, key, req.body);
+    const variables = { ...getSampleVariables(key, agency), ...(req.body?.variables || {}) };
+    const { subject, html } = renderEmailTemplate(draft, agency, variables);
+
+    res.json({
+      subject,
+      html,
+      unknown_variables: findUnknownVariables(draft)
+    });
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Test emails only go to the agency's own active users
+async function isAgencyUserEmail(agencyId, email) {
+  const { data: users } = await supabase
+    .from('users')
+    .select('id, is_active')
+    .eq('agency_id', agencyId)
+    .eq('email', email)
+    .limit(1);
+
+  return !!users?.length && users[0].is_active !== false;
+}
+
+// ============================================================================
+// POST /api/agency/:agencyId/email-templates/:key/test
+// Send a test email with sample data to one of the agency's own users
+// (defaults to the signed-in user) - 10 per agency per hour
+// Body: { to?, subject?, heading?, body?, button_label? }
+// ============================================================================
+router.post('/:agencyId/email-templates/:key/test', testEmailLimiter.middleware(req => req.params.agencyId), async (req, res) => {
+  try {
+    const { agencyId, key } = req.params;
+
+    if (!isAgencyTemplate(key)) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const agency = await getAgencyById(agencyId);
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+
+    const to = String(req.body?.to || req.user.email || '').trim().toLowerCase();
+    if (!to || !EMAIL_REGEX.test(to)) {
+      return res.status(400).json({ error: 'A valid recipient email is required' });
+    }
+    if (!(await isAgencyUserEmail(agencyId, to))) {
+      return res.status(400).json({ error: 'Test emails can only be sent to members of your agency' });
+    }
+
+    const draft = await getDraftTemplate(agencyId, key, req.body);
+    const { subject, heading, body } = renderEmailTemplate(draft, agency, getSampleVariables(key, agency));
+
+    // Sent exactly as a client would get it - same sender and branding
+    const result = await sendAgencyEmail(agency, {
+      to,
+      subject: `[Test] ${subject}`,
+      heading,
+      headingColor: draft.heading_color,
+      body
+    });
+
+    if (!result.success) {
+      return res.status(502).json({ error: 'Failed to send test email', details: result.error });
+    }
+
+    console.log(`📧 Test email (${key}) sent to ${to}`);
+    res.json({ success: true, to });
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,16 @@
 // ============================================================================
 // GOOGLE OAUTH ROUTES FOR AGENCY SIGNUP
+// The callback never puts tokens in the URL: it redirects to
+// /auth/google-success?code=... with a one-time code (hashed in
+// oauth_login_codes, valid for LOGIN_CODE_TTL_SECONDS), and the frontend
+// POSTs it to /api/auth/google/exchange for the login response - a session,
+// or the 2FA step.
 // ============================================================================
 
+const crypto = require('crypto');
 const { OAuth2Client } = require('google-auth-library');
-const { supabase } = require('../lib/supabase');
-const { generateToken } = require('./auth');
+const { supabase, getUserById } = require('../lib/supabase');
+const { getTwoFactorStep, finishLogin } = require('./auth');
 const { createPasswordToken } = require('./agency-signup');
 
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
@@ -12,12 +18,45 @@ const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
 const GOOGLE_REDIRECT_URI = process.env.GOOGLE_REDIRECT_URI;
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://myvoiceaiconnect.com';
 
+const LOGIN_CODE_TTL_SECONDS = 60;
+
 const oauth2Client = new OAuth2Client(
   GOOGLE_CLIENT_ID,
   GOOGLE_CLIENT_SECRET,
   GOOGLE_REDIRECT_URI
 );
 
+function hashLoginCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * One-time code the frontend exchanges for the login response
+ * @param {object} options - { redirect, newSignup }
+ */
+async function createLoginCode(userId, { redirect, newSignup = false }) {
+  const code = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  // Codes that were never exchanged
+  await supabase.from('oauth_login_codes').delete().lt('expires_at', now.toISOString());
+
+  const { error } = await supabase.from('oauth_login_codes').insert({
+    code_hash: hashLoginCode(code),
+    user_id: userId,
+    redirect,
+    new_signup: newSignup,
+    expires_at: new Date(now.getTime() + LOGIN_CODE_TTL_SECONDS * 1000).toISOString()
+  });
+
+  if (error) throw error;
+  return code;
+}
+
+function loginCodeRedirect(code) {
+  return `${FRONTEND_URL}/auth/google-success?code=${code}`;
+}
+
 function generateSlug(name) {
   return name
     .toLowerCase()
@@ -114,22 +153,16 @@ async function googleCallback(req, res) {
       .single();
 
     if (existingUser) {
+      if (existingUser.is_active === false) {
+        return res.redirect(`${FRONTEND_URL}/signup?error=account_disabled`);
+      }
+
       if (existingUser.agency_id && existingUser.agencies) {
-        const token = generateToken(existingUser);
-        
-        await supabase
-          .from('users')
-          .update({ last_login_at: new Date().toISOString() })
-          .eq('id', existingUser.id);
+        const redirect = existingUser.agencies.onboarding_completed ? '/agency/dashboard' : '/onboarding';
+        const loginCode = await createLoginCode(existingUser.id, { redirect });
 
         console.log(`✅ Google login: ${email}`);
-
-        const agency = existingUser.agencies;
-        if (!agency.onboarding_completed) {
-          return res.redirect(`${FRONTEND_URL}/auth/google-success?token=${token}&agencyId=${agency.id}&redirect=/onboarding`);
-        }
-
-        return res.redirect(`${FRONTEND_URL}/auth/google-success?token=${token}&redirect=/agency/dashboard`);
+        return res.redirect(loginCodeRedirect(loginCode));
       } else {
         return res.redirect(`${FRONTEND_URL}/signup?error=account_exists`);
       }
@@ -204,12 +237,11 @@ async function googleCallback(req, res) {
       return res.redirect(`${FRONTEND_URL}/signup?error=signup_failed`);
     }
 
-    const token = generateToken(user);
-    const passwordToken = await createPasswordToken(user.id, email.toLowerCase());
+    const loginCode = await createLoginCode(user.id, { redirect: '/onboarding', newSignup: true });
 
     console.log(`✅ Google signup: ${email} | Agency: ${agency.name}`);
 
-    res.redirect(`${FRONTEND_URL}/auth/google-success?token=${token}&passwordToken=${passwordToken}&agencyId=${agency.id}&redirect=/onboarding`);
+    res.redirect(loginCodeRedirect(loginCode));
 
   } catch (error) {
     console.error('❌ Google callback error:', error);
@@ -217,7 +249,56 @@ async function googleCallback(req, res) {
   }
 }
 
+// POST /api/auth/google/exchange - Body: { code } from the callback redirect
+// Same response as POST /api/auth/login, plus redirect, agencyId and (new
+// signups) passwordToken
+async function googleExchange(req, res) {
+  try {
+    const code = typeof req.body.code === 'string' ? req.body.code : '';
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+
+    // Deleting claims the code - it can only be exchanged once
+    const { data: rows, error } = await supabase
+      .from('oauth_login_codes')
+      .delete()
+      .eq('code_hash', hashLoginCode(code))
+      .select();
+
+    if (error) throw error;
+
+    const loginCode = rows?.[0];
+    if (!loginCode || new Date(loginCode.expires_at) < new Date()) {
+      return res.status(401).json({ error: 'Google sign-in has expired - please try again' });
+    }
+
+    const user = await getUserById(loginCode.user_id);
+    if (!user || user.is_active === false) {
+      return res.status(401).json({ error: 'Account disabled' });
+    }
+
+    const extra = { redirect: loginCode.redirect, agencyId: user.agency_id };
+
+    // Google stands in for the password only - 2FA still applies
+    const twoFactorStep = await getTwoFactorStep(user);
+    if (twoFactorStep) {
+      return res.json({ ...twoFactorStep, ...extra });
+    }
+
+    if (loginCode.new_signup) {
+      extra.passwordToken = await createPasswordToken(user.id, user.email);
+    }
+
+    await finishLogin(user, req, res, extra);
+  } catch (error) {
+    console.error('❌ Google code exchange error:', error);
+    res.status(500).json({ error: 'Google sign-in failed' });
+  }
+}
+
 module.exports = {
   googleAuth,
   googleCallback,
+  googleExchange,
 };
\ No newline at end of file
@@ -0,0 +1,113 @@
+// ============================================================================
+// IMPERSONATION ROUTES - "Log in as client" for agency support
+// VoiceAI Connect - Agency users with 'clients' access get a 30-minute token
+// for the client's owner login. The client sees who signed in as them and
+// every request made (GET /api/client/:clientId/impersonations).
+// ============================================================================
+const { supabase, getClientById } = require('../lib/supabase');
+const {
+  IMPERSONATION_TTL_SECONDS,
+  createImpersonation,
+  listClientImpersonations
+} = require('../lib/impersonation');
+const { generateToken } = require('./auth');
+
+// The account owner's login - the oldest active one if there are several
+async function getClientOwnerUser(clientId) {
+  const { data: owners, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('client_id', clientId)
+    .eq('role', 'client')
+    .eq('client_role', 'owner')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (owners || []).find(owner => owner.is_active !== false) || null;
+}
+
+// ============================================================================
+// POST /api/agency/:agencyId/clients/:clientId/impersonate - Sign in as client
+// Body: { reason? } - shown to the client alongside the session
+// Returns { token, expiresIn, impersonation } - no refresh token
+// ============================================================================
+async function startImpersonation(req, res) {
+  try {
+    const { agencyId, clientId } = req.params;
+
+    if (req.user.impersonation) {
+      return res.status(400).json({ error: 'Already impersonating a client' });
+    }
+
+    const client = await getClientById(clientId);
+    if (!client || client.agency_id !== agencyId) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const targetUser = await getClientOwnerUser(clientId);
+    if (!targetUser) {
+      return res.status(400).json({ error: 'This client has no active login to sign in as' });
+    }
+
+    const impersonation = await createImpersonation({
+      agencyId,
+      clientId,
+      impersonator: req.user,
+      targetUser,
+      reason: req.body?.reason?.trim(),
+      req
+    });
+
+    const token = generateToken(targetUser, req.user.sessionId, {
+      impersonation: {
+        id: impersonation.id,
+        userId: req.user.userId,
+        email: req.user.email,
+        agencyId
+      },
+      expiresIn: IMPERSONATION_TTL_SECONDS
+    });
+
+    console.log(`🎭 Impersonation started: ${req.user.email} as ${targetUser.email} (${client.business_name})`);
+
+    res.json({
+      success: true,
+      token,
+      expiresIn: IMPERSONATION_TTL_SECONDS,
+      impersonation: {
+        id: impersonation.id,
+        client_id: clientId,
+        business_name: client.business_name,
+        user_email: targetUser.email,
+        expires_at: impersonation.expires_at
+      }
+    });
+  } catch (error) {
+    console.error('❌ Impersonation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// ============================================================================
+// GET /api/client/:clientId/impersonations - Agency sign-ins as this client
+// ============================================================================
+async function getClientImpersonations(req, res) {
+  try {
+    const impersonations = await listClientImpersonations(req.params.clientId);
+
+    res.json({
+      impersonations: impersonations.map(({ events, ...impersonation }) => ({
+        ...impersonation,
+        events: (events || []).sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching impersonations:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+module.exports = {
+  startImpersonation,
+  getClientImpersonations
+};
@@ -7,6 +7,10 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../lib/supabase');
 const { logActivity, ACTION_TYPES } = require('./activity');
+const { authorizeAgencyParam } = require('../lib/tenant-auth');
+
+// Every :agencyId route requires a member of that agency with 'leads' access
+router.param('agencyId', authorizeAgencyParam('leads'));
 
 // ============================================================================
 // LEAD STATUS OPTIONS
@@ -113,9 +117,9 @@ router.post('/:agencyId/leads', async (req, res) => {
       status = 'new',
       notes,
       estimated_value,
-      next_follow_up,
-      userId  // For activity logging
+      next_follow_up
     } = req.body;
+    const { userId } = req.user;  // Activity is attributed to the signed-in user
 
     if (!business_name) {
       return res.status(400).json({ error: 'Business name is required' });
@@ -221,9 +225,9 @@ router.put('/:agencyId/leads/:leadId', async (req, res) => {
       status,
       notes,
       estimated_value,
-      next_follow_up,
-      userId  // For activity logging
+      next_follow_up
     } = req.body;
+    const { userId } = req.user;
 
     // Get current lead for comparison
     const { data: currentLead } = await supabase
@@ -347,7 +351,8 @@ router.delete('/:agencyId/leads/:leadId', async (req, res) => {
 router.patch('/:agencyId/leads/:leadId/status', async (req, res) => {
   try {
     const { agencyId, leadId } = req.params;
-    const { status, userId } = req.body;
+    const { status } = req.body;
+    const { userId } = req.user;
 
     if (!status) {
       return res.status(400).json({ error: 'Status is required' });
@@ -407,7 +412,8 @@ router.patch('/:agencyId/leads/:leadId/status', async (req, res) => {
 router.post('/:agencyId/leads/:leadId/log-call', async (req, res) => {
   try {
     const { agencyId, leadId } = req.params;
-    const { duration, outcome, notes, userId } = req.body;
+    const { duration, outcome, notes } = req.body;
+    const { userId } = req.user;
 
     await logActivity(
       agencyId,
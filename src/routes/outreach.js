@@ -6,6 +6,7 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../lib/supabase');
 const { logActivity, ACTION_TYPES } = require('./activity');
+const { authorizeAgencyParam } = require('../lib/tenant-auth');
 
 // ============================================================================
 // TEMPLATE VARIABLES
@@ -35,6 +36,9 @@ const TEMPLATE_VARIABLES = {
   ]
 };
 
+// Every :agencyId route requires a member of that agency with 'outreach' access
+router.param('agencyId', authorizeAgencyParam('outreach'));
+
 // ============================================================================
 // GET /api/agency/:agencyId/templates
 // List all templates for an agency
@@ -418,7 +422,8 @@ router.post('/:agencyId/outreach/compose', async (req, res) => {
 router.post('/:agencyId/outreach/log', async (req, res) => {
   try {
     const { agencyId } = req.params;
-    const { leadId, templateId, type, toAddress, subject, body, userId } = req.body;
+    const { leadId, templateId, type, toAddress, subject, body } = req.body;
+    const { userId } = req.user;
 
     if (!type || !toAddress || !body) {
       return res.status(400).json({ error: 'type, toAddress, and body are required' });
@@ -0,0 +1,110 @@
+// ============================================================================
+// RECORDING ROUTES - How long a client's call recordings are kept
+// VoiceAI Connect - Agencies set a default (recording_retention_days in agency
+// settings); a client's own setting overrides it. Recordings older than the
+// period are deleted by /api/cron/purge-recordings (lib/recordings.js).
+// Mounted at /api/client
+// ============================================================================
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../lib/supabase');
+const { authorizeClientParam, isClientOwner } = require('../lib/tenant-auth');
+const { isImpersonating, IMPERSONATION_BLOCKED_MESSAGE } = require('../lib/impersonation');
+const { parseRetentionDays } = require('../lib/recordings');
+const { AUDIT_ACTIONS, recordAudit } = require('../lib/audit-log');
+
+// Every :id route requires a user who can access that client
+router.param('id', authorizeClientParam);
+
+async function getClientRetention(clientId) {
+  const { data: client } = await supabase
+    .from('clients')
+    .select('id, agency_id, recording_retention_days, agencies(recording_retention_days)')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  return client;
+}
+
+function formatRetention(client) {
+  const agencyDays = client.agencies?.recording_retention_days ?? null;
+  const clientDays = client.recording_retention_days ?? null;
+
+  return {
+    retention_days: clientDays,
+    agency_retention_days: agencyDays,
+    // null = recordings are kept forever
+    effective_retention_days: clientDays ?? agencyDays
+  };
+}
+
+// ============================================================================
+// GET /api/client/:id/recording-retention
+// ============================================================================
+router.get('/:id/recording-retention', async (req, res) => {
+  try {
+    const client = await getClientRetention(req.params.id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json(formatRetention(client));
+  } catch (error) {
+    console.error('Error fetching recording retention:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================================
+// PUT /api/client/:id/recording-retention - Client owner or their agency
+// Body: { retention_days } - 1-3650, or null to follow the agency's setting
+// ============================================================================
+router.put('/:id/recording-retention', async (req, res) => {
+  try {
+    if (isImpersonating(req.user)) {
+      return res.status(403).json({ error: IMPERSONATION_BLOCKED_MESSAGE });
+    }
+    if (req.user.role === 'client' && !isClientOwner(req.user)) {
+      return res.status(403).json({ error: 'Only the account owner can change how long recordings are kept' });
+    }
+
+    const { days, error: retentionError } = parseRetentionDays(req.body.retention_days);
+    if (req.body.retention_days === undefined || retentionError) {
+      return res.status(400).json({ error: retentionError || 'retention_days is required' });
+    }
+
+    const client = await getClientRetention(req.params.id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const { error } = await supabase
+      .from('clients')
+      .update({ recording_retention_days: days })
+      .eq('id', client.id);
+
+    if (error) {
+      console.error('Error updating recording retention:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    if ((client.recording_retention_days ?? null) !== days) {
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.CLIENT_RECORDING_RETENTION_UPDATED,
+        agencyId: client.agency_id,
+        clientId: client.id,
+        entityType: 'client',
+        entityId: client.id,
+        before: { recording_retention_days: client.recording_retention_days ?? null },
+        after: { recording_retention_days: days }
+      });
+    }
+
+    res.json({ success: true, ...formatRetention({ ...client, recording_retention_days: days }) });
+  } catch (error) {
+    console.error('Error updating recording retention:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -5,9 +5,14 @@
 const express = require('express');
 const router = express.Router();
 const { supabase, getAgencyById } = require('../lib/supabase');
+const { authorizeAgencyParam } = require('../lib/tenant-auth');
+const { AUDIT_ACTIONS, recordAudit } = require('../lib/audit-log');
 
 const COMMISSION_RATE = 0.20; // 20%
 
+// Every :agencyId route requires a member of that agency with 'billing' access
+router.param('agencyId', authorizeAgencyParam('billing'));
+
 // ============================================================================
 // GET /api/agency/:agencyId/referrals
 // Get referral dashboard data for an agency
@@ -231,6 +236,16 @@ router.post('/:agencyId/referrals/payout', async (req, res) => {
       .eq('referrer_id', agencyId)
       .eq('status', 'pending');
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.REFERRAL_PAYOUT_REQUESTED,
+      agencyId,
+      entityType: 'agency',
+      entityId: agencyId,
+      before: { referral_balance_cents: payoutAmount },
+      after: { referral_balance_cents: 0 },
+      metadata: { transfer_id: transfer.id, destination: agency.stripe_account_id }
+    });
+
     console.log(`✅ Referral payout: $${(payoutAmount / 100).toFixed(2)} to ${agency.name} (${transfer.id})`);
 
     res.json({
@@ -9,8 +9,11 @@ const {
   getClientByStripeConnectedCustomerId,
   getClientById
 } = require('../lib/supabase');
-const { sendEmail } = require('../lib/notifications');
+const { sendEmail, getAgencyDashboardUrl } = require('../lib/notifications');
+const { sendTemplatedEmail } = require('../lib/email-templates');
 const { enableAssistant, disableAssistant } = require('../lib/vapi');
+const { getSubscriptionPeriod, getCalendarMonthPeriod, startUsagePeriod } = require('../lib/usage');
+const { AUDIT_ACTIONS, recordAudit } = require('../lib/audit-log');
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -160,7 +163,7 @@ async function disconnectConnectAccount(req, res) {
     // Get agency
     const { data: agency, error: fetchError } = await supabase
       .from('agencies')
-      .select('stripe_account_id, name')
+      .select('stripe_account_id, stripe_onboarding_complete, stripe_charges_enabled, stripe_payouts_enabled, name')
       .eq('id', agencyId)
       .single();
 
@@ -191,6 +194,25 @@ async function disconnectConnectAccount(req, res) {
       return res.status(500).json({ error: 'Failed to disconnect account' });
     }
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CONNECT_DISCONNECTED,
+      agencyId,
+      entityType: 'agency',
+      entityId: agencyId,
+      before: {
+        stripe_account_id: agency.stripe_account_id,
+        stripe_onboarding_complete: agency.stripe_onboarding_complete,
+        stripe_charges_enabled: agency.stripe_charges_enabled,
+        stripe_payouts_enabled: agency.stripe_payouts_enabled
+      },
+      after: {
+        stripe_account_id: null,
+        stripe_onboarding_complete: false,
+        stripe_charges_enabled: false,
+        stripe_payouts_enabled: false
+      }
+    });
+
     console.log('✅ Stripe Connect disconnected for:', agency.name);
 
     res.json({
@@ -403,6 +425,40 @@ async function createClientPortal(req, res) {
   }
 }
 
+// ============================================================================
+// OVERAGE INVOICE ITEM - Extra call added to the client's next invoice
+// Created on the agency's connected account against the client's subscription.
+// Keyed on the overage charge so retries never bill a call twice.
+// ============================================================================
+async function createOverageInvoiceItem(client, charge) {
+  const stripeAccount = client.agencies?.stripe_account_id;
+
+  if (!stripeAccount || !client.stripe_connected_customer_id || !client.stripe_connected_subscription_id) {
+    throw new Error('Client has no subscription on the agency\'s Connect account');
+  }
+
+  const invoiceItem = await stripe.invoiceItems.create({
+    customer: client.stripe_connected_customer_id,
+    subscription: client.stripe_connected_subscription_id,
+    amount: charge.amount_cents,
+    currency: charge.currency || 'usd',
+    description: `Additional call over plan limit (call #${charge.call_number})`,
+    metadata: {
+      type: 'call_overage',
+      client_id: client.id,
+      agency_id: client.agency_id,
+      call_id: charge.call_id,
+      overage_charge_id: charge.id
+    }
+  }, {
+    stripeAccount,
+    idempotencyKey: `call-overage-${charge.id}`
+  });
+
+  console.log(`💵 Overage invoice item created for ${client.business_name}: ${invoiceItem.id}`);
+  return invoiceItem;
+}
+
 // ============================================================================
 // EXPIRE TRIALS - Cron job to disable expired trials
 // ============================================================================
@@ -450,23 +506,15 @@ async function expireTrials() {
 
       // Send trial expired email
       const agency = client.agencies;
-      const agencyName = agency?.name || 'AI Receptionist';
-      const agencyUrl = agency?.marketing_domain && agency?.domain_verified
-        ? `https://${agency.marketing_domain}`
-        : `https://${agency?.slug}.myvoiceaiconnect.com`;
 
-      await sendEmail({
+      await sendTemplatedEmail('trial_expired', {
+        agency,
+        client,
         to: client.email,
-        subject: `⚠️ ${agencyName} - Your Trial Has Ended`,
-        html: `
-          <h2>Your Trial Has Ended</h2>
-          <p>Hi ${client.owner_name || client.business_name},</p>
-          <p>Your 7-day free trial of ${agencyName} has ended.</p>
-          <p>Your AI receptionist is no longer answering calls at ${client.vapi_phone_number}.</p>
-          <p><strong>Don't lose your customers!</strong> Reactivate now to continue:</p>
-          <p><a href="${agencyUrl}/client/upgrade" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; display: inline-block;">Reactivate Now</a></p>
-          <p>Questions? Contact ${agency?.support_email || 'support'}.</p>
-        `
+        emailType: 'trial_expired',
+        variables: {
+          upgrade_url: `${getAgencyDashboardUrl(agency)}/client/upgrade`
+        }
       });
 
       console.log('✅ Trial expired for:', client.business_name);
@@ -609,8 +657,7 @@ async function handleClientCheckoutCompleted(session, stripeAccountId) {
       monthly_call_limit: callLimit,
       stripe_connected_subscription_id: session.subscription,
       trial_ends_at: null, // Clear trial date
-      status: 'active',
-      calls_this_month: 0
+      status: 'active'
     })
     .eq('id', clientId);
 
@@ -619,6 +666,22 @@ async function handleClientCheckoutCompleted(session, stripeAccountId) {
     return;
   }
 
+  // New subscription starts a fresh usage period aligned to its billing cycle
+  try {
+    let period = null;
+    if (session.subscription) {
+      const subscription = await stripe.subscriptions.retrieve(
+        session.subscription,
+        { stripeAccount: stripeAccountId }
+      );
+      period = getSubscriptionPeriod(subscription);
+    }
+    await startUsagePeriod(clientId, period || getCalendarMonthPeriod(client));
+  } catch (periodError) {
+    // The rollover cron picks the period up on its next run
+    console.error('Failed to start usage period:', periodError.message);
+  }
+
   console.log(`✅ Client ${isUpgrade ? 'upgraded' : 'activated'}:`, client.business_name);
 
   // Re-enable VAPI assistant if it was disabled
@@ -633,23 +696,18 @@ async function handleClientCheckoutCompleted(session, stripeAccountId) {
 
   // Send confirmation email
   const agency = client.agencies;
-  const agencyName = agency?.name || 'AI Receptionist';
 
-  await sendEmail({
+  await sendTemplatedEmail('subscription_activated', {
+    agency,
+    client,
     to: client.email,
-    subject: `✅ ${agencyName} - Subscription Activated!`,
-    html: `
-      <h2>Welcome${isUpgrade ? ' Back' : ''}!</h2>
-      <p>Hi ${client.owner_name || client.business_name},</p>
-      <p>Your ${plan.charAt(0).toUpperCase() + plan.slice(1)} plan is now active!</p>
-      <p>Your AI receptionist is answering calls 24/7 at: <strong>${client.vapi_phone_number}</strong></p>
-      <p>
-        <strong>Plan:</strong> ${plan.charAt(0).toUpperCase() + plan.slice(1)}<br>
-        <strong>Monthly Calls:</strong> ${callLimit}
-      </p>
-      <p>Log in to your dashboard to view calls and manage settings.</p>
-      <p>Thanks for choosing ${agencyName}!</p>
-    `
+    emailType: 'subscription_activated',
+    variables: {
+      plan_name: plan.charAt(0).toUpperCase() + plan.slice(1),
+      call_limit: callLimit,
+      welcome_back: isUpgrade ? ' Back' : '',
+      dashboard_url: `${getAgencyDashboardUrl(agency)}/client/dashboard`
+    }
   });
 }
 
@@ -715,18 +773,11 @@ async function handleClientSubscriptionDeleted(subscription, stripeAccountId) {
     })
     .eq('id', client.id);
 
-  const agency = client.agencies;
-  const agencyName = agency?.name || 'AI Receptionist';
-
-  await sendEmail({
+  await sendTemplatedEmail('subscription_cancelled', {
+    agency: client.agencies,
+    client,
     to: client.email,
-    subject: `${agencyName} - Subscription Cancelled`,
-    html: `
-      <p>Hi ${client.owner_name || client.business_name},</p>
-      <p>Your AI receptionist subscription has been cancelled.</p>
-      <p>Your phone number (${client.vapi_phone_number}) will stop answering calls.</p>
-      <p>To reactivate, visit your dashboard or contact ${agency?.support_email || 'support'}.</p>
-    `
+    emailType: 'subscription_cancelled'
   });
 }
 
@@ -743,8 +794,7 @@ async function handleClientPaymentSucceeded(invoice, stripeAccountId) {
     .from('clients')
     .update({
       subscription_status: 'active',
-      status: 'active',
-      calls_this_month: 0
+      status: 'active'
     })
     .eq('id', client.id);
 
@@ -769,18 +819,14 @@ async function handleClientPaymentFailed(invoice, stripeAccountId) {
     })
     .eq('id', client.id);
 
-  const agency = client.agencies;
-  const agencyName = agency?.name || 'AI Receptionist';
-
-  await sendEmail({
+  await sendTemplatedEmail('payment_failed', {
+    agency: client.agencies,
+    client,
     to: client.email,
-    subject: `🚨 ${agencyName} Payment Failed`,
-    html: `
-      <h2>Payment Failed</h2>
-      <p>Hi ${client.owner_name || client.business_name},</p>
-      <p>We couldn't process your payment. Please update your payment method to avoid service interruption.</p>
-      <p><a href="${invoice.hosted_invoice_url}">Update Payment Method</a></p>
-    `
+    emailType: 'payment_failed',
+    variables: {
+      invoice_url: invoice.hosted_invoice_url
+    }
   });
 }
 
@@ -794,5 +840,6 @@ module.exports = {
   createClientCheckout,
   createClientPortal,
   handleConnectStripeWebhook,
+  createOverageInvoiceItem,
   expireTrials
 };
\ No newline at end of file
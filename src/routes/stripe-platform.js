@@ -3,7 +3,7 @@
 // ============================================================================
 const Stripe = require('stripe');
 const { supabase, getAgencyByStripeCustomerId } = require('../lib/supabase');
-const { sendEmail } = require('../lib/notifications');
+const { sendTemplatedEmail } = require('../lib/email-templates');
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -288,6 +288,11 @@ async function handleAgencySubscriptionUpdated(subscription) {
     agencyStatus = 'suspended';
   }
   
+  // A platform suspension (super admin) outlasts billing changes
+  if (agency.admin_suspended_at) {
+    agencyStatus = 'suspended';
+  }
+  
   await supabase
     .from('agencies')
     .update({
@@ -316,15 +321,9 @@ async function handleAgencySubscriptionDeleted(subscription) {
   
   // TODO: Disable all agency's client assistants
   
-  await sendEmail({
-    to: agency.email,
-    subject: 'VoiceAI Connect Subscription Cancelled',
-    html: `
-      <h2>Your subscription has been cancelled</h2>
-      <p>Hi ${agency.name},</p>
-      <p>Your VoiceAI Connect subscription has been cancelled. Your agency and all client AI assistants will be suspended.</p>
-      <p>To reactivate, visit your dashboard.</p>
-    `
+  await sendTemplatedEmail('agency_subscription_cancelled', {
+    agency,
+    to: agency.email
   });
 }
 
@@ -338,7 +337,7 @@ async function handleAgencyPaymentSucceeded(invoice) {
     .from('agencies')
     .update({
       subscription_status: 'active',
-      status: 'active'
+      status: agency.admin_suspended_at ? 'suspended' : 'active'
     })
     .eq('id', agency.id);
 
@@ -421,15 +420,12 @@ async function handleAgencyPaymentFailed(invoice) {
     })
     .eq('id', agency.id);
   
-  await sendEmail({
+  await sendTemplatedEmail('agency_payment_failed', {
+    agency,
     to: agency.email,
-    subject: '🚨 VoiceAI Connect Payment Failed - Action Required',
-    html: `
-      <h2>Payment Failed</h2>
-      <p>Hi ${agency.name},</p>
-      <p>We couldn't process your payment. Please update your payment method to avoid service interruption.</p>
-      <p><a href="${invoice.hosted_invoice_url}">Update Payment Method</a></p>
-    `
+    variables: {
+      invoice_url: invoice.hosted_invoice_url
+    }
   });
 }
 
@@ -442,15 +438,13 @@ async function handleAgencyTrialEnding(subscription) {
   const trialEnd = new Date(subscription.trial_end * 1000);
   const daysLeft = Math.ceil((trialEnd - new Date()) / (1000 * 60 * 60 * 24));
   
-  await sendEmail({
+  await sendTemplatedEmail('agency_trial_ending', {
+    agency,
     to: agency.email,
-    subject: `⏰ Your VoiceAI Connect trial ends in ${daysLeft} days`,
-    html: `
-      <h2>Your trial is ending soon</h2>
-      <p>Hi ${agency.name},</p>
-      <p>Your 14-day trial ends on ${trialEnd.toLocaleDateString()}.</p>
-      <p>Add a payment method to continue growing your AI agency.</p>
-    `
+    variables: {
+      days_left: daysLeft,
+      trial_end_date: trialEnd.toLocaleDateString()
+    }
   });
 }
 
@@ -0,0 +1,279 @@
+// ============================================================================
+// TWO-FACTOR ROUTES - TOTP enrollment, login step, recovery, admin reset
+// Login with 2FA on returns { two_factor_required, challengeToken }; the
+// session is only issued by POST /api/auth/2fa/verify. When the agency
+// requires 2FA and the user has none yet, login returns
+// { two_factor_setup_required, challengeToken } and the user enrolls with
+// that token (setup -> enable) before getting a session.
+// ============================================================================
+const { getUserById } = require('../lib/supabase');
+const { revokeUserSessions } = require('../lib/sessions');
+const {
+  isTwoFactorEnforced,
+  startEnrollment,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  clearTwoFactor,
+  getTwoFactorStatus
+} = require('../lib/two-factor');
+const { twoFactorLockout, sendTooManyRequests } = require('../lib/rate-limit');
+const { AUDIT_ACTIONS, recordAudit } = require('../lib/audit-log');
+const { authMiddleware, verifyTwoFactorChallenge, finishLogin } = require('./auth');
+
+const authenticate = authMiddleware();
+
+const LOCKED_OUT_MESSAGE = 'Too many invalid codes - please try again later';
+
+/**
+ * Signed-in user, or a login that was sent to enroll ({ challengeToken })
+ * Sets req.twoFactorUserId and req.enrollingAtLogin
+ */
+function authenticateOrEnrollChallenge(req, res, next) {
+  if (req.body?.challengeToken) {
+    const challenge = verifyTwoFactorChallenge(req.body.challengeToken, 'enroll');
+    if (!challenge) {
+      return res.status(401).json({ error: 'Setup session expired - please sign in again' });
+    }
+    req.twoFactorUserId = challenge.userId;
+    req.enrollingAtLogin = true;
+    return next();
+  }
+
+  return authenticate(req, res, () => {
+    req.twoFactorUserId = req.user.userId;
+    req.enrollingAtLogin = false;
+    next();
+  });
+}
+
+async function loadActiveUser(userId) {
+  const user = await getUserById(userId);
+  if (!user || user.is_active === false) return null;
+  return user;
+}
+
+/**
+ * Check a code / recovery code with the per-user lockout applied
+ * Sends the 401 or 429 itself and returns null when the code isn't accepted
+ */
+async function acceptCode(user, credentials, res) {
+  const lockout = await twoFactorLockout.check(user.id);
+  if (lockout.locked) {
+    sendTooManyRequests(res, lockout.retryAfter, LOCKED_OUT_MESSAGE);
+    return null;
+  }
+
+  const result = await verifyTwoFactorCode(user, credentials);
+  if (!result.ok) {
+    const failed = await twoFactorLockout.fail(user.id);
+    if (failed.locked) {
+      sendTooManyRequests(res, failed.retryAfter, LOCKED_OUT_MESSAGE);
+    } else {
+      res.status(401).json({ error: 'Invalid code' });
+    }
+    return null;
+  }
+
+  await twoFactorLockout.clear(user.id);
+  return result;
+}
+
+// ============================================================================
+// GET /api/auth/2fa - 2FA status for the signed-in user
+// ============================================================================
+async function getTwoFactor(req, res) {
+  try {
+    const user = await loadActiveUser(req.user.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Account disabled' });
+    }
+
+    res.json({
+      ...getTwoFactorStatus(user),
+      required: await isTwoFactorEnforced(user)
+    });
+  } catch (error) {
+    console.error('❌ 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to load two-factor status' });
+  }
+}
+
+// ============================================================================
+// POST /api/auth/2fa/setup - New secret for the authenticator app
+// Returns { secret, otpauth_url } - render otpauth_url as the QR code
+// ============================================================================
+async function setupTwoFactor(req, res) {
+  try {
+    const user = await loadActiveUser(req.twoFactorUserId);
+    if (!user) {
+      return res.status(401).json({ error: 'Account disabled' });
+    }
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    }
+
+    const enrollment = await startEnrollment(user);
+    res.json({ success: true, ...enrollment });
+  } catch (error) {
+    console.error('❌ 2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+}
+
+// ============================================================================
+// POST /api/auth/2fa/enable - Confirm with a code; returns recovery codes once
+// Body: { code, challengeToken? } - with a setup challenge this also signs in
+// ============================================================================
+async function confirmTwoFactor(req, res) {
+  try {
+    const user = await loadActiveUser(req.twoFactorUserId);
+    if (!user) {
+      return res.status(401).json({ error: 'Account disabled' });
+    }
+
+    const { recoveryCodes, error } = await enableTwoFactor(user, req.body.code);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.enrollingAtLogin) {
+      return finishLogin({ ...user, totp_enabled: true }, req, res, { recoveryCodes });
+    }
+
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('❌ 2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+}
+
+// ============================================================================
+// POST /api/auth/2fa/verify - Second login step
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }
+// ============================================================================
+async function verifyTwoFactorLogin(req, res) {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyTwoFactorChallenge(challengeToken, 'login');
+    if (!challenge) {
+      return res.status(401).json({ error: 'Login expired - please sign in again' });
+    }
+
+    const user = await loadActiveUser(challenge.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Account disabled' });
+    }
+
+    const result = await acceptCode(user, { code, recoveryCode }, res);
+    if (!result) return;
+
+    const extra = result.method === 'recovery_code'
+      ? { recovery_codes_remaining: result.remaining }
+      : {};
+
+    await finishLogin(user, req, res, extra);
+  } catch (error) {
+    console.error('❌ 2FA verify error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+}
+
+// ============================================================================
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes
+// Body: { code } - current authenticator code
+// ============================================================================
+async function replaceRecoveryCodes(req, res) {
+  try {
+    const user = await loadActiveUser(req.user.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Account disabled' });
+    }
+
+    if (!(await acceptCode(user, { code: req.body.code }, res))) return;
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('❌ Recovery code error:', error);
+    res.status(500).json({ error: 'Failed to create recovery codes' });
+  }
+}
+
+// ============================================================================
+// POST /api/auth/2fa/disable - Turn 2FA off (not allowed when enforced)
+// Body: { code } or { recoveryCode }
+// ============================================================================
+async function disableTwoFactor(req, res) {
+  try {
+    const user = await loadActiveUser(req.user.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Account disabled' });
+    }
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+
+    if (await isTwoFactorEnforced(user)) {
+      return res.status(403).json({ error: 'Your agency requires two-factor authentication' });
+    }
+
+    if (!(await acceptCode(user, req.body, res))) return;
+
+    await clearTwoFactor(user.id);
+
+    console.log(`🔓 2FA disabled: ${user.email}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ 2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+}
+
+// ============================================================================
+// POST /api/admin/users/:userId/reset-2fa - Super admin: lost device
+// Clears 2FA and signs the user out; they enroll again if it's required
+// ============================================================================
+async function resetTwoFactor(req, res) {
+  try {
+    const user = await getUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await clearTwoFactor(user.id);
+    await revokeUserSessions(user.id, 'two_factor_reset');
+    await twoFactorLockout.clear(user.id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.TWO_FACTOR_RESET,
+      agencyId: user.agency_id || user.clients?.agency_id,
+      clientId: user.client_id,
+      entityType: 'user',
+      entityId: user.id,
+      before: { totp_enabled: !!user.totp_enabled },
+      after: { totp_enabled: false },
+      metadata: { email: user.email }
+    });
+
+    console.log(`🔓 2FA reset for ${user.email} by super admin ${req.user.email}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ 2FA reset error:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+}
+
+module.exports = {
+  authenticateOrEnrollChallenge,
+  getTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactorLogin,
+  replaceRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor
+};
@@ -10,6 +10,17 @@ const { supabase } = require('./lib/supabase');
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Number of proxies in front of the app (Railway = 1) - req.ip is the client
+// behind them, which is what sessions and rate limits key on
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') return 1;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
@@ -111,6 +122,16 @@ app.use((req, res, next) => {
 const { handleAgencySignup, handleAgencyOnboarding } = require('./routes/agency-signup');
 const { getAgencyByHost, getAgencySettings, updateAgencySettings, verifyAgencyDomain } = require('./routes/agency-settings');
 
+// Call log export (agency-wide; the client export is on the client router)
+const { exportAgencyCalls } = require('./routes/call-export');
+
+// Security audit log
+const auditLogRoutes = require('./routes/audit-log');
+
+// Impersonation ("Log in as client" + audit trail)
+const { startImpersonation, getClientImpersonations } = require('./routes/impersonation');
+const { recordImpersonatedRequests, rejectImpersonation } = require('./lib/impersonation');
+
 // Referral Program
 const referralRoutes = require('./routes/referrals');
 
@@ -129,12 +150,36 @@ try {
   });
 }
 
+// Email Sending Domains (agency-branded client mail via Resend)
+const emailDomainRoutes = require('./routes/email-domains');
+
+// Email Templates (agency-editable client email copy)
+const emailTemplateRoutes = require('./routes/email-templates');
+
+// Agency Staff (invitations + permissions)
+const agencyStaffRoutes = require('./routes/agency-staff');
+
 // Client Provisioning (adapted from CallBird)
-const { handleClientSignup, provisionClient } = require('./routes/client-signup');
+const { handleClientSignup, verifyClientSignup, provisionClient } = require('./routes/client-signup');
+
+// Client Signup Approval (agency review queue)
+const clientSignupRoutes = require('./routes/client-signups');
 
 // Client Dashboard Routes
 const clientRoutes = require('./routes/client');
 
+// Calendar Booking (VAPI tool calls + dashboard)
+const calendarRoutes = require('./routes/calendar');
+
+// Call Notification Rules (recipients, quiet hours, digests)
+const clientNotificationRoutes = require('./routes/client-notifications');
+
+// Client Team (extra logins per client business)
+const clientTeamRoutes = require('./routes/client-team');
+const callWorkflowRoutes = require('./routes/call-workflow');
+const contactRoutes = require('./routes/contacts');
+const recordingRoutes = require('./routes/recordings');
+
 // Leads & Outreach Routes
 const leadRoutes = require('./routes/leads');
 const activityRoutes = require('./routes/activity');
@@ -142,6 +187,7 @@ const outreachRoutes = require('./routes/outreach');
 
 // VAPI Webhook (multi-tenant aware)
 const { handleVapiWebhook } = require('./webhooks/vapi-webhook');
+const { verifyVapiSecret, isVapiSecretConfigured } = require('./lib/vapi');
 
 // Stripe Platform Billing (agencies pay platform)
 const { 
@@ -161,17 +207,66 @@ const {
   expireTrials
 } = require('./routes/stripe-connect');
 
+// Usage Periods (billing-period aware call counting)
+const { rolloverUsagePeriods } = require('./lib/usage');
+const { retryFailedOverageCharges } = require('./lib/overage');
+const { processNotificationQueue } = require('./lib/notification-rules');
+const { archivePendingRecordings, purgeExpiredRecordings } = require('./lib/recordings');
+const { serveLocalRecording } = require('./lib/recording-storage');
+
 // Auth
 const { 
   agencyLogin, 
   clientLogin, 
   verifyToken,
   setPassword,
-  requestPasswordReset
+  requestPasswordReset,
+  refreshAccessToken,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  authMiddleware
 } = require('./routes/auth');
 
 // Google OAuth
-const { googleAuth, googleCallback } = require('./routes/google-auth');
+const { googleAuth, googleCallback, googleExchange } = require('./routes/google-auth');
+
+// Super Admin Console (platform-wide agencies, clients, metrics)
+const adminRoutes = require('./routes/admin');
+
+// Two-factor authentication (TOTP)
+const {
+  authenticateOrEnrollChallenge,
+  getTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactorLogin,
+  replaceRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor
+} = require('./routes/two-factor');
+
+// Brute-force protection (per-IP throttles, login lockout, reset cooldowns)
+const {
+  loginIpLimiter,
+  setPasswordIpLimiter,
+  passwordResetIpLimiter,
+  signupIpLimiter,
+  purgeExpiredRateLimits
+} = require('./lib/rate-limit');
+
+// Tenant authorization (JWT + agency / client scoping)
+const { requireAgencyAccess, requireClientAccess } = require('./lib/tenant-auth');
+
+// Optional permission limits agency_staff (see lib/agency-permissions.js)
+const requireAgency = permission => requireAgencyAccess(req => req.params.agencyId, permission);
+const requireAgencyFromBody = permission => requireAgencyAccess(req => req.body?.agency_id, permission);
+// Client billing is limited to the business owner (not team members or impersonators)
+const requireClientOwnerFromBody = requireClientAccess(req => req.body?.client_id, { ownerOnly: true });
+
+// Audit every request made while an agency user is signed in as a client
+app.use(recordImpersonatedRequests);
 
 // ============================================================================
 // HEALTH CHECK
@@ -199,29 +294,29 @@ app.get('/health', (req, res) => {
 // ============================================================================
 
 // Agency signup flow
-app.post('/api/agency/signup', handleAgencySignup);
-app.post('/api/agency/onboarding', handleAgencyOnboarding);
+app.post('/api/agency/signup', signupIpLimiter.middleware(), handleAgencySignup);
+app.post('/api/agency/onboarding', requireAgencyFromBody('settings'), handleAgencyOnboarding);
 
 // Agency settings
 app.get('/api/agency/by-host', getAgencyByHost);
-app.get('/api/agency/:agencyId/settings', getAgencySettings);
-app.put('/api/agency/:agencyId/settings', updateAgencySettings);
+app.get('/api/agency/:agencyId/settings', requireAgency(), getAgencySettings);
+app.put('/api/agency/:agencyId/settings', requireAgency('settings'), updateAgencySettings);
 
 // Legacy domain verify endpoint (keeping for backwards compatibility)
-app.post('/api/agency/:agencyId/domain/verify', verifyAgencyDomain);
+app.post('/api/agency/:agencyId/domain/verify', requireAgency('settings'), verifyAgencyDomain);
 
 // Agency billing (pays platform)
-app.post('/api/agency/checkout', createAgencyCheckout);
-app.post('/api/agency/portal', createAgencyPortal);
+app.post('/api/agency/checkout', requireAgencyFromBody('billing'), createAgencyCheckout);
+app.post('/api/agency/portal', requireAgencyFromBody('billing'), createAgencyPortal);
 
 // Stripe Connect onboarding
-app.post('/api/agency/connect/onboard', createConnectAccountLink);
+app.post('/api/agency/connect/onboard', requireAgencyFromBody('billing'), createConnectAccountLink);
 
 // Stripe Connect status
-app.get('/api/agency/connect/status/:agencyId', getConnectStatus);
+app.get('/api/agency/connect/status/:agencyId', requireAgency(), getConnectStatus);
 
 // Stripe Connect disconnect
-app.post('/api/agency/:agencyId/connect/disconnect', disconnectConnectAccount);
+app.post('/api/agency/:agencyId/connect/disconnect', requireAgency('billing'), disconnectConnectAccount);
 
 // ============================================================================
 // REFERRAL PROGRAM ROUTES
@@ -256,6 +351,56 @@ app.get('/api/domain-test', (req, res) => {
   });
 });
 
+// ============================================================================
+// EMAIL DOMAIN ROUTES (Agency sending domains)
+// ============================================================================
+
+// POST/DELETE /:agencyId/email-domain, GET /:agencyId/email-domain/status
+app.use('/api/agency', emailDomainRoutes);
+
+// ============================================================================
+// EMAIL TEMPLATE ROUTES (Agency-editable client emails)
+// ============================================================================
+
+// GET /:agencyId/email-templates, GET/PUT/DELETE /:agencyId/email-templates/:key,
+// POST /:agencyId/email-templates/:key/preview, POST /:agencyId/email-templates/:key/test
+app.use('/api/agency', emailTemplateRoutes);
+
+// ============================================================================
+// AGENCY STAFF ROUTES (Staff logins + permissions)
+// ============================================================================
+
+// GET/POST /:agencyId/staff, PUT/DELETE /:agencyId/staff/:userId,
+// POST /:agencyId/staff/:userId/resend
+app.use('/api/agency', agencyStaffRoutes);
+
+// ============================================================================
+// CLIENT SIGNUP APPROVAL ROUTES (Agency review queue)
+// ============================================================================
+
+// GET /:agencyId/signups, POST /:agencyId/signups/:signupId/approve|reject
+app.use('/api/agency', clientSignupRoutes);
+
+// ============================================================================
+// CALL EXPORT (Every client's calls as CSV / JSON)
+// ============================================================================
+
+app.get('/api/agency/:agencyId/calls/export', requireAgency('clients'), exportAgencyCalls);
+
+// ============================================================================
+// AUDIT LOG ROUTES (Sensitive configuration changes)
+// ============================================================================
+
+// GET /:agencyId/audit-log
+app.use('/api/agency', auditLogRoutes);
+
+// ============================================================================
+// IMPERSONATION ROUTES (Agency signs in as a client for support)
+// ============================================================================
+
+app.post('/api/agency/:agencyId/clients/:clientId/impersonate', requireAgency('clients'), startImpersonation);
+app.get('/api/client/:clientId/impersonations', requireClientAccess(req => req.params.clientId), getClientImpersonations);
+
 // ============================================================================
 // LEADS & OUTREACH ROUTES (Agency CRM)
 // ============================================================================
@@ -268,18 +413,36 @@ app.use('/api/agency', outreachRoutes);
 // CLIENT ROUTES (Agencies → Clients)
 // ============================================================================
 
-// Client signup (via agency's marketing site)
-app.post('/api/client/signup', handleClientSignup);
+// Client signup (via agency's marketing site) - emails a verification link;
+// the client is provisioned once it's confirmed (and approved, if required)
+app.post('/api/client/signup', signupIpLimiter.middleware(), handleClientSignup);
+app.post('/api/client/signup/verify', signupIpLimiter.middleware(), verifyClientSignup);
 
 // Client dashboard routes (settings, voice, greeting, knowledge base)
 app.use('/api/client', clientRoutes);
 
+// GET/PUT /:id/notifications, /:id/notifications/recipients
+app.use('/api/client', clientNotificationRoutes);
+
+// GET/POST /:id/team, PUT/DELETE /:id/team/:userId, POST /:id/team/:userId/resend
+app.use('/api/client', clientTeamRoutes);
+
+// PATCH /:id/calls/:callId, GET /:id/calls/:callId/history,
+// POST /:id/calls/:callId/notes, PUT/DELETE /:id/calls/:callId/notes/:noteId
+app.use('/api/client', callWorkflowRoutes);
+
+// GET /:id/contacts, GET/PUT /:id/contacts/:contactId, GET/PUT /:id/caller-recognition
+app.use('/api/client', contactRoutes);
+
+// GET/PUT /:id/recording-retention
+app.use('/api/client', recordingRoutes);
+
 // Client billing (pays agency via Connect)
-app.post('/api/client/checkout', createClientCheckout);
-app.post('/api/client/portal', createClientPortal);
+app.post('/api/client/checkout', requireClientOwnerFromBody, createClientCheckout);
+app.post('/api/client/portal', requireClientOwnerFromBody, createClientPortal);
 
 // Client details with agency info (for upgrade page pricing)
-app.get('/api/client/:clientId/details', async (req, res) => {
+app.get('/api/client/:clientId/details', requireClientAccess(req => req.params.clientId), async (req, res) => {
   try {
     const { clientId } = req.params;
 
@@ -300,6 +463,9 @@ app.get('/api/client/:clientId/details', async (req, res) => {
           limit_starter,
           limit_pro,
           limit_growth,
+          overage_mode,
+          price_overage,
+          overage_cap,
           stripe_account_id,
           stripe_charges_enabled
         )
@@ -439,29 +605,65 @@ app.get('/api/voices', (req, res) => {
 // AUTH ROUTES
 // ============================================================================
 
-app.post('/api/auth/agency/login', agencyLogin);
-app.post('/api/auth/client/login', clientLogin);
+// Per-IP throttles here; per-account lockout and reset cooldowns in auth.js
+app.post('/api/auth/agency/login', loginIpLimiter.middleware(), agencyLogin);
+app.post('/api/auth/client/login', loginIpLimiter.middleware(), clientLogin);
 app.post('/api/auth/verify', verifyToken);
-app.post('/api/auth/set-password', setPassword);
-app.post('/api/auth/reset-password', requestPasswordReset);
+app.post('/api/auth/set-password', setPasswordIpLimiter.middleware(), setPassword);
+app.post('/api/auth/reset-password', passwordResetIpLimiter.middleware(), requestPasswordReset);
+
+// Sessions (refresh token rotation, logout, signed-in devices)
+app.post('/api/auth/refresh', refreshAccessToken);
+// Logout with an impersonation token ends the impersonation only; the rest
+// are the client's own account security and refuse impersonators
+app.post('/api/auth/logout', authMiddleware(), logout);
+app.post('/api/auth/logout-all', authMiddleware(), rejectImpersonation, logoutAll);
+app.get('/api/auth/sessions', authMiddleware(), rejectImpersonation, getSessions);
+app.delete('/api/auth/sessions/:sessionId', authMiddleware(), rejectImpersonation, deleteSession);
+
+// Two-factor authentication - setup/enable also accept a login setup challenge
+app.get('/api/auth/2fa', authMiddleware(), rejectImpersonation, getTwoFactor);
+app.post('/api/auth/2fa/setup', authenticateOrEnrollChallenge, rejectImpersonation, setupTwoFactor);
+app.post('/api/auth/2fa/enable', authenticateOrEnrollChallenge, rejectImpersonation, confirmTwoFactor);
+app.post('/api/auth/2fa/verify', loginIpLimiter.middleware(), verifyTwoFactorLogin);
+app.post('/api/auth/2fa/recovery-codes', authMiddleware(), rejectImpersonation, replaceRecoveryCodes);
+app.post('/api/auth/2fa/disable', authMiddleware(), rejectImpersonation, disableTwoFactor);
+
+// Super admin: clear 2FA for a user who lost their device
+app.post('/api/admin/users/:userId/reset-2fa', authMiddleware(['super_admin']), resetTwoFactor);
 
 // Google OAuth
 app.get('/api/auth/google', googleAuth);
 app.get('/api/auth/google/callback', googleCallback);
+app.post('/api/auth/google/exchange', loginIpLimiter.middleware(), googleExchange);
 
 // ============================================================================
-// CRON ROUTES (Trial Expiration)
+// SUPER ADMIN ROUTES (Platform console - super_admin only)
 // ============================================================================
 
-// Manual trigger for trial expiration (can be called by cron service)
-// POST /api/cron/expire-trials
-app.post('/api/cron/expire-trials', async (req, res) => {
-  // Verify cron secret (optional security)
+// GET /metrics, GET /agencies, GET /agencies/:agencyId,
+// POST /agencies/:agencyId/suspend|reactivate|extend-trial|referral-balance,
+// GET /agencies/:agencyId/referral-adjustments,
+// GET /clients, GET /clients/:clientId, POST /clients/:clientId/extend-trial,
+// GET /audit-log
+app.use('/api/admin', adminRoutes);
+
+// ============================================================================
+// CRON ROUTES (Trial Expiration, Usage Rollover, Overage Billing)
+// ============================================================================
+
+// Verify cron secret (optional security)
+function verifyCronSecret(req, res, next) {
   const cronSecret = req.headers['x-cron-secret'];
   if (process.env.CRON_SECRET && cronSecret !== process.env.CRON_SECRET) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
+  next();
+}
 
+// Manual trigger for trial expiration (can be called by cron service)
+// POST /api/cron/expire-trials
+app.post('/api/cron/expire-trials', verifyCronSecret, async (req, res) => {
   try {
     const result = await expireTrials();
     res.json({ success: true, message: 'Trial expiration check completed', ...result });
@@ -471,12 +673,89 @@ app.post('/api/cron/expire-trials', async (req, res) => {
   }
 });
 
+// Start the next usage period for clients whose period has ended (run hourly)
+// POST /api/cron/rollover-usage
+app.post('/api/cron/rollover-usage', verifyCronSecret, async (req, res) => {
+  try {
+    const result = await rolloverUsagePeriods();
+    res.json({ message: 'Usage rollover completed', ...result });
+  } catch (error) {
+    console.error('Cron error:', error);
+    res.status(500).json({ error: 'Failed to run usage rollover' });
+  }
+});
+
+// Retry overage invoice items that failed to reach Stripe
+// POST /api/cron/bill-overages
+app.post('/api/cron/bill-overages', verifyCronSecret, async (req, res) => {
+  try {
+    const result = await retryFailedOverageCharges();
+    res.json({ message: 'Overage billing retry completed', ...result });
+  } catch (error) {
+    console.error('Cron error:', error);
+    res.status(500).json({ error: 'Failed to retry overage billing' });
+  }
+});
+
+// Quiet-hours catch-up + daily call digests (run every 15 minutes)
+// POST /api/cron/send-notifications
+app.post('/api/cron/send-notifications', verifyCronSecret, async (req, res) => {
+  try {
+    const result = await processNotificationQueue();
+    res.json({ message: 'Notification queue processed', ...result });
+  } catch (error) {
+    console.error('Cron error:', error);
+    res.status(500).json({ error: 'Failed to process notification queue' });
+  }
+});
+
+// Clear finished rate limit windows (daily - only needed with RATE_LIMIT_STORE=database)
+// POST /api/cron/purge-rate-limits
+app.post('/api/cron/purge-rate-limits', verifyCronSecret, async (req, res) => {
+  try {
+    const purged = await purgeExpiredRateLimits();
+    res.json({ message: 'Expired rate limits purged', purged });
+  } catch (error) {
+    console.error('Cron error:', error);
+    res.status(500).json({ error: 'Failed to purge rate limits' });
+  }
+});
+
+// Copy new call recordings into storage, retrying failed copies (every 5 minutes)
+// POST /api/cron/archive-recordings
+app.post('/api/cron/archive-recordings', verifyCronSecret, async (req, res) => {
+  try {
+    const result = await archivePendingRecordings();
+    res.json({ message: 'Recording archive completed', ...result });
+  } catch (error) {
+    console.error('Cron error:', error);
+    res.status(500).json({ error: 'Failed to archive recordings' });
+  }
+});
+
+// Delete recordings past their client's / agency's retention period (daily)
+// POST /api/cron/purge-recordings
+app.post('/api/cron/purge-recordings', verifyCronSecret, async (req, res) => {
+  try {
+    const result = await purgeExpiredRecordings();
+    res.json({ message: 'Expired recordings purged', ...result });
+  } catch (error) {
+    console.error('Cron error:', error);
+    res.status(500).json({ error: 'Failed to purge recordings' });
+  }
+});
+
+// ============================================================================
+// RECORDINGS (RECORDING_STORAGE=local only) - signed links from withRecordingUrls
+// ============================================================================
+app.get('/recordings/*', serveLocalRecording);
+
 // ============================================================================
 // WEBHOOK ROUTES
 // ============================================================================
 
-// VAPI call webhooks (multi-tenant)
-app.post('/webhook/vapi', handleVapiWebhook);
+// VAPI call webhooks (multi-tenant, x-vapi-secret verified)
+app.post('/webhook/vapi', verifyVapiSecret, handleVapiWebhook);
 
 // Stripe platform webhooks (agency subscriptions)
 app.post('/webhook/stripe', 
@@ -494,24 +773,16 @@ app.post('/webhook/stripe-connect',
 // KNOWLEDGE BASE ROUTES
 // ============================================================================
 
-app.post('/api/knowledge-base/update', async (req, res) => {
+app.post('/api/knowledge-base/update', requireClientAccess(req => req.body?.clientId), async (req, res) => {
   const { updateKnowledgeBase } = require('./routes/knowledge-base');
   return updateKnowledgeBase(req, res);
 });
 
 // ============================================================================
-// CALENDAR ROUTES (for VAPI tool calls)
+// CALENDAR ROUTES (VAPI tool calls + appointment management)
 // ============================================================================
 
-app.post('/api/calendar/availability/:clientId', async (req, res) => {
-  // Handle calendar availability check from VAPI
-  res.json({ available_times: ['9:00 AM', '10:00 AM', '2:00 PM', '3:00 PM'] });
-});
-
-app.post('/api/calendar/book/:clientId', async (req, res) => {
-  // Handle booking from VAPI
-  res.json({ success: true, message: 'Appointment booked' });
-});
+app.use('/api/calendar', calendarRoutes);
 
 // ============================================================================
 // ERROR HANDLING
@@ -534,6 +805,12 @@ app.use((req, res) => {
 // START SERVER
 // ============================================================================
 
+// Webhooks and calendar tools can't be verified without the shared secret
+if (process.env.NODE_ENV === 'production' && !isVapiSecretConfigured()) {
+  console.error('❌ VAPI_SERVER_SECRET must be set in production');
+  process.exit(1);
+}
+
 app.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
@@ -2,10 +2,23 @@
 // VAPI WEBHOOK HANDLER - Multi-Tenant Aware
 // Adapted from CallBird's battle-tested webhook
 // UPDATED: Added trial expiration check, agency status check, duration capture
+// UPDATED: Dispatches every VAPI server message type (lifecycle, transcripts,
+//          tool calls, transfers, assistant requests)
+// UPDATED: Call limits & subscription status enforced at call start
+// UPDATED: Agency overage policy - calls past the limit can be billed
+// UPDATED: Caller contact book - known callers are greeted by name
+// UPDATED: Recordings copied into our own storage (lib/recordings.js)
 // ============================================================================
-const { supabase, getClientByVapiPhoneNumber } = require('../lib/supabase');
-const { getPhoneNumberFromVapi } = require('../lib/vapi');
-const { sendCallNotificationSMS } = require('../lib/notifications');
+const { supabase, getClientByVapiPhoneNumber, getClientByVapiAssistantId } = require('../lib/supabase');
+const { getPhoneNumberFromVapi, buildBlockedCallAssistant, configurePhoneWebhook } = require('../lib/vapi');
+const { formatPhoneE164 } = require('../lib/notifications');
+const { CALENDAR_TOOL_HANDLERS, runCalendarTool } = require('../lib/calendar-tools');
+const { checkOverageAllowance, recordOverageCall } = require('../lib/overage');
+const { getCurrentCallCount } = require('../lib/usage');
+const { sendLimitReachedEmail, checkUsageThresholds } = require('../lib/usage-alerts');
+const { dispatchCallNotifications } = require('../lib/notification-rules');
+const { recordCallContact, getReturningCallerOverrides } = require('../lib/contacts');
+const { archiveCallRecording } = require('../lib/recordings');
 
 // ============================================================================
 // AI SUMMARY GENERATION (via Claude)
@@ -77,81 +90,6 @@ Extract and return ONLY valid JSON:
   }
 }
 
-// ============================================================================
-// USAGE WARNING EMAILS (STUBBED - Email service not configured yet)
-// ============================================================================
-async function sendUsageWarningEmail(client, agency, currentCalls, limit) {
-  // TODO: Configure email service (Brevo, etc.)
-  const agencyName = agency?.name || 'Your AI Receptionist';
-  console.log(`📧 [EMAIL STUB] Would send 80% usage warning to ${client.email}`);
-  console.log(`   Agency: ${agencyName}, Usage: ${currentCalls}/${limit}`);
-  
-  // Uncomment when email is configured:
-  /*
-  try {
-    await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.RESEND_API_KEY}`
-      },
-      body: JSON.stringify({
-        from: `${agencyName} <notifications@voiceaiconnect.com>`,
-        to: [client.email],
-        subject: `⚠️ ${agencyName}: 80% of Monthly Calls Used`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #F59E0B;">You're approaching your call limit</h2>
-            <p>Hi ${client.owner_name || client.business_name},</p>
-            <p>You've used <strong>${currentCalls} of ${limit} calls</strong> (${Math.round((currentCalls/limit)*100)}%) this month.</p>
-            <p><strong>Upgrade to avoid service interruption.</strong></p>
-          </div>
-        `
-      })
-    });
-    console.log('✅ Usage warning email sent');
-  } catch (error) {
-    console.error('❌ Usage warning email failed:', error);
-  }
-  */
-}
-
-async function sendLimitReachedEmail(client, agency, limit) {
-  // TODO: Configure email service (Brevo, etc.)
-  const agencyName = agency?.name || 'Your AI Receptionist';
-  console.log(`📧 [EMAIL STUB] Would send limit reached email to ${client.email}`);
-  console.log(`   Agency: ${agencyName}, Limit: ${limit}`);
-  
-  // Uncomment when email is configured:
-  /*
-  try {
-    await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.RESEND_API_KEY}`
-      },
-      body: JSON.stringify({
-        from: `${agencyName} <notifications@voiceaiconnect.com>`,
-        to: [client.email],
-        subject: `🚨 ${agencyName}: Monthly Call Limit Reached`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #dc2626;">You've reached your monthly call limit</h2>
-            <p>Hi ${client.owner_name || client.business_name},</p>
-            <p>You've used all <strong>${limit} calls</strong> included in your plan.</p>
-            <p><strong>Additional calls are being limited. Upgrade now to resume full service.</strong></p>
-          </div>
-        `
-      })
-    });
-    console.log('✅ Limit reached email sent');
-  } catch (error) {
-    console.error('❌ Limit reached email failed:', error);
-  }
-  */
-}
-
 // ============================================================================
 // NEW: HELPER - Check if trial has expired
 // ============================================================================
@@ -161,252 +99,754 @@ function isTrialExpired(trialEndsAt) {
 }
 
 // ============================================================================
-// MAIN WEBHOOK HANDLER
+// CALL ELIGIBILITY - Agency status, client status, trials and call limits
+// Used at call start (assistant-request) and after the call for numbers that
+// don't go through assistant-request. Expired trials are marked as a side effect.
+// At the call limit the agency's overage policy decides (see lib/overage.js).
+// @returns {{ allowed: boolean, overage?: boolean, code?: string, reason?: string }}
 // ============================================================================
-async function handleVapiWebhook(req, res) {
-  try {
-    console.log('📞 VAPI webhook received');
-    
-    const message = req.body.message;
-    
-    // Only process end-of-call reports
-    if (message?.type !== 'end-of-call-report') {
-      return res.status(200).json({ received: true });
+async function checkCallEligibility(client) {
+  const agency = client.agencies; // May be null for direct clients
+  
+  // If client belongs to an agency, verify agency is active
+  if (agency) {
+    if (agency.status === 'suspended' && agency.admin_suspended_at) {
+      return { allowed: false, code: 'agency_suspended', reason: 'Agency suspended by platform' };
     }
     
-    const call = message.call;
-    const phoneNumberId = call.phoneNumberId;
-    
-    // Get phone number from VAPI
-    const phoneNumber = await getPhoneNumberFromVapi(phoneNumberId);
-    if (!phoneNumber) {
-      console.log('⚠️ Could not get phone number from VAPI');
-      return res.status(200).json({ received: true });
+    const agencyValidStatuses = ['active', 'trial', 'trialing'];
+    if (!agencyValidStatuses.includes(agency.subscription_status)) {
+      return { allowed: false, code: 'agency_inactive', reason: 'Agency subscription not active' };
     }
     
-    console.log('📱 Phone number:', phoneNumber);
+    if ((agency.subscription_status === 'trial' || agency.subscription_status === 'trialing') 
+        && isTrialExpired(agency.trial_ends_at)) {
+      await supabase
+        .from('agencies')
+        .update({ subscription_status: 'expired' })
+        .eq('id', agency.id);
+      
+      return { allowed: false, code: 'agency_trial_expired', reason: 'Agency trial expired' };
+    }
+  }
+  
+  const validStatuses = ['active', 'trial'];
+  if (!validStatuses.includes(client.subscription_status)) {
+    return { allowed: false, code: 'subscription_inactive', reason: 'Subscription not active' };
+  }
+  
+  if (client.subscription_status === 'trial' && isTrialExpired(client.trial_ends_at)) {
+    await supabase
+      .from('clients')
+      .update({ subscription_status: 'expired' })
+      .eq('id', client.id);
     
-    // Find client by VAPI phone number (includes agency data)
+    return { allowed: false, code: 'trial_expired', reason: 'Trial expired' };
+  }
+  
+  const currentCallCount = getCurrentCallCount(client);
+  const callLimit = client.monthly_call_limit || 50;
+  
+  if (currentCallCount >= callLimit) {
+    const allowance = checkOverageAllowance(client);
+    return allowance.allowed ? { allowed: true, overage: true } : allowance;
+  }
+  
+  return { allowed: true };
+}
+
+// ============================================================================
+// CLIENT LOOKUP FOR A CALL
+// Phone numbers never change for a phoneNumberId, so cache them in memory -
+// every status-update/transcript message would otherwise hit the VAPI API.
+// ============================================================================
+const PHONE_NUMBER_CACHE_TTL_MS = 60 * 60 * 1000;
+const phoneNumberCache = new Map();
+
+async function resolvePhoneNumber(phoneNumberId) {
+  if (!phoneNumberId) return null;
+
+  const cached = phoneNumberCache.get(phoneNumberId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.number;
+  }
+
+  const number = await getPhoneNumberFromVapi(phoneNumberId);
+  if (number) {
+    phoneNumberCache.set(phoneNumberId, { number, expiresAt: Date.now() + PHONE_NUMBER_CACHE_TTL_MS });
+  }
+  return number;
+}
+
+/**
+ * Find the client (with agency) a VAPI message belongs to.
+ * Uses the called number first, then the assistant id.
+ */
+async function getClientForMessage(message) {
+  const call = message.call || {};
+
+  const phoneNumber =
+    message.phoneNumber?.number ||
+    call.phoneNumber?.number ||
+    await resolvePhoneNumber(call.phoneNumberId || message.phoneNumber?.id);
+
+  if (phoneNumber) {
     const client = await getClientByVapiPhoneNumber(phoneNumber);
-    
-    if (!client) {
-      console.log('⚠️ No client found for phone:', phoneNumber);
-      return res.status(200).json({ received: true });
+    if (client) return client;
+    console.log('⚠️ No client found for phone:', phoneNumber);
+  }
+
+  const assistantId = call.assistantId || message.assistant?.id;
+  if (assistantId) {
+    return getClientByVapiAssistantId(assistantId);
+  }
+
+  return null;
+}
+
+// ============================================================================
+// CALL LIFECYCLE
+// One calls row per VAPI call, created on the first message we see for it and
+// moved forward as status updates arrive. Statuses only ever advance, since
+// VAPI doesn't guarantee message order. 'blocked' (set at call start) is final.
+// ============================================================================
+const CALL_STATUS_ORDER = ['ringing', 'in-progress', 'forwarded', 'ended', 'completed'];
+
+const VAPI_STATUS_MAP = {
+  scheduled: 'ringing',
+  queued: 'ringing',
+  ringing: 'ringing',
+  'in-progress': 'in-progress',
+  forwarding: 'forwarded',
+  ended: 'ended'
+};
+
+// vapi_call_id -> { id, clientId } for calls in flight
+const CALL_RECORD_CACHE_TTL_MS = 2 * 60 * 60 * 1000;
+const callRecordCache = new Map();
+
+function cacheCallRecord(vapiCallId, record) {
+  callRecordCache.set(vapiCallId, { ...record, expiresAt: Date.now() + CALL_RECORD_CACHE_TTL_MS });
+
+  // Drop expired entries so calls that never sent "ended" don't pile up
+  if (callRecordCache.size > 1000) {
+    const now = Date.now();
+    for (const [key, value] of callRecordCache) {
+      if (value.expiresAt <= now) callRecordCache.delete(key);
     }
-    
-    console.log('✅ Client found:', client.business_name);
-    console.log('🏢 Agency:', client.agencies?.name || 'Direct (no agency)');
-    
-    const agency = client.agencies; // May be null for direct clients
-    
-    // ============================================
-    // CHECK AGENCY STATUS (NEW!)
-    // If client belongs to an agency, verify agency is active
-    // ============================================
-    if (agency) {
-      const agencyValidStatuses = ['active', 'trial', 'trialing'];
-      if (!agencyValidStatuses.includes(agency.subscription_status)) {
-        console.log(`🚫 CALL BLOCKED: Agency ${agency.name} subscription not active`);
-        return res.status(200).json({ 
-          received: true,
-          blocked: true,
-          reason: 'Agency subscription not active'
-        });
+  }
+}
+
+/**
+ * Get (or create) the calls row for a VAPI call.
+ * @returns {Promise<{ id: string, clientId: string } | null>}
+ */
+async function ensureCallRecord(message, client) {
+  const call = message.call || {};
+  const vapiCallId = call.id;
+  if (!vapiCallId) return null;
+
+  const cached = callRecordCache.get(vapiCallId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { id: cached.id, clientId: cached.clientId };
+  }
+
+  const { data: existing } = await supabase
+    .from('calls')
+    .select('id, client_id')
+    .eq('vapi_call_id', vapiCallId)
+    .maybeSingle();
+
+  if (existing) {
+    cacheCallRecord(vapiCallId, { id: existing.id, clientId: existing.client_id });
+    return { id: existing.id, clientId: existing.client_id };
+  }
+
+  const now = new Date().toISOString();
+  const { data: inserted, error } = await supabase
+    .from('calls')
+    .insert({
+      vapi_call_id: vapiCallId,
+      client_id: client.id,
+      customer_phone: call.customer?.number || null,
+      call_status: 'ringing',
+      started_at: call.startedAt || call.createdAt || now,
+      created_at: now
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    // Another message for the same call created the row first
+    if (error.code === '23505') {
+      const { data: raced } = await supabase
+        .from('calls')
+        .select('id, client_id')
+        .eq('vapi_call_id', vapiCallId)
+        .single();
+
+      if (raced) {
+        cacheCallRecord(vapiCallId, { id: raced.id, clientId: raced.client_id });
+        return { id: raced.id, clientId: raced.client_id };
       }
-      
-      // Check if agency trial has expired
-      if ((agency.subscription_status === 'trial' || agency.subscription_status === 'trialing') 
-          && isTrialExpired(agency.trial_ends_at)) {
-        console.log(`🚫 CALL BLOCKED: Agency ${agency.name} trial expired`);
-        
-        // Update agency status to expired
-        await supabase
-          .from('agencies')
-          .update({ subscription_status: 'expired' })
-          .eq('id', agency.id);
-        
-        return res.status(200).json({ 
-          received: true,
-          blocked: true,
-          reason: 'Agency trial expired'
-        });
+    }
+    console.error('❌ Error creating call record:', error);
+    return null;
+  }
+
+  cacheCallRecord(vapiCallId, { id: inserted.id, clientId: client.id });
+  return { id: inserted.id, clientId: client.id };
+}
+
+/**
+ * Move a call to a later lifecycle status (never backwards)
+ */
+async function advanceCallStatus(vapiCallId, status, extraFields = {}) {
+  const earlierStatuses = CALL_STATUS_ORDER.slice(0, CALL_STATUS_ORDER.indexOf(status));
+
+  const { error } = await supabase
+    .from('calls')
+    .update({ call_status: status, ...extraFields })
+    .eq('vapi_call_id', vapiCallId)
+    .in('call_status', earlierStatuses);
+
+  if (error) {
+    console.error(`❌ Error updating call status to ${status}:`, error);
+  }
+}
+
+// ============================================================================
+// STATUS UPDATE - ringing / in-progress / forwarding / ended
+// ============================================================================
+async function handleStatusUpdate(message, res) {
+  const status = VAPI_STATUS_MAP[message.status];
+  if (!status || !message.call?.id) {
+    return res.status(200).json({ received: true });
+  }
+
+  const client = await getClientForMessage(message);
+  if (!client) {
+    return res.status(200).json({ received: true });
+  }
+
+  const record = await ensureCallRecord(message, client);
+  if (!record) {
+    return res.status(200).json({ received: true });
+  }
+
+  const extraFields = {};
+  if (status === 'in-progress') {
+    extraFields.started_at = message.call.startedAt || new Date().toISOString();
+  }
+  if (status === 'forwarded' && message.destination?.number) {
+    extraFields.forwarded_to = message.destination.number;
+  }
+  if (status === 'ended') {
+    extraFields.ended_at = message.call.endedAt || new Date().toISOString();
+    extraFields.ended_reason = message.endedReason || null;
+  }
+
+  await advanceCallStatus(message.call.id, status, extraFields);
+  console.log(`📶 Call ${message.call.id} → ${status} (${client.business_name})`);
+
+  return res.status(200).json({ received: true, status });
+}
+
+// ============================================================================
+// TRANSCRIPT - Live transcript segments
+// VAPI streams "partial" fragments that are superseded by a "final" one for
+// the same utterance, so only finals are stored.
+// ============================================================================
+async function handleTranscript(message, res) {
+  if (message.transcriptType !== 'final' || !message.transcript || !message.call?.id) {
+    return res.status(200).json({ received: true });
+  }
+
+  const client = await getClientForMessage(message);
+  if (!client) {
+    return res.status(200).json({ received: true });
+  }
+
+  const record = await ensureCallRecord(message, client);
+  if (!record) {
+    return res.status(200).json({ received: true });
+  }
+
+  const { error } = await supabase
+    .from('call_transcripts')
+    .insert({
+      call_id: record.id,
+      client_id: record.clientId,
+      role: message.role || 'user',
+      content: message.transcript
+    });
+
+  if (error) {
+    console.error('❌ Error saving transcript segment:', error);
+  }
+
+  // Segments only arrive while the call is live
+  await advanceCallStatus(message.call.id, 'in-progress');
+
+  return res.status(200).json({ received: true });
+}
+
+// ============================================================================
+// TOOL CALLS - Function tools without their own server URL land here
+// ============================================================================
+async function runTool(name, client, args, call) {
+  if (CALENDAR_TOOL_HANDLERS[name]) {
+    const { spoken } = await runCalendarTool(name, client, args, { call, fromVapi: true });
+    return spoken;
+  }
+
+  console.log(`⚠️ Unknown tool requested: ${name}`);
+  return "I'm not able to do that right now.";
+}
+
+async function handleToolCalls(message, res) {
+  const toolCalls = message.toolCallList || message.toolCalls || [];
+  const client = await getClientForMessage(message);
+
+  const results = [];
+  for (const toolCall of toolCalls) {
+    let args = toolCall.function?.arguments || {};
+    if (typeof args === 'string') {
+      try {
+        args = JSON.parse(args);
+      } catch (error) {
+        args = {};
       }
     }
-    
-    // ============================================
-    // CHECK CLIENT SUBSCRIPTION STATUS
-    // ============================================
-    const validStatuses = ['active', 'trial'];
-    if (!validStatuses.includes(client.subscription_status)) {
-      console.log(`🚫 CALL BLOCKED: ${client.business_name} subscription not active`);
-      return res.status(200).json({ 
-        received: true,
-        blocked: true,
-        reason: 'Subscription not active'
-      });
+
+    const result = client
+      ? await runTool(toolCall.function?.name, client, args, message.call)
+      : "I'm not able to do that right now.";
+
+    results.push({ toolCallId: toolCall.id, result });
+  }
+
+  console.log(`🔧 Answered ${results.length} tool call(s)${client ? ` for ${client.business_name}` : ''}`);
+  return res.status(200).json({ results });
+}
+
+// ============================================================================
+// TRANSFER DESTINATION REQUEST - Where a transferCall tool should ring
+// ============================================================================
+async function handleTransferDestinationRequest(message, res) {
+  const client = await getClientForMessage(message);
+  const ownerPhone = client?.owner_phone ? formatPhoneE164(client.owner_phone) : null;
+
+  if (!ownerPhone) {
+    console.log('⚠️ Transfer requested but no owner phone on file');
+    return res.status(200).json({ error: 'No transfer destination available' });
+  }
+
+  if (message.call?.id) {
+    await ensureCallRecord(message, client);
+    await advanceCallStatus(message.call.id, 'forwarded', { forwarded_to: ownerPhone });
+  }
+
+  console.log(`📞 Transferring call for ${client.business_name} to ${ownerPhone}`);
+
+  return res.status(200).json({
+    destination: {
+      type: 'number',
+      number: ownerPhone,
+      message: 'One moment please, let me connect you with the owner.'
     }
+  });
+}
+
+// ============================================================================
+// ASSISTANT REQUEST - Gate the call before it's answered
+// Phone numbers are provisioned without a fixed assistant, so VAPI asks us
+// which assistant to use on every inbound call. Ineligible clients get a
+// short branded message (or a transfer to the owner) instead of the AI.
+// Callers already in the client's contacts are greeted by name.
+// ============================================================================
+async function recordGateDecision(message, client, gateStatus, reason = null) {
+  if (!message.call?.id) return;
+
+  const record = await ensureCallRecord(message, client);
+  if (!record) return;
+
+  const updates = { gate_status: gateStatus, gate_reason: reason };
+  if (gateStatus === 'blocked') {
+    updates.call_status = 'blocked';
+  }
+
+  const { error } = await supabase
+    .from('calls')
+    .update(updates)
+    .eq('id', record.id);
+
+  if (error) {
+    console.error('❌ Error recording gate decision:', error);
+  }
+}
+
+function buildBlockedCallResponse(client) {
+  if (client.blocked_call_action === 'transfer') {
+    const ownerPhone = client.owner_phone ? formatPhoneE164(client.owner_phone) : null;
+    if (ownerPhone) {
+      return { destination: { type: 'number', number: ownerPhone, message: '' } };
+    }
+    console.log('⚠️ Blocked call transfer requested but no owner phone - playing message');
+  }
+
+  return { assistant: buildBlockedCallAssistant(client, client.blocked_call_message) };
+}
+
+async function handleAssistantRequest(message, res) {
+  const client = await getClientForMessage(message);
+
+  if (!client?.vapi_assistant_id) {
+    console.log('⚠️ Assistant requested for unknown number');
+    return res.status(200).json({ error: 'No assistant configured for this number' });
+  }
+
+  const eligibility = await checkCallEligibility(client);
+
+  if (!eligibility.allowed) {
+    console.log(`🚫 CALL BLOCKED AT START: ${client.business_name} - ${eligibility.reason}`);
+    await recordGateDecision(message, client, 'blocked', eligibility.code);
+    return res.status(200).json(buildBlockedCallResponse(client));
+  }
+
+  await recordGateDecision(message, client, 'allowed', eligibility.overage ? 'overage' : null);
+
+  const returning = await getReturningCallerOverrides(client, message.call?.customer?.number);
+
+  console.log(`🤖 Assistant request → ${client.business_name}${eligibility.overage ? ' (overage)' : ''}${returning ? ` (returning caller: ${returning.contact.name})` : ''}`);
+  return res.status(200).json({
+    assistantId: client.vapi_assistant_id,
+    ...(returning && { assistantOverrides: returning.assistantOverrides })
+  });
+}
+
+// ============================================================================
+// END OF CALL REPORT - Summary, usage tracking & owner notification
+// ============================================================================
+async function handleEndOfCallReport(message, res) {
+  const call = message.call;
+  
+  // Reports we can't tie to a calls row are never processed
+  if (!call?.id) {
+    console.log('⚠️ End-of-call report without a call id ignored');
+    return res.status(200).json({ received: true, ignored: true });
+  }
+  
+  // Find client by VAPI phone number (includes agency data)
+  const client = await getClientForMessage(message);
+  
+  if (!client) {
+    console.log('⚠️ No client found for call');
+    return res.status(200).json({ received: true });
+  }
+  
+  console.log('✅ Client found:', client.business_name);
+  console.log('🏢 Agency:', client.agencies?.name || 'Direct (no agency)');
+  
+  // ============================================
+  // CALL GATING
+  // Numbers routed through assistant-request were checked at call start.
+  // Numbers still bound directly to an assistant are checked after the fact.
+  // ============================================
+  const { data: gatedCall } = await supabase
+    .from('calls')
+    .select('id, gate_status')
+    .eq('vapi_call_id', call.id)
+    .maybeSingle();
+  
+  if (gatedCall?.gate_status === 'blocked') {
+    // Caller only heard the fallback message - nothing to summarize or count
+    await supabase
+      .from('calls')
+      .update({
+        ended_at: call.endedAt || new Date().toISOString(),
+        ended_reason: message.endedReason || null
+      })
+      .eq('id', gatedCall.id);
     
-    // ============================================
-    // CHECK CLIENT TRIAL EXPIRATION (NEW!)
-    // ============================================
-    if (client.subscription_status === 'trial' && isTrialExpired(client.trial_ends_at)) {
-      console.log(`🚫 CALL BLOCKED: ${client.business_name} trial expired`);
-      
-      // Update client status to expired
-      await supabase
-        .from('clients')
-        .update({ subscription_status: 'expired' })
-        .eq('id', client.id);
-      
-      return res.status(200).json({ 
-        received: true,
-        blocked: true,
-        reason: 'Trial expired'
-      });
+    callRecordCache.delete(call.id);
+    return res.status(200).json({ 
+      received: true,
+      blocked: true,
+      reason: 'Blocked at call start'
+    });
+  }
+  
+  const callLimit = client.monthly_call_limit || 50;
+  
+  if (gatedCall?.gate_status !== 'allowed') {
+    // Older numbers are still bound to their assistant - switch them over so
+    // the next call is gated at the start
+    if (call.phoneNumberId) {
+      const switched = await configurePhoneWebhook(call.phoneNumberId);
+      if (switched) console.log(`🔀 Phone ${call.phoneNumberId} now routed through assistant-request`);
     }
     
-    // ============================================
-    // CHECK CALL LIMITS
-    // ============================================
-    const currentCallCount = client.calls_this_month || 0;
-    const callLimit = client.monthly_call_limit || 50;
+    const eligibility = await checkCallEligibility(client);
     
-    if (currentCallCount >= callLimit) {
-      console.log(`🚫 CALL BLOCKED: ${client.business_name} reached limit`);
+    if (!eligibility.allowed) {
+      console.log(`🚫 CALL BLOCKED: ${client.business_name} - ${eligibility.reason}`);
       
-      if (currentCallCount === callLimit) {
-        await sendLimitReachedEmail(client, agency, callLimit);
+      if (eligibility.code === 'limit_reached') {
+        // Deduplicated - only the first blocked call in a period emails
+        await sendLimitReachedEmail(client, callLimit);
       }
       
       return res.status(200).json({ 
         received: true,
         blocked: true,
-        reason: 'Monthly call limit reached'
+        reason: eligibility.reason
       });
     }
-    
-    // ============================================
-    // EXTRACT DATA & GENERATE SUMMARY
-    // ============================================
-    const transcript = message.transcript || '';
-    const callerPhone = call.customer?.number || 'Unknown';
-    
-    const aiData = await generateAISummary(
+  }
+  
+  // ============================================
+  // CLAIM THE REPORT (IDEMPOTENCY)
+  // VAPI retries deliveries - only the first report for a call is processed,
+  // so retries can't double-count usage or resend the SMS. Reports are never
+  // processed unclaimed.
+  // ============================================
+  const callRow = await ensureCallRecord(message, client);
+  
+  if (!callRow) {
+    // Let VAPI retry - the row is keyed on vapi_call_id, so it can't duplicate
+    return res.status(500).json({ error: 'Failed to record call' });
+  }
+  
+  const { data: claimed, error: claimError } = await supabase
+    .from('calls')
+    .update({ report_processed_at: new Date().toISOString() })
+    .eq('id', callRow.id)
+    .is('report_processed_at', null)
+    .select('id');
+  
+  if (claimError) {
+    console.error('❌ Error claiming end-of-call report:', claimError);
+    return res.status(500).json({ error: 'Failed to claim call report' });
+  }
+  
+  if (!claimed || claimed.length === 0) {
+    console.log(`♻️ Duplicate end-of-call report ignored: ${call.id}`);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+  
+  return processEndOfCallReport(message, client, callRow, res);
+}
+
+async function releaseEndOfCallReport(callId) {
+  await supabase
+    .from('calls')
+    .update({ report_processed_at: null })
+    .eq('id', callId);
+}
+
+async function processEndOfCallReport(message, client, callRow, res) {
+  const call = message.call;
+  
+  // ============================================
+  // EXTRACT DATA & GENERATE SUMMARY
+  // ============================================
+  const transcript = message.transcript || '';
+  const callerPhone = call.customer?.number || 'Unknown';
+  
+  let aiData;
+  try {
+    aiData = await generateAISummary(
       transcript,
       client.industry || 'professional_services',
       callerPhone
     );
+  } catch (error) {
+    // Nothing saved or counted yet - let VAPI's retry process the report again
+    await releaseEndOfCallReport(callRow.id);
+    throw error;
+  }
+  
+  const { customerName, customerPhone, customerEmail, urgency, summary: aiSummary } = aiData;
+  
+  // Extract recording URL
+  const recordingUrl = 
+    message.recordingUrl ||
+    message.artifact?.recordingUrl ||
+    call.recordingUrl ||
+    null;
+  
+  // ============================================
+  // EXTRACT CALL DURATION (NEW!)
+  // VAPI sends duration in various places, check all
+  // ============================================
+  const durationSeconds = 
+    call.duration ||
+    message.duration ||
+    message.call?.duration ||
+    message.artifact?.duration ||
+    null;
+  
+  if (durationSeconds) {
+    console.log(`⏱️ Call duration: ${durationSeconds} seconds`);
+  }
+  
+  // ============================================
+  // SAVE CALL TO DATABASE
+  // ============================================
+  const callRecord = {
+    client_id: client.id,
+    customer_name: customerName,
+    customer_phone: customerPhone,
+    customer_email: customerEmail,
+    ai_summary: aiSummary,
+    transcript: transcript,
+    recording_url: recordingUrl,
+    recording_status: recordingUrl ? 'pending' : null,
+    duration_seconds: durationSeconds, // NEW!
+    urgency_level: urgency,
+    call_status: 'completed',
+    ended_at: call.endedAt || message.endedAt || new Date().toISOString(),
+    ended_reason: message.endedReason || null
+  };
+  
+  // Fill in the row created at call start / by ensureCallRecord
+  const { data: savedRows, error: saveError } = await supabase
+    .from('calls')
+    .update(callRecord)
+    .eq('id', callRow.id)
+    .select();
+  
+  if (saveError || !savedRows?.[0]) {
+    console.error('❌ Error saving call:', saveError);
+    await releaseEndOfCallReport(callRow.id);
+    return res.status(500).json({ error: 'Failed to save call' });
+  }
+  
+  const savedCall = savedRows[0];
+  callRecordCache.delete(call.id);
+  
+  console.log('✅ Call saved successfully');
+  
+  // ============================================
+  // From here on the report stays claimed: usage, overage and notifications
+  // may already have happened, so a retry would count the call twice.
+  // Failures are logged and the report acknowledged.
+  // ============================================
+  try {
+    return await finishEndOfCallReport(message, client, savedCall, aiData, res);
+  } catch (error) {
+    console.error(`❌ End-of-call processing failed after save (call ${savedCall.id}):`, error);
+    return res.status(200).json({ received: true, saved: true, callId: savedCall.id, error: 'Post-processing failed' });
+  }
+}
+
+async function finishEndOfCallReport(message, client, savedCall, aiData, res) {
+  const call = message.call;
+  const agency = client.agencies;
+  const callLimit = client.monthly_call_limit || 50;
+  const { customerName, customerPhone, customerEmail } = aiData;
+  
+  // ============================================
+  // CONTACT BOOK
+  // Link the call to the caller's contact (by the raw caller ID when VAPI
+  // has one) so they're recognized next time
+  // ============================================
+  const contact = await recordCallContact(client.id, savedCall.id, {
+    phone: call.customer?.number || customerPhone,
+    name: customerName,
+    email: customerEmail,
+    calledAt: savedCall.created_at
+  });
+  
+  // ============================================
+  // COPY THE RECORDING
+  // Not awaited - the download can outlast VAPI's webhook timeout.
+  // /api/cron/archive-recordings retries anything that doesn't land.
+  // ============================================
+  if (savedCall.recording_url) {
+    archiveCallRecording(savedCall).catch(error => {
+      console.error('❌ Recording copy error:', error.message || error);
+    });
+  }
+  
+  // ============================================
+  // UPDATE CALL COUNT
+  // Incremented in the database so concurrent calls can't overwrite each other
+  // ============================================
+  const { data: countRows, error: countError } = await supabase
+    .rpc('increment_client_call_count', { p_client_id: client.id });
+  
+  if (countError) {
+    console.error('❌ Error incrementing call count:', countError);
+  }
+  
+  const newCallCount = countRows?.[0]?.calls_this_month ?? (client.calls_this_month || 0) + 1;
+  const isFirstCall = countRows?.[0]?.is_first_call ?? false;
+  
+  if (isFirstCall) {
+    console.log('🎉 FIRST CALL for:', client.business_name);
+  }
+  
+  // ============================================
+  // OVERAGE - Bill calls answered past the limit
+  // ============================================
+  const overageCharge = newCallCount > callLimit
+    ? await recordOverageCall(client, savedCall.id, newCallCount)
+    : null;
+  
+  // ============================================
+  // CHECK USAGE THRESHOLDS
+  // 80% warning / limit reached - each sent once per usage period
+  // ============================================
+  await checkUsageThresholds(client, newCallCount);
+  
+  // ============================================
+  // NOTIFY RECIPIENTS
+  // Per-client rules: urgency filters, quiet hours, digests
+  // ============================================
+  const notifications = await dispatchCallNotifications(client, agency, savedCall, aiData);
+  
+  // ============================================
+  // RETURN SUCCESS
+  // ============================================
+  return res.status(200).json({ 
+    received: true,
+    saved: true,
+    callId: savedCall.id,
+    contactId: contact?.id || null,
+    smsSent: notifications.smsSent,
+    notifications: { sent: notifications.sent, queued: notifications.queued },
+    firstCall: isFirstCall,
+    overage: !!overageCharge,
+    agency: agency?.name || null,
+    duration: savedCall.duration_seconds // Include in response for debugging
+  });
+}
+
+// ============================================================================
+// MAIN WEBHOOK HANDLER - Dispatch by message type
+// ============================================================================
+const MESSAGE_HANDLERS = {
+  'assistant-request': handleAssistantRequest,
+  'status-update': handleStatusUpdate,
+  'transcript': handleTranscript,
+  'tool-calls': handleToolCalls,
+  'transfer-destination-request': handleTransferDestinationRequest,
+  'end-of-call-report': handleEndOfCallReport
+};
+
+async function handleVapiWebhook(req, res) {
+  try {
+    const message = req.body.message;
+    const handler = MESSAGE_HANDLERS[message?.type];
     
-    const { customerName, customerPhone, customerEmail, urgency, summary: aiSummary } = aiData;
-    
-    // Extract recording URL
-    const recordingUrl = 
-      message.recordingUrl ||
-      message.artifact?.recordingUrl ||
-      call.recordingUrl ||
-      null;
-    
-    // ============================================
-    // EXTRACT CALL DURATION (NEW!)
-    // VAPI sends duration in various places, check all
-    // ============================================
-    const durationSeconds = 
-      call.duration ||
-      message.duration ||
-      message.call?.duration ||
-      message.artifact?.duration ||
-      null;
-    
-    if (durationSeconds) {
-      console.log(`⏱️ Call duration: ${durationSeconds} seconds`);
-    }
-    
-    // ============================================
-    // SAVE CALL TO DATABASE
-    // ============================================
-    const callRecord = {
-      client_id: client.id,
-      customer_name: customerName,
-      customer_phone: customerPhone,
-      customer_email: customerEmail,
-      ai_summary: aiSummary,
-      transcript: transcript,
-      recording_url: recordingUrl,
-      duration_seconds: durationSeconds, // NEW!
-      urgency_level: urgency,
-      call_status: 'completed',
-      created_at: new Date().toISOString()
-    };
-    
-    const { data: insertedCall, error: insertError } = await supabase
-      .from('calls')
-      .insert([callRecord])
-      .select();
-    
-    if (insertError) {
-      console.error('❌ Error inserting call:', insertError);
-      return res.status(500).json({ error: 'Failed to save call' });
-    }
-    
-    console.log('✅ Call saved successfully');
-    
-    // ============================================
-    // UPDATE CALL COUNT
-    // ============================================
-    const newCallCount = currentCallCount + 1;
-    const isFirstCall = newCallCount === 1;
-    
-    const updateData = { calls_this_month: newCallCount };
-    if (isFirstCall) {
-      updateData.first_call_received = true;
-      updateData.first_call_received_at = new Date().toISOString(); // Also set timestamp
-      console.log('🎉 FIRST CALL for:', client.business_name);
-    }
-    
-    await supabase
-      .from('clients')
-      .update(updateData)
-      .eq('id', client.id);
-    
-    // ============================================
-    // CHECK USAGE THRESHOLDS
-    // ============================================
-    const usagePercent = (newCallCount / callLimit) * 100;
-    
-    if (usagePercent >= 80 && usagePercent < 100) {
-      if (newCallCount === Math.floor(callLimit * 0.8)) {
-        await sendUsageWarningEmail(client, agency, newCallCount, callLimit);
-      }
-    }
-    
-    if (newCallCount >= callLimit) {
-      if (newCallCount === callLimit) {
-        await sendLimitReachedEmail(client, agency, callLimit);
-      }
-    }
-    
-    // ============================================
-    // SEND SMS NOTIFICATION
-    // ============================================
-    let smsSent = false;
-    
-    if (client.owner_phone) {
-      console.log('📱 Sending SMS notification...');
-      smsSent = await sendCallNotificationSMS(client, agency, aiData);
+    if (!handler) {
+      return res.status(200).json({ received: true });
     }
     
-    // ============================================
-    // RETURN SUCCESS
-    // ============================================
-    return res.status(200).json({ 
-      received: true,
-      saved: true,
-      callId: insertedCall[0]?.id,
-      smsSent: smsSent,
-      firstCall: isFirstCall,
-      agency: agency?.name || null,
-      duration: durationSeconds // Include in response for debugging
-    });
+    console.log(`📞 VAPI webhook received: ${message.type}`);
+    return await handler(message, res);
     
   } catch (error) {
     console.error('❌ Webhook error:', error);
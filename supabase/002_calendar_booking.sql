@@ -0,0 +1,123 @@
+-- ============================================================================
+-- VOICEAI CONNECT - CALENDAR BOOKING
+-- Version: 1.1.0
+-- Description: Appointment types and conflict-safe appointment bookings
+-- ============================================================================
+
+-- btree_gist lets the exclusion constraint mix UUID equality with range overlap
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- ============================================================================
+-- 1. CLIENT TIMEZONE
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'timezone'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN timezone TEXT;   -- IANA name, falls back to agency timezone
+  END IF;
+END $$;
+
+-- ============================================================================
+-- 2. APPOINTMENT TYPES - What a client's callers can book
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS appointment_types (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+
+  name TEXT NOT NULL,                          -- "Estimate", "Consultation"
+  description TEXT,
+
+  -- Timing (minutes)
+  duration_minutes INTEGER NOT NULL DEFAULT 30 CHECK (duration_minutes > 0),
+  buffer_before_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_before_minutes >= 0),
+  buffer_after_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_after_minutes >= 0),
+  slot_interval_minutes INTEGER CHECK (slot_interval_minutes > 0),  -- NULL = duration
+  min_notice_minutes INTEGER NOT NULL DEFAULT 60 CHECK (min_notice_minutes >= 0),
+  max_days_ahead INTEGER NOT NULL DEFAULT 30 CHECK (max_days_ahead > 0),
+
+  is_default BOOLEAN DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_types_client ON appointment_types(client_id);
+
+-- ============================================================================
+-- 3. APPOINTMENTS - Bookings made by the AI or from the dashboard
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS appointments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  appointment_type_id UUID REFERENCES appointment_types(id) ON DELETE SET NULL,
+
+  -- Customer
+  customer_name TEXT,
+  customer_phone TEXT,
+  customer_email TEXT,
+  notes TEXT,
+
+  -- When (stored in UTC, timezone kept for display)
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  blocked_starts_at TIMESTAMPTZ NOT NULL,      -- starts_at minus buffer_before
+  blocked_ends_at TIMESTAMPTZ NOT NULL,        -- ends_at plus buffer_after
+  timezone TEXT NOT NULL,
+
+  -- Lifecycle
+  status TEXT NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'canceled', 'completed', 'no_show')),
+  source TEXT DEFAULT 'dashboard',             -- vapi, dashboard
+  vapi_call_id TEXT,
+  canceled_at TIMESTAMPTZ,
+  cancel_reason TEXT,
+  rescheduled_from TIMESTAMPTZ,
+  rescheduled_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (ends_at > starts_at),
+  CHECK (blocked_starts_at <= starts_at AND blocked_ends_at >= ends_at),
+
+  -- Two live bookings for the same client can never overlap (buffers included)
+  CONSTRAINT appointments_no_overlap EXCLUDE USING gist (
+    client_id WITH =,
+    tstzrange(blocked_starts_at, blocked_ends_at) WITH &&
+  ) WHERE (status = 'booked')
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointments_client_starts ON appointments(client_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_appointments_customer_phone ON appointments(customer_phone);
+
+-- ============================================================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================================================
+ALTER TABLE appointment_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE appointments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access appointment_types" ON appointment_types;
+CREATE POLICY "Service role full access appointment_types" ON appointment_types
+  FOR ALL USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role full access appointments" ON appointments;
+CREATE POLICY "Service role full access appointments" ON appointments
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- 5. UPDATED_AT TRIGGERS
+-- ============================================================================
+DROP TRIGGER IF EXISTS update_appointment_types_updated_at ON appointment_types;
+CREATE TRIGGER update_appointment_types_updated_at
+  BEFORE UPDATE ON appointment_types
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_appointments_updated_at ON appointments;
+CREATE TRIGGER update_appointments_updated_at
+  BEFORE UPDATE ON appointments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,72 @@
+-- ============================================================================
+-- VOICEAI CONNECT - CALL LIFECYCLE
+-- Version: 1.2.0
+-- Description: Live call tracking from VAPI status-update / transcript messages
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CALLS - VAPI call id + lifecycle timestamps
+-- call_status: ringing -> in-progress -> forwarded -> ended -> completed
+-- ('completed' is set once the end-of-call report has been processed)
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'vapi_call_id'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN vapi_call_id TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'started_at'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN started_at TIMESTAMPTZ;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'ended_at'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN ended_at TIMESTAMPTZ;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'ended_reason'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN ended_reason TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'forwarded_to'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN forwarded_to TEXT;
+  END IF;
+END $$;
+
+-- One row per VAPI call (NULL for calls recorded before this migration)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calls_vapi_call_id ON calls(vapi_call_id);
+CREATE INDEX IF NOT EXISTS idx_calls_client_status ON calls(client_id, call_status);
+
+-- ============================================================================
+-- 2. CALL TRANSCRIPTS - Finalized transcript segments streamed during the call
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS call_transcripts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  role TEXT NOT NULL,                          -- user, assistant
+  content TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_transcripts_call ON call_transcripts(call_id, created_at);
+
+ALTER TABLE call_transcripts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access call_transcripts" ON call_transcripts;
+CREATE POLICY "Service role full access call_transcripts" ON call_transcripts
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,47 @@
+-- ============================================================================
+-- VOICEAI CONNECT - CALL GATING
+-- Version: 1.3.0
+-- Description: Limits/subscription checks at call start via assistant-request
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CALLS - Gate decision made when the call started
+-- gate_status: allowed, blocked (NULL = number not routed through assistant-request)
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'gate_status'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN gate_status TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'gate_reason'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN gate_reason TEXT;  -- limit_reached, trial_expired, ...
+  END IF;
+END $$;
+
+-- ============================================================================
+-- 2. CLIENTS - What callers get when the client can't take calls
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'blocked_call_action'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN blocked_call_action TEXT DEFAULT 'message'
+      CHECK (blocked_call_action IN ('message', 'transfer'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'blocked_call_message'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN blocked_call_message TEXT;  -- NULL = default message
+  END IF;
+END $$;
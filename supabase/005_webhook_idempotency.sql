@@ -0,0 +1,48 @@
+-- ============================================================================
+-- VOICEAI CONNECT - IDEMPOTENT VAPI WEBHOOKS
+-- Version: 1.4.0
+-- Description: End-of-call report claiming + atomic usage counter
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CALLS - Set when an end-of-call report has been claimed for processing
+-- (calls.vapi_call_id is unique since 003_call_lifecycle.sql)
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'report_processed_at'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN report_processed_at TIMESTAMPTZ;
+  END IF;
+END $$;
+
+-- ============================================================================
+-- 2. ATOMIC CALL COUNTER
+-- Increments calls_this_month in one statement and reports whether this was
+-- the client's first call ever.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION increment_client_call_count(p_client_id UUID)
+RETURNS TABLE (
+  calls_this_month INTEGER,
+  is_first_call BOOLEAN
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH previous AS (
+    SELECT c.id, COALESCE(c.first_call_received, false) AS had_first_call
+    FROM clients c
+    WHERE c.id = p_client_id
+    FOR UPDATE
+  )
+  UPDATE clients c
+  SET
+    calls_this_month = COALESCE(c.calls_this_month, 0) + 1,
+    first_call_received = true,
+    first_call_received_at = COALESCE(c.first_call_received_at, NOW())
+  FROM previous
+  WHERE c.id = previous.id
+  RETURNING c.calls_this_month, NOT previous.had_first_call;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,139 @@
+-- ============================================================================
+-- VOICEAI CONNECT - USAGE PERIODS
+-- Version: 1.5.0
+-- Description: Billing-period aware usage tracking + per-period history
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CLIENTS - Current usage period (calls_this_month counts calls in it)
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'usage_period_start'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN usage_period_start TIMESTAMPTZ;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'usage_period_end'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN usage_period_end TIMESTAMPTZ;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'usage_period_source'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN usage_period_source TEXT;  -- subscription, calendar
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_clients_usage_period_end ON clients(usage_period_end);
+
+-- ============================================================================
+-- 2. USAGE PERIODS - One row per closed period
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS usage_periods (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  agency_id UUID REFERENCES agencies(id) ON DELETE SET NULL,
+
+  period_start TIMESTAMPTZ NOT NULL,
+  period_end TIMESTAMPTZ NOT NULL,
+  source TEXT,                                 -- subscription, calendar
+
+  calls_count INTEGER NOT NULL DEFAULT 0,
+  call_limit INTEGER,
+  plan_type TEXT,
+
+  closed_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (client_id, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_periods_client ON usage_periods(client_id, period_start DESC);
+CREATE INDEX IF NOT EXISTS idx_usage_periods_agency ON usage_periods(agency_id, period_start DESC);
+
+ALTER TABLE usage_periods ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access usage_periods" ON usage_periods;
+CREATE POLICY "Service role full access usage_periods" ON usage_periods
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- 3. ROLLOVER FUNCTION
+-- Closes the client's current period into usage_periods and starts the new
+-- one. Row lock keeps it atomic with increment_client_call_count; calling it
+-- twice with the same period is a no-op.
+-- Returns 'rolled_over', 'initialized' (no previous period) or 'unchanged'.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION rollover_client_usage_period(
+  p_client_id UUID,
+  p_period_start TIMESTAMPTZ,
+  p_period_end TIMESTAMPTZ,
+  p_source TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+  v_client clients%ROWTYPE;
+BEGIN
+  SELECT * INTO v_client FROM clients WHERE id = p_client_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN 'unchanged';
+  END IF;
+
+  IF v_client.usage_period_start = p_period_start THEN
+    -- Same period (e.g. a retried run) - just keep the end in sync
+    UPDATE clients
+    SET usage_period_end = p_period_end, usage_period_source = p_source
+    WHERE id = p_client_id;
+    RETURN 'unchanged';
+  END IF;
+
+  -- First period for this client: keep the count it already has
+  IF v_client.usage_period_start IS NULL THEN
+    UPDATE clients
+    SET usage_period_start = p_period_start,
+        usage_period_end = p_period_end,
+        usage_period_source = p_source
+    WHERE id = p_client_id;
+    RETURN 'initialized';
+  END IF;
+
+  INSERT INTO usage_periods (
+    client_id, agency_id, period_start, period_end, source,
+    calls_count, call_limit, plan_type
+  )
+  VALUES (
+    v_client.id,
+    v_client.agency_id,
+    v_client.usage_period_start,
+    -- A period replaced early (new subscription) closes when the new one starts
+    LEAST(COALESCE(v_client.usage_period_end, p_period_start), p_period_start),
+    v_client.usage_period_source,
+    COALESCE(v_client.calls_this_month, 0),
+    v_client.monthly_call_limit,
+    v_client.plan_type
+  )
+  ON CONFLICT (client_id, period_start) DO UPDATE
+  SET period_end = EXCLUDED.period_end,
+      calls_count = EXCLUDED.calls_count,
+      call_limit = EXCLUDED.call_limit,
+      plan_type = EXCLUDED.plan_type,
+      closed_at = NOW();
+
+  UPDATE clients
+  SET calls_this_month = 0,
+      usage_period_start = p_period_start,
+      usage_period_end = p_period_end,
+      usage_period_source = p_source
+  WHERE id = p_client_id;
+
+  RETURN 'rolled_over';
+END;
+$$ LANGUAGE plpgsql;
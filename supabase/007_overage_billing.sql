@@ -0,0 +1,78 @@
+-- ============================================================================
+-- VOICEAI CONNECT - OVERAGE BILLING
+-- Version: 1.6.0
+-- Description: Agency overage policy + per-call overage charges billed on the
+--              client's subscription (agency's Connect account)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. AGENCIES - Overage policy (applies to all of the agency's clients)
+-- overage_mode: block (stop answering at the limit), bill (answer and bill
+-- every extra call), cap (answer and bill up to overage_cap extra calls)
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'overage_mode'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN overage_mode TEXT NOT NULL DEFAULT 'block'
+      CHECK (overage_mode IN ('block', 'bill', 'cap'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'price_overage'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN price_overage INTEGER DEFAULT 100;  -- $1.00 per extra call
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'overage_cap'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN overage_cap INTEGER;  -- extra calls per period (cap mode)
+  END IF;
+END $$;
+
+-- ============================================================================
+-- 2. OVERAGE CHARGES - One row per call answered past the limit
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS overage_charges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  agency_id UUID REFERENCES agencies(id) ON DELETE SET NULL,
+  call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+
+  period_start TIMESTAMPTZ,                    -- usage period the call counted against
+  call_number INTEGER,                         -- calls_this_month after this call
+  amount_cents INTEGER NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'usd',
+
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'billed', 'failed')),
+  stripe_invoice_item_id TEXT,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  billed_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  -- A call is only ever charged once (webhook retries included)
+  UNIQUE (call_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_overage_charges_client ON overage_charges(client_id, period_start);
+CREATE INDEX IF NOT EXISTS idx_overage_charges_status ON overage_charges(status);
+
+ALTER TABLE overage_charges ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access overage_charges" ON overage_charges;
+CREATE POLICY "Service role full access overage_charges" ON overage_charges
+  FOR ALL USING (auth.role() = 'service_role');
+
+DROP TRIGGER IF EXISTS update_overage_charges_updated_at ON overage_charges;
+CREATE TRIGGER update_overage_charges_updated_at
+  BEFORE UPDATE ON overage_charges
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,43 @@
+-- ============================================================================
+-- VOICEAI CONNECT - EMAIL LOG DEDUPLICATION
+-- Version: 1.7.0
+-- Description: One-time emails (usage warnings, limit reached) claim a
+--              dedupe_key in email_logs so each is sent once per period
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_logs' AND column_name = 'dedupe_key'
+  ) THEN
+    ALTER TABLE email_logs ADD COLUMN dedupe_key TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_logs' AND column_name = 'subject'
+  ) THEN
+    ALTER TABLE email_logs ADD COLUMN subject TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_logs' AND column_name = 'error'
+  ) THEN
+    ALTER TABLE email_logs ADD COLUMN error TEXT;
+  END IF;
+END $$;
+
+-- e.g. usage_warning:client:<client_id>:<period_start>
+-- Failed sends clear their key so the next trigger can try again
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_logs_dedupe_key
+  ON email_logs(dedupe_key) WHERE dedupe_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_email_logs_type ON email_logs(email_type, sent_at DESC);
+
+ALTER TABLE email_logs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access email_logs" ON email_logs;
+CREATE POLICY "Service role full access email_logs" ON email_logs
+  FOR ALL USING (auth.role() = 'service_role');
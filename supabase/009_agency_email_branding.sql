@@ -0,0 +1,71 @@
+-- ============================================================================
+-- VOICEAI CONNECT - AGENCY EMAIL BRANDING
+-- Version: 1.8.0
+-- Description: Per-agency sender name, reply-to and verified sending domain
+--              (Resend) for client-facing transactional email
+-- ============================================================================
+
+DO $$
+BEGIN
+  -- Sender identity
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'email_from_name'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN email_from_name TEXT;      -- defaults to agency name
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'email_from_address'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN email_from_address TEXT;   -- local part, e.g. "hello"
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'email_reply_to'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN email_reply_to TEXT;       -- defaults to support_email
+  END IF;
+
+  -- Sending domain (registered with Resend)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'email_domain'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN email_domain TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'email_domain_id'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN email_domain_id TEXT;      -- Resend domain id
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'email_domain_status'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN email_domain_status TEXT;  -- not_started, pending, verified, failed
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'email_domain_records'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN email_domain_records JSONB DEFAULT '[]';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'email_domain_verified_at'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN email_domain_verified_at TIMESTAMPTZ;
+  END IF;
+END $$;
+
+-- A sending domain belongs to one agency
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agencies_email_domain
+  ON agencies(email_domain) WHERE email_domain IS NOT NULL;
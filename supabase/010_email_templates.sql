@@ -0,0 +1,39 @@
+-- ============================================================================
+-- VOICEAI CONNECT - EMAIL TEMPLATES
+-- Version: 1.9.0
+-- Description: Per-agency overrides of the transactional email copy.
+--              Defaults live in src/lib/default-email-templates.js; a row
+--              with agency_id NULL overrides the default platform-wide.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS email_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agency_id UUID REFERENCES agencies(id) ON DELETE CASCADE,   -- NULL = platform
+  template_key TEXT NOT NULL,                  -- client_welcome, password_reset, ...
+
+  subject TEXT NOT NULL,
+  heading TEXT,
+  body TEXT NOT NULL,                          -- HTML with {variable} placeholders
+  button_label TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One override per template per agency (and one platform-wide)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_agency_key
+  ON email_templates(agency_id, template_key) WHERE agency_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_platform_key
+  ON email_templates(template_key) WHERE agency_id IS NULL;
+
+ALTER TABLE email_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access email_templates" ON email_templates;
+CREATE POLICY "Service role full access email_templates" ON email_templates
+  FOR ALL USING (auth.role() = 'service_role');
+
+DROP TRIGGER IF EXISTS update_email_templates_updated_at ON email_templates;
+CREATE TRIGGER update_email_templates_updated_at
+  BEFORE UPDATE ON email_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,131 @@
+-- ============================================================================
+-- VOICEAI CONNECT - CLIENT NOTIFICATION RULES
+-- Version: 1.10.0
+-- Description: Who hears about a client's calls, and when - multiple SMS /
+--              email recipients, urgency filters, quiet hours and daily
+--              digests (replaces the fixed SMS to owner_phone)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CLIENT SETTINGS
+-- Quiet hours are client-local wall-clock times; start > end wraps midnight
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'notification_quiet_start'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN notification_quiet_start TIME;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'notification_quiet_end'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN notification_quiet_end TIME;
+  END IF;
+
+  -- High / emergency calls still notify during quiet hours
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'notification_quiet_allow_urgent'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN notification_quiet_allow_urgent BOOLEAN DEFAULT TRUE;
+  END IF;
+
+  -- Client-local hour the daily digest goes out
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'notification_digest_hour'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN notification_digest_hour SMALLINT DEFAULT 18
+      CHECK (notification_digest_hour BETWEEN 0 AND 23);
+  END IF;
+END $$;
+
+-- ============================================================================
+-- 2. RECIPIENTS
+-- The owner row (is_owner) has no destination - it follows clients.owner_phone
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS notification_recipients (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+
+  channel TEXT NOT NULL CHECK (channel IN ('sms', 'email')),
+  destination TEXT,                            -- E.164 phone or email
+  label TEXT,
+  is_owner BOOLEAN DEFAULT FALSE,
+
+  min_urgency TEXT NOT NULL DEFAULT 'routine'
+    CHECK (min_urgency IN ('routine', 'medium', 'high', 'emergency')),
+  delivery TEXT NOT NULL DEFAULT 'instant'
+    CHECK (delivery IN ('instant', 'digest')),
+  is_active BOOLEAN DEFAULT TRUE,
+
+  last_digest_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (is_owner OR destination IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_recipients_destination
+  ON notification_recipients(client_id, channel, destination) WHERE destination IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_recipients_owner
+  ON notification_recipients(client_id, channel) WHERE is_owner;
+CREATE INDEX IF NOT EXISTS idx_notification_recipients_digest
+  ON notification_recipients(delivery) WHERE is_active;
+
+ALTER TABLE notification_recipients ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access notification_recipients" ON notification_recipients;
+CREATE POLICY "Service role full access notification_recipients" ON notification_recipients
+  FOR ALL USING (auth.role() = 'service_role');
+
+DROP TRIGGER IF EXISTS update_notification_recipients_updated_at ON notification_recipients;
+CREATE TRIGGER update_notification_recipients_updated_at
+  BEFORE UPDATE ON notification_recipients
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Existing clients keep getting texts on the owner phone
+INSERT INTO notification_recipients (client_id, channel, label, is_owner)
+SELECT id, 'sms', 'Owner', TRUE
+FROM clients
+WHERE owner_phone IS NOT NULL AND owner_phone <> ''
+ON CONFLICT DO NOTHING;
+
+-- ============================================================================
+-- 3. NOTIFICATION LOG
+-- One row per call per recipient - a repeated end-of-call report can't
+-- notify twice. 'queued' rows wait for quiet hours to end.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS call_notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  recipient_id UUID NOT NULL REFERENCES notification_recipients(id) ON DELETE CASCADE,
+
+  channel TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'sending'
+    CHECK (status IN ('sending', 'sent', 'failed', 'queued')),
+  error TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+
+  UNIQUE (call_id, recipient_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_notifications_queued
+  ON call_notifications(recipient_id, created_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_call_notifications_client
+  ON call_notifications(client_id, created_at DESC);
+
+ALTER TABLE call_notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access call_notifications" ON call_notifications;
+CREATE POLICY "Service role full access call_notifications" ON call_notifications
+  FOR ALL USING (auth.role() = 'service_role');
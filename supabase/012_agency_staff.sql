@@ -0,0 +1,43 @@
+-- ============================================================================
+-- VOICEAI CONNECT - AGENCY STAFF
+-- Version: 1.11.0
+-- Description: Staff logins for agencies - email invitations, per-user
+--              permissions and deactivation (agency_owner keeps full access)
+-- ============================================================================
+
+DO $$
+BEGIN
+  -- Areas of the agency dashboard a staff member may use
+  -- (leads, outreach, clients, settings, billing, staff)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'permissions'
+  ) THEN
+    ALTER TABLE users ADD COLUMN permissions TEXT[] NOT NULL DEFAULT '{}';
+  END IF;
+
+  -- Removed staff are deactivated, not deleted, so activity stays attributed
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'is_active'
+  ) THEN
+    ALTER TABLE users ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'invited_by'
+  ) THEN
+    ALTER TABLE users ADD COLUMN invited_by UUID REFERENCES users(id) ON DELETE SET NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'invited_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN invited_at TIMESTAMPTZ;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_users_agency_staff
+  ON users(agency_id) WHERE role = 'agency_staff';
@@ -0,0 +1,26 @@
+-- ============================================================================
+-- VOICEAI CONNECT - CLIENT TEAM USERS
+-- Version: 1.12.0
+-- Description: More than one login per client business - owner vs. member
+--              roles (members can't manage billing or the team). Invites and
+--              removal reuse is_active / invited_by / invited_at from 012.
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'client_role'
+  ) THEN
+    ALTER TABLE users ADD COLUMN client_role TEXT
+      CHECK (client_role IN ('owner', 'member'));
+  END IF;
+END $$;
+
+-- Every existing client login is the business owner
+UPDATE users
+SET client_role = 'owner'
+WHERE role = 'client' AND client_role IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_client_team
+  ON users(client_id, client_role) WHERE role = 'client';
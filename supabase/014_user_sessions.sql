@@ -0,0 +1,39 @@
+-- ============================================================================
+-- VOICEAI CONNECT - USER SESSIONS
+-- Version: 1.13.0
+-- Description: Server-side login sessions - short-lived access JWTs carry the
+--              session id, rotating refresh tokens are stored hashed here, and
+--              revoking a session logs that device out
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+  -- SHA-256 of the current refresh token; the one it replaced is kept so a
+  -- replayed (stolen) token can be detected and the session killed
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  previous_token_hash TEXT,
+
+  -- Device info, refreshed on every token rotation
+  user_agent TEXT,
+  ip_address TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  revoked_at TIMESTAMPTZ,
+  revoked_reason TEXT             -- logout, logout_all, password_changed, removed, refresh_token_reused
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user
+  ON user_sessions(user_id, last_used_at DESC) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token
+  ON user_sessions(previous_token_hash) WHERE previous_token_hash IS NOT NULL;
+
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access user_sessions" ON user_sessions;
+CREATE POLICY "Service role full access user_sessions" ON user_sessions
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,63 @@
+-- ============================================================================
+-- VOICEAI CONNECT - TWO-FACTOR AUTHENTICATION
+-- Version: 1.14.0
+-- Description: Optional TOTP (authenticator app) 2FA for every login, with
+--              recovery codes, and per-agency enforcement for agency users
+--              and for the agency's client users
+-- ============================================================================
+
+DO $$
+BEGIN
+  -- AES-256-GCM encrypted base32 secret (set at enrollment, before enabling)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'totp_secret'
+  ) THEN
+    ALTER TABLE users ADD COLUMN totp_secret TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'totp_enabled'
+  ) THEN
+    ALTER TABLE users ADD COLUMN totp_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'totp_enabled_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN totp_enabled_at TIMESTAMPTZ;
+  END IF;
+
+  -- Last accepted 30-second step - a code can't be used twice
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'totp_last_step'
+  ) THEN
+    ALTER TABLE users ADD COLUMN totp_last_step BIGINT;
+  END IF;
+
+  -- SHA-256 hashes of unused recovery codes
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'totp_recovery_codes'
+  ) THEN
+    ALTER TABLE users ADD COLUMN totp_recovery_codes TEXT[] NOT NULL DEFAULT '{}';
+  END IF;
+
+  -- Agency-enforced 2FA: owner + staff / the agency's client users
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'require_2fa'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN require_2fa BOOLEAN NOT NULL DEFAULT FALSE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'require_client_2fa'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN require_client_2fa BOOLEAN NOT NULL DEFAULT FALSE;
+  END IF;
+END $$;
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- VOICEAI CONNECT - RATE LIMITS
+-- Version: 1.15.0
+-- Description: Shared counters for login / password reset / signup throttling
+--              and progressive account lockout when RATE_LIMIT_STORE=database
+--              (several backend instances); the default in-memory store
+--              doesn't use this table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  -- '<limiter>:<ip or account>', e.g. 'login:owner@agency.com'
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL DEFAULT 0,
+  reset_at TIMESTAMPTZ NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
+
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access rate_limits" ON rate_limits;
+CREATE POLICY "Service role full access rate_limits" ON rate_limits
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Atomic increment: starts a new window once the old one has ended
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key TEXT, p_window_seconds INTEGER)
+RETURNS TABLE (count INTEGER, reset_at TIMESTAMPTZ, updated_at TIMESTAMPTZ)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  INSERT INTO rate_limits AS rl (key, count, reset_at, updated_at)
+  VALUES (p_key, 1, NOW() + make_interval(secs => p_window_seconds), NOW())
+  ON CONFLICT (key) DO UPDATE SET
+    count = CASE WHEN rl.reset_at <= NOW() THEN 1 ELSE rl.count + 1 END,
+    reset_at = CASE WHEN rl.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rl.reset_at END,
+    updated_at = NOW()
+  RETURNING rl.count, rl.reset_at, rl.updated_at;
+END;
+$$;
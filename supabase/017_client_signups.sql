@@ -0,0 +1,82 @@
+-- ============================================================================
+-- VOICEAI CONNECT - CLIENT SIGNUP VERIFICATION & APPROVAL
+-- Version: 1.16.0
+-- Description: Public client signups wait here until the email is verified
+--              (and, if the agency requires it, an agency user approves)
+--              before an assistant is created and a phone number is bought
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS client_signups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agency_id UUID NOT NULL REFERENCES agencies(id) ON DELETE CASCADE,
+
+  -- Signup form
+  email TEXT NOT NULL,
+  first_name TEXT NOT NULL,
+  last_name TEXT,
+  phone TEXT NOT NULL,
+  business_name TEXT NOT NULL,
+  industry TEXT NOT NULL,
+  business_city TEXT NOT NULL,
+  business_state TEXT NOT NULL,
+  website_url TEXT,
+
+  -- Where it came from (per-IP quota)
+  ip_address TEXT,
+  user_agent TEXT,
+
+  -- pending_verification -> (pending_approval) -> provisioning -> completed
+  -- or rejected / failed (failed can be retried by approving)
+  status TEXT NOT NULL DEFAULT 'pending_verification'
+    CHECK (status IN ('pending_verification', 'pending_approval', 'provisioning', 'completed', 'rejected', 'failed')),
+
+  -- SHA-256 of the emailed verification token
+  verification_token_hash TEXT UNIQUE,
+  verification_expires_at TIMESTAMPTZ,
+  email_verified_at TIMESTAMPTZ,
+
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  rejection_reason TEXT,
+
+  client_id UUID REFERENCES clients(id) ON DELETE SET NULL,
+  error_message TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_signups_agency_status ON client_signups(agency_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_client_signups_agency_created ON client_signups(agency_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_client_signups_ip_created ON client_signups(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_client_signups_email ON client_signups(agency_id, email);
+
+ALTER TABLE client_signups ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access client_signups" ON client_signups;
+CREATE POLICY "Service role full access client_signups" ON client_signups
+  FOR ALL USING (auth.role() = 'service_role');
+
+DROP TRIGGER IF EXISTS update_client_signups_updated_at ON client_signups;
+CREATE TRIGGER update_client_signups_updated_at
+  BEFORE UPDATE ON client_signups
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DO $$
+BEGIN
+  -- Hold verified signups for an agency user to approve before provisioning
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'require_signup_approval'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN require_signup_approval BOOLEAN NOT NULL DEFAULT FALSE;
+  END IF;
+
+  -- Signups accepted per 24 hours (NULL = platform default)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'signup_daily_limit'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN signup_daily_limit INTEGER;
+  END IF;
+END $$;
@@ -0,0 +1,76 @@
+-- ============================================================================
+-- VOICEAI CONNECT - SUPER ADMIN CONSOLE
+-- Version: 1.17.0
+-- Description: Platform-level suspension of agencies (separate from billing
+--              suspension, so Stripe webhooks don't lift it) and audited
+--              manual referral balance adjustments
+-- ============================================================================
+
+DO $$
+BEGIN
+  -- Set while a super admin has the agency suspended
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'admin_suspended_at'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN admin_suspended_at TIMESTAMPTZ;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'admin_suspension_reason'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN admin_suspension_reason TEXT;
+  END IF;
+END $$;
+
+-- ============================================================================
+-- REFERRAL BALANCE ADJUSTMENTS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS referral_adjustments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agency_id UUID NOT NULL REFERENCES agencies(id) ON DELETE CASCADE,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents <> 0),  -- negative = deduction
+  balance_after_cents INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_referral_adjustments_agency ON referral_adjustments(agency_id, created_at DESC);
+
+ALTER TABLE referral_adjustments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access referral_adjustments" ON referral_adjustments;
+CREATE POLICY "Service role full access referral_adjustments" ON referral_adjustments
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Change the balance and record why in one step; never goes below zero
+CREATE OR REPLACE FUNCTION adjust_referral_balance(
+  p_agency_id UUID,
+  p_amount_cents INTEGER,
+  p_reason TEXT,
+  p_created_by UUID
+)
+RETURNS SETOF referral_adjustments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_balance INTEGER;
+BEGIN
+  UPDATE agencies
+  SET referral_balance_cents = COALESCE(referral_balance_cents, 0) + p_amount_cents
+  WHERE id = p_agency_id
+    AND COALESCE(referral_balance_cents, 0) + p_amount_cents >= 0
+  RETURNING referral_balance_cents INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Referral balance cannot go below zero' USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO referral_adjustments (agency_id, amount_cents, balance_after_cents, reason, created_by)
+  VALUES (p_agency_id, p_amount_cents, v_balance, p_reason, p_created_by)
+  RETURNING *;
+END;
+$$;
@@ -0,0 +1,57 @@
+-- ============================================================================
+-- VOICEAI CONNECT - CLIENT IMPERSONATION
+-- Version: 1.18.0
+-- Description: Agency users can open a client's dashboard as the client for
+--              support ("log in as client"). Each impersonation is a short
+--              session tied to the agency user's own login, and every request
+--              made with it is logged where the client can see it
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agency_id UUID NOT NULL REFERENCES agencies(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+
+  -- Agency user doing the impersonating, and the login session they used -
+  -- signing that session out ends the impersonation too
+  impersonator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  impersonator_session_id UUID REFERENCES user_sessions(id) ON DELETE SET NULL,
+
+  -- Client user whose view is opened (the account owner)
+  target_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  reason TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  ended_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_client ON impersonation_sessions(client_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_impersonator ON impersonation_sessions(impersonator_id);
+
+-- One row per API request made while impersonating
+CREATE TABLE IF NOT EXISTS impersonation_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  impersonation_id UUID NOT NULL REFERENCES impersonation_sessions(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_events_session ON impersonation_events(impersonation_id, created_at);
+
+ALTER TABLE impersonation_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE impersonation_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access impersonation_sessions" ON impersonation_sessions;
+CREATE POLICY "Service role full access impersonation_sessions" ON impersonation_sessions
+  FOR ALL USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role full access impersonation_events" ON impersonation_events;
+CREATE POLICY "Service role full access impersonation_events" ON impersonation_events
+  FOR ALL USING (auth.role() = 'service_role');
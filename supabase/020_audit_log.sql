@@ -0,0 +1,67 @@
+-- ============================================================================
+-- VOICEAI CONNECT - SECURITY AUDIT LOG
+-- Version: 1.19.0
+-- Description: Append-only record of sensitive configuration changes (agency
+--              settings and pricing, domains, Stripe Connect, referral payouts,
+--              passwords, client voice and greeting) with actor, before/after
+--              values, IP and user agent
+-- ============================================================================
+
+-- No foreign keys: entries must survive deletion of the users and tenants
+-- they refer to (and a cascade would be refused by the trigger below anyway)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Who - actor_role is 'impersonator' for an agency user signed in as a client
+  actor_id UUID,
+  actor_email TEXT,
+  actor_role TEXT,
+
+  -- Which tenant
+  agency_id UUID,
+  client_id UUID,
+
+  -- What
+  action TEXT NOT NULL,
+  entity_type TEXT,
+  entity_id TEXT,
+  before JSONB,
+  after JSONB,
+  metadata JSONB DEFAULT '{}',
+
+  -- From where
+  ip_address TEXT,
+  user_agent TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_agency ON audit_log(agency_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_client ON audit_log(client_id, created_at DESC) WHERE client_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+
+-- Immutable: entries can be added, never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access audit_log" ON audit_log;
+CREATE POLICY "Service role full access audit_log" ON audit_log
+  FOR ALL USING (auth.role() = 'service_role');
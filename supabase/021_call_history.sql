@@ -0,0 +1,79 @@
+-- ============================================================================
+-- VOICEAI CONNECT - CALL HISTORY QUERIES
+-- Version: 1.20.0
+-- Description: Indexes for the filtered, cursor-paginated client call log and
+--              get_client_call_stats() so totals are counted in the database
+-- ============================================================================
+
+-- Keyset pagination: (created_at, id) newest first within a client
+CREATE INDEX IF NOT EXISTS idx_calls_client_created_id ON calls(client_id, created_at DESC, id DESC);
+
+-- Caller name / phone search (ILIKE '%...%')
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_calls_customer_name_trgm ON calls USING gin (customer_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_calls_customer_phone_trgm ON calls USING gin (customer_phone gin_trgm_ops);
+
+-- ============================================================================
+-- CALL STATS - totals for one client's calls matching the call log filters
+-- Conditions mirror applyCallFilters() in src/lib/call-history.js
+-- ============================================================================
+CREATE OR REPLACE FUNCTION get_client_call_stats(
+  p_client_id UUID,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_urgency TEXT[] DEFAULT NULL,
+  p_search TEXT DEFAULT NULL,
+  p_phone_search TEXT DEFAULT NULL,
+  p_has_recording BOOLEAN DEFAULT NULL,
+  p_min_duration INTEGER DEFAULT NULL,
+  p_max_duration INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+  total BIGINT,
+  high_urgency BIGINT,
+  with_recording BIGINT,
+  total_duration_seconds BIGINT,
+  avg_duration_seconds INTEGER,
+  by_urgency JSONB
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH filtered AS (
+    SELECT c.urgency_level, c.recording_url, c.duration_seconds
+    FROM calls c
+    WHERE c.client_id = p_client_id
+      AND (p_from IS NULL OR c.created_at >= p_from)
+      AND (p_to IS NULL OR c.created_at <= p_to)
+      AND (p_urgency IS NULL OR c.urgency_level = ANY(p_urgency))
+      AND (
+        p_search IS NULL
+        OR c.customer_name ILIKE '%' || p_search || '%'
+        OR (p_phone_search IS NOT NULL AND c.customer_phone ILIKE '%' || p_phone_search || '%')
+      )
+      AND (
+        p_has_recording IS NULL
+        OR (p_has_recording AND COALESCE(c.recording_url, '') <> '')
+        OR (NOT p_has_recording AND COALESCE(c.recording_url, '') = '')
+      )
+      AND (p_min_duration IS NULL OR c.duration_seconds >= p_min_duration)
+      AND (p_max_duration IS NULL OR c.duration_seconds <= p_max_duration)
+  )
+  SELECT
+    COUNT(*),
+    COUNT(*) FILTER (WHERE urgency_level IN ('high', 'emergency')),
+    COUNT(*) FILTER (WHERE COALESCE(recording_url, '') <> ''),
+    COALESCE(SUM(duration_seconds), 0)::BIGINT,
+    ROUND(AVG(duration_seconds))::INTEGER,
+    COALESCE(
+      (SELECT jsonb_object_agg(level, calls)
+       FROM (
+         SELECT COALESCE(urgency_level, 'unknown') AS level, COUNT(*) AS calls
+         FROM filtered
+         GROUP BY 1
+       ) levels),
+      '{}'::jsonb
+    )
+  FROM filtered;
+$$;
@@ -0,0 +1,181 @@
+-- ============================================================================
+-- VOICEAI CONNECT - CALL FOLLOW-UP WORKFLOW
+-- Version: 1.21.0
+-- Description: Clients track what happened after each call - follow-up status
+--              (new / in_progress / resolved / spam), an assignee from the
+--              client's team, tags, notes and a history of every change.
+--              get_client_call_stats() gains the matching call log filters.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. WORKFLOW COLUMNS ON CALLS
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'follow_up_status'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN follow_up_status TEXT NOT NULL DEFAULT 'new'
+      CHECK (follow_up_status IN ('new', 'in_progress', 'resolved', 'spam'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'assigned_to'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN assigned_to UUID REFERENCES users(id) ON DELETE SET NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'tags'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN tags TEXT[] NOT NULL DEFAULT '{}';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'follow_up_updated_at'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN follow_up_updated_at TIMESTAMPTZ;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_calls_client_follow_up ON calls(client_id, follow_up_status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_calls_assigned_to ON calls(assigned_to) WHERE assigned_to IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_calls_tags ON calls USING gin (tags);
+
+-- ============================================================================
+-- 2. CALL NOTES
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS call_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  author_email TEXT,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_notes_call ON call_notes(call_id, created_at);
+
+DROP TRIGGER IF EXISTS update_call_notes_updated_at ON call_notes;
+CREATE TRIGGER update_call_notes_updated_at
+  BEFORE UPDATE ON call_notes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- 3. CALL HISTORY (status, assignee, tag and note changes)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS call_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_email TEXT,
+  action TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_events_call ON call_events(call_id, created_at);
+
+ALTER TABLE call_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access call_notes" ON call_notes;
+CREATE POLICY "Service role full access call_notes" ON call_notes
+  FOR ALL USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role full access call_events" ON call_events;
+CREATE POLICY "Service role full access call_events" ON call_events
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- 4. CALL STATS - now with the workflow filters
+-- Conditions mirror applyCallFilters() in src/lib/call-history.js
+-- ============================================================================
+DROP FUNCTION IF EXISTS get_client_call_stats(UUID, TIMESTAMPTZ, TIMESTAMPTZ, TEXT[], TEXT, TEXT, BOOLEAN, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_client_call_stats(
+  p_client_id UUID,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_urgency TEXT[] DEFAULT NULL,
+  p_search TEXT DEFAULT NULL,
+  p_phone_search TEXT DEFAULT NULL,
+  p_has_recording BOOLEAN DEFAULT NULL,
+  p_min_duration INTEGER DEFAULT NULL,
+  p_max_duration INTEGER DEFAULT NULL,
+  p_follow_up_status TEXT[] DEFAULT NULL,
+  p_assigned_to UUID DEFAULT NULL,
+  p_unassigned BOOLEAN DEFAULT NULL,
+  p_tags TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  total BIGINT,
+  high_urgency BIGINT,
+  with_recording BIGINT,
+  total_duration_seconds BIGINT,
+  avg_duration_seconds INTEGER,
+  by_urgency JSONB,
+  by_follow_up_status JSONB
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH filtered AS (
+    SELECT c.urgency_level, c.recording_url, c.duration_seconds, c.follow_up_status
+    FROM calls c
+    WHERE c.client_id = p_client_id
+      AND (p_from IS NULL OR c.created_at >= p_from)
+      AND (p_to IS NULL OR c.created_at <= p_to)
+      AND (p_urgency IS NULL OR c.urgency_level = ANY(p_urgency))
+      AND (
+        p_search IS NULL
+        OR c.customer_name ILIKE '%' || p_search || '%'
+        OR (p_phone_search IS NOT NULL AND c.customer_phone ILIKE '%' || p_phone_search || '%')
+      )
+      AND (
+        p_has_recording IS NULL
+        OR (p_has_recording AND COALESCE(c.recording_url, '') <> '')
+        OR (NOT p_has_recording AND COALESCE(c.recording_url, '') = '')
+      )
+      AND (p_min_duration IS NULL OR c.duration_seconds >= p_min_duration)
+      AND (p_max_duration IS NULL OR c.duration_seconds <= p_max_duration)
+      AND (p_follow_up_status IS NULL OR c.follow_up_status = ANY(p_follow_up_status))
+      AND (p_assigned_to IS NULL OR c.assigned_to = p_assigned_to)
+      AND (p_unassigned IS NULL OR NOT p_unassigned OR c.assigned_to IS NULL)
+      AND (p_tags IS NULL OR c.tags @> p_tags)
+  )
+  SELECT
+    COUNT(*),
+    COUNT(*) FILTER (WHERE urgency_level IN ('high', 'emergency')),
+    COUNT(*) FILTER (WHERE COALESCE(recording_url, '') <> ''),
+    COALESCE(SUM(duration_seconds), 0)::BIGINT,
+    ROUND(AVG(duration_seconds))::INTEGER,
+    COALESCE(
+      (SELECT jsonb_object_agg(level, calls)
+       FROM (
+         SELECT COALESCE(urgency_level, 'unknown') AS level, COUNT(*) AS calls
+         FROM filtered
+         GROUP BY 1
+       ) levels),
+      '{}'::jsonb
+    ),
+    COALESCE(
+      (SELECT jsonb_object_agg(follow_up_status, calls)
+       FROM (
+         SELECT follow_up_status, COUNT(*) AS calls
+         FROM filtered
+         GROUP BY 1
+       ) statuses),
+      '{}'::jsonb
+    )
+  FROM filtered;
+$$;
@@ -0,0 +1,184 @@
+-- ============================================================================
+-- VOICEAI CONNECT - CALLER CONTACT BOOK
+-- Version: 1.22.0
+-- Description: One contact per caller phone number per client. Every
+--              processed call upserts its contact (name, email, first/last
+--              call, call count) and is linked to it, and known callers are
+--              greeted by name at the start of their next call.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CONTACTS
+-- phone is E.164, normalized like formatPhoneE164() in src/lib/notifications.js
+-- Once a client edits a contact (edited_at), calls only fill in empty fields
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS contacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  phone TEXT NOT NULL,
+  name TEXT,
+  email TEXT,
+  notes TEXT,
+  first_call_at TIMESTAMPTZ,
+  last_call_at TIMESTAMPTZ,
+  call_count INTEGER NOT NULL DEFAULT 0,
+  edited_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (client_id, phone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contacts_client_last_call ON contacts(client_id, last_call_at DESC NULLS LAST);
+CREATE INDEX IF NOT EXISTS idx_contacts_name_trgm ON contacts USING gin (name gin_trgm_ops);
+
+DROP TRIGGER IF EXISTS update_contacts_updated_at ON contacts;
+CREATE TRIGGER update_contacts_updated_at
+  BEFORE UPDATE ON contacts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access contacts" ON contacts;
+CREATE POLICY "Service role full access contacts" ON contacts
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- 2. CALLS → CONTACT, CLIENT GREETING SETTINGS
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'contact_id'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'greet_returning_callers'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN greet_returning_callers BOOLEAN NOT NULL DEFAULT true;
+  END IF;
+
+  -- NULL = the built-in "welcome back" greeting
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'returning_caller_greeting'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN returning_caller_greeting TEXT;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_calls_contact ON calls(contact_id, created_at DESC) WHERE contact_id IS NOT NULL;
+
+-- ============================================================================
+-- 3. PHONE NORMALIZATION - same rules as formatPhoneE164()
+-- ============================================================================
+CREATE OR REPLACE FUNCTION normalize_contact_phone(p_phone TEXT)
+RETURNS TEXT AS $$
+DECLARE
+  v_digits TEXT := regexp_replace(COALESCE(p_phone, ''), '\D', '', 'g');
+BEGIN
+  IF length(v_digits) = 11 AND left(v_digits, 1) = '1' THEN
+    RETURN '+' || v_digits;
+  END IF;
+  IF length(v_digits) = 10 THEN
+    RETURN '+1' || v_digits;
+  END IF;
+  IF left(btrim(p_phone), 1) = '+' AND length(v_digits) >= 10 THEN
+    RETURN '+' || v_digits;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- ============================================================================
+-- 4. UPSERT A CALL'S CONTACT
+-- Called once per processed end-of-call report. A call that's already linked
+-- (e.g. a retried report) returns its contact without counting again.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION upsert_call_contact(
+  p_client_id UUID,
+  p_call_id UUID,
+  p_phone TEXT,
+  p_name TEXT DEFAULT NULL,
+  p_email TEXT DEFAULT NULL,
+  p_called_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS SETOF contacts AS $$
+DECLARE
+  v_linked UUID;
+  v_contact_id UUID;
+BEGIN
+  IF p_call_id IS NOT NULL THEN
+    SELECT contact_id INTO v_linked FROM calls WHERE id = p_call_id FOR UPDATE;
+    IF v_linked IS NOT NULL THEN
+      RETURN QUERY SELECT * FROM contacts WHERE id = v_linked;
+      RETURN;
+    END IF;
+  END IF;
+
+  INSERT INTO contacts (client_id, phone, name, email, first_call_at, last_call_at, call_count)
+  VALUES (p_client_id, p_phone, p_name, p_email, p_called_at, p_called_at, 1)
+  ON CONFLICT (client_id, phone) DO UPDATE SET
+    name = CASE
+      WHEN contacts.edited_at IS NOT NULL THEN COALESCE(contacts.name, EXCLUDED.name)
+      ELSE COALESCE(EXCLUDED.name, contacts.name)
+    END,
+    email = CASE
+      WHEN contacts.edited_at IS NOT NULL THEN COALESCE(contacts.email, EXCLUDED.email)
+      ELSE COALESCE(EXCLUDED.email, contacts.email)
+    END,
+    first_call_at = LEAST(contacts.first_call_at, EXCLUDED.first_call_at),
+    last_call_at = GREATEST(contacts.last_call_at, EXCLUDED.last_call_at),
+    call_count = contacts.call_count + 1
+  RETURNING id INTO v_contact_id;
+
+  IF p_call_id IS NOT NULL THEN
+    UPDATE calls SET contact_id = v_contact_id WHERE id = p_call_id;
+  END IF;
+
+  RETURN QUERY SELECT * FROM contacts WHERE id = v_contact_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- 5. BACKFILL FROM EXISTING CALLS
+-- Latest known name / email wins; safe to re-run (only unlinked calls)
+-- ============================================================================
+WITH caller_calls AS (
+  SELECT
+    id,
+    client_id,
+    normalize_contact_phone(customer_phone) AS phone,
+    NULLIF(NULLIF(btrim(customer_name), ''), 'Unknown') AS name,
+    NULLIF(btrim(customer_email), '') AS email,
+    created_at
+  FROM calls
+  WHERE contact_id IS NULL
+    AND customer_phone IS NOT NULL
+    AND COALESCE(call_status, 'completed') = 'completed'
+)
+INSERT INTO contacts (client_id, phone, name, email, first_call_at, last_call_at, call_count)
+SELECT
+  client_id,
+  phone,
+  (array_agg(name ORDER BY created_at DESC) FILTER (WHERE name IS NOT NULL))[1],
+  (array_agg(email ORDER BY created_at DESC) FILTER (WHERE email IS NOT NULL))[1],
+  MIN(created_at),
+  MAX(created_at),
+  COUNT(*)
+FROM caller_calls
+WHERE phone IS NOT NULL
+GROUP BY client_id, phone
+ON CONFLICT (client_id, phone) DO NOTHING;
+
+UPDATE calls
+SET contact_id = contacts.id
+FROM contacts
+WHERE calls.contact_id IS NULL
+  AND calls.client_id = contacts.client_id
+  AND normalize_contact_phone(calls.customer_phone) = contacts.phone
+  AND COALESCE(calls.call_status, 'completed') = 'completed';
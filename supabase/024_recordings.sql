@@ -0,0 +1,141 @@
+-- ============================================================================
+-- VOICEAI CONNECT - RECORDING STORAGE & RETENTION
+-- Version: 1.23.0
+-- Description: Call recordings are copied from VAPI into a private storage
+--              bucket and served through signed URLs. Agencies (and clients,
+--              overriding them) set how many days recordings are kept;
+--              /api/cron/purge-recordings deletes older ones.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. RECORDING COLUMNS ON CALLS
+-- recording_url stays VAPI's link; recording_storage_path is our copy
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'recording_status'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN recording_status TEXT
+      CHECK (recording_status IN ('pending', 'copying', 'stored', 'failed', 'deleted'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'recording_storage_path'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN recording_storage_path TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'recording_size_bytes'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN recording_size_bytes BIGINT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'recording_attempts'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN recording_attempts INTEGER NOT NULL DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'recording_claimed_at'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN recording_claimed_at TIMESTAMPTZ;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'recording_error'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN recording_error TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'recording_stored_at'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN recording_stored_at TIMESTAMPTZ;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'recording_deleted_at'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN recording_deleted_at TIMESTAMPTZ;
+  END IF;
+END $$;
+
+-- Copy queue for /api/cron/archive-recordings
+CREATE INDEX IF NOT EXISTS idx_calls_recording_queue ON calls(recording_status, created_at)
+  WHERE recording_status IN ('pending', 'copying', 'failed');
+
+-- Retention sweep
+CREATE INDEX IF NOT EXISTS idx_calls_recording_retention ON calls(client_id, created_at)
+  WHERE recording_url IS NOT NULL OR recording_storage_path IS NOT NULL;
+
+-- Existing recordings join the copy queue
+UPDATE calls
+SET recording_status = 'pending'
+WHERE recording_status IS NULL
+  AND recording_url IS NOT NULL
+  AND recording_url <> '';
+
+-- ============================================================================
+-- 2. RETENTION SETTINGS - NULL keeps recordings forever
+-- A client's own setting wins over its agency's
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'agencies' AND column_name = 'recording_retention_days'
+  ) THEN
+    ALTER TABLE agencies ADD COLUMN recording_retention_days INTEGER
+      CHECK (recording_retention_days BETWEEN 1 AND 3650);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'recording_retention_days'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN recording_retention_days INTEGER
+      CHECK (recording_retention_days BETWEEN 1 AND 3650);
+  END IF;
+END $$;
+
+-- ============================================================================
+-- 3. EXPIRED RECORDINGS - oldest first, for purgeExpiredRecordings()
+-- ============================================================================
+CREATE OR REPLACE FUNCTION get_expired_recordings(p_limit INTEGER DEFAULT 200)
+RETURNS TABLE (
+  id UUID,
+  client_id UUID,
+  recording_storage_path TEXT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT ca.id, ca.client_id, ca.recording_storage_path
+  FROM calls ca
+  JOIN clients c ON c.id = ca.client_id
+  LEFT JOIN agencies a ON a.id = c.agency_id
+  WHERE (NULLIF(ca.recording_url, '') IS NOT NULL OR ca.recording_storage_path IS NOT NULL)
+    AND COALESCE(c.recording_retention_days, a.recording_retention_days) IS NOT NULL
+    AND ca.created_at < NOW() - make_interval(days => COALESCE(c.recording_retention_days, a.recording_retention_days))
+  ORDER BY ca.created_at
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- 4. STORAGE BUCKET - private; the service role signs URLs
+-- Name must match RECORDING_BUCKET (default call-recordings)
+-- ============================================================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('call-recordings', 'call-recordings', false)
+ON CONFLICT (id) DO NOTHING;
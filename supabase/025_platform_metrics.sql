@@ -0,0 +1,77 @@
+-- ============================================================================
+-- VOICEAI CONNECT - PLATFORM METRICS
+-- Version: 1.24.0
+-- Description: Platform-wide agency / client counts and revenue for
+--              GET /api/admin/metrics, aggregated in the database so they
+--              aren't cut off by the API's row limit
+-- ============================================================================
+
+-- ============================================================================
+-- 1. AGENCY & CLIENT TOTALS
+-- Platform MRR is priced from active_agencies_by_plan in the API (PLAN_DETAILS);
+-- client MRR uses each agency's own plan prices
+-- ============================================================================
+CREATE OR REPLACE FUNCTION get_platform_metrics(p_since TIMESTAMPTZ)
+RETURNS TABLE (
+  agencies_total BIGINT,
+  agencies_new BIGINT,
+  agencies_by_status JSONB,
+  agencies_by_subscription_status JSONB,
+  active_agencies_by_plan JSONB,
+  referral_balances_owed_cents BIGINT,
+  clients_total BIGINT,
+  clients_new BIGINT,
+  clients_by_status JSONB,
+  clients_by_subscription_status JSONB,
+  client_mrr_cents BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    (SELECT COUNT(*) FROM agencies),
+    (SELECT COUNT(*) FROM agencies WHERE created_at >= p_since),
+    COALESCE(
+      (SELECT jsonb_object_agg(status, n)
+       FROM (SELECT COALESCE(status, 'unknown') AS status, COUNT(*) AS n FROM agencies GROUP BY 1) s),
+      '{}'::jsonb
+    ),
+    COALESCE(
+      (SELECT jsonb_object_agg(status, n)
+       FROM (SELECT COALESCE(subscription_status, 'unknown') AS status, COUNT(*) AS n FROM agencies GROUP BY 1) s),
+      '{}'::jsonb
+    ),
+    COALESCE(
+      (SELECT jsonb_object_agg(plan, n)
+       FROM (
+         SELECT COALESCE(plan_type, 'unknown') AS plan, COUNT(*) AS n
+         FROM agencies
+         WHERE subscription_status = 'active'
+         GROUP BY 1
+       ) p),
+      '{}'::jsonb
+    ),
+    (SELECT COALESCE(SUM(referral_balance_cents), 0)::BIGINT FROM agencies),
+    (SELECT COUNT(*) FROM clients),
+    (SELECT COUNT(*) FROM clients WHERE created_at >= p_since),
+    COALESCE(
+      (SELECT jsonb_object_agg(status, n)
+       FROM (SELECT COALESCE(status, 'unknown') AS status, COUNT(*) AS n FROM clients GROUP BY 1) s),
+      '{}'::jsonb
+    ),
+    COALESCE(
+      (SELECT jsonb_object_agg(status, n)
+       FROM (SELECT COALESCE(subscription_status, 'unknown') AS status, COUNT(*) AS n FROM clients GROUP BY 1) s),
+      '{}'::jsonb
+    ),
+    (SELECT COALESCE(SUM(
+       CASE c.plan_type
+         WHEN 'starter' THEN a.price_starter
+         WHEN 'pro' THEN a.price_pro
+         WHEN 'growth' THEN a.price_growth
+       END
+     ), 0)::BIGINT
+     FROM clients c
+     JOIN agencies a ON a.id = c.agency_id
+     WHERE c.subscription_status = 'active');
+$$;
@@ -0,0 +1,26 @@
+-- ============================================================================
+-- VOICEAI CONNECT - GOOGLE SIGN-IN CODES
+-- Version: 1.25.0
+-- Description: The Google OAuth callback redirects to the frontend with a
+--              one-time code instead of tokens; POST /api/auth/google/exchange
+--              trades it for the login response. Codes are stored hashed,
+--              last 60 seconds and are deleted when exchanged.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS oauth_login_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code_hash TEXT NOT NULL UNIQUE,          -- SHA-256 of the code
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  redirect TEXT NOT NULL,                  -- where the frontend goes after login
+  new_signup BOOLEAN NOT NULL DEFAULT false,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_login_codes_expires ON oauth_login_codes(expires_at);
+
+ALTER TABLE oauth_login_codes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access oauth_login_codes" ON oauth_login_codes;
+CREATE POLICY "Service role full access oauth_login_codes" ON oauth_login_codes
+  FOR ALL USING (auth.role() = 'service_role');
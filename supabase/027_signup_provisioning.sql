@@ -0,0 +1,38 @@
+-- ============================================================================
+-- VOICEAI CONNECT - RESUMABLE SIGNUP PROVISIONING
+-- Version: 1.26.0
+-- Description: What provisioning a client signup has already created (and
+--              paid for) is kept on the signup, so retrying a failed signup
+--              reuses the assistant and phone number instead of buying new ones
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'client_signups' AND column_name = 'knowledge_base_id'
+  ) THEN
+    ALTER TABLE client_signups ADD COLUMN knowledge_base_id TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'client_signups' AND column_name = 'vapi_assistant_id'
+  ) THEN
+    ALTER TABLE client_signups ADD COLUMN vapi_assistant_id TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'client_signups' AND column_name = 'vapi_phone_number_id'
+  ) THEN
+    ALTER TABLE client_signups ADD COLUMN vapi_phone_number_id TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'client_signups' AND column_name = 'vapi_phone_number'
+  ) THEN
+    ALTER TABLE client_signups ADD COLUMN vapi_phone_number TEXT;
+  END IF;
+END $$;
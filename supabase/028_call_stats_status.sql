@@ -0,0 +1,95 @@
+-- ============================================================================
+-- VOICEAI CONNECT - FINISHED CALLS ONLY IN CALL STATS
+-- Version: 1.27.0
+-- Description: Call rows are created when a call starts ringing and when the
+--              gate blocks it, so get_client_call_stats() now counts finished
+--              calls only unless asked for other statuses (p_call_status,
+--              NULL = every call). Calls from before lifecycle tracking have
+--              no status and count as completed.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CALL STATS - call_status filter
+-- Conditions mirror applyCallFilters() in src/lib/call-history.js
+-- ============================================================================
+DROP FUNCTION IF EXISTS get_client_call_stats(UUID, TIMESTAMPTZ, TIMESTAMPTZ, TEXT[], TEXT, TEXT, BOOLEAN, INTEGER, INTEGER, TEXT[], UUID, BOOLEAN, TEXT[]);
+
+CREATE OR REPLACE FUNCTION get_client_call_stats(
+  p_client_id UUID,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_urgency TEXT[] DEFAULT NULL,
+  p_search TEXT DEFAULT NULL,
+  p_phone_search TEXT DEFAULT NULL,
+  p_has_recording BOOLEAN DEFAULT NULL,
+  p_min_duration INTEGER DEFAULT NULL,
+  p_max_duration INTEGER DEFAULT NULL,
+  p_follow_up_status TEXT[] DEFAULT NULL,
+  p_assigned_to UUID DEFAULT NULL,
+  p_unassigned BOOLEAN DEFAULT NULL,
+  p_tags TEXT[] DEFAULT NULL,
+  p_call_status TEXT[] DEFAULT ARRAY['completed']
+)
+RETURNS TABLE (
+  total BIGINT,
+  high_urgency BIGINT,
+  with_recording BIGINT,
+  total_duration_seconds BIGINT,
+  avg_duration_seconds INTEGER,
+  by_urgency JSONB,
+  by_follow_up_status JSONB
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH filtered AS (
+    SELECT c.urgency_level, c.recording_url, c.duration_seconds, c.follow_up_status
+    FROM calls c
+    WHERE c.client_id = p_client_id
+      AND (p_from IS NULL OR c.created_at >= p_from)
+      AND (p_to IS NULL OR c.created_at <= p_to)
+      AND (p_urgency IS NULL OR c.urgency_level = ANY(p_urgency))
+      AND (
+        p_search IS NULL
+        OR c.customer_name ILIKE '%' || p_search || '%'
+        OR (p_phone_search IS NOT NULL AND c.customer_phone ILIKE '%' || p_phone_search || '%')
+      )
+      AND (
+        p_has_recording IS NULL
+        OR (p_has_recording AND COALESCE(c.recording_url, '') <> '')
+        OR (NOT p_has_recording AND COALESCE(c.recording_url, '') = '')
+      )
+      AND (p_min_duration IS NULL OR c.duration_seconds >= p_min_duration)
+      AND (p_max_duration IS NULL OR c.duration_seconds <= p_max_duration)
+      AND (p_follow_up_status IS NULL OR c.follow_up_status = ANY(p_follow_up_status))
+      AND (p_assigned_to IS NULL OR c.assigned_to = p_assigned_to)
+      AND (p_unassigned IS NULL OR NOT p_unassigned OR c.assigned_to IS NULL)
+      AND (p_tags IS NULL OR c.tags @> p_tags)
+      AND (p_call_status IS NULL OR COALESCE(c.call_status, 'completed') = ANY(p_call_status))
+  )
+  SELECT
+    COUNT(*),
+    COUNT(*) FILTER (WHERE urgency_level IN ('high', 'emergency')),
+    COUNT(*) FILTER (WHERE COALESCE(recording_url, '') <> ''),
+    COALESCE(SUM(duration_seconds), 0)::BIGINT,
+    ROUND(AVG(duration_seconds))::INTEGER,
+    COALESCE(
+      (SELECT jsonb_object_agg(level, calls)
+       FROM (
+         SELECT COALESCE(urgency_level, 'unknown') AS level, COUNT(*) AS calls
+         FROM filtered
+         GROUP BY 1
+       ) levels),
+      '{}'::jsonb
+    ),
+    COALESCE(
+      (SELECT jsonb_object_agg(follow_up_status, calls)
+       FROM (
+         SELECT follow_up_status, COUNT(*) AS calls
+         FROM filtered
+         GROUP BY 1
+       ) statuses),
+      '{}'::jsonb
+    )
+  FROM filtered;
+$$;
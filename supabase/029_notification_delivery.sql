@@ -0,0 +1,32 @@
+-- ============================================================================
+-- VOICEAI CONNECT - QUEUED NOTIFICATION DELIVERY TIME
+-- Version: 1.28.0
+-- Description: Notifications queued during quiet hours record when those
+--              quiet hours end (deliver_after), so the cron only fetches rows
+--              that are due instead of a batch full of clients still in
+--              their quiet hours. Rows queued before this have no
+--              deliver_after and are treated as due.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CALL NOTIFICATIONS - deliver_after
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_notifications' AND column_name = 'deliver_after'
+  ) THEN
+    ALTER TABLE call_notifications ADD COLUMN deliver_after TIMESTAMPTZ;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_call_notifications_due
+  ON call_notifications(deliver_after, created_at) WHERE status = 'queued';
+
+-- ============================================================================
+-- 2. DIGEST RECIPIENTS - longest since their last digest first
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_notification_recipients_digest
+  ON notification_recipients(last_digest_at NULLS FIRST, id)
+  WHERE delivery = 'digest' AND is_active = true;